@@ -0,0 +1,107 @@
+/**
+ * Appliance Presets
+ * Typical ratings of common appliances, used to prefill the power, power
+ * factor and time inputs in one click
+ *
+ * The built-in figures are typical nameplate values, not measurements; the
+ * user's library starts from them and can be edited, extended and shared
+ * as JSON.
+ *
+ * Units:
+ * - power: rated watts (W)
+ * - powerFactor: 0 to 1
+ * - hoursPerDay: typical hours of use per day (h)
+ * - starRating: energy label stars, 1 to 5, or null when unrated
+ */
+
+// ===== PRESETS =====
+export const MAX_STAR_RATING = 5;
+
+export const DEFAULT_APPLIANCE_PRESETS = Object.freeze([
+    { id: 'ac-1-5-ton', name: 'Air conditioner, 1.5 ton', power: 1500, powerFactor: 0.95, hoursPerDay: 8, starRating: 5 },
+    { id: 'ac-1-ton', name: 'Air conditioner, 1 ton', power: 1100, powerFactor: 0.9, hoursPerDay: 8, starRating: 3 },
+    { id: 'ceiling-fan', name: 'Ceiling fan', power: 75, powerFactor: 0.9, hoursPerDay: 12, starRating: null },
+    { id: 'ceiling-fan-bldc', name: 'Ceiling fan, BLDC', power: 28, powerFactor: 0.95, hoursPerDay: 12, starRating: 5 },
+    { id: 'refrigerator', name: 'Refrigerator, 250 L', power: 150, powerFactor: 0.8, hoursPerDay: 10, starRating: 3 },
+    { id: 'led-bulb', name: 'LED bulb', power: 9, powerFactor: 0.9, hoursPerDay: 6, starRating: null },
+    { id: 'led-tube', name: 'LED tube light', power: 20, powerFactor: 0.95, hoursPerDay: 8, starRating: null },
+    { id: 'television', name: 'LED television, 43"', power: 100, powerFactor: 0.95, hoursPerDay: 5, starRating: 3 },
+    { id: 'water-heater', name: 'Water heater (geyser)', power: 2000, powerFactor: 1, hoursPerDay: 1, starRating: 5 },
+    { id: 'washing-machine', name: 'Washing machine', power: 500, powerFactor: 0.8, hoursPerDay: 1, starRating: 5 },
+    { id: 'microwave', name: 'Microwave oven', power: 1200, powerFactor: 0.95, hoursPerDay: 0.5, starRating: null },
+    { id: 'induction-cooktop', name: 'Induction cooktop', power: 2000, powerFactor: 0.95, hoursPerDay: 1.5, starRating: null },
+    { id: 'iron', name: 'Electric iron', power: 1000, powerFactor: 1, hoursPerDay: 0.5, starRating: null },
+    { id: 'desktop', name: 'Desktop computer', power: 200, powerFactor: 0.95, hoursPerDay: 8, starRating: null },
+    { id: 'laptop', name: 'Laptop', power: 65, powerFactor: 0.6, hoursPerDay: 8, starRating: null },
+    { id: 'water-pump', name: 'Water pump, 1 HP', power: 746, powerFactor: 0.8, hoursPerDay: 1, starRating: null }
+]);
+
+let nextPresetId = 1;
+
+/**
+ * Normalises an appliance preset: numbers are coerced, the power factor is
+ * kept within 0 to 1 (unity when missing), hours within a day and the star
+ * rating to a whole number of stars.
+ * @param {Object} [fields]
+ * @returns {{id: string, name: string, power: number, powerFactor: number, hoursPerDay: number, starRating: ?number}}
+ */
+export function createAppliancePreset(fields = {}) {
+    const powerFactor = Number(fields.powerFactor);
+    const stars = Math.round(Number(fields.starRating));
+
+    return {
+        id: fields.id ? String(fields.id) : `appliance-${Date.now().toString(36)}-${nextPresetId++}`,
+        name: fields.name ? String(fields.name).trim() : '',
+        power: Math.max(Number(fields.power) || 0, 0),
+        powerFactor: powerFactor > 0 && powerFactor <= 1 ? powerFactor : 1,
+        hoursPerDay: Math.min(Math.max(Number(fields.hoursPerDay) || 0, 0), 24),
+        starRating: stars >= 1 ? Math.min(stars, MAX_STAR_RATING) : null
+    };
+}
+
+// ===== LIBRARY =====
+/**
+ * Adds presets to a library; a preset with the id of one already there
+ * replaces it in place.
+ * @param {Object[]} library - Presets from createAppliancePreset
+ * @param {Object[]} presets - Presets to add
+ * @returns {Object[]} A new library
+ */
+export function mergeAppliancePresets(library, presets) {
+    const merged = [...library];
+    presets.forEach(preset => {
+        const index = merged.findIndex(existing => existing.id === preset.id);
+        if (index === -1) merged.push(preset);
+        else merged[index] = preset;
+    });
+    return merged;
+}
+
+/**
+ * Reads presets exported by serializeAppliancePresets, or any JSON array of
+ * objects with a name and power; entries without both are skipped.
+ * @param {string} text - JSON: an array of presets, or {presets: [...]}
+ * @returns {Object[]} Presets from createAppliancePreset
+ * @throws {Error} When the JSON is not a list of presets or has no usable entry
+ */
+export function parseAppliancePresets(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data && data.presets;
+    if (!Array.isArray(entries)) throw new Error('JSON must be an array of presets');
+
+    const presets = entries
+        .filter(entry => entry && typeof entry === 'object')
+        .map(createAppliancePreset)
+        .filter(preset => preset.name && preset.power > 0);
+    if (presets.length === 0) throw new Error('The file has no presets with a name and power');
+    return presets;
+}
+
+/**
+ * Writes a library as JSON for sharing.
+ * @param {Object[]} presets
+ * @returns {string}
+ */
+export function serializeAppliancePresets(presets) {
+    return JSON.stringify(presets.map(createAppliancePreset), null, 2);
+}
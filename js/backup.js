@@ -0,0 +1,165 @@
+/**
+ * Battery Backup Sizing
+ * Sizes a battery bank and an inverter / UPS to carry a load for a backup time
+ *
+ * The energy drawn from the batteries is the load energy grossed up for the
+ * inverter and the battery's own discharge losses, and only the depth of
+ * discharge is usable, so the bank holds
+ * P × t ÷ (inverter efficiency × battery efficiency × DoD). Batteries are
+ * put in series to reach the bank voltage and in parallel strings to reach
+ * the capacity.
+ *
+ * The inverter needs VA for the load's power factor plus headroom for
+ * start-up surges, and most inverters only deliver 0.8 × VA as watts, so the
+ * recommended rating is the next standard size that covers both.
+ *
+ * Units:
+ * - power: watts (W), apparent power: volt-amperes (VA)
+ * - backup time: hours (h)
+ * - voltages: volts (V), battery capacity: ampere-hours (Ah)
+ * - energy: kilowatt-hours (kWh)
+ * - depth of discharge / efficiencies: percent (%)
+ */
+
+// ===== TABLES =====
+export const BATTERY_CHEMISTRIES = Object.freeze({
+    TUBULAR: 'tubular',
+    VRLA: 'vrla',
+    LIFEPO4: 'lifepo4'
+});
+
+// Typical recommended depth of discharge and discharge efficiency per chemistry
+export const CHEMISTRY_PROFILES = Object.freeze({
+    tubular: { label: 'Tubular lead-acid (flooded)', depthOfDischarge: 50, efficiency: 85, unitVoltage: 12 },
+    vrla: { label: 'Sealed lead-acid (VRLA / AGM)', depthOfDischarge: 50, efficiency: 85, unitVoltage: 12 },
+    lifepo4: { label: 'Lithium iron phosphate (LiFePO₄)', depthOfDischarge: 90, efficiency: 95, unitVoltage: 12.8 }
+});
+
+export const BANK_VOLTAGES = Object.freeze([12, 24, 48, 96]);
+
+// How far a series string may sit from the nominal bank voltage before it is
+// flagged; 12.8 V LiFePO₄ modules are sold for 12 V systems and stay within it
+export const BANK_VOLTAGE_TOLERANCE = 0.1;
+
+export const INVERTER_VA_RATINGS = Object.freeze([600, 800, 1000, 1100, 1500, 2000, 2500, 3000, 3500, 4000, 5000, 6000, 7500, 10000, 15000, 20000]);
+
+// Start-up surge margin on the load, and the watts an inverter delivers per VA
+export const INVERTER_HEADROOM = 1.25;
+export const INVERTER_OUTPUT_POWER_FACTOR = 0.8;
+
+// ===== SIZING =====
+/**
+ * Returns the profile of a battery chemistry.
+ * @param {string} chemistry - One of BATTERY_CHEMISTRIES
+ * @returns {{label: string, depthOfDischarge: number, efficiency: number, unitVoltage: number}}
+ *   Falls back to tubular lead-acid for unknown chemistries
+ */
+export function getChemistryProfile(chemistry) {
+    return CHEMISTRY_PROFILES[chemistry] || CHEMISTRY_PROFILES.tubular;
+}
+
+/**
+ * Recommends an inverter / UPS rating for a load.
+ *
+ * @param {number} power - Load real power in W
+ * @param {number} [powerFactor=1] - Load power factor
+ * @returns {{apparentPower: number, requiredVA: number, rating: ?number, limitedBy: string}}
+ *   `requiredVA` covers the load VA and watts with headroom; `rating` is null when
+ *   it exceeds the largest standard size, and `limitedBy` is 'va' or 'watts'
+ */
+export function recommendInverter(power, powerFactor = 1) {
+    const pf = powerFactor > 0 ? Math.min(powerFactor, 1) : 1;
+    const apparentPower = power / pf;
+    const forVA = apparentPower * INVERTER_HEADROOM;
+    const forWatts = (power * INVERTER_HEADROOM) / INVERTER_OUTPUT_POWER_FACTOR;
+    const requiredVA = Math.max(forVA, forWatts);
+    const rating = INVERTER_VA_RATINGS.find(r => r >= requiredVA);
+
+    return {
+        apparentPower,
+        requiredVA,
+        rating: rating === undefined ? null : rating,
+        limitedBy: forVA > forWatts ? 'va' : 'watts'
+    };
+}
+
+/**
+ * Sizes a battery bank and inverter for a load and backup time.
+ *
+ * @param {Object} options
+ * @param {number} options.power - Load real power in W
+ * @param {number} options.hours - Backup time in h
+ * @param {number} [options.powerFactor=1] - Load power factor
+ * @param {string} [options.chemistry='tubular'] - One of BATTERY_CHEMISTRIES
+ * @param {number} [options.bankVoltage=12] - Nominal bank (inverter DC) voltage in V
+ * @param {number} [options.unitVoltage] - Voltage of one battery in V; defaults to the chemistry's
+ * @param {number} [options.unitCapacity=150] - Capacity of one battery in Ah
+ * @param {number} [options.depthOfDischarge] - Usable share in %; defaults to the chemistry's
+ * @param {number} [options.inverterEfficiency=90] - In %
+ * @returns {?{requiredEnergy: number, requiredAh: number, series: number, parallel: number,
+ *   batteries: number, bankVoltage: number, installedAh: number, installedEnergy: number,
+ *   runtime: number, inverter: Object, reasoning: string[], warning: ?string}}
+ *   null without a load, a backup time or a usable battery. `requiredAh` is at the
+ *   bank's actual voltage (series × unit voltage); `runtime` is the backup the
+ *   installed bank gives in h; `inverter` is from recommendInverter. `warning` is
+ *   set when the batteries cannot make up the bank voltage within
+ *   BANK_VOLTAGE_TOLERANCE, e.g. 10 V units on a 24 V bank.
+ */
+export function sizeBackup({
+    power,
+    hours,
+    powerFactor = 1,
+    chemistry = BATTERY_CHEMISTRIES.TUBULAR,
+    bankVoltage = BANK_VOLTAGES[0],
+    unitVoltage,
+    unitCapacity = 150,
+    depthOfDischarge,
+    inverterEfficiency = 90
+}) {
+    const profile = getChemistryProfile(chemistry);
+    const cellVoltage = unitVoltage > 0 ? unitVoltage : profile.unitVoltage;
+    const dod = Math.min(depthOfDischarge > 0 ? depthOfDischarge : profile.depthOfDischarge, 100) / 100;
+    const inverter = Math.min(inverterEfficiency, 100) / 100;
+    const battery = profile.efficiency / 100;
+    if (!(power > 0) || !(hours > 0) || !(unitCapacity > 0) || !(inverter > 0) || !(bankVoltage > 0)) return null;
+
+    const loadEnergy = (power * hours) / 1000;
+    const requiredEnergy = loadEnergy / (inverter * battery * dod);
+
+    // Nominal bank voltages are whole multiples of 12 V, so 12.8 V lithium modules round too
+    const series = Math.max(Math.round(bankVoltage / cellVoltage), 1);
+    const actualBankVoltage = series * cellVoltage;
+    const volts = value => `${Number(value.toFixed(1))} V`;
+    const warning = Math.abs(actualBankVoltage - bankVoltage) > bankVoltage * BANK_VOLTAGE_TOLERANCE
+        ? `${series} × ${volts(cellVoltage)} batteries make ${volts(actualBankVoltage)}, not the ${volts(bankVoltage)} bank; choose batteries whose voltage divides the bank voltage.`
+        : null;
+    const requiredAh = (requiredEnergy * 1000) / actualBankVoltage;
+    const parallel = Math.ceil(requiredAh / unitCapacity - 1e-9);
+
+    const installedAh = parallel * unitCapacity;
+    const installedEnergy = (installedAh * actualBankVoltage) / 1000;
+    const runtime = (installedEnergy * dod * battery * inverter * 1000) / power;
+
+    const percent = value => `${Number((value * 100).toFixed(1))}%`;
+    const reasoning = [
+        `Load energy = ${power.toFixed(0)} W × ${hours} h = ${loadEnergy.toFixed(2)} kWh.`,
+        `Battery energy = ${loadEnergy.toFixed(2)} kWh ÷ (${percent(inverter)} inverter × ${percent(battery)} battery × ${percent(dod)} DoD) = ${requiredEnergy.toFixed(2)} kWh.`,
+        `Capacity = ${requiredEnergy.toFixed(2)} kWh ÷ ${volts(actualBankVoltage)} = ${requiredAh.toFixed(1)} Ah.`,
+        `${series} × ${volts(cellVoltage)} in series = ${volts(actualBankVoltage)} for the ${volts(bankVoltage)} bank, ${parallel} parallel string${parallel === 1 ? '' : 's'} of ${unitCapacity} Ah.`
+    ];
+
+    return {
+        requiredEnergy,
+        requiredAh,
+        series,
+        parallel,
+        batteries: series * parallel,
+        bankVoltage: actualBankVoltage,
+        installedAh,
+        installedEnergy,
+        runtime,
+        inverter: recommendInverter(power, powerFactor),
+        reasoning,
+        warning
+    };
+}
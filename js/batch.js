@@ -0,0 +1,295 @@
+/**
+ * Batch Calculations
+ * Runs rows imported from a CSV or JSON file through calculateAll() and
+ * builds the enriched rows for exporting back out
+ *
+ * A mapping says which column feeds each field and the unit the column is
+ * in: { voltage: { column: 'Volts', unit: 'V' }, power: { column: 'Load (kW)', unit: 'kW' } }.
+ * Fields without a column fall back to the defaults (normally the form's
+ * supply and tariff).
+ *
+ * Units:
+ * - mapped columns are read in their chosen unit and converted to the
+ *   engine's units (see calculator.js)
+ * - exported results are in the engine's units, named in the column headers
+ */
+
+import { calculateAll, hasValidInputs, INPUT_UNITS, RESULT_UNITS, PHASES, VOLTAGE_REFERENCES } from './calculator.js';
+import { parseCSV, formatCSV } from './csv.js';
+import { withCurrency } from './locale.js';
+import { convert, getUnits } from './units.js';
+
+// ===== FIELDS =====
+// Fields a column can be mapped to; `quantity` marks fields with a unit choice
+export const BATCH_FIELDS = Object.freeze([
+    { field: 'label', label: 'Label' },
+    { field: 'voltage', label: 'Voltage', quantity: 'voltage' },
+    { field: 'current', label: 'Current', quantity: 'current' },
+    { field: 'power', label: 'Power', quantity: 'power' },
+    { field: 'resistance', label: 'Resistance', quantity: 'resistance' },
+    { field: 'powerFactor', label: 'Power factor' },
+    { field: 'phaseAngle', label: 'Phase angle (°)' },
+    { field: 'time', label: 'Time', quantity: 'time' },
+    { field: 'tariff', label: 'Tariff (per kWh)' },
+    { field: 'phase', label: 'Supply phase' }
+]);
+
+// Header names recognised for each field, lowercase without units
+const FIELD_ALIASES = {
+    label: ['label', 'name', 'appliance', 'item', 'description'],
+    voltage: ['voltage', 'volts', 'volt', 'v'],
+    current: ['current', 'amps', 'amperes', 'amp', 'a', 'i'],
+    power: ['power', 'load', 'watts', 'wattage', 'rating', 'w', 'p'],
+    resistance: ['resistance', 'ohms', 'r'],
+    powerFactor: ['power factor', 'powerfactor', 'pf', 'cos φ', 'cos phi'],
+    phaseAngle: ['phase angle', 'phaseangle', 'angle', 'φ', 'phi'],
+    time: ['time', 'hours', 'hrs', 'duration', 'h', 't'],
+    tariff: ['tariff', 'rate', 'price'],
+    phase: ['phase', 'phases', 'supply']
+};
+
+const PHASE_ALIASES = {
+    [PHASES.SINGLE]: ['1', 'single', 'single-phase', 'single phase', '1-phase', '1ph', '1φ'],
+    [PHASES.THREE]: ['3', 'three', 'three-phase', 'three phase', '3-phase', '3ph', '3φ']
+};
+
+// Results added to each exported row, in the engine's units
+export const BATCH_RESULTS = Object.freeze([
+    { key: 'calculatedPower', label: 'Calculated power' },
+    { key: 'calculatedCurrent', label: 'Calculated current' },
+    { key: 'calculatedVoltage', label: 'Calculated voltage' },
+    { key: 'calculatedResistance', label: 'Calculated resistance' },
+    { key: 'apparentPower', label: 'Apparent power' },
+    { key: 'reactivePower', label: 'Reactive power' },
+    { key: 'powerFactor', label: 'Calculated power factor' },
+    { key: 'energy', label: 'Energy' },
+    { key: 'cost', label: 'Cost' }
+]);
+
+// ===== IMPORT =====
+/**
+ * Reads an imported file into named columns and rows.
+ * CSV files use their first row as the header; JSON files hold an array
+ * of objects, or an object with such an array under `rows`.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {{columns: string[], rows: Object[]}} Rows keyed by column name
+ * @throws {Error} When the file has no rows or JSON is not an array of objects
+ */
+export function parseBatchFile(text, format) {
+    if (format === 'json') {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data && data.rows;
+        if (!Array.isArray(rows) || !rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+            throw new Error('JSON must be an array of objects');
+        }
+        if (rows.length === 0) throw new Error('The file has no rows');
+        return { columns: [...new Set(rows.flatMap(row => Object.keys(row)))], rows };
+    }
+
+    const [header, ...records] = parseCSV(text);
+    if (!header || records.length === 0) throw new Error('The file has no rows');
+
+    // Repeated or blank headers are numbered so every column has its own key
+    const columns = [];
+    header.forEach((name, index) => {
+        const base = name.trim() || `Column ${index + 1}`;
+        let column = base;
+        for (let n = 2; columns.includes(column); n++) column = `${base} (${n})`;
+        columns.push(column);
+    });
+
+    const rows = records.map(record => Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ''])));
+    return { columns, rows };
+}
+
+/**
+ * Works out a file's format from its name or MIME type.
+ * @param {{name: string, type?: string}} file
+ * @returns {string} 'json' or 'csv'
+ */
+export function getBatchFormat(file) {
+    return /\.json$/i.test(file.name) || file.type === 'application/json' ? 'json' : 'csv';
+}
+
+// ===== MAPPING =====
+function splitHeader(column) {
+    const match = String(column).match(/^(.*?)\s*[([]\s*([^)\]]*?)\s*[)\]]\s*$/);
+    return match
+        ? { name: match[1].trim().toLowerCase(), unit: match[2] }
+        : { name: String(column).trim().toLowerCase(), unit: '' };
+}
+
+function findUnit(quantity, unit) {
+    const units = getUnits(quantity);
+    return units.find(candidate => candidate === unit) || units.find(candidate => candidate.toLowerCase() === unit.toLowerCase());
+}
+
+/**
+ * Chooses a column for each field.
+ * A preferred (remembered) mapping is kept for every column the file still
+ * has; the other fields are matched on header names such as "Volts" or
+ * "Power (kW)", taking the unit from the brackets when it is one we know.
+ *
+ * @param {string[]} columns
+ * @param {Object} [preferred] - A previous mapping
+ * @returns {Object} Mapping of field to {column, unit}
+ */
+export function guessMapping(columns, preferred = {}) {
+    const mapping = {};
+    const used = new Set();
+
+    BATCH_FIELDS.forEach(({ field, quantity }) => {
+        const saved = preferred[field];
+        if (saved && columns.includes(saved.column) && !used.has(saved.column)) {
+            const unit = quantity ? findUnit(quantity, saved.unit || '') || INPUT_UNITS[field] : undefined;
+            mapping[field] = quantity ? { column: saved.column, unit } : { column: saved.column };
+            used.add(saved.column);
+        }
+    });
+
+    BATCH_FIELDS.forEach(({ field, quantity }) => {
+        if (mapping[field]) return;
+        const column = columns.find(candidate => !used.has(candidate) && FIELD_ALIASES[field].includes(splitHeader(candidate).name));
+        if (!column) return;
+
+        used.add(column);
+        mapping[field] = quantity
+            ? { column, unit: findUnit(quantity, splitHeader(column).unit) || INPUT_UNITS[field] }
+            : { column };
+    });
+
+    return mapping;
+}
+
+// ===== CALCULATION =====
+function parseNumber(raw) {
+    if (typeof raw === 'number') return raw;
+    // Decimal commas, e.g. "1,5" from a semicolon-separated file
+    return Number(String(raw).trim().replace(/^(-?\d+),(\d+)$/, '$1.$2'));
+}
+
+function parsePhase(raw) {
+    const text = String(raw).trim().toLowerCase();
+    return Object.keys(PHASE_ALIASES).find(phase => PHASE_ALIASES[phase].includes(text)) || null;
+}
+
+/**
+ * Calculates one imported row.
+ *
+ * @param {Object} row - Imported row keyed by column
+ * @param {Object} mapping - Field to {column, unit}, see guessMapping
+ * @param {Object} [defaults] - phase, voltageReference, tariff and tariffProfile
+ *   for fields the row does not provide, and the currency tariffs are in
+ * @returns {{label: string, values: Object, results: ?Object, errors: string[]}}
+ *   `results` is null when the row has errors
+ */
+export function calculateBatchRow(row, mapping, defaults = {}) {
+    const errors = [];
+    const values = {
+        voltage: 0,
+        current: 0,
+        power: 0,
+        resistance: 0,
+        powerFactor: 0,
+        phaseAngle: 0,
+        time: 0,
+        tariff: defaults.tariff || 0,
+        tariffProfile: defaults.tariffProfile || null,
+        phase: defaults.phase || PHASES.SINGLE,
+        voltageReference: defaults.voltageReference || VOLTAGE_REFERENCES.LINE_TO_LINE,
+        currency: defaults.currency
+    };
+    const cell = field => {
+        const raw = mapping[field] ? row[mapping[field].column] : undefined;
+        return raw === undefined || raw === null || String(raw).trim() === '' ? null : raw;
+    };
+
+    BATCH_FIELDS.forEach(({ field, label, quantity }) => {
+        const raw = cell(field);
+        if (raw === null || field === 'label') return;
+
+        if (field === 'phase') {
+            const phase = parsePhase(raw);
+            if (phase) values.phase = phase;
+            else errors.push(`${label} "${raw}" is not single or three`);
+            return;
+        }
+
+        const value = parseNumber(raw);
+        if (!Number.isFinite(value)) {
+            errors.push(`${label} "${raw}" is not a number`);
+        } else if (value < 0) {
+            errors.push(`${label} cannot be negative`);
+        } else if (field === 'powerFactor' && value > 1) {
+            errors.push(`${label} must be between 0 and 1`);
+        } else {
+            values[field] = quantity ? convert(value, mapping[field].unit, INPUT_UNITS[field], quantity) : value;
+            // A tariff in the row is a flat rate for that row
+            if (field === 'tariff') values.tariffProfile = null;
+        }
+    });
+
+    // The default tariff applies to every row, so only a row's own tariff counts as one of its values
+    const rowTariff = cell('tariff') === null ? 0 : values.tariff;
+    if (errors.length === 0 && !hasValidInputs({ ...values, tariff: rowTariff })) {
+        errors.push('Needs at least two of voltage, current, power, resistance, time and tariff');
+    }
+
+    return {
+        label: cell('label') === null ? '' : String(cell('label')),
+        values,
+        results: errors.length === 0 ? calculateAll(values) : null,
+        errors
+    };
+}
+
+/**
+ * Calculates every imported row.
+ * @param {Object[]} rows
+ * @param {Object} mapping
+ * @param {Object} [defaults]
+ * @returns {Object[]} calculateBatchRow() for each row, in order
+ */
+export function calculateBatch(rows, mapping, defaults = {}) {
+    return rows.map(row => calculateBatchRow(row, mapping, defaults));
+}
+
+// ===== EXPORT =====
+/**
+ * Adds the results (and any errors) to the imported rows.
+ *
+ * @param {{columns: string[], rows: Object[]}} imported - From parseBatchFile
+ * @param {Object[]} batch - From calculateBatch, one per imported row
+ * @param {string} [currency] - Currency code the cost column is labelled in
+ * @returns {{columns: string[], rows: Object[]}} Results are numbers, or null when
+ *   not calculated; `Errors` holds the row's errors joined with "; "
+ */
+export function enrichBatch(imported, batch, currency) {
+    const resultColumns = BATCH_RESULTS.map(({ key, label }) => (RESULT_UNITS[key] ? `${label} (${withCurrency(RESULT_UNITS[key], currency)})` : label));
+    const columns = [...imported.columns, ...resultColumns, 'Errors'];
+
+    const rows = imported.rows.map((row, index) => {
+        const { results, errors } = batch[index];
+        const enriched = { ...row };
+        BATCH_RESULTS.forEach(({ key }, resultIndex) => {
+            const value = results ? results[key] : null;
+            enriched[resultColumns[resultIndex]] = value === undefined ? null : value;
+        });
+        enriched.Errors = errors.join('; ');
+        return enriched;
+    });
+
+    return { columns, rows };
+}
+
+/**
+ * Writes enriched rows as CSV. Imported text that starts like a formula is
+ * defused by formatCSV, so a crafted import cannot run in a spreadsheet.
+ * @param {{columns: string[], rows: Object[]}} enriched - From enrichBatch
+ * @returns {string} CSV with a byte order mark so Excel reads it as UTF-8 (₹, Ω)
+ */
+export function formatBatchCSV({ columns, rows }) {
+    return `\uFEFF${formatCSV([columns, ...rows.map(row => columns.map(column => row[column]))])}`;
+}
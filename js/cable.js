@@ -0,0 +1,239 @@
+/**
+ * Cable Sizing
+ * Recommends a conductor cross-section for a load current and checks the
+ * voltage drop over the run
+ *
+ * Ampacities are for PVC-insulated cables (70 °C conductor, 30 °C ambient)
+ * after the IEC 60364-5-52 tables, with no grouping or ambient derating.
+ * Aluminium ratings are taken as 78% of copper, and aluminium starts at
+ * 16 mm². Resistances are the IEC 60228 values at 20 °C corrected to the
+ * 70 °C operating temperature.
+ *
+ * Units:
+ * - current: amperes (A)
+ * - voltage: volts (V), in the same reference as the main calculation
+ * - length: one-way run length in metres (m)
+ * - size: conductor cross-section in square millimetres (mm²)
+ * - resistance / reactance: ohms per kilometre (Ω/km)
+ */
+
+import { PHASES, VOLTAGE_REFERENCES } from './calculator.js';
+
+// ===== TABLES =====
+export const CONDUCTOR_MATERIALS = Object.freeze({
+    COPPER: 'copper',
+    ALUMINIUM: 'aluminium'
+});
+
+export const INSTALLATION_METHODS = Object.freeze({
+    A1: 'A1 – Conduit in thermally insulated wall',
+    B1: 'B1 – Conduit on a wall',
+    C: 'C – Clipped direct',
+    D: 'D – Buried in ground (duct)',
+    E: 'E – Free air / cable tray'
+});
+
+export const CABLE_SIZES = Object.freeze([1.5, 2.5, 4, 6, 10, 16, 25, 35, 50, 70, 95, 120, 150, 185, 240, 300]);
+
+// Copper ampacity in A per size in CABLE_SIZES, keyed by method and loaded conductors
+const COPPER_AMPACITY = {
+    A1: {
+        2: [14.5, 19.5, 26, 34, 46, 61, 80, 99, 119, 151, 182, 210, 240, 273, 321, 367],
+        3: [13.5, 18, 24, 31, 42, 56, 73, 89, 108, 136, 164, 188, 216, 245, 286, 328]
+    },
+    B1: {
+        2: [17.5, 24, 32, 41, 57, 76, 101, 125, 151, 192, 232, 269, 300, 341, 400, 458],
+        3: [15.5, 21, 28, 36, 50, 68, 89, 110, 134, 171, 207, 239, 262, 296, 346, 394]
+    },
+    C: {
+        2: [19.5, 27, 36, 46, 63, 85, 112, 138, 168, 213, 258, 299, 344, 392, 461, 530],
+        3: [17.5, 24, 32, 41, 57, 76, 96, 119, 144, 184, 223, 259, 299, 341, 403, 464]
+    },
+    D: {
+        2: [22, 29, 37, 46, 60, 78, 99, 119, 140, 173, 204, 231, 261, 292, 336, 379],
+        3: [18, 24, 31, 39, 52, 67, 86, 103, 122, 151, 179, 203, 230, 258, 297, 336]
+    },
+    E: {
+        2: [22, 30, 40, 51, 70, 94, 119, 148, 180, 232, 282, 328, 379, 434, 514, 593],
+        3: [18.5, 25, 34, 43, 60, 80, 101, 126, 153, 196, 238, 276, 319, 364, 430, 497]
+    }
+};
+
+const ALUMINIUM_AMPACITY_RATIO = 0.78;
+const ALUMINIUM_MIN_SIZE = 16;
+
+// DC resistance at 20 °C in Ω/km per size in CABLE_SIZES (null where not made)
+const RESISTANCE_20C = {
+    copper: [12.1, 7.41, 4.61, 3.08, 1.83, 1.15, 0.727, 0.524, 0.387, 0.268, 0.193, 0.153, 0.124, 0.0991, 0.0754, 0.0601],
+    aluminium: [null, null, null, null, null, 1.91, 1.20, 0.868, 0.641, 0.443, 0.320, 0.253, 0.206, 0.164, 0.125, 0.100]
+};
+
+const TEMPERATURE_COEFFICIENT = {
+    copper: 0.00393,
+    aluminium: 0.00403
+};
+
+const OPERATING_TEMPERATURE = 70; // °C, PVC insulation limit
+const REACTANCE = 0.08; // Ω/km, typical for multicore cables
+
+// ===== LOOKUPS =====
+/**
+ * Returns the current-carrying capacity of a cable.
+ * @param {number} size - Cross-section in mm²
+ * @param {string} material - One of CONDUCTOR_MATERIALS
+ * @param {string} method - Key of INSTALLATION_METHODS
+ * @param {number} loadedConductors - 2 for single-phase, 3 for three-phase
+ * @returns {?number} Ampacity in A, or null if the size is not available
+ */
+export function getAmpacity(size, material, method, loadedConductors) {
+    const index = CABLE_SIZES.indexOf(size);
+    const table = COPPER_AMPACITY[method];
+    if (index === -1 || !table) return null;
+
+    const copper = table[loadedConductors === 3 ? 3 : 2][index];
+    if (material === CONDUCTOR_MATERIALS.ALUMINIUM) {
+        return size < ALUMINIUM_MIN_SIZE ? null : Math.round(copper * ALUMINIUM_AMPACITY_RATIO);
+    }
+    return copper;
+}
+
+/**
+ * Returns the conductor resistance at the operating temperature.
+ * @param {number} size - Cross-section in mm²
+ * @param {string} material - One of CONDUCTOR_MATERIALS
+ * @returns {?number} Resistance in Ω/km, or null if the size is not available
+ */
+export function getConductorResistance(size, material) {
+    const index = CABLE_SIZES.indexOf(size);
+    const table = RESISTANCE_20C[material];
+    if (index === -1 || !table || table[index] === null) return null;
+
+    return table[index] * (1 + TEMPERATURE_COEFFICIENT[material] * (OPERATING_TEMPERATURE - 20));
+}
+
+// ===== VOLTAGE DROP =====
+/**
+ * Calculates the voltage drop along a cable run.
+ * Single-phase runs count the outgoing and return conductors; three-phase
+ * drops are given in the same voltage reference as the supply.
+ *
+ * @param {Object} options
+ * @param {number} options.current - Load current in A
+ * @param {number} options.length - One-way run length in m
+ * @param {number} options.size - Cross-section in mm²
+ * @param {string} [options.material='copper']
+ * @param {number} [options.powerFactor=1]
+ * @param {string} [options.phase='single']
+ * @param {string} [options.voltageReference='line']
+ * @returns {?number} Voltage drop in V, or null if the size is not available
+ */
+export function calculateVoltageDrop({
+    current,
+    length,
+    size,
+    material = CONDUCTOR_MATERIALS.COPPER,
+    powerFactor = 1,
+    phase = PHASES.SINGLE,
+    voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE
+}) {
+    const resistance = getConductorResistance(size, material);
+    if (resistance === null) return null;
+
+    const sinPhi = Math.sqrt(1 - powerFactor ** 2);
+    const impedance = resistance * powerFactor + REACTANCE * sinPhi;
+    return getDropFactor(phase, voltageReference) * current * (length / 1000) * impedance;
+}
+
+function getDropFactor(phase, voltageReference) {
+    if (phase !== PHASES.THREE) return 2;
+    return voltageReference === VOLTAGE_REFERENCES.LINE_TO_NEUTRAL ? 1 : Math.sqrt(3);
+}
+
+/**
+ * Returns the voltage drop formula text for a supply arrangement.
+ * @param {string} [phase='single']
+ * @param {string} [voltageReference='line']
+ * @returns {string}
+ */
+export function getVoltageDropFormula(phase = PHASES.SINGLE, voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE) {
+    const factor = { 2: '2 × ', 1: '' }[getDropFactor(phase, voltageReference)] ?? '√3 × ';
+    return `ΔV = ${factor}I × L × (R cos φ + X sin φ)`;
+}
+
+// ===== SIZING =====
+/**
+ * Picks the smallest cable that carries the current, is protected by the
+ * circuit's device and keeps the voltage drop within the allowed percentage.
+ *
+ * @param {Object} options
+ * @param {number} options.current - Design current in A
+ * @param {number} options.voltage - Supply voltage in V
+ * @param {number} options.length - One-way run length in m
+ * @param {string} [options.material='copper'] - One of CONDUCTOR_MATERIALS
+ * @param {string} [options.method='C'] - Key of INSTALLATION_METHODS
+ * @param {number} [options.maxDropPercent=3] - Allowed voltage drop in %
+ * @param {number} [options.powerFactor=1]
+ * @param {string} [options.phase='single']
+ * @param {string} [options.voltageReference='line']
+ * @param {number} [options.minimumAmpacity=0] - Smallest Iz the protective device
+ *   allows in A, so that Ib ≤ In ≤ Iz (see getRequiredAmpacity in protection.js)
+ * @returns {{recommended: ?Object, minimumForCurrent: ?number, minimumForProtection: ?number,
+ *   limitedBy: ?string, candidates: Object[]}}
+ *   `recommended` holds size (mm²), ampacity (A), resistance (Ω/km),
+ *   voltageDrop (V) and voltageDropPercent (%); `limitedBy` is 'ampacity',
+ *   'protection' or 'voltageDrop', or null when no listed size is adequate
+ */
+export function sizeCable({
+    current,
+    voltage,
+    length,
+    material = CONDUCTOR_MATERIALS.COPPER,
+    method = 'C',
+    maxDropPercent = 3,
+    powerFactor = 1,
+    phase = PHASES.SINGLE,
+    voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE,
+    minimumAmpacity = 0
+}) {
+    const loadedConductors = phase === PHASES.THREE ? 3 : 2;
+
+    const candidates = CABLE_SIZES
+        .map(size => {
+            const ampacity = getAmpacity(size, material, method, loadedConductors);
+            if (ampacity === null) return null;
+
+            const voltageDrop = calculateVoltageDrop({ current, length, size, material, powerFactor, phase, voltageReference });
+            const voltageDropPercent = voltage > 0 ? (voltageDrop / voltage) * 100 : null;
+
+            return {
+                size,
+                ampacity,
+                resistance: getConductorResistance(size, material),
+                voltageDrop,
+                voltageDropPercent,
+                carriesCurrent: ampacity >= current,
+                protectedByDevice: ampacity >= minimumAmpacity,
+                withinDrop: voltageDropPercent !== null && voltageDropPercent <= maxDropPercent
+            };
+        })
+        .filter(Boolean);
+
+    const byCurrent = candidates.find(c => c.carriesCurrent);
+    const byProtection = candidates.find(c => c.carriesCurrent && c.protectedByDevice);
+    const recommended = candidates.find(c => c.carriesCurrent && c.protectedByDevice && c.withinDrop) || null;
+
+    let limitedBy = null;
+    if (recommended) {
+        if (recommended.size === byCurrent.size) limitedBy = 'ampacity';
+        else if (recommended.size === byProtection.size) limitedBy = 'protection';
+        else limitedBy = 'voltageDrop';
+    }
+
+    return {
+        recommended,
+        minimumForCurrent: byCurrent ? byCurrent.size : null,
+        minimumForProtection: byProtection ? byProtection.size : null,
+        limitedBy,
+        candidates
+    };
+}
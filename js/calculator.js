@@ -0,0 +1,557 @@
+/**
+ * Electrical Calculation Engine
+ * DOM-free solver for the power, current, voltage, energy and cost results
+ *
+ * Every function here is pure: values go in with explicit units and come
+ * back out with explicit units, so the module can be imported both by the
+ * page (script.js) and by Node for testing.
+ *
+ * Units:
+ * - voltage: volts (V), line-to-line or line-to-neutral in three-phase mode
+ * - current: amperes (A)
+ * - power: real power in watts (W)
+ * - resistance: ohms (Ω), per phase; the impedance magnitude when PF < 1
+ * - power factor: dimensionless, 0 to 1
+ * - phase angle: degrees (°)
+ * - time: hours (h); up to 24 h is hours of use per day, longer times are a
+ *   period of continuous use (see getDailyEnergy)
+ * - tariff: currency per kilowatt-hour (₹/kWh)
+ * - apparent power: volt-amperes (VA)
+ * - reactive power: volt-amperes reactive (VAR)
+ * - energy: kilowatt-hours (kWh)
+ * - cost: currency (₹)
+ *
+ * Version: 1.0.0
+ */
+
+import { computeBill } from './tariff.js';
+
+// ===== UNITS =====
+export const INPUT_UNITS = Object.freeze({
+    voltage: 'V',
+    current: 'A',
+    power: 'W',
+    resistance: 'Ω',
+    powerFactor: '',
+    phaseAngle: '°',
+    time: 'h',
+    tariff: '₹/kWh'
+});
+
+export const RESULT_UNITS = Object.freeze({
+    calculatedPower: 'W',
+    calculatedCurrent: 'A',
+    calculatedVoltage: 'V',
+    calculatedResistance: 'Ω',
+    apparentPower: 'VA',
+    reactivePower: 'VAR',
+    powerFactor: '',
+    phaseAngle: '°',
+    energy: 'kWh',
+    cost: '₹'
+});
+
+// ===== BILLING PERIODS =====
+// A billing month and a year, shared with the projections and sizing modules
+export const DAYS_PER_MONTH = 30;
+export const DAYS_PER_YEAR = 365;
+
+/**
+ * Returns the energy of one day's use.
+ * Times up to 24 h are hours of use per day. Longer times (e.g. 2 days or
+ * 1 month) are continuous use, so their energy is spread over their days.
+ * @param {number} energy - Energy over the calculation's time in kWh
+ * @param {number} time - Usage time in h
+ * @returns {number} Energy per day in kWh, 0 without energy or time
+ */
+export function getDailyEnergy(energy, time) {
+    if (!(energy > 0) || !(time > 0)) return 0;
+    return time <= 24 ? energy : (energy * 24) / time;
+}
+
+// ===== PHASE MODES =====
+export const PHASES = Object.freeze({
+    SINGLE: 'single',
+    THREE: 'three'
+});
+
+export const VOLTAGE_REFERENCES = Object.freeze({
+    LINE_TO_LINE: 'line',
+    LINE_TO_NEUTRAL: 'neutral'
+});
+
+/**
+ * Returns the multiplier k in P = k × V × I for a supply arrangement.
+ * Three-phase line-to-line voltages use √3, line-to-neutral voltages use 3.
+ * @param {string} [phase='single'] - One of PHASES
+ * @param {string} [voltageReference='line'] - One of VOLTAGE_REFERENCES
+ * @returns {number}
+ */
+export function getPhaseFactor(phase = PHASES.SINGLE, voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE) {
+    if (phase !== PHASES.THREE) return 1;
+    return voltageReference === VOLTAGE_REFERENCES.LINE_TO_NEUTRAL ? 3 : Math.sqrt(3);
+}
+
+/**
+ * Returns the number of phase conductors carrying load (1 or 3).
+ * @param {string} [phase='single']
+ * @returns {number}
+ */
+export function getPhaseCount(phase = PHASES.SINGLE) {
+    return phase === PHASES.THREE ? 3 : 1;
+}
+
+/**
+ * Returns the formula text for each result in a supply arrangement.
+ * @param {string} [phase='single']
+ * @param {string} [voltageReference='line']
+ * @returns {{power: string, current: string, voltage: string, resistance: string,
+ *   apparentPower: string, reactivePower: string, powerFactor: string}}
+ */
+export function getFormulas(phase = PHASES.SINGLE, voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE) {
+    const common = {
+        reactivePower: 'Q = √(S² − P²)',
+        powerFactor: 'PF = P ÷ S = cos φ'
+    };
+
+    if (phase !== PHASES.THREE) {
+        return {
+            power: 'P = V × I × PF',
+            current: 'I = P ÷ (V × PF)',
+            voltage: 'V = P ÷ (I × PF)',
+            resistance: 'R = V ÷ I',
+            apparentPower: 'S = V × I',
+            ...common
+        };
+    }
+
+    if (voltageReference === VOLTAGE_REFERENCES.LINE_TO_NEUTRAL) {
+        return {
+            power: 'P = 3 × V_ph × I × PF',
+            current: 'I = P ÷ (3 × V_ph × PF)',
+            voltage: 'V_ph = P ÷ (3 × I × PF)',
+            resistance: 'R = V_ph ÷ I',
+            apparentPower: 'S = 3 × V_ph × I',
+            ...common
+        };
+    }
+
+    return {
+        power: 'P = √3 × V_L × I × PF',
+        current: 'I = P ÷ (√3 × V_L × PF)',
+        voltage: 'V_L = P ÷ (√3 × I × PF)',
+        resistance: 'R = V_L ÷ (√3 × I)',
+        apparentPower: 'S = √3 × V_L × I',
+        ...common
+    };
+}
+
+/**
+ * Returns a human-readable name for a supply arrangement, e.g. for exports.
+ * @param {string} [phase='single']
+ * @param {string} [voltageReference='line']
+ * @returns {string}
+ */
+export function getPhaseModeLabel(phase = PHASES.SINGLE, voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE) {
+    if (phase !== PHASES.THREE) return 'Single-phase';
+    return voltageReference === VOLTAGE_REFERENCES.LINE_TO_NEUTRAL
+        ? 'Three-phase (line-to-neutral)'
+        : 'Three-phase (line-to-line)';
+}
+
+// ===== POWER FACTOR =====
+export const PF_SOURCES = Object.freeze({
+    INPUT: 'input',
+    ANGLE: 'angle',
+    SOLVED: 'solved',
+    UNITY: 'unity'
+});
+
+/**
+ * Works out which power factor the solver should use.
+ * An entered power factor wins over a phase angle. With neither given, the
+ * power factor is solved from V, I and P when all three are known and
+ * consistent with PF ≤ 1, otherwise unity is assumed.
+ *
+ * @param {Object} values - Same shape as calculateAll input
+ * @returns {{powerFactor: number, source: string}} Power factor (0–1) and one of PF_SOURCES
+ */
+export function resolvePowerFactor(values) {
+    const { voltage = 0, current = 0, power = 0, powerFactor = 0, phaseAngle = 0, phase, voltageReference } = values;
+
+    if (powerFactor > 0) {
+        return { powerFactor: Math.min(powerFactor, 1), source: PF_SOURCES.INPUT };
+    }
+
+    if (phaseAngle > 0 && phaseAngle < 90) {
+        return { powerFactor: Math.cos(phaseAngle * Math.PI / 180), source: PF_SOURCES.ANGLE };
+    }
+
+    if (voltage > 0 && current > 0 && power > 0) {
+        const apparentPower = getPhaseFactor(phase, voltageReference) * voltage * current;
+        if (power <= apparentPower) {
+            return { powerFactor: power / apparentPower, source: PF_SOURCES.SOLVED };
+        }
+    }
+
+    return { powerFactor: 1, source: PF_SOURCES.UNITY };
+}
+
+// ===== SOLVER METHODS =====
+// Which pair of inputs a result was solved from, reported in results.methods
+export const SOLVER_METHODS = Object.freeze({
+    VOLTAGE_CURRENT: 'voltage-current',
+    VOLTAGE_RESISTANCE: 'voltage-resistance',
+    CURRENT_RESISTANCE: 'current-resistance',
+    POWER_VOLTAGE: 'power-voltage',
+    POWER_CURRENT: 'power-current',
+    POWER_RESISTANCE: 'power-resistance',
+    ENTERED: 'entered'
+});
+
+// ===== VALIDATION =====
+// Fields that count towards the two values a calculation needs
+const SOLVER_INPUTS = ['voltage', 'current', 'power', 'resistance', 'time', 'tariff'];
+
+/**
+ * Checks whether enough inputs are present to attempt a calculation.
+ * @param {Object} values - Input values keyed by field name
+ * @returns {boolean} True when at least two values are greater than zero
+ */
+export function hasValidInputs(values) {
+    // Need at least 2 values to perform calculations
+    const nonZeroValues = SOLVER_INPUTS.map(key => values[key]).filter(v => v > 0);
+    return nonZeroValues.length >= 2;
+}
+
+// ===== CONSISTENCY =====
+// Entered values within this relative difference (%) are taken to agree,
+// which allows for rounded nameplate figures
+export const CONSISTENCY_TOLERANCE = 1;
+
+// Entered values that can be set aside for the solver to derive instead
+export const DERIVABLE_FIELDS = Object.freeze(['voltage', 'current', 'power', 'resistance', 'powerFactor']);
+
+// Result that replaces each derivable field
+const DERIVED_RESULTS = {
+    voltage: 'calculatedVoltage',
+    current: 'calculatedCurrent',
+    power: 'calculatedPower',
+    resistance: 'calculatedResistance',
+    powerFactor: 'powerFactor'
+};
+
+/**
+ * Sets aside the entered values chosen as derived, so the solver works them
+ * out from the others. Deriving the power factor also sets aside the phase angle.
+ * @param {Object} values - Same shape as calculateAll input
+ * @param {string[]} [derived=values.derived] - DERIVABLE_FIELDS entries
+ * @returns {Object} A copy of values with those fields cleared
+ */
+export function withoutDerivedFields(values, derived = values.derived || []) {
+    const released = { ...values };
+    derived.forEach(field => {
+        released[field] = 0;
+        if (field === 'powerFactor') released.phaseAngle = 0;
+    });
+    return released;
+}
+
+// Each relation ties three of V, I, P and R together; `expected` gives every
+// field's value implied by the other two (and, for power, the power factor
+// implied by all three)
+function getRelations(values, k, n, pf, formulas) {
+    const { voltage: V, current: I, power: P, resistance: R, voltageReference } = values;
+    const three = n === 3;
+    const neutral = three && voltageReference === VOLTAGE_REFERENCES.LINE_TO_NEUTRAL;
+    const symbol = !three ? 'V' : neutral ? 'V_ph' : 'V_L';
+    const phaseVoltage = v => v * k / n;
+
+    return [
+        {
+            id: 'power',
+            formula: formulas.power,
+            fields: ['power', 'voltage', 'current'],
+            expected: () => ({
+                power: k * V * I * pf,
+                voltage: P / (k * I * pf),
+                current: P / (k * V * pf),
+                // Only a power factor up to 1 can reconcile the three
+                ...(P <= k * V * I ? { powerFactor: P / (k * V * I) } : {})
+            })
+        },
+        {
+            id: 'resistance',
+            formula: formulas.resistance,
+            fields: ['resistance', 'voltage', 'current'],
+            expected: () => ({ resistance: phaseVoltage(V) / I, voltage: R * I * n / k, current: phaseVoltage(V) / R })
+        },
+        {
+            id: 'voltage-resistance',
+            formula: `P = ${neutral ? '3 × ' : ''}${symbol}² × PF ÷ R`,
+            fields: ['power', 'voltage', 'resistance'],
+            expected: () => ({
+                power: n * phaseVoltage(V) ** 2 * pf / R,
+                voltage: Math.sqrt(P * R / (n * pf)) * n / k,
+                resistance: n * phaseVoltage(V) ** 2 * pf / P
+            })
+        },
+        {
+            id: 'current-resistance',
+            formula: `P = ${three ? '3 × ' : ''}I² × R × PF`,
+            fields: ['power', 'current', 'resistance'],
+            expected: () => ({ power: n * I ** 2 * R * pf, current: Math.sqrt(P / (n * R * pf)), resistance: P / (n * I ** 2 * pf) })
+        }
+    ].filter(relation => relation.fields.every(field => values[field] > 0));
+}
+
+/**
+ * Checks whether entered voltage, current, power and resistance agree.
+ * Any two of them fix the others, so a third over-determines the
+ * calculation; calculateAll() then solves each result from a different
+ * pair and the results need not agree with each other.
+ *
+ * When V, I and P are all entered without a power factor, the power factor
+ * is solved from them (see resolvePowerFactor), so they agree by
+ * construction; `powerFactorSolved` reports this.
+ *
+ * @param {Object} values - Same shape as calculateAll input
+ * @param {number} [tolerance=CONSISTENCY_TOLERANCE] - Allowed difference in %
+ * @returns {{overdetermined: boolean, consistent: boolean, powerFactorSolved: boolean,
+ *   conflictingFields: string[], relations: Object[]}} One relation for every three
+ *   entered values: {id, formula, fields, consistent, discrepancy, expected}, where
+ *   `discrepancy` is how far (%) the first field is from the value the other two
+ *   give and `expected` is each field's value implied by the others (engine units).
+ *   `conflictingFields` are the DERIVABLE_FIELDS a user could derive to resolve a conflict.
+ */
+export function checkConsistency(values, tolerance = CONSISTENCY_TOLERANCE) {
+    const { phase, voltageReference } = values;
+    const k = getPhaseFactor(phase, voltageReference);
+    const n = getPhaseCount(phase);
+    const { powerFactor: pf, source } = resolvePowerFactor(values);
+    const formulas = getFormulas(phase, voltageReference);
+
+    const relations = getRelations(values, k, n, pf, formulas).map(({ id, formula, fields, expected }) => {
+        const implied = expected();
+        const [field] = fields;
+        const discrepancy = (values[field] - implied[field]) / implied[field] * 100;
+        return { id, formula, fields, consistent: Math.abs(discrepancy) <= tolerance, discrepancy, expected: implied };
+    });
+
+    const conflicts = relations.filter(relation => !relation.consistent);
+    const conflictingFields = DERIVABLE_FIELDS.filter(field => conflicts.some(relation => relation.fields.includes(field)));
+    // A given power factor is one of the values that disagree
+    if (conflicts.length > 0 && (source === PF_SOURCES.INPUT || source === PF_SOURCES.ANGLE)) {
+        conflictingFields.push('powerFactor');
+    }
+
+    return {
+        overdetermined: relations.length > 0,
+        consistent: conflicts.length === 0,
+        powerFactorSolved: source === PF_SOURCES.SOLVED,
+        conflictingFields,
+        relations
+    };
+}
+
+// ===== SOLVER =====
+/**
+ * Solves power, current, voltage, energy and cost from the given inputs.
+ * Missing or non-positive inputs are treated as unknown. Results that
+ * cannot be derived are returned as null. In three-phase mode current is
+ * the line current and voltage is returned in the same reference
+ * (line-to-line or line-to-neutral) as it was given. Power is real power;
+ * energy and cost are always computed from it.
+ *
+ * Any two of voltage, current, power and resistance solve the other two.
+ * Resistance is the per-phase (star-equivalent) load resistance, R = V_ph / I,
+ * which is the impedance magnitude when the power factor is below unity.
+ * Each result is derived from a pair of the other inputs when one is
+ * available and otherwise falls back to the value that was entered.
+ *
+ * @param {Object} values
+ * @param {number} [values.voltage] - Voltage in V
+ * @param {number} [values.current] - Current in A
+ * @param {number} [values.power] - Real power in W
+ * @param {number} [values.resistance] - Per-phase load resistance in Ω
+ * @param {number} [values.powerFactor] - Power factor (0–1), see resolvePowerFactor
+ * @param {number} [values.phaseAngle] - Phase angle φ in degrees, used when no power factor is given
+ * @param {number} [values.time] - Usage time in h
+ * @param {number} [values.tariff] - Flat tariff in ₹/kWh
+ * @param {string} [values.currency] - Code of the currency the tariff is in (see
+ *   locale.js); only used to label money, the cost is in the same currency
+ * @param {Object} [values.tariffProfile] - Slab tariff profile (see tariff.js); when
+ *   given it replaces the flat tariff: `bill` is the monthly bill at this usage
+ *   (the daily energy over DAYS_PER_MONTH days) and `cost` is the calculation's
+ *   share of it in proportion to its energy
+ * @param {string} [values.phase='single'] - One of PHASES
+ * @param {string} [values.voltageReference='line'] - One of VOLTAGE_REFERENCES,
+ *   only used in three-phase mode
+ * @param {string[]} [values.derived] - DERIVABLE_FIELDS entries to solve for instead
+ *   of using their entered values, see withoutDerivedFields
+ * @returns {{calculatedPower: ?number, calculatedCurrent: ?number, calculatedVoltage: ?number,
+ *   calculatedResistance: ?number, apparentPower: ?number, reactivePower: ?number, powerFactor: number, phaseAngle: number,
+ *   powerFactorSource: string, energy: ?number, cost: ?number, bill: ?Object, methods: Object, consistency: Object}}
+ *   `methods` gives the SOLVER_METHODS entry each of the four electrical results
+ *   came from (null when unsolved). `consistency` is checkConsistency() for the
+ *   values used, plus `derived`: {field, entered, value, discrepancy} for each
+ *   entered value that was set aside. Real power in W, current in A, voltage in V, resistance in Ω, apparent power in VA, reactive
+ *   power in VAR, phase angle in degrees, energy in kWh and cost in ₹
+ */
+export function calculateAll(input) {
+    const derived = (input.derived || []).filter(field => DERIVABLE_FIELDS.includes(field));
+    const values = withoutDerivedFields(input, derived);
+    const { voltage = 0, current = 0, power = 0, resistance = 0, time = 0, tariff = 0, phase, voltageReference } = values;
+    const k = getPhaseFactor(phase, voltageReference);
+    const n = getPhaseCount(phase);
+    const { powerFactor: pf, source: pfSource } = resolvePowerFactor(values);
+    const results = {};
+    const methods = {};
+
+    // Per-phase voltage: k × V = n × V_ph for every supply arrangement
+    const phaseVoltage = voltage * k / n;
+
+    // Power calculation (P = k × V × I × PF)
+    if (voltage > 0 && current > 0) {
+        results.calculatedPower = k * voltage * current * pf;
+        methods.calculatedPower = SOLVER_METHODS.VOLTAGE_CURRENT;
+    } else if (voltage > 0 && resistance > 0) {
+        results.calculatedPower = n * phaseVoltage ** 2 * pf / resistance;
+        methods.calculatedPower = SOLVER_METHODS.VOLTAGE_RESISTANCE;
+    } else if (current > 0 && resistance > 0) {
+        results.calculatedPower = n * current ** 2 * resistance * pf;
+        methods.calculatedPower = SOLVER_METHODS.CURRENT_RESISTANCE;
+    } else if (power > 0) {
+        results.calculatedPower = power;
+        methods.calculatedPower = SOLVER_METHODS.ENTERED;
+    } else {
+        results.calculatedPower = null;
+        methods.calculatedPower = null;
+    }
+
+    // Current calculation (I = P / (k × V × PF))
+    if (power > 0 && voltage > 0) {
+        results.calculatedCurrent = power / (k * voltage * pf);
+        methods.calculatedCurrent = SOLVER_METHODS.POWER_VOLTAGE;
+    } else if (voltage > 0 && resistance > 0) {
+        results.calculatedCurrent = phaseVoltage / resistance;
+        methods.calculatedCurrent = SOLVER_METHODS.VOLTAGE_RESISTANCE;
+    } else if (power > 0 && resistance > 0) {
+        results.calculatedCurrent = Math.sqrt(power / (n * resistance * pf));
+        methods.calculatedCurrent = SOLVER_METHODS.POWER_RESISTANCE;
+    } else if (current > 0) {
+        results.calculatedCurrent = current;
+        methods.calculatedCurrent = SOLVER_METHODS.ENTERED;
+    } else {
+        results.calculatedCurrent = null;
+        methods.calculatedCurrent = null;
+    }
+
+    // Voltage calculation (V = P / (k × I × PF))
+    if (power > 0 && current > 0) {
+        results.calculatedVoltage = power / (k * current * pf);
+        methods.calculatedVoltage = SOLVER_METHODS.POWER_CURRENT;
+    } else if (current > 0 && resistance > 0) {
+        results.calculatedVoltage = current * resistance * n / k;
+        methods.calculatedVoltage = SOLVER_METHODS.CURRENT_RESISTANCE;
+    } else if (power > 0 && resistance > 0) {
+        results.calculatedVoltage = Math.sqrt(power * resistance / (n * pf)) * n / k;
+        methods.calculatedVoltage = SOLVER_METHODS.POWER_RESISTANCE;
+    } else if (voltage > 0) {
+        results.calculatedVoltage = voltage;
+        methods.calculatedVoltage = SOLVER_METHODS.ENTERED;
+    } else {
+        results.calculatedVoltage = null;
+        methods.calculatedVoltage = null;
+    }
+
+    // Resistance calculation (R = V_ph / I)
+    if (voltage > 0 && current > 0) {
+        results.calculatedResistance = phaseVoltage / current;
+        methods.calculatedResistance = SOLVER_METHODS.VOLTAGE_CURRENT;
+    } else if (power > 0 && current > 0) {
+        results.calculatedResistance = power / (n * current ** 2 * pf);
+        methods.calculatedResistance = SOLVER_METHODS.POWER_CURRENT;
+    } else if (power > 0 && voltage > 0) {
+        results.calculatedResistance = n * phaseVoltage ** 2 * pf / power;
+        methods.calculatedResistance = SOLVER_METHODS.POWER_VOLTAGE;
+    } else if (resistance > 0) {
+        results.calculatedResistance = resistance;
+        methods.calculatedResistance = SOLVER_METHODS.ENTERED;
+    } else {
+        results.calculatedResistance = null;
+        methods.calculatedResistance = null;
+    }
+
+    // Apparent and reactive power (S = P / PF, Q = √(S² − P²))
+    results.powerFactor = pf;
+    results.phaseAngle = Math.acos(pf) * 180 / Math.PI;
+    results.powerFactorSource = pfSource;
+    if (results.calculatedPower !== null) {
+        results.apparentPower = results.calculatedPower / pf;
+        results.reactivePower = Math.sqrt(Math.max(results.apparentPower ** 2 - results.calculatedPower ** 2, 0));
+    } else {
+        results.apparentPower = null;
+        results.reactivePower = null;
+    }
+
+    // Energy calculation (E = P × t)
+    const effectivePower = results.calculatedPower || power;
+    if (effectivePower > 0 && time > 0) {
+        results.energy = (effectivePower * time) / 1000; // Convert to kWh
+    } else {
+        results.energy = null;
+    }
+
+    // Cost calculation (Cost = Energy × Tariff, or the energy's share of a month's slab bill,
+    // so fixed and demand charges are spread over the month as in the projections)
+    results.bill = null;
+    if (results.energy && values.tariffProfile) {
+        const monthlyEnergy = getDailyEnergy(results.energy, time) * DAYS_PER_MONTH;
+        results.bill = computeBill(monthlyEnergy, values.tariffProfile, { demandKW: (results.calculatedPower || 0) / 1000 });
+        results.cost = (results.bill.total * results.energy) / monthlyEnergy;
+    } else if (results.energy && tariff > 0) {
+        results.cost = results.energy * tariff;
+    } else {
+        results.cost = null;
+    }
+
+    results.methods = methods;
+
+    // Entered values set aside as derived, against what they were solved as
+    const entered = { ...input, powerFactor: resolvePowerFactor(input).powerFactor };
+    const enteredPowerFactor = input.powerFactor > 0 || (input.phaseAngle > 0 && input.phaseAngle < 90);
+    results.consistency = {
+        ...checkConsistency(values),
+        derived: derived
+            .filter(field => (field === 'powerFactor' ? enteredPowerFactor : input[field] > 0))
+            .map(field => {
+                const value = results[DERIVED_RESULTS[field]];
+                const discrepancy = value ? (entered[field] - value) / value * 100 : null;
+                return { field, entered: entered[field], value, discrepancy };
+            })
+    };
+    return results;
+}
+
+// ===== FORMATTING =====
+/**
+ * Formats a result for display with a k/M suffix or exponent.
+ * The suffix and exponent go by magnitude, so negative values keep their sign.
+ * @param {?number} num
+ * @returns {string} Formatted value, or '--' when there is no value
+ */
+export function formatNumber(num) {
+    if (num === null || isNaN(num)) return '--';
+
+    const magnitude = Math.abs(num);
+    if (magnitude >= 1000000) {
+        return (num / 1000000).toFixed(2) + 'M';
+    } else if (magnitude >= 1000) {
+        return (num / 1000).toFixed(2) + 'k';
+    } else if (magnitude > 0 && magnitude < 0.01) {
+        return num.toExponential(2);
+    } else {
+        return (num || 0).toFixed(2);
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Chart Views
+ * Builds the series behind each view of the energy chart, keeping units
+ * apart so no chart mixes watts, volts and rupees on one scale
+ *
+ * - projection: energy per bucket and running cost over a day-by-day week,
+ *   a month-by-month year or a five-year horizon
+ * - history: energy and cost of recent calculations in time order
+ * - comparison: power, energy and cost of recent calculations side by side
+ *
+ * Projections treat the calculation's time as hours of use per day. With a
+ * slab tariff profile every month is billed separately, since slabs reset
+ * each billing cycle.
+ *
+ * Units:
+ * - power: kilowatts (kW)
+ * - energy: kilowatt-hours (kWh)
+ * - cost: currency (₹); saved calculations keep the currency they were
+ *   entered in, so their costs are grouped by currency code
+ */
+
+import { DAYS_PER_MONTH } from './calculator.js';
+import { computeBill } from './tariff.js';
+import { DEFAULT_CURRENCY } from './locale.js';
+
+// ===== VIEWS =====
+export const CHART_VIEWS = Object.freeze({
+    PROJECTION: 'projection',
+    HISTORY: 'history',
+    COMPARISON: 'comparison',
+    LOAD_SHARE: 'loadShare'
+});
+
+export const PROJECTION_PERIODS = Object.freeze({
+    DAILY: 'daily',
+    MONTHLY: 'monthly',
+    YEARLY: 'yearly'
+});
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// ===== PROJECTION =====
+/**
+ * Projects a calculation's energy and cost over a period.
+ *
+ * @param {Object} options
+ * @param {number} options.power - Load power in W
+ * @param {number} options.hoursPerDay - Hours of use per day, capped at 24
+ * @param {number} [options.tariff=0] - Flat tariff in ₹/kWh
+ * @param {Object} [options.tariffProfile] - Slab tariff profile (see tariff.js)
+ * @param {string} [period='monthly'] - One of PROJECTION_PERIODS: 7 days, 12 months or 5 years
+ * @returns {{labels: string[], energy: number[], cost: number[], cumulativeCost: number[],
+ *   totalEnergy: number, totalCost: number}}
+ *   Energy in kWh and cost in ₹ per bucket
+ */
+export function projectUsage({ power, hoursPerDay, tariff = 0, tariffProfile = null }, period = PROJECTION_PERIODS.MONTHLY) {
+    const dailyEnergy = (Math.max(power, 0) / 1000) * Math.min(Math.max(hoursPerDay, 0), 24);
+    const monthlyEnergy = dailyEnergy * DAYS_PER_MONTH;
+    const monthlyCost = tariffProfile
+        ? computeBill(monthlyEnergy, tariffProfile).total
+        : monthlyEnergy * tariff;
+
+    let buckets;
+    if (period === PROJECTION_PERIODS.DAILY) {
+        // A day's share of the monthly bill, so fixed charges are spread evenly
+        buckets = Array.from({ length: 7 }, (_, index) => ({
+            label: `Day ${index + 1}`,
+            energy: dailyEnergy,
+            cost: monthlyCost / DAYS_PER_MONTH
+        }));
+    } else if (period === PROJECTION_PERIODS.YEARLY) {
+        buckets = Array.from({ length: 5 }, (_, index) => ({
+            label: `Year ${index + 1}`,
+            energy: monthlyEnergy * 12,
+            cost: monthlyCost * 12
+        }));
+    } else {
+        buckets = MONTH_LABELS.map(label => ({ label, energy: monthlyEnergy, cost: monthlyCost }));
+    }
+
+    let runningCost = 0;
+    const cumulativeCost = buckets.map(bucket => (runningCost += bucket.cost));
+
+    return {
+        labels: buckets.map(bucket => bucket.label),
+        energy: buckets.map(bucket => bucket.energy),
+        cost: buckets.map(bucket => bucket.cost),
+        cumulativeCost,
+        totalEnergy: buckets.reduce((sum, bucket) => sum + bucket.energy, 0),
+        totalCost: runningCost
+    };
+}
+
+// ===== SAVED CALCULATIONS =====
+// One cost series per currency, in order of first use. Each series has a
+// value only where the calculation was saved in that currency, so amounts
+// in different currencies never share a line.
+function groupCostsByCurrency(calculations) {
+    const currencies = [...new Set(calculations.map(calc => calc.inputs?.currency || DEFAULT_CURRENCY))];
+
+    return currencies.map(currency => ({
+        currency,
+        data: calculations.map(calc => ((calc.inputs?.currency || DEFAULT_CURRENCY) === currency ? calc.results.cost ?? null : null))
+    }));
+}
+
+/**
+ * Orders saved calculations oldest first for a history line.
+ * @param {{timestamp: string, inputs: Object, results: Object}[]} calculations - Newest first, as stored
+ * @returns {{timestamps: string[], energy: ?number[], costs: {currency: string, data: ?number[]}[]}}
+ *   Energy in kWh and cost per currency code; null where a calculation had none
+ */
+export function buildHistorySeries(calculations) {
+    const ordered = [...calculations].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return {
+        timestamps: ordered.map(calc => calc.timestamp),
+        energy: ordered.map(calc => calc.results.energy ?? null),
+        costs: groupCostsByCurrency(ordered)
+    };
+}
+
+/**
+ * Lines up saved calculations for a grouped bar comparison.
+ * @param {{timestamp: string, inputs: Object, results: Object}[]} calculations - Newest first, as stored
+ * @param {number} [limit=5] - Most recent calculations to include
+ * @returns {{timestamps: string[], power: ?number[], energy: ?number[], costs: {currency: string, data: ?number[]}[]}}
+ *   Oldest shown first; power in kW, energy in kWh, cost per currency code
+ */
+export function buildComparison(calculations, limit = 5) {
+    const shown = calculations.slice(0, limit).reverse();
+
+    return {
+        timestamps: shown.map(calc => calc.timestamp),
+        power: shown.map(calc => (calc.results.calculatedPower ? calc.results.calculatedPower / 1000 : null)),
+        energy: shown.map(calc => calc.results.energy ?? null),
+        costs: groupCostsByCurrency(shown)
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * CSV
+ * Reading and writing comma-separated values as described in RFC 4180
+ *
+ * Fields may be quoted with double quotes; a quoted field can contain the
+ * delimiter, line breaks and doubled quotes (""). Written files quote only
+ * the fields that need it and end rows with CRLF, which Excel expects.
+ *
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @,
+ * tab or carriage return) is written with a leading apostrophe, so names and
+ * notes typed by users cannot inject formulas into an exported file.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ===== READING =====
+/**
+ * Picks the delimiter used by a file's first line: comma, semicolon
+ * (common in locales that write decimal commas) or tab.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const firstLine = String(text).split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    return DELIMITERS.reduce((best, delimiter) =>
+        firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+    );
+}
+
+/**
+ * Parses CSV text into rows of fields.
+ * A leading byte order mark and blank lines are skipped.
+ *
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line when omitted
+ * @returns {string[][]}
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+// ===== WRITING =====
+/**
+ * Formats one field, quoting it when it contains the delimiter, a quote,
+ * a line break or leading/trailing spaces.
+ * @param {*} value - null and undefined are written as empty fields; strings
+ *   that start like a formula get a leading apostrophe, numbers are written as is
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function formatCSVField(value, delimiter = ',') {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows of fields as CSV text.
+ * @param {Array<Array<*>>} rows
+ * @param {string} [delimiter=',']
+ * @returns {string} Rows joined with CRLF, ending with a line break
+ */
+export function formatCSV(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => formatCSVField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
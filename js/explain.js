@@ -0,0 +1,180 @@
+/**
+ * Explanations
+ * The step-by-step working behind a result card: the solver branch, the
+ * inputs used, any unit conversions and the formula with values substituted
+ *
+ * Builds on getWorkings() (see workings.js), adding what only the form
+ * knows: the units values were entered in and the unit the card shows.
+ *
+ * Units:
+ * - inputs are listed as entered, then converted to the engine's units
+ * - the working itself is in the engine's units; a last conversion gives
+ *   the value in the card's unit
+ */
+
+import { INPUT_UNITS, RESULT_UNITS, PF_SOURCES, SOLVER_METHODS } from './calculator.js';
+import { withCurrency } from './locale.js';
+import { convert, isUnitOf } from './units.js';
+import { getWorkings, formatWithUnit, formatWorkingNumber, METHOD_LABELS } from './workings.js';
+
+// ===== TERMS =====
+// Form inputs behind the terms of a working (see getWorkings)
+const INPUT_TERMS = {
+    V: { field: 'voltage', label: 'Voltage', quantity: 'voltage' },
+    I: { field: 'current', label: 'Current', quantity: 'current' },
+    P: { field: 'power', label: 'Power', quantity: 'power' },
+    R: { field: 'resistance', label: 'Resistance', quantity: 'resistance' },
+    t: { field: 'time', label: 'Time', quantity: 'time' },
+    T: { field: 'tariff', label: 'Tariff' },
+    φ: { field: 'phaseAngle', label: 'Phase angle' }
+};
+
+// Results that other results are derived from; P is the calculated power there
+const RESULT_TERMS = {
+    P: { key: 'calculatedPower', label: 'Real power' },
+    S: { key: 'apparentPower', label: 'Apparent power' },
+    E: { key: 'energy', label: 'Energy' }
+};
+
+const DERIVED_METHODS = {
+    apparentPower: 'Derived from the real power and power factor',
+    reactivePower: 'Derived from the apparent and real power',
+    energy: 'Derived from the real power and time',
+    cost: 'Derived from the energy and flat tariff'
+};
+
+const PF_METHODS = {
+    [PF_SOURCES.INPUT]: 'Entered value',
+    [PF_SOURCES.ANGLE]: 'Cosine of the entered phase angle',
+    [PF_SOURCES.SOLVED]: 'Solved from power, voltage and current',
+    [PF_SOURCES.UNITY]: 'Assumed unity because no power factor or phase angle was entered'
+};
+
+const PF_SOURCE_NOTES = {
+    [PF_SOURCES.INPUT]: 'entered',
+    [PF_SOURCES.ANGLE]: 'from the phase angle',
+    [PF_SOURCES.SOLVED]: 'solved',
+    [PF_SOURCES.UNITY]: 'assumed'
+};
+
+// Quantity of each result that can be shown in another unit
+const RESULT_QUANTITIES = {
+    calculatedPower: 'power',
+    apparentPower: 'apparentPower',
+    reactivePower: 'reactivePower',
+    calculatedCurrent: 'current',
+    calculatedVoltage: 'voltage',
+    calculatedResistance: 'resistance',
+    energy: 'energy'
+};
+
+const ELECTRICAL_TERMS = ['V', 'I', 'P', 'R'];
+
+// ===== EXPLANATIONS =====
+function describeInput(term, form, values) {
+    const { field, label, quantity } = INPUT_TERMS[term];
+    const engineUnit = withCurrency(INPUT_UNITS[field], values.currency);
+    const enteredUnit = form.units && form.units[field];
+    const unit = quantity && isUnitOf(quantity, enteredUnit) ? enteredUnit : engineUnit;
+    const engineValue = values[field] || 0;
+    const entered = parseFloat(form[field]);
+    const value = Number.isFinite(entered) ? entered : convert(engineValue, engineUnit, unit, quantity);
+
+    return {
+        label,
+        value: formatWithUnit(value, unit),
+        source: 'entered',
+        conversion: unit === engineUnit ? null : `${formatWithUnit(value, unit)} = ${formatWithUnit(engineValue, engineUnit)}`
+    };
+}
+
+/**
+ * Explains how one result was worked out.
+ *
+ * @param {string} key - A RESULT_UNITS key, e.g. 'calculatedPower'
+ * @param {Object} context
+ * @param {Object} context.values - The calculateAll() input, in the engine's units
+ * @param {Object} context.results - The calculateAll() output
+ * @param {Object} [context.form] - Form state with `units` (see captureFormState
+ *   in script.js); without it inputs are shown in the engine's units
+ * @param {string} [context.resultUnit] - Unit the card shows the result in
+ * @returns {?{method: string, inputs: Object[], conversions: string[], formula: string,
+ *   substitution: ?string, result: string, shown: string, unused: Object[]}}
+ *   `inputs` and `unused` are {label, value, source}; `unused` lists entered
+ *   voltage, current, power or resistance the solver did not use for this
+ *   result. Null when the result was not calculated.
+ */
+export function getExplanation(key, { values, results, form = {}, resultUnit = RESULT_UNITS[key] }) {
+    const working = getWorkings(values, results)[key];
+    if (!working) return null;
+
+    const derived = key in DERIVED_METHODS;
+    const inputs = [];
+    const conversions = [];
+
+    working.terms.forEach(term => {
+        if (term === 'PF') {
+            inputs.push({ label: 'Power factor', value: formatWorkingNumber(results.powerFactor), source: PF_SOURCE_NOTES[results.powerFactorSource] });
+        } else if (RESULT_TERMS[term] && (derived || !INPUT_TERMS[term])) {
+            const { key: resultKey, label } = RESULT_TERMS[term];
+            inputs.push({ label, value: formatWithUnit(results[resultKey] || 0, withCurrency(RESULT_UNITS[resultKey], values.currency)), source: 'calculated' });
+        } else {
+            const { conversion, ...input } = describeInput(term, form, values);
+            inputs.push(input);
+            if (conversion) conversions.push(conversion);
+        }
+    });
+
+    // Spell out what the card shows when it is in another unit
+    const quantity = RESULT_QUANTITIES[key];
+    let shown = working.result;
+    if (quantity && resultUnit !== RESULT_UNITS[key] && isUnitOf(quantity, resultUnit)) {
+        shown = formatWithUnit(convert(results[key], RESULT_UNITS[key], resultUnit, quantity), resultUnit);
+        conversions.push(`${working.result} = ${shown}`);
+    }
+
+    // Entered values the solver passed over, e.g. power when V × I was preferred
+    const unused = working.method && working.method !== SOLVER_METHODS.ENTERED
+        ? ELECTRICAL_TERMS
+            .filter(term => values[INPUT_TERMS[term].field] > 0 && !working.terms.includes(term))
+            .map(term => describeInput(term, form, values))
+            .map(({ label, value, source }) => ({ label, value, source }))
+        : [];
+
+    let method;
+    if (working.method) method = METHOD_LABELS[working.method];
+    else if (key === 'powerFactor') method = PF_METHODS[results.powerFactorSource];
+    else if (key === 'cost' && results.bill) method = 'Share of the monthly tariff profile bill at this usage';
+    else method = DERIVED_METHODS[key];
+
+    return {
+        method,
+        inputs,
+        conversions,
+        formula: working.formula,
+        substitution: working.substitution,
+        result: working.result,
+        shown,
+        unused
+    };
+}
+
+/**
+ * Writes an explanation as plain text for copying into a report.
+ * @param {string} title - The result's name, e.g. 'Power'
+ * @param {Object} explanation - From getExplanation
+ * @returns {string}
+ */
+export function formatExplanation(title, explanation) {
+    const { method, inputs, conversions, formula, substitution, result, shown, unused } = explanation;
+    const describe = ({ label, value, source }) => `- ${label}: ${value} (${source})`;
+    const lines = [title, `Method: ${method}`];
+
+    if (inputs.length) lines.push('Inputs used:', ...inputs.map(describe));
+    if (conversions.length) lines.push('Unit conversions:', ...conversions.map(conversion => `- ${conversion}`));
+    lines.push(`Working: ${[formula, substitution, result].filter(Boolean).join(' = ')}`);
+    if (shown !== result) lines.push(`Shown as: ${shown}`);
+    if (unused.length) lines.push('Entered but not used:', ...unused.map(describe));
+
+    return lines.join('\n');
+}
@@ -0,0 +1,206 @@
+/**
+ * Data Export
+ * Turns the current calculation or saved history entries into CSV, JSON
+ * and XLSX files that read back cleanly into spreadsheets and scripts
+ *
+ * Every value carries the unit it was shown in: inputs in the unit they
+ * were entered in and results in the unit chosen on their card. Results
+ * that were not calculated are left empty; zero is written as 0.
+ * Timestamps are ISO 8601.
+ *
+ * CSV and XLSX use one row per value (Timestamp, Calculation, Parameter,
+ * Value, Unit), so calculations with different units sit in one table.
+ */
+
+import { getPhaseModeLabel, INPUT_UNITS, RESULT_UNITS } from './calculator.js';
+import { formatCSV } from './csv.js';
+import { getCurrency, withCurrency } from './locale.js';
+import { isUnitOf, convert } from './units.js';
+import { createXlsx, XLSX_MIME_TYPE } from './xlsx.js';
+
+// ===== OPTIONS =====
+export const EXPORT_FORMATS = Object.freeze({
+    CSV: 'csv',
+    JSON: 'json',
+    XLSX: 'xlsx'
+});
+
+export const EXPORT_SCOPES = Object.freeze({
+    CURRENT: 'current',
+    HISTORY: 'history'
+});
+
+export const EXPORT_MIME_TYPES = Object.freeze({
+    [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+    [EXPORT_FORMATS.JSON]: 'application/json',
+    [EXPORT_FORMATS.XLSX]: XLSX_MIME_TYPE
+});
+
+const INPUT_PARAMETERS = [
+    { field: 'voltage', label: 'Voltage', quantity: 'voltage' },
+    { field: 'current', label: 'Current', quantity: 'current' },
+    { field: 'power', label: 'Power', quantity: 'power' },
+    { field: 'resistance', label: 'Resistance', quantity: 'resistance' },
+    { field: 'powerFactor', label: 'Power factor' },
+    { field: 'phaseAngle', label: 'Phase angle' },
+    { field: 'time', label: 'Time', quantity: 'time' },
+    { field: 'tariff', label: 'Tariff' }
+];
+
+const RESULT_PARAMETERS = [
+    { key: 'calculatedPower', label: 'Calculated power', quantity: 'power' },
+    { key: 'apparentPower', label: 'Apparent power', quantity: 'apparentPower' },
+    { key: 'reactivePower', label: 'Reactive power', quantity: 'reactivePower' },
+    { key: 'powerFactor', label: 'Calculated power factor' },
+    { key: 'phaseAngle', label: 'Calculated phase angle' },
+    { key: 'calculatedCurrent', label: 'Calculated current', quantity: 'current' },
+    { key: 'calculatedVoltage', label: 'Calculated voltage', quantity: 'voltage' },
+    { key: 'calculatedResistance', label: 'Calculated resistance', quantity: 'resistance' },
+    { key: 'energy', label: 'Energy', quantity: 'energy' },
+    { key: 'cost', label: 'Cost' }
+];
+
+// ===== RECORDS =====
+// Twelve significant figures drop floating-point noise such as 0.30000000000000004
+function roundValue(value) {
+    return Number(value.toPrecision(12));
+}
+
+function toISOTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? String(timestamp || '') : date.toISOString();
+}
+
+/**
+ * Flattens a calculation into labelled values with their units.
+ *
+ * @param {Object} entry - A history entry (see history.js), or the current
+ *   calculation in the same shape
+ * @returns {{name: string, timestamp: string, tags: string[], notes: string, supply: string,
+ *   currency: string, tariffProfile: ?string, inputs: Object[], results: Object[], bill: Object[]}}
+ *   inputs and results are {key, parameter, value, unit}; inputs only include
+ *   entered values, and a result's value is null when it was not calculated.
+ *   Money is in the calculation's currency, named by its code in `currency`.
+ */
+export function toExportRecord(entry) {
+    const form = entry.form || {};
+    const values = entry.inputs || {};
+    const results = entry.results || {};
+    const inputUnits = form.units || {};
+    const resultUnits = form.resultUnits || {};
+    const currency = getCurrency(values.currency);
+    const tariffProfile = values.tariffProfile ? values.tariffProfile.name : null;
+
+    const inputs = [];
+    INPUT_PARAMETERS.forEach(({ field, label, quantity }) => {
+        if (field === 'tariff' && tariffProfile) return;
+
+        // Entries always have the form; the engine value is only a fallback
+        const entered = form[field] !== undefined ? parseFloat(form[field]) : values[field];
+        if (!Number.isFinite(entered) || (form[field] === undefined && !entered)) return;
+
+        const unit = quantity && isUnitOf(quantity, inputUnits[field]) ? inputUnits[field] : withCurrency(INPUT_UNITS[field], currency.code);
+        inputs.push({ key: field, parameter: label, value: roundValue(entered), unit });
+    });
+
+    const resultValues = RESULT_PARAMETERS.map(({ key, label, quantity }) => {
+        const unit = quantity && isUnitOf(quantity, resultUnits[key]) ? resultUnits[key] : withCurrency(RESULT_UNITS[key], currency.code);
+        const value = results[key];
+        if (value === null || value === undefined || Number.isNaN(value)) {
+            return { key, parameter: label, value: null, unit };
+        }
+        return { key, parameter: label, value: roundValue(quantity ? convert(value, RESULT_UNITS[key], unit, quantity) : value), unit };
+    });
+
+    const bill = results.bill
+        ? results.bill.lines.map(line => ({ parameter: `Monthly bill: ${line.label}`, value: roundValue(line.amount), unit: withCurrency(RESULT_UNITS.cost, currency.code) }))
+        : [];
+
+    return {
+        name: entry.name || 'Current calculation',
+        timestamp: toISOTimestamp(entry.timestamp),
+        tags: entry.tags || [],
+        notes: entry.notes || '',
+        supply: getPhaseModeLabel(values.phase, values.voltageReference),
+        currency: currency.code,
+        tariffProfile,
+        inputs,
+        results: resultValues,
+        bill
+    };
+}
+
+// ===== FORMATS =====
+/**
+ * Lays records out as one row per value, with a header row.
+ * @param {Object[]} records - From toExportRecord
+ * @returns {Array<Array<*>>} Numbers stay numbers; missing values are null
+ */
+export function buildExportTable(records) {
+    const rows = [['Timestamp', 'Calculation', 'Parameter', 'Value', 'Unit']];
+
+    records.forEach(record => {
+        const row = (parameter, value, unit = '') => rows.push([record.timestamp, record.name, parameter, value, unit]);
+
+        row('Supply', record.supply);
+        if (record.tariffProfile) row('Tariff profile', record.tariffProfile);
+        if (record.tags.length) row('Tags', record.tags.join(', '));
+        if (record.notes) row('Notes', record.notes);
+        [...record.inputs, ...record.results, ...record.bill].forEach(item => row(item.parameter, item.value, item.unit));
+    });
+
+    return rows;
+}
+
+/**
+ * Shapes records for JSON, keying inputs and results by field name.
+ * @param {Object[]} records - From toExportRecord
+ * @returns {Object[]}
+ */
+export function buildExportJSON(records) {
+    const byKey = items => Object.fromEntries(items.map(({ key, value, unit }) => [key, { value, unit }]));
+
+    return records.map(record => ({
+        name: record.name,
+        timestamp: record.timestamp,
+        tags: record.tags,
+        notes: record.notes,
+        supply: record.supply,
+        currency: record.currency,
+        tariffProfile: record.tariffProfile,
+        inputs: byKey(record.inputs),
+        results: byKey(record.results),
+        bill: record.bill.map(({ parameter, value }) => ({ label: parameter.replace(/^Monthly bill: /, ''), amount: value }))
+    }));
+}
+
+/**
+ * Produces the file contents for an export.
+ *
+ * @param {Object[]} entries - Calculations to export (history entries or the current one)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string|Uint8Array} Text for CSV (with a byte order mark so Excel
+ *   reads it as UTF-8) and JSON; bytes for XLSX
+ */
+export function createExport(entries, format) {
+    const records = entries.map(toExportRecord);
+
+    if (format === EXPORT_FORMATS.JSON) {
+        return JSON.stringify(buildExportJSON(records), null, 2);
+    }
+    if (format === EXPORT_FORMATS.XLSX) {
+        return createXlsx([{ name: 'Calculations', rows: buildExportTable(records) }]);
+    }
+    return `\uFEFF${formatCSV(buildExportTable(records))}`;
+}
+
+/**
+ * Names an export file, e.g. electrical-calculations-history-2024-03-10.xlsx.
+ * @param {string} scope - One of EXPORT_SCOPES
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function getExportFileName(scope, format, date = new Date()) {
+    return `electrical-calculations-${scope}-${date.toISOString().slice(0, 10)}.${format}`;
+}
@@ -0,0 +1,159 @@
+/**
+ * Calculation History
+ * Named, tagged calculations kept in IndexedDB, with the search and filter
+ * used by the history list
+ *
+ * Each entry stores the form exactly as entered (values with their units)
+ * so it can be restored, plus the engine inputs and results in the
+ * engine's units for charts and exports.
+ *
+ * Entry shape:
+ * - id: number, assigned by IndexedDB
+ * - name, notes: strings; tags: lowercase strings
+ * - timestamp: ISO 8601 string
+ * - form: raw form state from the page
+ * - inputs, results: calculateAll() values and results
+ */
+
+// ===== ENTRIES =====
+/**
+ * Splits a comma-separated tag list into unique lowercase tags.
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+export function parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Creates a history entry with defaults for any missing field.
+ * @param {Object} [fields]
+ * @returns {{name: string, tags: string[], notes: string, timestamp: string,
+ *   form: Object, inputs: Object, results: Object}}
+ *   `id` is only present when given, so IndexedDB can assign one
+ */
+export function createHistoryEntry(fields = {}) {
+    const entry = {
+        name: String(fields.name || '').trim() || 'Untitled calculation',
+        tags: parseTags(fields.tags),
+        notes: String(fields.notes || '').trim(),
+        timestamp: fields.timestamp || new Date().toISOString(),
+        form: fields.form || {},
+        inputs: fields.inputs || {},
+        results: fields.results || {}
+    };
+    if (fields.id !== undefined) entry.id = fields.id;
+    return entry;
+}
+
+// ===== SEARCH =====
+/**
+ * Filters entries by text, tag and date, keeping their order.
+ *
+ * @param {Object[]} entries - Entries from createHistoryEntry
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Matched case-insensitively against name, notes and tags
+ * @param {string} [filters.tag] - Exact tag
+ * @param {?Date} [filters.from] - Earliest timestamp, inclusive
+ * @param {?Date} [filters.to] - Latest timestamp, inclusive
+ * @returns {Object[]}
+ */
+export function filterHistory(entries, { query = '', tag = '', from = null, to = null } = {}) {
+    const needle = query.trim().toLowerCase();
+
+    return entries.filter(entry => {
+        const time = new Date(entry.timestamp);
+        if (from && time < from) return false;
+        if (to && time > to) return false;
+        if (tag && !entry.tags.includes(tag)) return false;
+        if (!needle) return true;
+        return [entry.name, entry.notes, ...entry.tags].some(text => text.toLowerCase().includes(needle));
+    });
+}
+
+/**
+ * Lists every tag used across entries.
+ * @param {Object[]} entries
+ * @returns {string[]} Sorted alphabetically
+ */
+export function collectTags(entries) {
+    return [...new Set(entries.flatMap(entry => entry.tags))].sort();
+}
+
+// ===== STORAGE =====
+const DB_NAME = 'electrical-calculator';
+const DB_VERSION = 1;
+const STORE_NAME = 'calculations';
+
+/**
+ * Opens (and on first use creates) the history database.
+ * @param {IDBFactory} [factory=indexedDB]
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openHistoryDB(factory = globalThis.indexedDB) {
+    return new Promise((resolve, reject) => {
+        if (!factory) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = factory.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Saves an entry, adding it or replacing the one with the same id.
+ * @param {IDBDatabase} db
+ * @param {Object} entry - Entry from createHistoryEntry
+ * @returns {Promise<number>} The entry's id
+ */
+export function saveHistoryEntry(db, entry) {
+    return runRequest(db, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Reads every entry, newest first.
+ * @param {IDBDatabase} db
+ * @returns {Promise<Object[]>}
+ */
+export async function getHistoryEntries(db) {
+    const entries = await runRequest(db, 'readonly', store => store.index('timestamp').getAll());
+    return entries.reverse();
+}
+
+/**
+ * Deletes one entry.
+ * @param {IDBDatabase} db
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteHistoryEntry(db, id) {
+    return runRequest(db, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Deletes every entry.
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+export function clearHistoryEntries(db) {
+    return runRequest(db, 'readwrite', store => store.clear());
+}
+
+function runRequest(db, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        // Quota errors and closed connections abort without a request error
+        transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * Load Schedule
+ * Rolls up a list of appliances into connected load, monthly energy and cost
+ *
+ * Each row is run through calculateAll, so a load can be given either as a
+ * power rating or as voltage × current, exactly like the main calculator.
+ *
+ * Units:
+ * - power: watts (W) per unit
+ * - voltage: volts (V), current: amperes (A)
+ * - hoursPerDay: hours (h), daysPerMonth: days
+ * - tariff: currency per kilowatt-hour (₹/kWh)
+ * - energy: kilowatt-hours per month (kWh)
+ * - cost: currency per month (₹)
+ */
+
+import { calculateAll } from './calculator.js';
+import { computeBill } from './tariff.js';
+
+// ===== ROWS =====
+let nextRowId = 1;
+
+/**
+ * Creates a load schedule row with defaults for any missing field.
+ * @param {Object} [fields]
+ * @returns {{id: string, name: string, power: number, voltage: number, current: number,
+ *   quantity: number, hoursPerDay: number, daysPerMonth: number}}
+ */
+export function createLoadRow(fields = {}) {
+    return {
+        id: fields.id || `load-${Date.now().toString(36)}-${nextRowId++}`,
+        name: fields.name || '',
+        power: Number(fields.power) || 0,
+        voltage: Number(fields.voltage) || 0,
+        current: Number(fields.current) || 0,
+        quantity: fields.quantity === undefined ? 1 : Number(fields.quantity) || 0,
+        hoursPerDay: Number(fields.hoursPerDay) || 0,
+        daysPerMonth: fields.daysPerMonth === undefined ? 30 : Number(fields.daysPerMonth) || 0
+    };
+}
+
+// ===== CALCULATION =====
+/**
+ * Calculates one row of the schedule.
+ * @param {Object} row - A row from createLoadRow
+ * @param {number} [tariff=0] - Tariff in ₹/kWh
+ * @returns {{unitPower: ?number, connectedLoad: number, monthlyEnergy: number, monthlyCost: number}}
+ *   Unit power and connected load in W, energy in kWh/month, cost in ₹/month
+ */
+export function calculateLoad(row, tariff = 0) {
+    const results = calculateAll({
+        voltage: row.voltage,
+        current: row.current,
+        power: row.power,
+        time: row.hoursPerDay * row.daysPerMonth,
+        tariff
+    });
+    const quantity = Math.max(row.quantity, 0);
+
+    return {
+        unitPower: results.calculatedPower,
+        connectedLoad: (results.calculatedPower || 0) * quantity,
+        monthlyEnergy: (results.energy || 0) * quantity,
+        monthlyCost: (results.cost || 0) * quantity
+    };
+}
+
+/**
+ * Calculates every row and the schedule totals.
+ * With a tariff profile the month's total energy is billed once against
+ * the slabs, and each row's cost is its share of that bill by energy.
+ *
+ * @param {Object[]} rows - Rows from createLoadRow
+ * @param {number} [tariff=0] - Flat tariff in ₹/kWh
+ * @param {Object} [tariffProfile] - Slab tariff profile (see tariff.js)
+ * @returns {{loads: Object[], connectedLoad: number, monthlyEnergy: number, monthlyCost: number, bill: ?Object}}
+ *   `loads` pairs each row with its calculateLoad result; totals in W, kWh/month and ₹/month
+ */
+export function summarizeSchedule(rows, tariff = 0, tariffProfile = null) {
+    const loads = rows.map(row => ({ row, ...calculateLoad(row, tariff) }));
+    const connectedLoad = loads.reduce((sum, load) => sum + load.connectedLoad, 0);
+    const monthlyEnergy = loads.reduce((sum, load) => sum + load.monthlyEnergy, 0);
+
+    if (!tariffProfile) {
+        return {
+            loads,
+            connectedLoad,
+            monthlyEnergy,
+            monthlyCost: loads.reduce((sum, load) => sum + load.monthlyCost, 0),
+            bill: null
+        };
+    }
+
+    const bill = computeBill(monthlyEnergy, tariffProfile, { demandKW: connectedLoad / 1000 });
+    loads.forEach(load => {
+        load.monthlyCost = monthlyEnergy > 0 ? (bill.total * load.monthlyEnergy) / monthlyEnergy : 0;
+    });
+
+    return { loads, connectedLoad, monthlyEnergy, monthlyCost: bill.total, bill };
+}
@@ -0,0 +1,175 @@
+/**
+ * Currency and Number Formatting
+ * The currency costs are shown in and how numbers are written: the locale's
+ * digit grouping and decimal mark, in engineering (1.23k) or plain
+ * (1,23,456.78) style
+ *
+ * The engine is currency-agnostic: tariffs and costs are plain numbers in
+ * whatever currency the tariff was entered in. Calculations carry that
+ * currency's code as `values.currency` so saved results keep their symbol.
+ *
+ * Units:
+ * - money units are written with '₹' in the engine (see calculator.js);
+ *   withCurrency() swaps in the chosen currency's symbol
+ * - default tariffs: the currency per kilowatt-hour (per kWh)
+ */
+
+// ===== CURRENCIES =====
+export const DEFAULT_CURRENCY = 'INR';
+
+// Symbols are written before the amount; letter codes take a space
+export const CURRENCIES = Object.freeze({
+    INR: { code: 'INR', name: 'Indian rupee', symbol: '₹', defaultTariff: 8.5 },
+    AED: { code: 'AED', name: 'UAE dirham', symbol: 'AED', defaultTariff: 0.38 },
+    SAR: { code: 'SAR', name: 'Saudi riyal', symbol: 'SAR', defaultTariff: 0.18 },
+    QAR: { code: 'QAR', name: 'Qatari riyal', symbol: 'QAR', defaultTariff: 0.15 },
+    EUR: { code: 'EUR', name: 'Euro', symbol: '€', defaultTariff: 0.3 },
+    GBP: { code: 'GBP', name: 'Pound sterling', symbol: '£', defaultTariff: 0.25 },
+    USD: { code: 'USD', name: 'US dollar', symbol: '$', defaultTariff: 0.17 }
+});
+
+const ENGINE_CURRENCY_SYMBOL = '₹';
+
+/**
+ * @param {string} [code] - A CURRENCIES key; unknown codes fall back to the default
+ * @returns {{code: string, name: string, symbol: string, defaultTariff: number}}
+ */
+export function getCurrency(code) {
+    return CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+}
+
+/**
+ * Writes an engine money unit in a currency, e.g. '₹/kWh' → '€/kWh'.
+ * Other units are returned unchanged.
+ * @param {string} unit
+ * @param {string} [code=DEFAULT_CURRENCY]
+ * @returns {string}
+ */
+export function withCurrency(unit, code = DEFAULT_CURRENCY) {
+    return unit.startsWith(ENGINE_CURRENCY_SYMBOL) ? `${getCurrency(code).symbol}${unit.slice(1)}` : unit;
+}
+
+/**
+ * Splits a money unit into its currency symbol and the rest.
+ * @param {string} unit - e.g. '€/kWh' or 'AED'
+ * @returns {?{symbol: string, rest: string}} Null when the unit is not money
+ */
+export function splitCurrencyUnit(unit) {
+    const currency = Object.values(CURRENCIES).find(({ symbol }) => unit.startsWith(symbol));
+    return currency ? { symbol: currency.symbol, rest: unit.slice(currency.symbol.length) } : null;
+}
+
+/**
+ * Places a currency symbol before an amount already formatted as text.
+ * @param {string} symbol
+ * @param {string} amount
+ * @returns {string} e.g. '₹1.23k' or 'AED 1.23k'
+ */
+export function joinCurrency(symbol, amount) {
+    return /^[A-Z]/.test(symbol) ? `${symbol} ${amount}` : `${symbol}${amount}`;
+}
+
+// ===== NUMBER FORMATS =====
+export const NUMBER_STYLES = Object.freeze({
+    ENGINEERING: 'engineering',
+    PLAIN: 'plain'
+});
+
+// Locales offered for digit grouping and the decimal mark
+export const NUMBER_LOCALES = Object.freeze([
+    { id: 'en-IN', label: 'Indian (12,34,567.89)' },
+    { id: 'en-US', label: 'International (1,234,567.89)' },
+    { id: 'de-DE', label: 'European (1.234.567,89)' },
+    { id: 'fr-FR', label: 'European, spaced (1 234 567,89)' },
+    { id: 'de-CH', label: 'Swiss (1’234’567.89)' }
+]);
+
+export const DEFAULT_DISPLAY_SETTINGS = Object.freeze({
+    currency: DEFAULT_CURRENCY,
+    locale: 'en-IN',
+    style: NUMBER_STYLES.ENGINEERING,
+    tariffs: {}
+});
+
+/**
+ * Normalises display settings; unknown values fall back to the defaults.
+ * @param {Object} [fields]
+ * @returns {{currency: string, locale: string, style: string, tariffs: Object<string, number>}}
+ *   `tariffs` holds user default tariffs by currency code
+ */
+export function createDisplaySettings(fields = {}) {
+    const tariffs = {};
+    Object.entries(fields.tariffs || {}).forEach(([code, tariff]) => {
+        if (CURRENCIES[code] && Number(tariff) > 0) tariffs[code] = Number(tariff);
+    });
+
+    return {
+        currency: CURRENCIES[fields.currency] ? fields.currency : DEFAULT_DISPLAY_SETTINGS.currency,
+        locale: NUMBER_LOCALES.some(({ id }) => id === fields.locale) ? fields.locale : DEFAULT_DISPLAY_SETTINGS.locale,
+        style: Object.values(NUMBER_STYLES).includes(fields.style) ? fields.style : DEFAULT_DISPLAY_SETTINGS.style,
+        tariffs
+    };
+}
+
+/**
+ * The tariff to start from in a currency: the user's, else the built-in one.
+ * @param {Object} settings - From createDisplaySettings
+ * @param {string} [code=settings.currency]
+ * @returns {number} Per kWh
+ */
+export function getDefaultTariff(settings, code = settings.currency) {
+    return settings.tariffs[code] || getCurrency(code).defaultTariff;
+}
+
+const formatters = new Map();
+
+function getFormatter(locale, options) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(locale, options));
+    return formatters.get(key);
+}
+
+/**
+ * Formats a number for display.
+ *
+ * Engineering style keeps the calculator's compact form (k above a
+ * thousand, M above a million, exponent below 0.01, by magnitude so negative
+ * values keep their sign) with the locale's decimal mark; plain style writes the whole number with the locale's
+ * digit grouping, e.g. 12,34,567.89 in en-IN.
+ *
+ * @param {?number} num
+ * @param {Object} [settings=DEFAULT_DISPLAY_SETTINGS] - `locale` and `style`
+ * @returns {string} '--' for null or NaN
+ */
+export function formatLocaleNumber(num, { locale, style } = DEFAULT_DISPLAY_SETTINGS) {
+    if (num === null || num === undefined || isNaN(num)) return '--';
+
+    const fixed = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+    if (style === NUMBER_STYLES.PLAIN) {
+        const small = num !== 0 && Math.abs(num) < 0.01;
+        return getFormatter(locale, small ? { maximumSignificantDigits: 3 } : fixed).format(num);
+    }
+
+    const compact = getFormatter(locale, { ...fixed, useGrouping: false });
+    const magnitude = Math.abs(num);
+    if (magnitude >= 1000000) return `${compact.format(num / 1000000)}M`;
+    if (magnitude >= 1000) return `${compact.format(num / 1000)}k`;
+    if (magnitude > 0 && magnitude < 0.01) {
+        const [mantissa, exponent] = num.toExponential(2).split('e');
+        return `${compact.format(Number(mantissa))}e${exponent}`;
+    }
+    // `|| 0` drops the sign of negative zero
+    return compact.format(num || 0);
+}
+
+/**
+ * Formats an amount of money in a currency.
+ * @param {?number} amount
+ * @param {string} [code=DEFAULT_CURRENCY]
+ * @param {Object} [settings=DEFAULT_DISPLAY_SETTINGS] - `locale` and `style`
+ * @returns {string} e.g. '₹1.23k', 'AED 1,234.50' or '€1.234,50'
+ */
+export function formatMoney(amount, code = DEFAULT_CURRENCY, settings = DEFAULT_DISPLAY_SETTINGS) {
+    const number = formatLocaleNumber(amount, settings);
+    return number === '--' ? number : joinCurrency(getCurrency(code).symbol, number);
+}
@@ -0,0 +1,122 @@
+/**
+ * Motor Calculations
+ * Full-load current, input power, starting current and running cost of an
+ * induction motor from its nameplate rating
+ *
+ * A motor is rated by its shaft output, so the electrical input is the
+ * rating divided by the efficiency. The input power then goes through
+ * calculateAll like any other load, which gives the full-load current for
+ * the supply arrangement and power factor, and its cost for a day's running
+ * (a share of the monthly bill with a slab tariff) over DAYS_PER_YEAR days
+ * gives the yearly running cost.
+ *
+ * Starting currents are typical multiples of the full-load current; the
+ * motor's locked-rotor code or the starter's current limit should be used
+ * where known.
+ *
+ * Units:
+ * - ratedPower / inputPower / losses: watts (W); use units.js for HP
+ * - voltage: volts (V), in the supply's voltage reference
+ * - currents: amperes (A), apparent power: volt-amperes (VA)
+ * - efficiency: percent (%)
+ * - hoursPerDay: hours (h)
+ * - annual energy: kilowatt-hours (kWh), annual cost: currency (₹)
+ */
+
+import { calculateAll, PHASES, VOLTAGE_REFERENCES, DAYS_PER_YEAR } from './calculator.js';
+
+// ===== STARTING METHODS =====
+export const STARTING_METHODS = Object.freeze({
+    DOL: 'dol',
+    STAR_DELTA: 'starDelta',
+    SOFT_STARTER: 'softStarter'
+});
+
+// Typical starting current as a multiple of full-load current
+export const STARTING_PROFILES = Object.freeze({
+    dol: { label: 'Direct-on-line (DOL)', multiple: 6, range: '6–8 × FLC', threePhaseOnly: false },
+    starDelta: { label: 'Star-delta', multiple: 2, range: '⅓ of DOL', threePhaseOnly: true },
+    softStarter: { label: 'Soft starter', multiple: 3, range: '2–4 × FLC (current limit)', threePhaseOnly: false }
+});
+
+export const DEFAULT_MOTOR_INPUTS = Object.freeze({
+    efficiency: 90,
+    powerFactor: 0.85,
+    hoursPerDay: 8
+});
+
+// ===== CALCULATION =====
+/**
+ * Returns the starting current of each starting method.
+ * @param {number} fullLoadCurrent - In A
+ * @param {string} [phase='single'] - One of PHASES; star-delta needs three phases
+ * @returns {{method: string, label: string, range: string, multiple: number, current: ?number}[]}
+ *   `current` is null for methods the supply cannot use
+ */
+export function getStartingCurrents(fullLoadCurrent, phase = PHASES.SINGLE) {
+    return Object.entries(STARTING_PROFILES).map(([method, profile]) => ({
+        method,
+        label: profile.label,
+        range: profile.range,
+        multiple: profile.multiple,
+        current: profile.threePhaseOnly && phase !== PHASES.THREE ? null : fullLoadCurrent * profile.multiple
+    }));
+}
+
+/**
+ * Works out a motor's electrical load from its rating.
+ *
+ * @param {Object} options
+ * @param {number} options.ratedPower - Rated shaft output in W
+ * @param {number} options.voltage - Supply voltage in V
+ * @param {string} [options.phase='single'] - One of PHASES
+ * @param {string} [options.voltageReference='line'] - One of VOLTAGE_REFERENCES
+ * @param {number} [options.efficiency=90] - Full-load efficiency in %
+ * @param {number} [options.powerFactor=0.85] - Full-load power factor; a missing or
+ *   out-of-range value takes the typical 0.85 rather than unity, which would
+ *   understate the currents
+ * @param {string} [options.startingMethod='dol'] - One of STARTING_METHODS
+ * @param {number} [options.hoursPerDay=8] - Running hours per day, capped at 24
+ * @param {number} [options.tariff=0] - Flat tariff in ₹/kWh
+ * @param {Object} [options.tariffProfile] - Slab tariff profile (see tariff.js)
+ * @returns {?{inputPower: number, losses: number, powerFactor: number, fullLoadCurrent: number, apparentPower: number,
+ *   startingCurrent: ?number, starting: Object[], dailyEnergy: number, annualEnergy: number, annualCost: number}}
+ *   null without a rating, a voltage or an efficiency. `startingCurrent` is for the
+ *   chosen method (null when the supply cannot use it) and `starting` lists every
+ *   method (see getStartingCurrents). A year is DAYS_PER_YEAR days.
+ */
+export function calculateMotor({
+    ratedPower,
+    voltage,
+    phase = PHASES.SINGLE,
+    voltageReference = VOLTAGE_REFERENCES.LINE_TO_LINE,
+    efficiency = DEFAULT_MOTOR_INPUTS.efficiency,
+    powerFactor = DEFAULT_MOTOR_INPUTS.powerFactor,
+    startingMethod = STARTING_METHODS.DOL,
+    hoursPerDay = DEFAULT_MOTOR_INPUTS.hoursPerDay,
+    tariff = 0,
+    tariffProfile = null
+}) {
+    const eta = Math.min(efficiency, 100) / 100;
+    if (!(ratedPower > 0) || !(voltage > 0) || !(eta > 0)) return null;
+
+    const inputPower = ratedPower / eta;
+    const pf = powerFactor > 0 && powerFactor <= 1 ? powerFactor : DEFAULT_MOTOR_INPUTS.powerFactor;
+    const time = Math.min(Math.max(hoursPerDay, 0), 24);
+    const results = calculateAll({ power: inputPower, voltage, powerFactor: pf, time, tariff, tariffProfile, phase, voltageReference });
+    const starting = getStartingCurrents(results.calculatedCurrent, phase);
+    const chosen = starting.find(entry => entry.method === startingMethod) || starting[0];
+
+    return {
+        inputPower,
+        losses: inputPower - ratedPower,
+        powerFactor: pf,
+        fullLoadCurrent: results.calculatedCurrent,
+        apparentPower: results.apparentPower,
+        startingCurrent: chosen.current,
+        starting,
+        dailyEnergy: results.energy ?? 0,
+        annualEnergy: (results.energy ?? 0) * DAYS_PER_YEAR,
+        annualCost: (results.cost ?? 0) * DAYS_PER_YEAR
+    };
+}
@@ -0,0 +1,169 @@
+/**
+ * Plausibility Rules
+ * Warns about inputs and results outside the typical range for an
+ * installation (domestic, commercial or industrial), such as 50 MV on a
+ * house or 10,000 h of use in a day. Warnings never block a calculation.
+ *
+ * Limits are {min, max} per field, either of which may be null for no
+ * limit; user overrides are merged over the defaults per context.
+ *
+ * Units:
+ * - limits are in the engine's units (see calculator.js)
+ * - voltage limits are per phase (line-to-neutral), so one figure covers
+ *   single-phase and three-phase supplies
+ * - time limits are per day, so they only apply to a time entered in h, min
+ *   or s; a time entered in days, months or years is a period of continuous
+ *   use (see getDailyEnergy in calculator.js) and is not checked
+ * - default tariff limits are in ₹/kWh, scaled to other currencies by their
+ *   typical tariff (see locale.js)
+ */
+
+import { getPhaseFactor, getPhaseCount, INPUT_UNITS } from './calculator.js';
+import { getCurrency, withCurrency, DEFAULT_CURRENCY } from './locale.js';
+import { convert } from './units.js';
+import { formatWithUnit } from './workings.js';
+
+// ===== CONTEXTS =====
+export const CONTEXTS = Object.freeze({
+    DOMESTIC: 'domestic',
+    COMMERCIAL: 'commercial',
+    INDUSTRIAL: 'industrial'
+});
+
+export const CONTEXT_LABELS = Object.freeze({
+    [CONTEXTS.DOMESTIC]: 'Domestic',
+    [CONTEXTS.COMMERCIAL]: 'Commercial',
+    [CONTEXTS.INDUSTRIAL]: 'Industrial'
+});
+
+// Fields with limits, the thing a limit is typical of and the result checked
+// when the field was not entered
+export const PLAUSIBILITY_FIELDS = Object.freeze([
+    { field: 'voltage', label: 'Voltage', subject: 'supply', result: 'calculatedVoltage' },
+    { field: 'current', label: 'Current', subject: 'circuit', result: 'calculatedCurrent' },
+    { field: 'power', label: 'Power', subject: 'load', result: 'calculatedPower' },
+    { field: 'resistance', label: 'Resistance', subject: 'load', result: 'calculatedResistance' },
+    { field: 'powerFactor', label: 'Power factor', subject: 'load' },
+    { field: 'time', label: 'Time', subject: 'day' },
+    { field: 'tariff', label: 'Tariff', subject: 'tariff' }
+]);
+
+const limit = (min, max) => ({ min, max });
+
+export const DEFAULT_LIMITS = Object.freeze({
+    [CONTEXTS.DOMESTIC]: {
+        voltage: limit(null, 250),
+        current: limit(null, 32),
+        power: limit(null, 10000),
+        resistance: limit(1, null),
+        powerFactor: limit(0.5, null),
+        time: limit(null, 24),
+        tariff: limit(null, 20)
+    },
+    [CONTEXTS.COMMERCIAL]: {
+        voltage: limit(null, 250),
+        current: limit(null, 125),
+        power: limit(null, 100000),
+        resistance: limit(0.1, null),
+        powerFactor: limit(0.7, null),
+        time: limit(null, 24),
+        tariff: limit(null, 25)
+    },
+    [CONTEXTS.INDUSTRIAL]: {
+        voltage: limit(null, 20000),
+        current: limit(null, 2000),
+        power: limit(null, 10000000),
+        resistance: limit(0.01, null),
+        powerFactor: limit(0.7, null),
+        time: limit(null, 24),
+        tariff: limit(null, 25)
+    }
+});
+
+// ===== LIMITS =====
+// Two significant figures, e.g. 20 ₹/kWh becomes 0.71 €/kWh
+function scaleTariffLimit(value, currency) {
+    if (value === null) return null;
+    const scaled = value * getCurrency(currency).defaultTariff / getCurrency(DEFAULT_CURRENCY).defaultTariff;
+    return Number(scaled.toPrecision(2));
+}
+
+/**
+ * Returns the limits for a context with any user overrides applied.
+ * @param {string} [context='domestic'] - One of CONTEXTS
+ * @param {Object} [overrides] - {context: {field: {min, max}}}, as saved by the user
+ * @param {string} [currency='INR'] - Currency code the default tariff limits are given in
+ * @returns {Object<string, {min: ?number, max: ?number}>}
+ */
+export function getLimits(context = CONTEXTS.DOMESTIC, overrides = {}, currency = DEFAULT_CURRENCY) {
+    const defaults = DEFAULT_LIMITS[context] || DEFAULT_LIMITS[CONTEXTS.DOMESTIC];
+    const custom = overrides[context] || {};
+    const tariff = { min: scaleTariffLimit(defaults.tariff.min, currency), max: scaleTariffLimit(defaults.tariff.max, currency) };
+    return Object.fromEntries(PLAUSIBILITY_FIELDS.map(({ field }) => [
+        field,
+        { ...(field === 'tariff' ? tariff : defaults[field]), ...custom[field] }
+    ]));
+}
+
+// ===== RULES =====
+// Units of a day or longer enter a period of use rather than hours per day
+function isPeriodTimeUnit(unit) {
+    return convert(1, unit, INPUT_UNITS.time, 'time') >= 24;
+}
+
+function describeLimit(field, subject, bound, value, context, currency) {
+    const amount = formatWithUnit(value, withCurrency(INPUT_UNITS[field], currency));
+    if (field === 'time') return bound === 'max' ? `exceeds ${amount}/day` : `is under ${amount}/day`;
+    if (bound === 'max') return `exceeds the typical ${amount} ${context} ${subject}`;
+    return `is below the typical ${amount} minimum for a ${context} ${subject}`;
+}
+
+/**
+ * Checks entered values, and results solved from them, against the limits.
+ *
+ * @param {Object} values - The calculateAll() input, in the engine's units
+ * @param {?Object} [results] - The calculateAll() output; voltage, current, power
+ *   and resistance that were not entered are checked as calculated
+ * @param {string} [context='domestic'] - One of CONTEXTS, named in the messages
+ * @param {Object} [limits=getLimits(context, {}, values.currency)]
+ * @param {string} [timeUnit='h'] - Unit the time was entered in; times entered
+ *   in days, months or years are periods and skip the per-day time limits
+ * @returns {{field: string, bound: string, limit: number, value: number, calculated: boolean, message: string}[]}
+ *   One warning per field at most, e.g. "Current exceeds the typical 32 A domestic circuit";
+ *   voltage is compared per phase
+ */
+export function checkPlausibility(values, results = null, context = CONTEXTS.DOMESTIC, limits = getLimits(context, {}, values.currency), timeUnit = INPUT_UNITS.time) {
+    const perPhase = getPhaseFactor(values.phase, values.voltageReference) / getPhaseCount(values.phase);
+    const three = getPhaseCount(values.phase) === 3;
+    const contextName = (CONTEXT_LABELS[context] || context).toLowerCase();
+    const warnings = [];
+
+    PLAUSIBILITY_FIELDS.forEach(({ field, label, subject, result }) => {
+        const entered = values[field] > 0;
+        const calculated = !entered && result && results && results[result] > 0;
+        if (!entered && !calculated) return;
+        if (field === 'time' && isPeriodTimeUnit(timeUnit)) return;
+
+        let value = entered ? values[field] : results[result];
+        if (field === 'voltage') value *= perPhase;
+
+        const { min, max } = limits[field] || {};
+        const bound = max !== null && max !== undefined && value > max ? 'max'
+            : min !== null && min !== undefined && value < min ? 'min'
+            : null;
+        if (!bound) return;
+
+        const name = calculated ? `Calculated ${label.toLowerCase()}` : label;
+        const phaseNote = field === 'voltage' && three ? ' per phase' : '';
+        warnings.push({
+            field,
+            bound,
+            limit: bound === 'max' ? max : min,
+            value,
+            calculated: Boolean(calculated),
+            message: `${name}${phaseNote} ${describeLimit(field, subject, bound, bound === 'max' ? max : min, contextName, values.currency)}`
+        });
+    });
+
+    return warnings;
+}
@@ -0,0 +1,160 @@
+/**
+ * Circuit Protection
+ * Recommends a standard breaker or fuse rating for a load current and
+ * checks that the protected cable is covered
+ *
+ * Breakers follow IEC 60898 / IEC 60947-2 (MCB up to 125 A, MCCB above),
+ * fuses are gG types to IEC 60269. Cable coordination uses the
+ * IEC 60364-4-43 conditions Ib ≤ In ≤ Iz and I2 ≤ 1.45 × Iz.
+ *
+ * Units:
+ * - currents and ratings: amperes (A)
+ */
+
+// ===== TABLES =====
+export const LOAD_TYPES = Object.freeze({
+    RESISTIVE: 'resistive',
+    LIGHTING: 'lighting',
+    MOTOR: 'motor'
+});
+
+export const DEVICE_TYPES = Object.freeze({
+    BREAKER: 'breaker',
+    FUSE: 'fuse'
+});
+
+export const BREAKER_RATINGS = Object.freeze([6, 10, 16, 20, 25, 32, 40, 50, 63, 80, 100, 125, 160, 200, 250, 320, 400, 500, 630, 800, 1000, 1250, 1600]);
+export const FUSE_RATINGS = Object.freeze([2, 4, 6, 10, 16, 20, 25, 32, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800, 1000, 1250]);
+
+const MCB_MAX_RATING = 125;
+
+// Trip curve instantaneous bands, as multiples of In
+export const TRIP_CURVES = Object.freeze({
+    B: '3–5 × In',
+    C: '5–10 × In',
+    D: '10–20 × In'
+});
+
+// Conventional tripping current I2 as a multiple of In
+const CONVENTIONAL_TRIP = {
+    breaker: 1.45,
+    fuse: 1.6
+};
+
+const LOAD_PROFILES = {
+    resistive: {
+        factor: 1,
+        curve: 'B',
+        reason: 'Resistive loads have no significant inrush, so the device is sized at the design current.'
+    },
+    lighting: {
+        factor: 1.25,
+        curve: 'C',
+        reason: 'Lighting runs for long periods and LED drivers / ballasts draw inrush, so the design current is increased by 25%.'
+    },
+    motor: {
+        factor: 1.25,
+        curve: 'D',
+        reason: 'Motors start at 6–8 × full-load current and run continuously, so the design current is increased by 25%.'
+    }
+};
+
+// ===== RECOMMENDATION =====
+/**
+ * Returns the smallest standard rating at or above a current.
+ * @param {number} current - Required rating in A
+ * @param {number[]} [ratings=BREAKER_RATINGS]
+ * @returns {?number} Standard rating in A, or null if above the largest
+ */
+export function getNextStandardRating(current, ratings = BREAKER_RATINGS) {
+    const rating = ratings.find(r => r >= current);
+    return rating === undefined ? null : rating;
+}
+
+/**
+ * Recommends a protective device for a load.
+ *
+ * @param {Object} options
+ * @param {number} options.current - Design (load) current Ib in A
+ * @param {string} [options.loadType='resistive'] - One of LOAD_TYPES
+ * @param {string} [options.device='breaker'] - One of DEVICE_TYPES
+ * @returns {{designCurrent: number, factor: number, requiredRating: number, rating: ?number,
+ *   deviceLabel: ?string, curve: ?string, tripRange: ?string, reasoning: string[]}}
+ *   `rating` is null when the load exceeds the largest standard device
+ */
+export function recommendProtection({ current, loadType = LOAD_TYPES.RESISTIVE, device = DEVICE_TYPES.BREAKER }) {
+    const profile = LOAD_PROFILES[loadType] || LOAD_PROFILES.resistive;
+    const isFuse = device === DEVICE_TYPES.FUSE;
+    const requiredRating = current * profile.factor;
+    const rating = getNextStandardRating(requiredRating, isFuse ? FUSE_RATINGS : BREAKER_RATINGS);
+
+    const reasoning = [
+        `Design current Ib = ${current.toFixed(2)} A.`,
+        profile.reason,
+        `Required rating = ${current.toFixed(2)} A × ${profile.factor} = ${requiredRating.toFixed(2)} A.`
+    ];
+
+    let deviceLabel = null;
+    let curve = null;
+    if (rating === null) {
+        reasoning.push('No single standard device is large enough; split the load or use an ACB.');
+    } else if (isFuse) {
+        deviceLabel = 'gG fuse';
+        reasoning.push(`Next standard gG fuse rating is ${rating} A.`);
+    } else {
+        deviceLabel = rating <= MCB_MAX_RATING ? 'MCB' : 'MCCB';
+        curve = profile.curve;
+        reasoning.push(`Next standard ${deviceLabel} rating is ${rating} A.`);
+        reasoning.push(`Curve ${curve} trips instantly at ${TRIP_CURVES[curve]}, above the expected inrush.`);
+    }
+
+    return {
+        designCurrent: current,
+        factor: profile.factor,
+        requiredRating,
+        rating,
+        deviceLabel,
+        curve,
+        tripRange: curve ? TRIP_CURVES[curve] : null,
+        reasoning
+    };
+}
+
+// ===== CABLE COORDINATION =====
+/**
+ * Returns the smallest cable capacity a device protects: Iz ≥ In, and
+ * Iz ≥ I2 ÷ 1.45 for devices whose conventional trip current is above 1.45 In.
+ * @param {number} rating - Device rating In in A
+ * @param {string} [device='breaker'] - One of DEVICE_TYPES
+ * @returns {number} Minimum Iz in A
+ */
+export function getRequiredAmpacity(rating, device = DEVICE_TYPES.BREAKER) {
+    const conventionalTripCurrent = rating * CONVENTIONAL_TRIP[device === DEVICE_TYPES.FUSE ? 'fuse' : 'breaker'];
+    return Math.max(rating, conventionalTripCurrent / 1.45);
+}
+
+/**
+ * Checks that a cable is protected by a device.
+ *
+ * @param {Object} options
+ * @param {number} options.rating - Device rating In in A
+ * @param {number} options.ampacity - Cable current-carrying capacity Iz in A
+ * @param {string} [options.device='breaker'] - One of DEVICE_TYPES
+ * @returns {{isProtected: boolean, ratingWithinAmpacity: boolean, overloadProtected: boolean,
+ *   conventionalTripCurrent: number, overloadLimit: number}}
+ *   Currents in A; `overloadLimit` is 1.45 × Iz
+ */
+export function checkCableProtection({ rating, ampacity, device = DEVICE_TYPES.BREAKER }) {
+    const conventionalTripCurrent = rating * CONVENTIONAL_TRIP[device === DEVICE_TYPES.FUSE ? 'fuse' : 'breaker'];
+    const overloadLimit = 1.45 * ampacity;
+    const ratingWithinAmpacity = rating <= ampacity;
+    const overloadProtected = conventionalTripCurrent <= overloadLimit;
+
+    return {
+        isProtected: ratingWithinAmpacity && overloadProtected,
+        ratingWithinAmpacity,
+        overloadProtected,
+        conventionalTripCurrent,
+        overloadLimit
+    };
+}
@@ -0,0 +1,138 @@
+/**
+ * Calculation Report
+ * Assembles everything a printed calculation report shows: the project,
+ * the inputs as entered, each result with its worked solution, and the
+ * tariff the cost was billed on
+ *
+ * The report is plain data; the page renders it and prints it, so it
+ * works offline without a PDF library.
+ *
+ * Units:
+ * - inputs keep the units they were entered in
+ * - result values are in the units chosen on the result cards
+ * - money is in the currency of the calculation (`values.currency`)
+ * - workings are in the engine's units (see workings.js)
+ */
+
+import { getPhaseModeLabel, INPUT_UNITS, RESULT_UNITS } from './calculator.js';
+import { withCurrency } from './locale.js';
+import { BILLING_TYPES } from './tariff.js';
+import { convert } from './units.js';
+import { getWorkings, formatWithUnit, METHOD_LABELS } from './workings.js';
+
+// ===== CONTENTS =====
+// Inputs in form order; `field` is the form state key
+const REPORT_INPUTS = [
+    { field: 'voltage', label: 'Voltage' },
+    { field: 'current', label: 'Current' },
+    { field: 'power', label: 'Power' },
+    { field: 'resistance', label: 'Resistance' },
+    { field: 'powerFactor', label: 'Power factor' },
+    { field: 'phaseAngle', label: 'Phase angle' },
+    { field: 'time', label: 'Time' }
+];
+
+// Results in card order; `quantity` is set for results shown in a chosen unit
+const REPORT_RESULTS = [
+    { key: 'calculatedPower', label: 'Real power', quantity: 'power' },
+    { key: 'apparentPower', label: 'Apparent power', quantity: 'apparentPower' },
+    { key: 'reactivePower', label: 'Reactive power', quantity: 'reactivePower' },
+    { key: 'powerFactor', label: 'Power factor' },
+    { key: 'calculatedCurrent', label: 'Current', quantity: 'current' },
+    { key: 'calculatedVoltage', label: 'Voltage', quantity: 'voltage' },
+    { key: 'calculatedResistance', label: 'Resistance', quantity: 'resistance' },
+    { key: 'energy', label: 'Energy', quantity: 'energy' },
+    { key: 'cost', label: 'Cost' }
+];
+
+// ===== REPORT =====
+/**
+ * Builds a calculation report.
+ *
+ * @param {Object} options
+ * @param {string} [options.projectName] - Report title; defaults to a generic one
+ * @param {Date} [options.timestamp=new Date()]
+ * @param {Object} options.form - Form state as entered: string values plus `units`
+ * @param {Object} options.values - The calculateAll() input, in the engine's units
+ * @param {Object} options.results - The calculateAll() output
+ * @param {Object} [options.resultUnits] - Display unit per result key
+ * @returns {{title: string, generatedAt: string, supply: string,
+ *   inputs: {label: string, value: string}[],
+ *   results: {label: string, value: string, formula: string, substitution: ?string, result: string, method: ?string}[],
+ *   tariff: {name: string, rows: {label: string, value: string}[], bill: ?{label: string, value: string}[]}}}
+ *   `generatedAt` is ISO 8601; `method` is a readable solver branch label
+ */
+export function buildReport({ projectName = '', timestamp = new Date(), form, values, results, resultUnits = {} }) {
+    const units = form.units || {};
+    const workings = getWorkings(values, results);
+
+    const inputs = REPORT_INPUTS
+        .filter(({ field }) => form[field] !== undefined && String(form[field]).trim() !== '')
+        .map(({ field, label }) => {
+            const unit = units[field] || INPUT_UNITS[field];
+            return { label, value: unit ? `${form[field]} ${unit}`.replace(' °', '°') : String(form[field]) };
+        });
+
+    const reportResults = REPORT_RESULTS
+        .filter(({ key }) => workings[key])
+        .map(({ key, label, quantity }) => {
+            const unit = quantity && resultUnits[key] ? resultUnits[key] : withCurrency(RESULT_UNITS[key], values.currency);
+            const value = quantity ? convert(results[key], RESULT_UNITS[key], unit, quantity) : results[key];
+            return {
+                label,
+                value: formatWithUnit(value, unit),
+                ...workings[key],
+                method: workings[key].method ? METHOD_LABELS[workings[key].method] : null
+            };
+        });
+
+    return {
+        title: String(projectName).trim() || 'Electrical calculation',
+        generatedAt: timestamp.toISOString(),
+        supply: getPhaseModeLabel(values.phase, values.voltageReference),
+        inputs,
+        results: reportResults,
+        tariff: describeTariff(values, results)
+    };
+}
+
+/**
+ * Describes the tariff a calculation was costed on.
+ * @param {Object} values - The calculateAll() input
+ * @param {Object} results - The calculateAll() output
+ * @returns {{name: string, rows: {label: string, value: string}[], bill: ?{label: string, value: string}[]}}
+ */
+export function describeTariff(values, results) {
+    const profile = values.tariffProfile;
+    const money = unit => withCurrency(unit, values.currency);
+
+    if (!profile) {
+        return {
+            name: 'Flat rate',
+            rows: [{ label: 'Rate', value: formatWithUnit(values.tariff || 0, money(INPUT_UNITS.tariff)) }],
+            bill: null
+        };
+    }
+
+    const rows = profile.slabs.map((slab, index) => {
+        const from = index > 0 ? profile.slabs[index - 1].upTo : 0;
+        const range = slab.upTo === null ? `Above ${from} kWh` : `${from}–${slab.upTo} kWh`;
+        return { label: range, value: formatWithUnit(slab.rate, money(INPUT_UNITS.tariff)) };
+    });
+    rows.unshift({
+        label: 'Billing',
+        value: profile.billingType === BILLING_TYPES.SLAB ? 'Slab (whole consumption at the slab reached)' : 'Telescopic (each slab at its own rate)'
+    });
+    if (profile.fixedCharge) rows.push({ label: 'Fixed charge', value: formatWithUnit(profile.fixedCharge, money(RESULT_UNITS.cost)) });
+    if (profile.demandCharge) rows.push({ label: 'Demand charge', value: formatWithUnit(profile.demandCharge, money('₹/kW')) });
+    if (profile.fuelSurcharge) rows.push({ label: 'Fuel surcharge', value: formatWithUnit(profile.fuelSurcharge, money(INPUT_UNITS.tariff)) });
+    if (profile.dutyPercent) rows.push({ label: 'Electricity duty', value: `${profile.dutyPercent}%` });
+    if (profile.taxPercent) rows.push({ label: 'Tax', value: `${profile.taxPercent}%` });
+
+    const bill = results.bill
+        ? [...results.bill.lines, { label: 'Total', amount: results.bill.total }]
+            .map(line => ({ label: line.label, value: formatWithUnit(line.amount, money(RESULT_UNITS.cost)) }))
+        : null;
+
+    return { name: profile.name, rows, bill };
+}
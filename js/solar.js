@@ -0,0 +1,117 @@
+/**
+ * Solar PV Sizing
+ * Sizes a rooftop array to offset a daily consumption and works out the
+ * net-metered bill saving and simple payback
+ *
+ * The array is sized so that peak sun hours × kWp, less system losses and
+ * inverter losses, covers the daily energy; the panel count is then rounded
+ * up to whole panels. Under net metering exported energy offsets imported
+ * energy within the month, so the saving is the bill for the consumption
+ * less the bill for what is still imported. Any surplus is carried forward
+ * rather than paid out, and is not counted as a saving.
+ *
+ * Units:
+ * - dailyEnergy: kilowatt-hours per day (kWh); see getDailyEnergy in
+ *   calculator.js for a calculation's energy
+ * - peakSunHours: hours per day of 1 kW/m² irradiance (h)
+ * - panelWattage: panel rating in watts peak (Wp)
+ * - systemLossPercent / inverterEfficiency: percent (%)
+ * - array size: kilowatts peak (kWp)
+ * - generation / consumption: kilowatt-hours per month (kWh)
+ * - tariff: currency per kilowatt-hour (₹/kWh)
+ * - costPerKwp: installed cost in currency per kilowatt peak (₹/kWp)
+ * - saving: currency per month (₹), payback: years
+ */
+
+import { DAYS_PER_MONTH, DAYS_PER_YEAR } from './calculator.js';
+import { computeBill } from './tariff.js';
+
+// ===== DEFAULTS =====
+export const DEFAULT_SOLAR_INPUTS = Object.freeze({
+    peakSunHours: 5,
+    panelWattage: 400,
+    systemLossPercent: 14,
+    inverterEfficiency: 96
+});
+
+// ===== SIZING =====
+/**
+ * Returns the share of the panels' DC output that reaches the meter.
+ * @param {number} systemLossPercent - Soiling, temperature, wiring and mismatch losses in %
+ * @param {number} inverterEfficiency - In %
+ * @returns {number} Between 0 and 1
+ */
+export function getPerformanceRatio(systemLossPercent, inverterEfficiency) {
+    const losses = Math.min(Math.max(systemLossPercent, 0), 100) / 100;
+    const inverter = Math.min(Math.max(inverterEfficiency, 0), 100) / 100;
+    return (1 - losses) * inverter;
+}
+
+/**
+ * Sizes a PV array for a daily consumption.
+ *
+ * @param {Object} options
+ * @param {number} options.dailyEnergy - Consumption to offset in kWh per day
+ * @param {number} [options.peakSunHours=5]
+ * @param {number} [options.panelWattage=400] - In Wp
+ * @param {number} [options.systemLossPercent=14]
+ * @param {number} [options.inverterEfficiency=96]
+ * @param {number} [options.tariff=0] - Flat tariff in ₹/kWh, used without a profile
+ * @param {Object} [options.tariffProfile] - Slab tariff profile (see tariff.js)
+ * @param {number} [options.costPerKwp] - Installed cost in ₹/kWp; without it there is no payback
+ * @param {number} [options.daysPerMonth=30]
+ * @returns {?{requiredKwp: number, panelCount: number, installedKwp: number, performanceRatio: number,
+ *   monthlyConsumption: number, monthlyGeneration: number, surplusEnergy: number,
+ *   billBefore: number, billAfter: number, monthlySaving: number, systemCost: ?number, paybackYears: ?number}}
+ *   null when there is no consumption or the inputs cannot produce any energy.
+ *   `requiredKwp` is the exact array size and `installedKwp` the whole panels that
+ *   cover it; generation and the saving are for the installed array. `paybackYears`
+ *   takes a year as DAYS_PER_YEAR days of the saving, and is null without a cost
+ *   or without a saving.
+ */
+export function sizeSolarArray({
+    dailyEnergy,
+    peakSunHours = DEFAULT_SOLAR_INPUTS.peakSunHours,
+    panelWattage = DEFAULT_SOLAR_INPUTS.panelWattage,
+    systemLossPercent = DEFAULT_SOLAR_INPUTS.systemLossPercent,
+    inverterEfficiency = DEFAULT_SOLAR_INPUTS.inverterEfficiency,
+    tariff = 0,
+    tariffProfile = null,
+    costPerKwp = null,
+    daysPerMonth = DAYS_PER_MONTH
+}) {
+    const performanceRatio = getPerformanceRatio(systemLossPercent, inverterEfficiency);
+    const yieldPerKwp = peakSunHours * performanceRatio; // kWh per kWp per day
+    if (!(dailyEnergy > 0) || !(yieldPerKwp > 0) || !(panelWattage > 0)) return null;
+
+    const requiredKwp = dailyEnergy / yieldPerKwp;
+    const panelCount = Math.ceil((requiredKwp * 1000) / panelWattage - 1e-9);
+    const installedKwp = (panelCount * panelWattage) / 1000;
+
+    const monthlyConsumption = dailyEnergy * daysPerMonth;
+    const monthlyGeneration = installedKwp * yieldPerKwp * daysPerMonth;
+    const importedEnergy = Math.max(monthlyConsumption - monthlyGeneration, 0);
+
+    const billFor = energy => (tariffProfile ? computeBill(energy, tariffProfile).total : energy * tariff);
+    const billBefore = billFor(monthlyConsumption);
+    const billAfter = billFor(importedEnergy);
+    const monthlySaving = billBefore - billAfter;
+
+    const systemCost = costPerKwp > 0 ? installedKwp * costPerKwp : null;
+    const paybackYears = systemCost !== null && monthlySaving > 0 ? systemCost / ((monthlySaving * DAYS_PER_YEAR) / daysPerMonth) : null;
+
+    return {
+        requiredKwp,
+        panelCount,
+        installedKwp,
+        performanceRatio,
+        monthlyConsumption,
+        monthlyGeneration,
+        surplusEnergy: Math.max(monthlyGeneration - monthlyConsumption, 0),
+        billBefore,
+        billAfter,
+        monthlySaving,
+        systemCost,
+        paybackYears
+    };
+}
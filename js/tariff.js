@@ -0,0 +1,179 @@
+/**
+ * Tariff Engine
+ * Bills an energy consumption against a slab tariff with fixed charges,
+ * demand charges, fuel surcharge, electricity duty and taxes
+ *
+ * Telescopic tariffs charge each slab's units at that slab's rate.
+ * Slab (non-telescopic) tariffs charge every unit at the rate of the
+ * highest slab reached.
+ *
+ * Units:
+ * - energy: kilowatt-hours in the billing period (kWh)
+ * - slab limits: cumulative kWh; rates: currency per kWh (₹/kWh)
+ * - fixed charge: currency per billing period (₹)
+ * - demand charge: currency per kW of load (₹/kW)
+ * - duty and tax: percent (%)
+ */
+
+// ===== PROFILES =====
+export const BILLING_TYPES = Object.freeze({
+    TELESCOPIC: 'telescopic',
+    SLAB: 'slab'
+});
+
+// Sample structures to start from; real DISCOM rates should be entered per profile
+export const DEFAULT_TARIFF_PROFILES = Object.freeze([
+    {
+        id: 'domestic-sample',
+        name: 'Domestic (telescopic sample)',
+        billingType: BILLING_TYPES.TELESCOPIC,
+        slabs: [
+            { upTo: 100, rate: 3.0 },
+            { upTo: 300, rate: 5.0 },
+            { upTo: 500, rate: 7.0 },
+            { upTo: null, rate: 8.5 }
+        ],
+        fixedCharge: 60,
+        demandCharge: 0,
+        fuelSurcharge: 0.3,
+        dutyPercent: 6,
+        taxPercent: 0
+    },
+    {
+        id: 'commercial-sample',
+        name: 'Commercial (slab sample)',
+        billingType: BILLING_TYPES.SLAB,
+        slabs: [
+            { upTo: 100, rate: 7.5 },
+            { upTo: null, rate: 9.0 }
+        ],
+        fixedCharge: 0,
+        demandCharge: 150,
+        fuelSurcharge: 0.4,
+        dutyPercent: 8,
+        taxPercent: 0
+    }
+]);
+
+/**
+ * Normalises a tariff profile: numbers are coerced, slabs are sorted by
+ * limit and the last slab is made open-ended.
+ * @param {Object} [fields]
+ * @returns {{id: string, name: string, billingType: string, slabs: {upTo: ?number, rate: number}[],
+ *   fixedCharge: number, demandCharge: number, fuelSurcharge: number, dutyPercent: number, taxPercent: number}}
+ */
+export function createTariffProfile(fields = {}) {
+    const slabs = (fields.slabs || [])
+        .map(slab => ({
+            upTo: slab.upTo === null || slab.upTo === '' || slab.upTo === undefined ? null : Number(slab.upTo),
+            rate: Number(slab.rate) || 0
+        }))
+        .filter(slab => slab.upTo === null || slab.upTo > 0)
+        .sort((a, b) => (a.upTo === null ? Infinity : a.upTo) - (b.upTo === null ? Infinity : b.upTo));
+
+    if (slabs.length === 0) {
+        slabs.push({ upTo: null, rate: 0 });
+    }
+    // Anything beyond the last limit is billed at the last rate
+    slabs.forEach((slab, index) => {
+        if (index === slabs.length - 1) slab.upTo = null;
+    });
+
+    return {
+        id: fields.id || `tariff-${Date.now().toString(36)}`,
+        name: fields.name || 'Untitled tariff',
+        billingType: fields.billingType === BILLING_TYPES.SLAB ? BILLING_TYPES.SLAB : BILLING_TYPES.TELESCOPIC,
+        slabs,
+        fixedCharge: Number(fields.fixedCharge) || 0,
+        demandCharge: Number(fields.demandCharge) || 0,
+        fuelSurcharge: Number(fields.fuelSurcharge) || 0,
+        dutyPercent: Number(fields.dutyPercent) || 0,
+        taxPercent: Number(fields.taxPercent) || 0
+    };
+}
+
+// ===== BILLING =====
+/**
+ * Splits a consumption into slab charges.
+ * @param {number} energy - Consumption in kWh
+ * @param {Object} profile - A profile from createTariffProfile
+ * @returns {{from: number, to: ?number, units: number, rate: number, amount: number}[]}
+ *   Only slabs with units are returned
+ */
+export function getEnergyCharges(energy, profile) {
+    const { slabs, billingType } = createTariffProfile(profile);
+
+    if (billingType === BILLING_TYPES.SLAB) {
+        // Whole consumption at the rate of the slab it falls in
+        const index = slabs.findIndex(slab => slab.upTo === null || energy <= slab.upTo);
+        const slab = slabs[index];
+        const from = index > 0 ? slabs[index - 1].upTo : 0;
+        return energy > 0 ? [{ from, to: slab.upTo, units: energy, rate: slab.rate, amount: energy * slab.rate }] : [];
+    }
+
+    const charges = [];
+    let from = 0;
+    for (const slab of slabs) {
+        if (energy <= from) break;
+        const to = slab.upTo === null ? energy : Math.min(energy, slab.upTo);
+        const units = to - from;
+        charges.push({ from, to: slab.upTo, units, rate: slab.rate, amount: units * slab.rate });
+        from = to;
+    }
+    return charges;
+}
+
+/**
+ * Produces a line-item bill for a consumption.
+ *
+ * @param {number} energy - Consumption in kWh
+ * @param {Object} profile - A profile from createTariffProfile
+ * @param {Object} [options]
+ * @param {number} [options.demandKW=0] - Load used for demand charges in kW
+ * @returns {{energy: number, lines: {label: string, amount: number}[], energyCharge: number,
+ *   fixedCharge: number, demandCharge: number, fuelSurcharge: number, duty: number, tax: number,
+ *   total: number, effectiveRate: ?number}}
+ *   Amounts in ₹; `effectiveRate` is total ÷ energy in ₹/kWh
+ */
+export function computeBill(energy, profile, { demandKW = 0 } = {}) {
+    const normalized = createTariffProfile(profile);
+    const units = Math.max(energy || 0, 0);
+    const slabCharges = getEnergyCharges(units, normalized);
+
+    const energyCharge = slabCharges.reduce((sum, charge) => sum + charge.amount, 0);
+    const fixedCharge = normalized.fixedCharge;
+    const demandCharge = normalized.demandCharge * Math.max(demandKW, 0);
+    const fuelSurcharge = normalized.fuelSurcharge * units;
+    const duty = (energyCharge * normalized.dutyPercent) / 100;
+    const subtotal = energyCharge + fixedCharge + demandCharge + fuelSurcharge + duty;
+    const tax = (subtotal * normalized.taxPercent) / 100;
+    const total = subtotal + tax;
+
+    const lines = slabCharges.map(charge => ({
+        label: `Energy ${formatSlab(charge)} @ ${charge.rate}/kWh`,
+        amount: charge.amount
+    }));
+    if (fixedCharge) lines.push({ label: 'Fixed charge', amount: fixedCharge });
+    if (demandCharge) lines.push({ label: `Demand charge (${demandKW.toFixed(2)} kW @ ${normalized.demandCharge}/kW)`, amount: demandCharge });
+    if (fuelSurcharge) lines.push({ label: `Fuel surcharge @ ${normalized.fuelSurcharge}/kWh`, amount: fuelSurcharge });
+    if (duty) lines.push({ label: `Electricity duty ${normalized.dutyPercent}%`, amount: duty });
+    if (tax) lines.push({ label: `Tax ${normalized.taxPercent}%`, amount: tax });
+
+    return {
+        energy: units,
+        lines,
+        energyCharge,
+        fixedCharge,
+        demandCharge,
+        fuelSurcharge,
+        duty,
+        tax,
+        total,
+        effectiveRate: units > 0 ? total / units : null
+    };
+}
+
+function formatSlab({ from, to, units }) {
+    const range = to === null ? `above ${from}` : `${from}–${to}`;
+    return `${range} kWh (${Number(units.toFixed(2))} units)`;
+}
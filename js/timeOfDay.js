@@ -0,0 +1,199 @@
+/**
+ * Time-of-Day Tariff
+ * Costs a load's daily operating hours against peak / normal / off-peak
+ * rate windows and works out the saving from shifting the same hours into
+ * the cheapest part of the day
+ *
+ * A window covers the hours from `start` up to (not including) `end` and
+ * may wrap past midnight, e.g. 22 → 6. Where windows overlap the first one
+ * listed wins; hours outside every window use the fallback rate, which comes
+ * from the active tariff (see getFallbackRate).
+ *
+ * Units:
+ * - power: watts (W)
+ * - hours: hour of day, 0–23 (each operating hour runs the full hour)
+ * - rates: currency per kilowatt-hour (₹/kWh)
+ * - energy: kilowatt-hours over the billed days (kWh)
+ * - cost: currency over the billed days (₹)
+ */
+
+import { DAYS_PER_MONTH } from './calculator.js';
+import { computeBill } from './tariff.js';
+
+// ===== WINDOWS =====
+export const HOURS_PER_DAY = 24;
+
+// Sample commercial structure; real DISCOM windows and rates should be entered
+export const DEFAULT_TOD_WINDOWS = Object.freeze([
+    { name: 'Peak', start: 18, end: 22, rate: 10.5 },
+    { name: 'Normal', start: 6, end: 18, rate: 8.5 },
+    { name: 'Off-peak', start: 22, end: 6, rate: 6.0 }
+]);
+
+let nextWindowId = 1;
+
+/**
+ * Creates a rate window with hours clamped to the day.
+ * @param {Object} [fields]
+ * @returns {{id: string, name: string, start: number, end: number, rate: number}}
+ */
+export function createTodWindow(fields = {}) {
+    return {
+        id: fields.id || `tod-${Date.now().toString(36)}-${nextWindowId++}`,
+        name: fields.name || '',
+        start: clampHour(fields.start),
+        end: clampHour(fields.end),
+        rate: Number(fields.rate) || 0
+    };
+}
+
+/**
+ * Checks whether a window covers an hour.
+ * A window whose start equals its end covers the whole day.
+ * @param {{start: number, end: number}} window
+ * @param {number} hour - Hour of day, 0–23
+ * @returns {boolean}
+ */
+export function windowIncludesHour({ start, end }, hour) {
+    if (start === end) return true;
+    return start < end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end;
+}
+
+/**
+ * Resolves the rate for every hour of the day.
+ * @param {Object[]} windows - Windows from createTodWindow
+ * @param {number} [fallbackRate=0] - Rate for hours outside every window in ₹/kWh
+ * @returns {{hour: number, rate: number, window: ?string}[]} 24 entries; `window` is the window name
+ */
+export function getHourlyRates(windows, fallbackRate = 0) {
+    return Array.from({ length: HOURS_PER_DAY }, (_, hour) => {
+        const window = windows.find(w => windowIncludesHour(w, hour));
+        return window
+            ? { hour, rate: window.rate, window: window.name }
+            : { hour, rate: fallbackRate, window: null };
+    });
+}
+
+// ===== COST =====
+/**
+ * Returns the rate for hours outside every window.
+ * A tariff profile is billed for a month of the load's running and its
+ * effective rate used, so slabs and fixed charges carry over; otherwise
+ * the flat tariff applies.
+ *
+ * @param {Object} options
+ * @param {number} options.power - Load power in W
+ * @param {number} options.hoursPerDay - Hours a day the load runs
+ * @param {number} [options.tariff=0] - Flat tariff in ₹/kWh
+ * @param {Object} [options.tariffProfile] - Slab tariff profile (see tariff.js); replaces the flat tariff
+ * @returns {number} Rate in ₹/kWh, 0 when a profile has no energy to bill
+ */
+export function getFallbackRate({ power, hoursPerDay, tariff = 0, tariffProfile = null }) {
+    if (!tariffProfile) return tariff;
+    const kW = Math.max(power, 0) / 1000;
+    const bill = computeBill(kW * hoursPerDay * DAYS_PER_MONTH, tariffProfile, { demandKW: kW });
+    return bill.effectiveRate ?? 0;
+}
+
+/**
+ * Costs a load's operating hours against the rate windows.
+ *
+ * @param {Object} options
+ * @param {number} options.power - Load power in W
+ * @param {number[]} options.operatingHours - Hours of day (0–23) the load runs
+ * @param {Object[]} options.windows - Windows from createTodWindow
+ * @param {number} [options.days=1] - Days billed
+ * @param {number} [options.fallbackRate=0] - Rate outside every window in ₹/kWh
+ * @returns {{hourly: {hour: number, rate: number, window: ?string, energy: number, cost: number}[],
+ *   windows: {name: ?string, rate: number, hours: number, energy: number, cost: number}[],
+ *   energy: number, cost: number, averageRate: ?number,
+ *   shifted: {operatingHours: number[], cost: number, savings: number}}}
+ *   `windows` lists only windows the load runs in; `shifted` runs the same
+ *   number of hours in the cheapest hours of the day
+ */
+export function calculateTodCost({ power, operatingHours, windows, days = 1, fallbackRate = 0 }) {
+    const rates = getHourlyRates(windows, fallbackRate);
+    const hours = [...new Set(operatingHours)].filter(hour => hour >= 0 && hour < HOURS_PER_DAY);
+    const energyPerHour = (Math.max(power, 0) / 1000) * Math.max(days, 0);
+
+    const hourly = rates.map(entry => {
+        const energy = hours.includes(entry.hour) ? energyPerHour : 0;
+        return { ...entry, energy, cost: energy * entry.rate };
+    });
+
+    const byWindow = new Map();
+    hourly.filter(entry => entry.energy > 0).forEach(entry => {
+        const total = byWindow.get(entry.window) || { name: entry.window, rate: entry.rate, hours: 0, energy: 0, cost: 0 };
+        total.hours += 1;
+        total.energy += entry.energy;
+        total.cost += entry.cost;
+        byWindow.set(entry.window, total);
+    });
+
+    const energy = hourly.reduce((sum, entry) => sum + entry.energy, 0);
+    const cost = hourly.reduce((sum, entry) => sum + entry.cost, 0);
+
+    // Cheapest hours first; ties keep the earlier hour
+    const cheapestHours = [...rates]
+        .sort((a, b) => a.rate - b.rate || a.hour - b.hour)
+        .slice(0, hours.length)
+        .map(entry => entry.hour)
+        .sort((a, b) => a - b);
+    const shiftedCost = cheapestHours.reduce((sum, hour) => sum + energyPerHour * rates[hour].rate, 0);
+
+    return {
+        hourly,
+        windows: [...byWindow.values()],
+        energy,
+        cost,
+        averageRate: energy > 0 ? cost / energy : null,
+        shifted: {
+            operatingHours: cheapestHours,
+            cost: shiftedCost,
+            savings: cost - shiftedCost
+        }
+    };
+}
+
+/**
+ * Formats an hour of day as HH:00.
+ * @param {number} hour
+ * @returns {string}
+ */
+export function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Formats a set of hours as contiguous ranges, e.g. "18:00–22:00, 23:00–01:00".
+ * A range running into midnight joins one starting at 00:00.
+ * @param {number[]} hours - Hours of day, 0–23
+ * @returns {string}
+ */
+export function formatHourRanges(hours) {
+    const sorted = [...new Set(hours)].sort((a, b) => a - b);
+    const ranges = [];
+    sorted.forEach(hour => {
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === hour) {
+            last.end = hour + 1;
+        } else {
+            ranges.push({ start: hour, end: hour + 1 });
+        }
+    });
+
+    if (ranges.length > 1 && ranges[0].start === 0 && ranges[ranges.length - 1].end === HOURS_PER_DAY) {
+        ranges[ranges.length - 1].end = ranges.shift().end;
+    }
+
+    return ranges
+        .map(range => `${formatHour(range.start)}–${formatHour(range.end % HOURS_PER_DAY)}`)
+        .join(', ');
+}
+
+function clampHour(value) {
+    const hour = Math.floor(Number(value) || 0);
+    return Math.min(Math.max(hour, 0), HOURS_PER_DAY - 1);
+}
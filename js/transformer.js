@@ -0,0 +1,183 @@
+/**
+ * Transformer Sizing
+ * Picks a standard distribution transformer for a connected load and works
+ * out its currents, losses, efficiency and the yearly cost of its losses
+ *
+ * The connected load is reduced by the diversity factor to the maximum
+ * demand, then raised by the growth margin; the next standard rating covers
+ * that. Iron (no-load) losses run all year whenever the transformer is
+ * energised, while copper (load) losses scale with the square of the
+ * loading and only run for the loaded hours. With a slab tariff profile the
+ * losses sit on top of the site's own consumption (the maximum demand at the
+ * power factor for the loaded hours), so they cost the rise in the monthly
+ * bill: bill(load + losses) − bill(load), at the site's marginal slab rates.
+ *
+ * Typical losses are for oil-immersed three-phase distribution transformers,
+ * in line with the IS 1180-1 / EN 50588-1 loss tables; nameplate or test
+ * certificate values should be used where known.
+ *
+ * Units:
+ * - load / ratings: kilovolt-amperes (kVA)
+ * - voltages: volts (V), line-to-line; currents: amperes (A)
+ * - losses: watts (W)
+ * - diversity factor: ≥ 1 (connected load ÷ maximum demand)
+ * - growth margin / loading / efficiency: percent (%)
+ * - loss energy: kilowatt-hours per year (kWh), tariff: ₹/kWh, cost: ₹ per year
+ * - a year is DAYS_PER_YEAR days and a billing month DAYS_PER_MONTH days (see calculator.js)
+ */
+
+import { getPhaseFactor, PHASES, VOLTAGE_REFERENCES, DAYS_PER_MONTH, DAYS_PER_YEAR } from './calculator.js';
+import { computeBill } from './tariff.js';
+
+// ===== TABLES =====
+export const TRANSFORMER_RATINGS = Object.freeze([25, 63, 100, 160, 200, 250, 315, 400, 500, 630, 800, 1000, 1250, 1600, 2000, 2500]);
+
+// No-load (iron) and full-load (copper) losses in W per rating in TRANSFORMER_RATINGS
+const TYPICAL_IRON_LOSS = [100, 180, 260, 370, 440, 500, 600, 720, 850, 1000, 1200, 1400, 1700, 2100, 2500, 3000];
+const TYPICAL_COPPER_LOSS = [685, 1235, 1760, 2550, 3000, 3600, 4300, 5300, 6400, 7600, 9400, 11000, 13500, 17000, 21000, 26000];
+
+export const EFFICIENCY_LOADINGS = Object.freeze([25, 50, 75, 100]);
+
+const HOURS_PER_YEAR = 24 * DAYS_PER_YEAR;
+
+// ===== LOOKUPS =====
+/**
+ * Returns the smallest standard rating at or above a load.
+ * @param {number} kva - Required rating in kVA
+ * @returns {?number} Standard rating in kVA, or null if above the largest
+ */
+export function getNextTransformerRating(kva) {
+    const rating = TRANSFORMER_RATINGS.find(r => r >= kva);
+    return rating === undefined ? null : rating;
+}
+
+/**
+ * Returns the typical losses of a standard rating.
+ * @param {number} rating - Rating in kVA
+ * @returns {?{ironLoss: number, copperLoss: number}} Losses in W, or null if not a standard rating
+ */
+export function getTypicalLosses(rating) {
+    const index = TRANSFORMER_RATINGS.indexOf(rating);
+    if (index === -1) return null;
+    return { ironLoss: TYPICAL_IRON_LOSS[index], copperLoss: TYPICAL_COPPER_LOSS[index] };
+}
+
+// ===== PERFORMANCE =====
+/**
+ * Calculates a transformer's efficiency at a loading.
+ * η = x S PF ÷ (x S PF + Pi + x² Pc), where x is the share of full load.
+ *
+ * @param {Object} options
+ * @param {number} options.rating - In kVA
+ * @param {number} options.loading - Share of full load in %
+ * @param {number} [options.powerFactor=1] - Load power factor
+ * @param {number} options.ironLoss - No-load loss Pi in W
+ * @param {number} options.copperLoss - Full-load copper loss Pc in W
+ * @returns {?number} Efficiency in %, or null at no load
+ */
+export function calculateTransformerEfficiency({ rating, loading, powerFactor = 1, ironLoss, copperLoss }) {
+    const x = loading / 100;
+    const output = x * rating * 1000 * powerFactor;
+    if (!(output > 0)) return null;
+    return (output / (output + ironLoss + x ** 2 * copperLoss)) * 100;
+}
+
+/**
+ * Sizes a transformer for a connected load.
+ *
+ * @param {Object} options
+ * @param {number} options.connectedLoad - Connected load in kVA
+ * @param {number} options.primaryVoltage - In V, line-to-line
+ * @param {number} options.secondaryVoltage - In V, line-to-line
+ * @param {string} [options.phase='three'] - One of PHASES
+ * @param {number} [options.diversityFactor=1] - Connected load ÷ maximum demand
+ * @param {number} [options.growthMargin=0] - Allowance for load growth in %
+ * @param {number} [options.powerFactor=0.9] - Load power factor, for efficiencies
+ * @param {number} [options.ironLoss] - No-load loss in W; defaults to the typical value
+ * @param {number} [options.copperLoss] - Full-load copper loss in W; defaults to the typical value
+ * @param {number} [options.loadHoursPerDay=24] - Hours a day the maximum demand is drawn
+ * @param {number} [options.tariff=0] - Flat tariff in ₹/kWh, used without a profile
+ * @param {Object} [options.tariffProfile] - Slab tariff profile (see tariff.js)
+ * @returns {?{maximumDemand: number, requiredKVA: number, rating: ?number, loading: ?number,
+ *   primaryCurrent: ?number, secondaryCurrent: ?number, ironLoss: ?number, copperLoss: ?number,
+ *   loadLoss: ?number, efficiency: ?number, efficiencies: {loading: number, efficiency: number}[], maxEfficiencyLoading: ?number,
+ *   annualLossEnergy: ?number, annualLossCost: ?number}}
+ *   null without a load. `rating` is null when the load exceeds the largest standard
+ *   rating, and every figure that depends on it is null too. `loading` is the
+ *   maximum demand as a share of the rating in %, `loadLoss` the copper loss at
+ *   that loading in W, `efficiency` the efficiency at that loading in %, and
+ *   `efficiencies` covers EFFICIENCY_LOADINGS.
+ */
+export function sizeTransformer({
+    connectedLoad,
+    primaryVoltage,
+    secondaryVoltage,
+    phase = PHASES.THREE,
+    diversityFactor = 1,
+    growthMargin = 0,
+    powerFactor = 0.9,
+    ironLoss,
+    copperLoss,
+    loadHoursPerDay = 24,
+    tariff = 0,
+    tariffProfile = null
+}) {
+    if (!(connectedLoad > 0)) return null;
+
+    const maximumDemand = connectedLoad / Math.max(diversityFactor, 1);
+    const requiredKVA = maximumDemand * (1 + Math.max(growthMargin, 0) / 100);
+    const rating = getNextTransformerRating(requiredKVA);
+    const sizing = { maximumDemand, requiredKVA, rating };
+    if (rating === null) {
+        return {
+            ...sizing,
+            loading: null,
+            primaryCurrent: null,
+            secondaryCurrent: null,
+            ironLoss: null,
+            copperLoss: null,
+            loadLoss: null,
+            efficiency: null,
+            efficiencies: [],
+            maxEfficiencyLoading: null,
+            annualLossEnergy: null,
+            annualLossCost: null
+        };
+    }
+
+    // Transformer voltages are always quoted line-to-line
+    const k = getPhaseFactor(phase, VOLTAGE_REFERENCES.LINE_TO_LINE);
+    const fullLoadCurrent = voltage => (voltage > 0 ? (rating * 1000) / (k * voltage) : null);
+
+    const typical = getTypicalLosses(rating);
+    const pi = ironLoss > 0 ? ironLoss : typical.ironLoss;
+    const pc = copperLoss > 0 ? copperLoss : typical.copperLoss;
+    const pf = powerFactor > 0 ? Math.min(powerFactor, 1) : 1;
+
+    const x = maximumDemand / rating;
+    const efficiencyAt = loading => calculateTransformerEfficiency({ rating, loading, powerFactor: pf, ironLoss: pi, copperLoss: pc });
+    const loadLoss = x ** 2 * pc;
+    const hours = Math.min(Math.max(loadHoursPerDay, 0), 24);
+    const annualLossEnergy = (pi * HOURS_PER_YEAR + loadLoss * hours * DAYS_PER_YEAR) / 1000;
+    const monthsPerYear = DAYS_PER_YEAR / DAYS_PER_MONTH;
+    const monthlyLoad = maximumDemand * pf * hours * DAYS_PER_MONTH;
+    const billFor = energy => computeBill(energy, tariffProfile).total;
+    const annualLossCost = tariffProfile
+        ? (billFor(monthlyLoad + annualLossEnergy / monthsPerYear) - billFor(monthlyLoad)) * monthsPerYear
+        : annualLossEnergy * tariff;
+
+    return {
+        ...sizing,
+        loading: x * 100,
+        primaryCurrent: fullLoadCurrent(primaryVoltage),
+        secondaryCurrent: fullLoadCurrent(secondaryVoltage),
+        ironLoss: pi,
+        copperLoss: pc,
+        loadLoss,
+        efficiency: efficiencyAt(x * 100),
+        efficiencies: EFFICIENCY_LOADINGS.map(loading => ({ loading, efficiency: efficiencyAt(loading) })),
+        maxEfficiencyLoading: Math.sqrt(pi / pc) * 100,
+        annualLossEnergy,
+        annualLossCost
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Unit Registry
+ * SI-prefixed units for every quantity the calculator reads or shows, with
+ * conversion through each quantity's SI base unit
+ *
+ * Adding a unit, or a whole quantity, is a registry entry: the UI builds its
+ * unit toggles and result unit selectors from QUANTITIES.
+ *
+ * Factors are the size of one unit in the quantity's SI unit, e.g. 1 kV = 1000 V
+ * and 1 h = 3600 s. Months are 30 days and years 365 days, matching the
+ * billing periods used elsewhere.
+ */
+
+// ===== REGISTRY =====
+export const QUANTITIES = Object.freeze({
+    voltage: {
+        siUnit: 'V',
+        units: { mV: 1e-3, V: 1, kV: 1e3, MV: 1e6 }
+    },
+    current: {
+        siUnit: 'A',
+        units: { 'µA': 1e-6, mA: 1e-3, A: 1, kA: 1e3 }
+    },
+    power: {
+        siUnit: 'W',
+        // Mechanical horsepower, as used on motor nameplates
+        units: { W: 1, kW: 1e3, MW: 1e6, HP: 745.7 }
+    },
+    apparentPower: {
+        siUnit: 'VA',
+        units: { VA: 1, kVA: 1e3, MVA: 1e6 }
+    },
+    reactivePower: {
+        siUnit: 'VAR',
+        units: { VAR: 1, kVAR: 1e3, MVAR: 1e6 }
+    },
+    resistance: {
+        siUnit: 'Ω',
+        units: { 'mΩ': 1e-3, 'Ω': 1, 'kΩ': 1e3, 'MΩ': 1e6 }
+    },
+    time: {
+        siUnit: 's',
+        units: { s: 1, min: 60, h: 3600, day: 86400, month: 30 * 86400, year: 365 * 86400 }
+    },
+    energy: {
+        siUnit: 'J',
+        units: { J: 1, Wh: 3600, kWh: 3.6e6, MWh: 3.6e9 }
+    }
+});
+
+// ===== CONVERSION =====
+/**
+ * Lists the units of a quantity, smallest first.
+ * @param {string} quantity - Key of QUANTITIES
+ * @returns {string[]}
+ */
+export function getUnits(quantity) {
+    const { units } = getQuantity(quantity);
+    return Object.keys(units).sort((a, b) => units[a] - units[b]);
+}
+
+/**
+ * Checks whether a unit belongs to a quantity.
+ * @param {string} quantity - Key of QUANTITIES
+ * @param {string} unit
+ * @returns {boolean}
+ */
+export function isUnitOf(quantity, unit) {
+    return Boolean(QUANTITIES[quantity]) && Object.hasOwn(QUANTITIES[quantity].units, unit);
+}
+
+/**
+ * Converts a value to the quantity's SI unit.
+ * @param {number} value
+ * @param {string} unit - Unit the value is in
+ * @param {string} quantity - Key of QUANTITIES
+ * @returns {number}
+ */
+export function toSI(value, unit, quantity) {
+    return value * getFactor(quantity, unit);
+}
+
+/**
+ * Converts a value from the quantity's SI unit.
+ * @param {number} value - Value in the SI unit
+ * @param {string} unit - Unit to convert to
+ * @param {string} quantity - Key of QUANTITIES
+ * @returns {number}
+ */
+export function fromSI(value, unit, quantity) {
+    return value / getFactor(quantity, unit);
+}
+
+/**
+ * Converts a value between two units of the same quantity.
+ * @param {number} value
+ * @param {string} from
+ * @param {string} to
+ * @param {string} quantity - Key of QUANTITIES
+ * @returns {number}
+ */
+export function convert(value, from, to, quantity) {
+    return from === to ? value : fromSI(toSI(value, from, quantity), to, quantity);
+}
+
+function getQuantity(quantity) {
+    const entry = QUANTITIES[quantity];
+    if (!entry) {
+        throw new RangeError(`Unknown quantity "${quantity}"`);
+    }
+    return entry;
+}
+
+function getFactor(quantity, unit) {
+    const { units } = getQuantity(quantity);
+    if (!Object.hasOwn(units, unit)) {
+        throw new RangeError(`Unknown ${quantity} unit "${unit}"`);
+    }
+    return units[unit];
+}
@@ -0,0 +1,103 @@
+/**
+ * URL State
+ * Encodes the calculator form into a query string so a calculation can be
+ * shared as a link, and decodes it from page URLs and web+electrical: links
+ *
+ * Values are kept exactly as typed, with each quantity's unit alongside:
+ *   ?phase=three&voltage=11&voltageUnit=kV&current=52&time=8&tariff=8.5
+ *
+ * The protocol handler in manifest.json opens /?protocol=<url>, where the
+ * url carries the same query, e.g. web+electrical:?voltage=230&current=10
+ * or web+electrical://calculate?voltage=230&current=10.
+ */
+
+// ===== FIELDS =====
+export const URL_FIELDS = Object.freeze([
+    'phase',
+    'voltageReference',
+    'voltage',
+    'current',
+    'power',
+    'resistance',
+    'powerFactor',
+    'phaseAngle',
+    'time',
+    'tariff',
+    'tariffProfile'
+]);
+
+// Fields entered as numbers; anything else in the URL for these is ignored
+const NUMERIC_FIELDS = ['voltage', 'current', 'power', 'resistance', 'powerFactor', 'phaseAngle', 'time', 'tariff'];
+
+// Fields that carry a unit, written as `<field>Unit`
+const UNIT_FIELDS = ['voltage', 'current', 'power', 'resistance', 'time'];
+
+export const PROTOCOL_SCHEME = 'web+electrical:';
+
+// ===== ENCODING =====
+/**
+ * Builds the query string for a form state.
+ * Empty values, and values or units equal to their defaults, are left out.
+ *
+ * @param {Object} form - Field values as strings, plus `units` keyed by field
+ * @param {Object} [defaults] - Field values and `units` to leave out
+ * @returns {string} Query string including the leading "?", or "" when empty
+ */
+export function encodeFormState(form, defaults = {}) {
+    const params = new URLSearchParams();
+    const units = form.units || {};
+    const defaultUnits = defaults.units || {};
+
+    URL_FIELDS.forEach(field => {
+        const value = form[field] === undefined || form[field] === null ? '' : String(form[field]);
+        if (value === '' || value === defaults[field]) return;
+
+        params.set(field, value);
+        if (UNIT_FIELDS.includes(field) && units[field] && units[field] !== defaultUnits[field]) {
+            params.set(`${field}Unit`, units[field]);
+        }
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Reads a form state from a query string.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {?Object} Fields found, with `units`; null when the query has none
+ */
+export function decodeFormState(search) {
+    const params = new URLSearchParams(search);
+    const form = { units: {} };
+    let found = false;
+
+    URL_FIELDS.forEach(field => {
+        if (!params.has(field)) return;
+        const value = params.get(field).trim();
+        if (NUMERIC_FIELDS.includes(field) && value !== '' && !Number.isFinite(Number(value))) return;
+
+        form[field] = value;
+        found = true;
+        if (UNIT_FIELDS.includes(field) && params.has(`${field}Unit`)) {
+            form.units[field] = params.get(`${field}Unit`);
+        }
+    });
+
+    return found ? form : null;
+}
+
+/**
+ * Reads a form state from a web+electrical: URL.
+ * @param {string} url - As passed to the protocol handler
+ * @returns {?Object} As decodeFormState; null for other schemes or no state
+ */
+export function parseProtocolUrl(url) {
+    const text = String(url || '').trim();
+    if (!text.toLowerCase().startsWith(PROTOCOL_SCHEME)) return null;
+
+    // Anything between the scheme and the query (//calculate, etc.) is ignored
+    const rest = text.slice(PROTOCOL_SCHEME.length);
+    const queryStart = rest.indexOf('?');
+    return decodeFormState(queryStart === -1 ? rest.replace(/^\/+/, '') : rest.slice(queryStart));
+}
@@ -0,0 +1,229 @@
+/**
+ * Worked Solutions
+ * The formula behind each calculateAll() result with the numbers substituted,
+ * following the solver branch recorded in results.methods
+ *
+ * Each working reads as `formula = substitution = result`, e.g.
+ *   P = √3 × V_L × I × PF = √3 × 415 V × 10 A × 0.85 = 6110 W
+ *
+ * Units:
+ * - substituted values and results are in the engine's units (see
+ *   calculator.js), so every line can be checked by hand
+ * - values are shown to four significant figures
+ */
+
+import {
+    getPhaseCount,
+    PF_SOURCES,
+    PHASES,
+    RESULT_UNITS,
+    SOLVER_METHODS,
+    VOLTAGE_REFERENCES
+} from './calculator.js';
+import { joinCurrency, splitCurrencyUnit, withCurrency } from './locale.js';
+
+// ===== LABELS =====
+export const METHOD_LABELS = Object.freeze({
+    [SOLVER_METHODS.VOLTAGE_CURRENT]: 'Solved from voltage and current',
+    [SOLVER_METHODS.VOLTAGE_RESISTANCE]: 'Solved from voltage and resistance',
+    [SOLVER_METHODS.CURRENT_RESISTANCE]: 'Solved from current and resistance',
+    [SOLVER_METHODS.POWER_VOLTAGE]: 'Solved from power and voltage',
+    [SOLVER_METHODS.POWER_CURRENT]: 'Solved from power and current',
+    [SOLVER_METHODS.POWER_RESISTANCE]: 'Solved from power and resistance',
+    [SOLVER_METHODS.ENTERED]: 'Entered value'
+});
+
+// ===== FORMATTING =====
+/**
+ * Formats a number to four significant figures without trailing zeros.
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatWorkingNumber(value) {
+    return String(Number(value.toPrecision(4)));
+}
+
+/**
+ * Formats a value with its unit, placing currency and degrees the way they are written.
+ * @param {number} value
+ * @param {string} unit - e.g. 'V', '°', '₹', '€/kWh' or 'AED' (see locale.js)
+ * @returns {string}
+ */
+export function formatWithUnit(value, unit) {
+    const number = formatWorkingNumber(value);
+    const money = splitCurrencyUnit(unit);
+    if (money) return `${joinCurrency(money.symbol, number)}${money.rest}`;
+    if (unit === '' || unit === '°') return `${number}${unit}`;
+    return `${number} ${unit}`;
+}
+
+// ===== WORKINGS =====
+// Templates name their quantities in braces; a trailing ² squares the quantity
+const TOKEN = /\{(\w+)\}(²?)/g;
+
+function renderFormula(template, symbols) {
+    return template.replace(TOKEN, (match, name, square) => symbols[name] + square);
+}
+
+function renderSubstitution(template, quantities) {
+    return template.replace(TOKEN, (match, name, square) => (square ? `(${quantities[name]})²` : quantities[name]));
+}
+
+function getTerms(template) {
+    return [...new Set([...template.matchAll(TOKEN)].map(([, name]) => name))];
+}
+
+// Templates for each solver branch. Three-phase forms fold the phase factor
+// into the expression so they read like the formulas on the result cards.
+function getTemplates(phase, voltageReference) {
+    const three = getPhaseCount(phase) === 3;
+    const line = three && voltageReference !== VOLTAGE_REFERENCES.LINE_TO_NEUTRAL;
+    const neutral = three && !line;
+    const k = line ? '√3 × ' : neutral ? '3 × ' : '';
+    const n = three ? '3 × ' : '';
+
+    return {
+        calculatedPower: {
+            [SOLVER_METHODS.VOLTAGE_CURRENT]: `${k}{V} × {I} × {PF}`,
+            [SOLVER_METHODS.VOLTAGE_RESISTANCE]: `${neutral ? '3 × ' : ''}{V}² × {PF} ÷ {R}`,
+            [SOLVER_METHODS.CURRENT_RESISTANCE]: `${n}{I}² × {R} × {PF}`
+        },
+        calculatedCurrent: {
+            [SOLVER_METHODS.POWER_VOLTAGE]: `{P} ÷ (${k}{V} × {PF})`,
+            [SOLVER_METHODS.VOLTAGE_RESISTANCE]: line ? '{V} ÷ (√3 × {R})' : '{V} ÷ {R}',
+            [SOLVER_METHODS.POWER_RESISTANCE]: `√({P} ÷ (${n}{R} × {PF}))`
+        },
+        calculatedVoltage: {
+            [SOLVER_METHODS.POWER_CURRENT]: `{P} ÷ (${k}{I} × {PF})`,
+            [SOLVER_METHODS.CURRENT_RESISTANCE]: `${line ? '√3 × ' : ''}{I} × {R}`,
+            [SOLVER_METHODS.POWER_RESISTANCE]: neutral ? '√({P} × {R} ÷ (3 × {PF}))' : '√({P} × {R} ÷ {PF})'
+        },
+        calculatedResistance: {
+            [SOLVER_METHODS.VOLTAGE_CURRENT]: line ? '{V} ÷ (√3 × {I})' : '{V} ÷ {I}',
+            [SOLVER_METHODS.POWER_CURRENT]: `{P} ÷ (${n}{I}² × {PF})`,
+            [SOLVER_METHODS.POWER_VOLTAGE]: `${neutral ? '3 × ' : ''}{V}² × {PF} ÷ {P}`
+        },
+        solvedPowerFactor: `{P} ÷ (${k}{V} × {I})`
+    };
+}
+
+function getVoltageSymbol(phase, voltageReference) {
+    if (phase !== PHASES.THREE) return 'V';
+    return voltageReference === VOLTAGE_REFERENCES.LINE_TO_NEUTRAL ? 'V_ph' : 'V_L';
+}
+
+/**
+ * Builds the worked solution for every result calculateAll() produced.
+ *
+ * @param {Object} values - The calculateAll() input, in the engine's units
+ * @param {Object} results - The calculateAll() output for those values
+ * @returns {Object<string, {formula: string, substitution: ?string, result: string, method: ?string, terms: string[]}>}
+ *   Keyed like RESULT_UNITS; results that are null are left out. `substitution`
+ *   is null when there is nothing to substitute (an entered or assumed value),
+ *   and `method` is the SOLVER_METHODS entry for the four electrical results.
+ *   `terms` names the quantities the working uses: V, I, P, R, PF, S, t, E, T
+ *   (tariff) and φ (phase angle). Money is in `values.currency`.
+ */
+export function getWorkings(values, results) {
+    const { voltage = 0, current = 0, power = 0, resistance = 0, time = 0, tariff = 0, phase, voltageReference, currency } = values;
+    const templates = getTemplates(phase, voltageReference);
+    const methods = results.methods || {};
+    const symbols = {
+        V: getVoltageSymbol(phase, voltageReference),
+        I: 'I',
+        P: 'P',
+        R: 'R',
+        PF: 'PF',
+        S: 'S',
+        t: 't',
+        E: 'E',
+        T: 'Tariff'
+    };
+    const quantities = {
+        V: formatWithUnit(voltage, RESULT_UNITS.calculatedVoltage),
+        I: formatWithUnit(current, RESULT_UNITS.calculatedCurrent),
+        P: formatWithUnit(power, RESULT_UNITS.calculatedPower),
+        R: formatWithUnit(resistance, RESULT_UNITS.calculatedResistance),
+        PF: formatWorkingNumber(results.powerFactor)
+    };
+    const resultUnit = key => withCurrency(RESULT_UNITS[key], currency);
+    const workings = {};
+
+    const add = (key, lhs, template, quantityValues = quantities, method = null) => {
+        workings[key] = {
+            formula: `${lhs} = ${renderFormula(template, symbols)}`,
+            substitution: renderSubstitution(template, quantityValues),
+            result: formatWithUnit(results[key], resultUnit(key)),
+            method,
+            terms: getTerms(template)
+        };
+    };
+    const addEntered = (key, lhs, terms, method = null) => {
+        workings[key] = { formula: lhs, substitution: null, result: formatWithUnit(results[key], resultUnit(key)), method, terms };
+    };
+
+    // Voltage, current, power and resistance follow the solver's branch
+    [
+        ['calculatedPower', 'P', 'P'],
+        ['calculatedCurrent', 'I', 'I'],
+        ['calculatedVoltage', symbols.V, 'V'],
+        ['calculatedResistance', 'R', 'R']
+    ].forEach(([key, lhs, term]) => {
+        const method = methods[key];
+        if (results[key] === null || results[key] === undefined || !method) return;
+        if (method === SOLVER_METHODS.ENTERED) {
+            addEntered(key, lhs, [term], method);
+        } else {
+            add(key, lhs, templates[key][method], quantities, method);
+        }
+    });
+
+    // Power factor depends on where it came from
+    if (results.powerFactorSource === PF_SOURCES.ANGLE) {
+        workings.powerFactor = {
+            formula: 'PF = cos φ',
+            substitution: `cos ${formatWithUnit(values.phaseAngle, '°')}`,
+            result: formatWorkingNumber(results.powerFactor),
+            method: null,
+            terms: ['φ']
+        };
+    } else if (results.powerFactorSource === PF_SOURCES.SOLVED) {
+        add('powerFactor', 'PF', templates.solvedPowerFactor);
+    } else if (results.powerFactorSource === PF_SOURCES.UNITY) {
+        addEntered('powerFactor', 'PF (assumed unity)', []);
+    } else {
+        addEntered('powerFactor', 'PF', ['PF']);
+    }
+
+    // Derived from the calculated real power
+    const calculated = {
+        ...quantities,
+        P: formatWithUnit(results.calculatedPower || power, RESULT_UNITS.calculatedPower),
+        S: formatWithUnit(results.apparentPower || 0, RESULT_UNITS.apparentPower),
+        t: formatWithUnit(time, 'h'),
+        E: formatWithUnit(results.energy || 0, RESULT_UNITS.energy),
+        T: formatWithUnit(tariff, withCurrency('₹/kWh', currency))
+    };
+    if (results.apparentPower !== null && results.apparentPower !== undefined) {
+        add('apparentPower', 'S', '{P} ÷ {PF}', calculated);
+        add('reactivePower', 'Q', '√({S}² − {P}²)', calculated);
+    }
+    if (results.energy !== null && results.energy !== undefined) {
+        add('energy', 'E', '{P} × {t} ÷ 1000', calculated);
+    }
+    if (results.cost !== null && results.cost !== undefined) {
+        if (results.bill) {
+            workings.cost = {
+                formula: 'Cost = Monthly bill × E ÷ Monthly energy',
+                substitution: `${formatWithUnit(results.bill.total, resultUnit('cost'))} × ${calculated.E} ÷ ${formatWithUnit(results.bill.energy, RESULT_UNITS.energy)}`,
+                result: formatWithUnit(results.cost, resultUnit('cost')),
+                method: null,
+                terms: ['E']
+            };
+        } else {
+            add('cost', 'Cost', '{E} × {T}', calculated);
+        }
+    }
+
+    return workings;
+}
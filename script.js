@@ -4,10 +4,25 @@
  * 
  * Features:
  * - Real-time calculations (Power, Current, Voltage, Energy, Cost)
- * - Unit conversions (V/kV, A/mA, W/kW, h/min)
- * - Interactive charts with Chart.js
- * - Data export (CSV, PNG)
- * - Local storage for recent calculations
+ * - Single-phase and three-phase (line-to-line / line-to-neutral) supplies
+ * - Power factor with real (W), reactive (VAR) and apparent (VA) power
+ * - Ohm's law resistance solving (any two of V, I, P, R)
+ * - Cable sizing and voltage drop from the calculated current
+ * - Breaker / fuse rating recommendation with cable protection check
+ * - Multi-appliance load schedule with monthly energy and cost rollup
+ * - CSV / JSON batch import with column mapping and enriched export
+ * - Slab / telescopic tariff profiles with an itemised bill
+ * - Time-of-day tariff costing with load-shifting savings
+ * - Currency choice with locale-aware digit grouping (incl. lakh/crore)
+ * - Solar PV sizing with net-metered saving and payback
+ * - Battery bank and inverter / UPS sizing for a backup time
+ * - Motor full-load and starting current with annual running cost
+ * - Transformer sizing with full-load currents, losses and efficiency
+ * - SI-prefixed units on inputs and results (mV–MV, µA–kA, W–MW/HP, s–year, J–MWh)
+ * - Projection, history, comparison and load share charts with Chart.js
+ * - Data export (CSV, PNG) and a printable calculation report
+ * - Named, tagged and searchable calculation history in IndexedDB
+ * - Shareable links with the inputs in the URL (and web+electrical: links)
  * - PWA-ready with offline support
  * - Dark/Light theme toggle
  * - Responsive design
@@ -16,49 +31,388 @@
  * Version: 1.0.0
  */
 
+import {
+    calculateAll,
+    hasValidInputs,
+    getDailyEnergy,
+    DERIVABLE_FIELDS,
+    getFormulas,
+    getPhaseModeLabel,
+    PF_SOURCES,
+    PHASES,
+    INPUT_UNITS,
+    RESULT_UNITS,
+    VOLTAGE_REFERENCES,
+    DAYS_PER_MONTH,
+    DAYS_PER_YEAR
+} from './js/calculator.js';
+import { sizeCable, getVoltageDropFormula, getAmpacity, INSTALLATION_METHODS, CABLE_SIZES } from './js/cable.js';
+import { recommendProtection, checkCableProtection, getRequiredAmpacity } from './js/protection.js';
+import { createLoadRow, summarizeSchedule } from './js/loadSchedule.js';
+import { createTariffProfile, DEFAULT_TARIFF_PROFILES } from './js/tariff.js';
+import { getUnits, isUnitOf, toSI, fromSI, convert } from './js/units.js';
+import {
+    createHistoryEntry,
+    filterHistory,
+    collectTags,
+    openHistoryDB,
+    saveHistoryEntry,
+    getHistoryEntries,
+    deleteHistoryEntry,
+    clearHistoryEntries
+} from './js/history.js';
+import { projectUsage, buildHistorySeries, buildComparison, CHART_VIEWS } from './js/chartViews.js';
+import { calculateTodCost, getFallbackRate, createTodWindow, formatHour, formatHourRanges, DEFAULT_TOD_WINDOWS, HOURS_PER_DAY } from './js/timeOfDay.js';
+import { sizeSolarArray } from './js/solar.js';
+import { calculateMotor, STARTING_PROFILES, DEFAULT_MOTOR_INPUTS } from './js/motor.js';
+import { sizeTransformer, TRANSFORMER_RATINGS } from './js/transformer.js';
+import { sizeBackup, getChemistryProfile, BANK_VOLTAGES, CHEMISTRY_PROFILES, INVERTER_HEADROOM, INVERTER_OUTPUT_POWER_FACTOR } from './js/backup.js';
+import { encodeFormState, decodeFormState, parseProtocolUrl } from './js/urlState.js';
+import { buildReport } from './js/report.js';
+import { parseBatchFile, getBatchFormat, guessMapping, calculateBatch, enrichBatch, formatBatchCSV, BATCH_FIELDS } from './js/batch.js';
+import { getExplanation, formatExplanation } from './js/explain.js';
+import { formatWithUnit, formatWorkingNumber } from './js/workings.js';
+import {
+    createDisplaySettings,
+    formatLocaleNumber,
+    formatMoney,
+    getCurrency,
+    getDefaultTariff,
+    withCurrency,
+    CURRENCIES,
+    NUMBER_LOCALES
+} from './js/locale.js';
+import { checkPlausibility, getLimits, CONTEXTS, CONTEXT_LABELS, PLAUSIBILITY_FIELDS } from './js/plausibility.js';
+import {
+    createAppliancePreset,
+    mergeAppliancePresets,
+    parseAppliancePresets,
+    serializeAppliancePresets,
+    DEFAULT_APPLIANCE_PRESETS,
+    MAX_STAR_RATING
+} from './js/appliances.js';
+import { createExport, getExportFileName, EXPORT_FORMATS, EXPORT_SCOPES, EXPORT_MIME_TYPES } from './js/exportData.js';
+
 // ===== GLOBAL VARIABLES =====
 let energyChart = null;
+let energyChartView = null; // view the energyChart instance was built for
+let activeChartView = CHART_VIEWS.PROJECTION;
+let lastScheduleSummary = null; // summarizeSchedule() result for the load share view
+let todChart = null;
 let currentTheme = 'light';
-let recentCalculations = [];
+let calculationHistory = []; // saved history entries, newest first
+let historyDB = null; // IndexedDB connection, null when storage is unavailable
+let loadSchedule = [];
+let batchImport = null; // { name, format, columns, rows } of the imported file
+let batchResults = []; // calculateBatch() result for batchImport
+let batchMapping = JSON.parse(localStorage.getItem('batchMapping') || '{}');
+let tariffProfiles = [];
+let todWindows = [];
+let todOperatingHours = [];
+let lastCalculation = null; // { values, results } of the latest valid calculation
+let lastCableSizing = null; // sizeCable() result for the latest calculation
+let savedResultUnits = JSON.parse(localStorage.getItem('resultUnits') || '{}');
+let displaySettings = createDisplaySettings(JSON.parse(localStorage.getItem('displaySettings') || '{}'));
+let appliancePresets = [];
+let plausibilityOverrides = JSON.parse(localStorage.getItem('plausibilityLimits') || '{}'); // {context: {field: {min, max}}}
+let derivedFields = new Set(); // entered values the solver derives instead, see checkConsistency
+let openExplanations = new Set(JSON.parse(localStorage.getItem('openExplanations') || '[]')); // result keys with their working shown
+let urlStateReady = false; // the address is only rewritten once its own state has been read
+
+// Result keys from calculateAll mapped to the element that displays them
+const RESULT_DISPLAYS = {
+    calculatedPower: 'powerResult',
+    apparentPower: 'apparentPowerResult',
+    reactivePower: 'reactivePowerResult',
+    powerFactor: 'powerFactorResult',
+    calculatedCurrent: 'currentResult',
+    calculatedVoltage: 'voltageResult',
+    calculatedResistance: 'resistanceResult',
+    energy: 'energyResult',
+    cost: 'costResult'
+};
+
+// Quantity of each result that can be shown in another unit
+const RESULT_QUANTITIES = {
+    calculatedPower: 'power',
+    apparentPower: 'apparentPower',
+    reactivePower: 'reactivePower',
+    calculatedCurrent: 'current',
+    calculatedVoltage: 'voltage',
+    calculatedResistance: 'resistance',
+    energy: 'energy'
+};
+
+const CHART_COLORS = ['#2196F3', '#FF9800', '#4CAF50', '#9C27B0', '#F44336', '#00BCD4', '#FFC107', '#795548', '#E91E63', '#607D8B'];
+// Cost series skip the energy and power colours
+const COST_CHART_COLORS = CHART_COLORS.filter((color, index) => index !== 0 && index !== 2);
+
+const PF_SOURCE_LABELS = {
+    [PF_SOURCES.INPUT]: 'entered',
+    [PF_SOURCES.ANGLE]: 'from φ',
+    [PF_SOURCES.SOLVED]: 'solved from V, I, P',
+    [PF_SOURCES.UNITY]: 'unity assumed'
+};
 
 // ===== DOM ELEMENTS =====
 const elements = {
     // Input fields
+    phase: document.getElementById('phase'),
+    voltageReference: document.getElementById('voltageReference'),
     voltage: document.getElementById('voltage'),
     current: document.getElementById('current'),
     power: document.getElementById('power'),
+    resistance: document.getElementById('resistance'),
+    powerFactor: document.getElementById('powerFactor'),
+    phaseAngle: document.getElementById('phaseAngle'),
     time: document.getElementById('time'),
     tariff: document.getElementById('tariff'),
+    tariffProfile: document.getElementById('tariffProfile'),
     
     // Result displays
     powerResult: document.getElementById('powerResult'),
+    apparentPowerResult: document.getElementById('apparentPowerResult'),
+    reactivePowerResult: document.getElementById('reactivePowerResult'),
+    powerFactorResult: document.getElementById('powerFactorResult'),
+    powerFactorDetail: document.getElementById('powerFactorDetail'),
     currentResult: document.getElementById('currentResult'),
     voltageResult: document.getElementById('voltageResult'),
+    resistanceResult: document.getElementById('resistanceResult'),
     energyResult: document.getElementById('energyResult'),
     costResult: document.getElementById('costResult'),
+    billBreakdown: document.getElementById('billBreakdown'),
+    
+    // Formula displays
+    powerFormula: document.getElementById('powerFormula'),
+    currentFormula: document.getElementById('currentFormula'),
+    voltageFormula: document.getElementById('voltageFormula'),
+    resistanceFormula: document.getElementById('resistanceFormula'),
+    apparentPowerFormula: document.getElementById('apparentPowerFormula'),
+    reactivePowerFormula: document.getElementById('reactivePowerFormula'),
+    powerFactorFormula: document.getElementById('powerFactorFormula'),
+    costFormula: document.getElementById('costFormula'),
+    
+    // Cable sizing
+    cableLength: document.getElementById('cableLength'),
+    cableMaterial: document.getElementById('cableMaterial'),
+    installationMethod: document.getElementById('installationMethod'),
+    maxVoltageDrop: document.getElementById('maxVoltageDrop'),
+    cableNote: document.getElementById('cableNote'),
+    cableSizeResult: document.getElementById('cableSizeResult'),
+    cableLimitResult: document.getElementById('cableLimitResult'),
+    cableAmpacityResult: document.getElementById('cableAmpacityResult'),
+    cableDesignCurrent: document.getElementById('cableDesignCurrent'),
+    voltageDropResult: document.getElementById('voltageDropResult'),
+    voltageDropFormula: document.getElementById('voltageDropFormula'),
+    voltageDropPercentResult: document.getElementById('voltageDropPercentResult'),
+    
+    // Circuit protection
+    loadType: document.getElementById('loadType'),
+    protectionDevice: document.getElementById('protectionDevice'),
+    protectedCable: document.getElementById('protectedCable'),
+    protectionNote: document.getElementById('protectionNote'),
+    breakerRatingResult: document.getElementById('breakerRatingResult'),
+    breakerTypeResult: document.getElementById('breakerTypeResult'),
+    requiredRatingResult: document.getElementById('requiredRatingResult'),
+    requiredRatingFormula: document.getElementById('requiredRatingFormula'),
+    cableProtectionResult: document.getElementById('cableProtectionResult'),
+    cableProtectionFormula: document.getElementById('cableProtectionFormula'),
+    cableProtectionDetail: document.getElementById('cableProtectionDetail'),
+    protectionReasoning: document.getElementById('protectionReasoning'),
+    
+    // Load schedule
+    loadScheduleBody: document.getElementById('loadScheduleBody'),
+    loadScheduleEmpty: document.getElementById('loadScheduleEmpty'),
+    scheduleConnectedLoad: document.getElementById('scheduleConnectedLoad'),
+    scheduleMonthlyEnergy: document.getElementById('scheduleMonthlyEnergy'),
+    scheduleMonthlyCost: document.getElementById('scheduleMonthlyCost'),
+    addLoadRow: document.getElementById('addLoadRow'),
+    addCalculationToSchedule: document.getElementById('addCalculationToSchedule'),
+    clearSchedule: document.getElementById('clearSchedule'),
+    
+    // Batch import
+    importBatch: document.getElementById('importBatch'),
+    batchFile: document.getElementById('batchFile'),
+    batchNote: document.getElementById('batchNote'),
+    batchMapping: document.getElementById('batchMapping'),
+    batchMappingBody: document.getElementById('batchMappingBody'),
+    batchResults: document.getElementById('batchResults'),
+    batchResultsBody: document.getElementById('batchResultsBody'),
+    exportBatchCSV: document.getElementById('exportBatchCSV'),
+    exportBatchJSON: document.getElementById('exportBatchJSON'),
+    clearBatch: document.getElementById('clearBatch'),
+    
+    // Tariff profiles
+    editTariffProfile: document.getElementById('editTariffProfile'),
+    tariffName: document.getElementById('tariffName'),
+    tariffBillingType: document.getElementById('tariffBillingType'),
+    tariffFixedCharge: document.getElementById('tariffFixedCharge'),
+    tariffDemandCharge: document.getElementById('tariffDemandCharge'),
+    tariffFuelSurcharge: document.getElementById('tariffFuelSurcharge'),
+    tariffDuty: document.getElementById('tariffDuty'),
+    tariffTax: document.getElementById('tariffTax'),
+    tariffSlabsBody: document.getElementById('tariffSlabsBody'),
+    addTariffSlab: document.getElementById('addTariffSlab'),
+    saveTariffProfile: document.getElementById('saveTariffProfile'),
+    newTariffProfile: document.getElementById('newTariffProfile'),
+    deleteTariffProfile: document.getElementById('deleteTariffProfile'),
+    
+    // Time-of-day tariff
+    todPower: document.getElementById('todPower'),
+    todDays: document.getElementById('todDays'),
+    todHours: document.getElementById('todHours'),
+    todWindowsBody: document.getElementById('todWindowsBody'),
+    addTodWindow: document.getElementById('addTodWindow'),
+    resetTodWindows: document.getElementById('resetTodWindows'),
+    todNote: document.getElementById('todNote'),
+    todCostResult: document.getElementById('todCostResult'),
+    todRateDetail: document.getElementById('todRateDetail'),
+    todShiftedCostResult: document.getElementById('todShiftedCostResult'),
+    todShiftedDetail: document.getElementById('todShiftedDetail'),
+    todSavingsResult: document.getElementById('todSavingsResult'),
+    todWindowBreakdown: document.getElementById('todWindowBreakdown'),
+    solarSunHours: document.getElementById('solarSunHours'),
+    solarPanelWattage: document.getElementById('solarPanelWattage'),
+    solarLosses: document.getElementById('solarLosses'),
+    solarInverterEfficiency: document.getElementById('solarInverterEfficiency'),
+    solarCostPerKwp: document.getElementById('solarCostPerKwp'),
+    solarNote: document.getElementById('solarNote'),
+    solarArrayResult: document.getElementById('solarArrayResult'),
+    solarArrayFormula: document.getElementById('solarArrayFormula'),
+    solarPanelsResult: document.getElementById('solarPanelsResult'),
+    solarPanelsDetail: document.getElementById('solarPanelsDetail'),
+    solarGenerationResult: document.getElementById('solarGenerationResult'),
+    solarGenerationDetail: document.getElementById('solarGenerationDetail'),
+    solarSavingResult: document.getElementById('solarSavingResult'),
+    solarSavingDetail: document.getElementById('solarSavingDetail'),
+    solarPaybackResult: document.getElementById('solarPaybackResult'),
+    solarPaybackDetail: document.getElementById('solarPaybackDetail'),
+    backupChemistry: document.getElementById('backupChemistry'),
+    backupBankVoltage: document.getElementById('backupBankVoltage'),
+    backupUnitVoltage: document.getElementById('backupUnitVoltage'),
+    backupUnitCapacity: document.getElementById('backupUnitCapacity'),
+    backupDepthOfDischarge: document.getElementById('backupDepthOfDischarge'),
+    backupInverterEfficiency: document.getElementById('backupInverterEfficiency'),
+    backupNote: document.getElementById('backupNote'),
+    backupCapacityResult: document.getElementById('backupCapacityResult'),
+    backupCapacityDetail: document.getElementById('backupCapacityDetail'),
+    backupBatteriesResult: document.getElementById('backupBatteriesResult'),
+    backupBankDetail: document.getElementById('backupBankDetail'),
+    backupInverterResult: document.getElementById('backupInverterResult'),
+    backupInverterDetail: document.getElementById('backupInverterDetail'),
+    backupRuntimeResult: document.getElementById('backupRuntimeResult'),
+    backupRuntimeDetail: document.getElementById('backupRuntimeDetail'),
+    backupReasoning: document.getElementById('backupReasoning'),
+    motorRating: document.getElementById('motorRating'),
+    motorRatingUnit: document.getElementById('motorRatingUnit'),
+    motorVoltage: document.getElementById('motorVoltage'),
+    motorEfficiency: document.getElementById('motorEfficiency'),
+    motorPowerFactor: document.getElementById('motorPowerFactor'),
+    motorStartingMethod: document.getElementById('motorStartingMethod'),
+    motorHours: document.getElementById('motorHours'),
+    motorNote: document.getElementById('motorNote'),
+    motorCurrentResult: document.getElementById('motorCurrentResult'),
+    motorCurrentFormula: document.getElementById('motorCurrentFormula'),
+    motorInputResult: document.getElementById('motorInputResult'),
+    motorInputDetail: document.getElementById('motorInputDetail'),
+    motorStartingResult: document.getElementById('motorStartingResult'),
+    motorStartingDetail: document.getElementById('motorStartingDetail'),
+    motorCostResult: document.getElementById('motorCostResult'),
+    motorCostDetail: document.getElementById('motorCostDetail'),
+    motorStartingBreakdown: document.getElementById('motorStartingBreakdown'),
+    transformerLoad: document.getElementById('transformerLoad'),
+    transformerPrimary: document.getElementById('transformerPrimary'),
+    transformerSecondary: document.getElementById('transformerSecondary'),
+    transformerDiversity: document.getElementById('transformerDiversity'),
+    transformerGrowth: document.getElementById('transformerGrowth'),
+    transformerHours: document.getElementById('transformerHours'),
+    transformerIronLoss: document.getElementById('transformerIronLoss'),
+    transformerCopperLoss: document.getElementById('transformerCopperLoss'),
+    transformerNote: document.getElementById('transformerNote'),
+    transformerRatingResult: document.getElementById('transformerRatingResult'),
+    transformerRatingDetail: document.getElementById('transformerRatingDetail'),
+    transformerPrimaryResult: document.getElementById('transformerPrimaryResult'),
+    transformerPrimaryFormula: document.getElementById('transformerPrimaryFormula'),
+    transformerSecondaryResult: document.getElementById('transformerSecondaryResult'),
+    transformerSecondaryFormula: document.getElementById('transformerSecondaryFormula'),
+    transformerLossResult: document.getElementById('transformerLossResult'),
+    transformerLossDetail: document.getElementById('transformerLossDetail'),
+    transformerEfficiencyResult: document.getElementById('transformerEfficiencyResult'),
+    transformerEfficiencyDetail: document.getElementById('transformerEfficiencyDetail'),
+    transformerLossCostResult: document.getElementById('transformerLossCostResult'),
+    transformerLossCostDetail: document.getElementById('transformerLossCostDetail'),
+    transformerEfficiencyBreakdown: document.getElementById('transformerEfficiencyBreakdown'),
+    
+    // Chart
+    chartTabs: document.getElementById('chartTabs'),
+    projectionOptions: document.getElementById('projectionOptions'),
+    projectionPeriod: document.getElementById('projectionPeriod'),
+    chartCaption: document.getElementById('chartCaption'),
     
     // Buttons
     themeToggle: document.getElementById('themeToggle'),
     resetBtn: document.getElementById('resetBtn'),
+    shareLink: document.getElementById('shareLink'),
     downloadChart: document.getElementById('downloadChart'),
-    exportCSV: document.getElementById('exportCSV'),
+    openExport: document.getElementById('openExport'),
+    exportDialog: document.getElementById('exportDialog'),
+    openSettings: document.getElementById('openSettings'),
+    settingsDialog: document.getElementById('settingsDialog'),
+    settingsForm: document.getElementById('settingsForm'),
+    settingsCurrency: document.getElementById('settingsCurrency'),
+    settingsTariff: document.getElementById('settingsTariff'),
+    settingsLocale: document.getElementById('settingsLocale'),
+    settingsStyle: document.getElementById('settingsStyle'),
+    settingsPreview: document.getElementById('settingsPreview'),
+    exportForm: document.getElementById('exportForm'),
+    exportScope: document.getElementById('exportScope'),
+    exportFormat: document.getElementById('exportFormat'),
+    consistencyNote: document.getElementById('consistencyNote'),
+    installationContext: document.getElementById('installationContext'),
+    editLimits: document.getElementById('editLimits'),
+    limitsDialog: document.getElementById('limitsDialog'),
+    limitsDialogTitle: document.getElementById('limitsDialogTitle'),
+    limitsForm: document.getElementById('limitsForm'),
+    limitsBody: document.getElementById('limitsBody'),
+    resetLimits: document.getElementById('resetLimits'),
+    appliancePreset: document.getElementById('appliancePreset'),
+    presetNote: document.getElementById('presetNote'),
+    presetsBody: document.getElementById('presetsBody'),
+    presetsEmpty: document.getElementById('presetsEmpty'),
+    addPreset: document.getElementById('addPreset'),
+    importPresets: document.getElementById('importPresets'),
+    presetsFile: document.getElementById('presetsFile'),
+    exportPresets: document.getElementById('exportPresets'),
+    restorePresets: document.getElementById('restorePresets'),
+    reportProjectName: document.getElementById('reportProjectName'),
+    printReport: document.getElementById('printReport'),
+    report: document.getElementById('report'),
     
-    // Sections
+    // Calculation history
     recentCalculations: document.getElementById('recentCalculations'),
+    saveCalculationForm: document.getElementById('saveCalculationForm'),
+    calculationName: document.getElementById('calculationName'),
+    calculationTags: document.getElementById('calculationTags'),
+    calculationNotes: document.getElementById('calculationNotes'),
+    historySearch: document.getElementById('historySearch'),
+    historyTag: document.getElementById('historyTag'),
+    historyFrom: document.getElementById('historyFrom'),
+    historyTo: document.getElementById('historyTo'),
+    historyNote: document.getElementById('historyNote'),
+    clearHistory: document.getElementById('clearHistory'),
     
-    // Unit toggle buttons
-    voltageUnits: document.querySelectorAll('[data-unit="V"], [data-unit="kV"]'),
-    currentUnits: document.querySelectorAll('[data-unit="A"], [data-unit="mA"]'),
-    powerUnits: document.querySelectorAll('[data-unit="W"], [data-unit="kW"]'),
-    timeUnits: document.querySelectorAll('[data-unit="h"], [data-unit="min"]')
 };
 
 // ===== INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
     setupEventListeners();
-    loadRecentCalculations();
+    loadHistory();
     initializeChart();
+    initializeTodChart();
+    loadLoadSchedule();
+    loadTimeOfDay();
+    loadUrlState();
 });
 
 function initializeApp() {
@@ -66,14 +420,19 @@ function initializeApp() {
     const savedTheme = localStorage.getItem('theme') || 'light';
     setTheme(savedTheme);
     
-    // Load recent calculations from localStorage
-    const saved = localStorage.getItem('recentCalculations');
-    if (saved) {
-        recentCalculations = JSON.parse(saved);
-    }
-    
     // Set default values
-    elements.tariff.value = '8.5'; // Default Indian tariff
+    applyDisplaySettings();
+    elements.tariff.value = String(getDefaultTariff(displaySettings));
+    elements.reportProjectName.value = localStorage.getItem('reportProjectName') || '';
+    loadTariffProfiles();
+    populateInstallationMethods();
+    populateProtectedCables();
+    populateBackupOptions();
+    populateStartingMethods();
+    loadInstallationContexts();
+    loadAppliancePresets();
+    updatePhaseMode();
+    renderExplanations();
 }
 
 function setupEventListeners() {
@@ -81,14 +440,160 @@ function setupEventListeners() {
     elements.voltage.addEventListener('input', debounce(performCalculations, 300));
     elements.current.addEventListener('input', debounce(performCalculations, 300));
     elements.power.addEventListener('input', debounce(performCalculations, 300));
+    elements.resistance.addEventListener('input', debounce(performCalculations, 300));
+    elements.powerFactor.addEventListener('input', debounce(performCalculations, 300));
+    elements.phaseAngle.addEventListener('input', debounce(performCalculations, 300));
     elements.time.addEventListener('input', debounce(performCalculations, 300));
     elements.tariff.addEventListener('input', debounce(performCalculations, 300));
+    elements.tariff.addEventListener('input', debounce(updateLoadScheduleTotals, 300));
+    
+    // Supply mode listeners
+    elements.phase.addEventListener('change', handlePhaseModeChange);
+    elements.voltageReference.addEventListener('change', handlePhaseModeChange);
+    
+    // Cable sizing listeners
+    elements.cableLength.addEventListener('input', debounce(updateCableSizing, 300));
+    elements.maxVoltageDrop.addEventListener('input', debounce(updateCableSizing, 300));
+    elements.cableMaterial.addEventListener('change', updateCableSizing);
+    elements.installationMethod.addEventListener('change', updateCableSizing);
+    
+    // Circuit protection listeners
+    // The device rating sets the smallest cable it protects, so both are resized
+    elements.loadType.addEventListener('change', updateCableSizing);
+    elements.protectionDevice.addEventListener('change', updateCableSizing);
+    elements.protectedCable.addEventListener('change', updateProtection);
+    
+    // Load schedule listeners
+    elements.loadScheduleBody.addEventListener('input', handleLoadScheduleInput);
+    elements.loadScheduleBody.addEventListener('click', handleLoadScheduleClick);
+    elements.addLoadRow.addEventListener('click', () => addLoadRow());
+    elements.addCalculationToSchedule.addEventListener('click', addCalculationToSchedule);
+    elements.clearSchedule.addEventListener('click', clearLoadSchedule);
+    
+    // Batch import listeners
+    elements.importBatch.addEventListener('click', () => elements.batchFile.click());
+    elements.batchFile.addEventListener('change', importBatchFile);
+    elements.batchMappingBody.addEventListener('change', handleBatchMappingChange);
+    elements.exportBatchCSV.addEventListener('click', () => exportBatch('csv'));
+    elements.exportBatchJSON.addEventListener('click', () => exportBatch('json'));
+    elements.clearBatch.addEventListener('click', clearBatch);
+    elements.tariff.addEventListener('input', debounce(updateBatch, 300));
+    
+    // Tariff profile listeners
+    elements.tariffProfile.addEventListener('change', handleTariffProfileChange);
+    elements.editTariffProfile.addEventListener('change', () => renderTariffEditor(getEditedTariffProfile()));
+    elements.tariffSlabsBody.addEventListener('click', handleTariffSlabClick);
+    elements.addTariffSlab.addEventListener('click', () => appendTariffSlab({ upTo: null, rate: '' }));
+    elements.saveTariffProfile.addEventListener('click', saveEditedTariffProfile);
+    elements.newTariffProfile.addEventListener('click', newTariffProfile);
+    elements.deleteTariffProfile.addEventListener('click', deleteTariffProfile);
+    
+    // Time-of-day tariff listeners
+    elements.todPower.addEventListener('input', debounce(updateTimeOfDay, 300));
+    elements.todDays.addEventListener('input', debounce(updateTimeOfDay, 300));
+    elements.tariff.addEventListener('input', debounce(updateTimeOfDay, 300));
+    elements.todHours.addEventListener('click', handleTodHourClick);
+    elements.todWindowsBody.addEventListener('input', handleTodWindowInput);
+    elements.todWindowsBody.addEventListener('click', handleTodWindowClick);
+    elements.addTodWindow.addEventListener('click', () => addTodWindow());
+    elements.resetTodWindows.addEventListener('click', resetTodWindows);
+    
+    // Solar sizing listeners
+    [elements.solarSunHours, elements.solarPanelWattage, elements.solarLosses, elements.solarInverterEfficiency, elements.solarCostPerKwp].forEach(input => {
+        input.addEventListener('input', debounce(updateSolarSizing, 300));
+    });
+    
+    // Battery backup listeners
+    elements.backupChemistry.addEventListener('change', handleBackupChemistryChange);
+    elements.backupBankVoltage.addEventListener('change', updateBackupSizing);
+    [elements.backupUnitVoltage, elements.backupUnitCapacity, elements.backupDepthOfDischarge, elements.backupInverterEfficiency].forEach(input => {
+        input.addEventListener('input', debounce(updateBackupSizing, 300));
+    });
+    
+    // Motor listeners
+    [elements.motorRating, elements.motorVoltage, elements.motorEfficiency, elements.motorPowerFactor, elements.motorHours].forEach(input => {
+        input.addEventListener('input', debounce(updateMotor, 300));
+    });
+    elements.motorRatingUnit.addEventListener('change', updateMotor);
+    elements.motorStartingMethod.addEventListener('change', updateMotor);
+    
+    // Transformer listeners
+    [elements.transformerLoad, elements.transformerPrimary, elements.transformerSecondary, elements.transformerDiversity, elements.transformerGrowth,
+        elements.transformerHours, elements.transformerIronLoss, elements.transformerCopperLoss].forEach(input => {
+        input.addEventListener('input', debounce(updateTransformer, 300));
+    });
+    
+    // Chart listeners
+    elements.chartTabs.addEventListener('click', handleChartTabClick);
+    elements.projectionPeriod.addEventListener('change', updateChart);
+    
+    // Calculation history listeners
+    elements.saveCalculationForm.addEventListener('submit', saveCalculation);
+    elements.historySearch.addEventListener('input', debounce(renderHistory, 300));
+    elements.historyTag.addEventListener('change', renderHistory);
+    elements.historyFrom.addEventListener('change', renderHistory);
+    elements.historyTo.addEventListener('change', renderHistory);
+    elements.recentCalculations.addEventListener('click', handleHistoryClick);
+    elements.recentCalculations.addEventListener('keydown', handleHistoryKeydown);
+    elements.clearHistory.addEventListener('click', clearHistory);
     
     // Button listeners
     elements.themeToggle.addEventListener('click', toggleTheme);
     elements.resetBtn.addEventListener('click', resetAll);
+    elements.shareLink.addEventListener('click', copyShareLink);
+    window.addEventListener('hashchange', focusUrlShortcut);
     elements.downloadChart.addEventListener('click', downloadChartAsImage);
-    elements.exportCSV.addEventListener('click', exportToCSV);
+    // Editing a value that was set aside as derived puts it back into use
+    DERIVABLE_FIELDS.forEach(field => {
+        const inputs = field === 'powerFactor' ? [elements.powerFactor, elements.phaseAngle] : [elements[field]];
+        inputs.forEach(input => input.addEventListener('input', () => derivedFields.delete(field)));
+    });
+    elements.consistencyNote.addEventListener('click', handleConsistencyAction);
+    elements.installationContext.addEventListener('change', () => {
+        localStorage.setItem('installationContext', elements.installationContext.value);
+        performCalculations();
+    });
+    elements.editLimits.addEventListener('click', openLimitsDialog);
+    elements.limitsForm.addEventListener('submit', handleLimitsSubmit);
+    elements.resetLimits.addEventListener('click', resetLimits);
+    elements.openSettings.addEventListener('click', openSettingsDialog);
+    elements.settingsForm.addEventListener('submit', handleSettingsSubmit);
+    elements.settingsCurrency.addEventListener('change', () => {
+        elements.settingsTariff.value = getDefaultTariff(displaySettings, elements.settingsCurrency.value);
+        updateSettingsPreview();
+    });
+    [elements.settingsLocale, elements.settingsStyle].forEach(select => select.addEventListener('change', updateSettingsPreview));
+    elements.appliancePreset.addEventListener('change', () => {
+        const preset = findAppliancePreset(elements.appliancePreset.value);
+        if (preset) applyAppliancePreset(preset);
+    });
+    // Typing over a filled value means the preset no longer describes the load
+    [elements.power, elements.powerFactor, elements.phaseAngle, elements.time].forEach(input => {
+        input.addEventListener('input', () => { elements.appliancePreset.value = ''; });
+    });
+    elements.presetsBody.addEventListener('input', handlePresetInput);
+    elements.presetsBody.addEventListener('change', renderAppliancePresetOptions);
+    elements.presetsBody.addEventListener('click', handlePresetClick);
+    elements.addPreset.addEventListener('click', addAppliancePreset);
+    elements.importPresets.addEventListener('click', () => elements.presetsFile.click());
+    elements.presetsFile.addEventListener('change', importAppliancePresets);
+    elements.exportPresets.addEventListener('click', exportAppliancePresets);
+    elements.restorePresets.addEventListener('click', restoreAppliancePresets);
+    
+    document.querySelectorAll('.explain-toggle').forEach(button => {
+        button.addEventListener('click', () => toggleExplanation(button.dataset.explain));
+    });
+    document.querySelectorAll('.explain-panel').forEach(panel => {
+        panel.addEventListener('click', (event) => {
+            const button = event.target.closest('.explain-copy');
+            if (button) copyExplanation(panel.dataset.explainPanel, button);
+        });
+    });
+    elements.openExport.addEventListener('click', openExportDialog);
+    elements.exportForm.addEventListener('submit', handleExportSubmit);
+    elements.printReport.addEventListener('click', printReport);
+    elements.reportProjectName.addEventListener('change', () => localStorage.setItem('reportProjectName', elements.reportProjectName.value));
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-report'));
     
     // Unit toggle listeners
     setupUnitToggles();
@@ -118,109 +623,118 @@ function setTheme(theme) {
     }
 }
 
+// ===== SUPPLY PHASE MODE =====
+function handlePhaseModeChange() {
+    updatePhaseMode();
+    performCalculations();
+    updateBatch();
+}
+
+function updatePhaseMode() {
+    const isThreePhase = elements.phase.value === PHASES.THREE;
+    elements.voltageReference.disabled = !isThreePhase;
+    elements.voltage.placeholder = isThreePhase ? 'e.g., 415' : 'e.g., 230';
+    
+    const formulas = getFormulas(elements.phase.value, elements.voltageReference.value);
+    elements.powerFormula.textContent = formulas.power;
+    elements.currentFormula.textContent = formulas.current;
+    elements.voltageFormula.textContent = formulas.voltage;
+    elements.resistanceFormula.textContent = formulas.resistance;
+    elements.apparentPowerFormula.textContent = formulas.apparentPower;
+    elements.reactivePowerFormula.textContent = formulas.reactivePower;
+    elements.powerFactorFormula.textContent = formulas.powerFactor;
+}
+
 // ===== UNIT CONVERSION SYSTEM =====
+// Units come from the registry in js/units.js. Each input remembers its
+// unit and the SI value last entered, so switching units re-displays the
+// same quantity without rounding drift.
 function setupUnitToggles() {
-    // Voltage units
-    elements.voltageUnits.forEach(btn => {
-        btn.addEventListener('click', () => {
-            toggleUnitButtons(elements.voltageUnits, btn);
-            convertVoltageUnits();
+    document.querySelectorAll('.unit-toggle[data-quantity]').forEach(toggle => {
+        const input = elements[toggle.dataset.input];
+        input.dataset.quantity = toggle.dataset.quantity;
+        
+        toggle.innerHTML = getUnits(toggle.dataset.quantity)
+            .map(unit => `<button type="button" class="unit-btn" data-unit="${unit}">${unit}</button>`)
+            .join('');
+        setInputUnit(input, INPUT_UNITS[toggle.dataset.input]);
+        
+        toggle.addEventListener('click', (event) => {
+            const button = event.target.closest('.unit-btn');
+            if (!button) return;
+            setInputUnit(input, button.dataset.unit);
+            performCalculations();
         });
     });
     
-    // Current units
-    elements.currentUnits.forEach(btn => {
-        btn.addEventListener('click', () => {
-            toggleUnitButtons(elements.currentUnits, btn);
-            convertCurrentUnits();
+    document.querySelectorAll('.result-unit-select[data-result]').forEach(select => {
+        const key = select.dataset.result;
+        const saved = savedResultUnits[key];
+        
+        select.innerHTML = getUnits(select.dataset.quantity)
+            .map(unit => `<option value="${unit}">${unit}</option>`)
+            .join('');
+        select.value = isUnitOf(select.dataset.quantity, saved) ? saved : RESULT_UNITS[key];
+        
+        select.addEventListener('change', () => {
+            savedResultUnits[key] = select.value;
+            localStorage.setItem('resultUnits', JSON.stringify(savedResultUnits));
+            if (lastCalculation) displayResults(lastCalculation.results);
         });
     });
+}
+
+// Switches an input to a unit, re-displaying its SI value in that unit
+function setInputUnit(input, unit) {
+    const siValue = getInputSIValue(input);
+    input.dataset.unit = unit;
     
-    // Power units
-    elements.powerUnits.forEach(btn => {
-        btn.addEventListener('click', () => {
-            toggleUnitButtons(elements.powerUnits, btn);
-            convertPowerUnits();
-        });
-    });
+    if (input.value !== '') {
+        const shown = String(Number(fromSI(siValue, unit, input.dataset.quantity).toPrecision(12)));
+        input.value = shown;
+        input.dataset.siValue = String(siValue);
+        input.dataset.shownValue = shown;
+    }
     
-    // Time units
-    elements.timeUnits.forEach(btn => {
-        btn.addEventListener('click', () => {
-            toggleUnitButtons(elements.timeUnits, btn);
-            convertTimeUnits();
-        });
+    const toggle = input.parentElement.querySelector('.unit-toggle');
+    toggle.querySelectorAll('.unit-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.unit === unit);
     });
 }
 
-function toggleUnitButtons(buttons, activeButton) {
-    buttons.forEach(btn => btn.classList.remove('active'));
-    activeButton.classList.add('active');
+// Puts a value into an input as entered in the given unit
+function setInputValue(input, value, unit = input.dataset.unit) {
+    delete input.dataset.siValue;
+    delete input.dataset.shownValue;
+    input.value = '';
+    setInputUnit(input, unit);
+    input.value = value;
 }
 
-function convertVoltageUnits() {
-    const value = parseFloat(elements.voltage.value);
-    if (isNaN(value)) return;
-    
-    const activeUnit = document.querySelector('[data-unit="V"], [data-unit="kV"]').textContent;
-    if (activeUnit === 'kV' && elements.voltage.dataset.originalUnit !== 'kV') {
-        elements.voltage.value = (value * 1000).toFixed(2);
-        elements.voltage.dataset.originalUnit = 'kV';
-    } else if (activeUnit === 'V' && elements.voltage.dataset.originalUnit === 'kV') {
-        elements.voltage.value = (value / 1000).toFixed(2);
-        elements.voltage.dataset.originalUnit = 'V';
+function getInputSIValue(input) {
+    // Keep the stored SI value while the user hasn't edited the converted text
+    if (input.dataset.siValue !== undefined && input.dataset.shownValue === input.value) {
+        return Number(input.dataset.siValue);
     }
-    performCalculations();
-}
-
-function convertCurrentUnits() {
-    const value = parseFloat(elements.current.value);
-    if (isNaN(value)) return;
     
-    const activeUnit = document.querySelector('[data-unit="A"], [data-unit="mA"]').textContent;
-    if (activeUnit === 'mA' && elements.current.dataset.originalUnit !== 'mA') {
-        elements.current.value = (value * 1000).toFixed(2);
-        elements.current.dataset.originalUnit = 'mA';
-    } else if (activeUnit === 'A' && elements.current.dataset.originalUnit === 'mA') {
-        elements.current.value = (value / 1000).toFixed(2);
-        elements.current.dataset.originalUnit = 'A';
-    }
-    performCalculations();
+    const value = parseFloat(input.value);
+    return isNaN(value) || !input.dataset.unit ? 0 : toSI(value, input.dataset.unit, input.dataset.quantity);
 }
 
-function convertPowerUnits() {
-    const value = parseFloat(elements.power.value);
-    if (isNaN(value)) return;
-    
-    const activeUnit = document.querySelector('[data-unit="W"], [data-unit="kW"]').textContent;
-    if (activeUnit === 'kW' && elements.power.dataset.originalUnit !== 'kW') {
-        elements.power.value = (value * 1000).toFixed(2);
-        elements.power.dataset.originalUnit = 'kW';
-    } else if (activeUnit === 'W' && elements.power.dataset.originalUnit === 'kW') {
-        elements.power.value = (value / 1000).toFixed(2);
-        elements.power.dataset.originalUnit = 'W';
-    }
-    performCalculations();
+// Reads an input in the unit the calculation engine expects
+function getInputValueInEngineUnit(name) {
+    const input = elements[name];
+    return fromSI(getInputSIValue(input), INPUT_UNITS[name], input.dataset.quantity);
 }
 
-function convertTimeUnits() {
-    const value = parseFloat(elements.time.value);
-    if (isNaN(value)) return;
-    
-    const activeUnit = document.querySelector('[data-unit="h"], [data-unit="min"]').textContent;
-    if (activeUnit === 'min' && elements.time.dataset.originalUnit !== 'min') {
-        elements.time.value = (value * 60).toFixed(2);
-        elements.time.dataset.originalUnit = 'min';
-    } else if (activeUnit === 'h' && elements.time.dataset.originalUnit === 'min') {
-        elements.time.value = (value / 60).toFixed(2);
-        elements.time.dataset.originalUnit = 'h';
-    }
-    performCalculations();
+function getResultUnit(key) {
+    const select = document.querySelector(`.result-unit-select[data-result="${key}"]`);
+    return select ? select.value : RESULT_UNITS[key];
 }
 
 // ===== INPUT VALIDATION =====
 function setupInputValidation() {
-    const inputs = [elements.voltage, elements.current, elements.power, elements.time, elements.tariff];
+    const inputs = [elements.voltage, elements.current, elements.power, elements.resistance, elements.powerFactor, elements.phaseAngle, elements.time, elements.tariff];
     
     inputs.forEach(input => {
         input.addEventListener('blur', () => validateInput(input));
@@ -249,397 +763,2502 @@ function validateInput(input) {
 }
 
 // ===== ELECTRICAL CALCULATIONS =====
+// The formulas themselves live in js/calculator.js; this section only
+// moves values between the form and the engine.
 function performCalculations() {
     const values = getInputValues();
     
     if (!hasValidInputs(values)) {
         clearResults();
+        displayPlausibility(values);
         return;
     }
     
     const results = calculateAll(values);
+    lastCalculation = { values, results };
     displayResults(results);
-    updateChart(results);
-    saveCalculation(values, results);
+    displayConsistency(results.consistency, values);
+    displayPlausibility(values, results);
+    updateCableSizing();
+    updateTimeOfDay();
+    updateSolarSizing();
+    updateBackupSizing();
+    updateMotor();
+    updateTransformer();
+    updateChart();
+    updateUrlState();
 }
 
 function getInputValues() {
     return {
-        voltage: parseFloat(elements.voltage.value) || 0,
-        current: parseFloat(elements.current.value) || 0,
-        power: parseFloat(elements.power.value) || 0,
-        time: parseFloat(elements.time.value) || 0,
-        tariff: parseFloat(elements.tariff.value) || 0
+        voltage: getInputValueInEngineUnit('voltage'),
+        current: getInputValueInEngineUnit('current'),
+        power: getInputValueInEngineUnit('power'),
+        resistance: getInputValueInEngineUnit('resistance'),
+        powerFactor: parseFloat(elements.powerFactor.value) || 0,
+        phaseAngle: parseFloat(elements.phaseAngle.value) || 0,
+        time: getInputValueInEngineUnit('time'),
+        tariff: parseFloat(elements.tariff.value) || 0,
+        tariffProfile: getActiveTariffProfile(),
+        phase: elements.phase.value,
+        voltageReference: elements.voltageReference.value,
+        currency: displaySettings.currency,
+        derived: [...derivedFields]
     };
 }
 
-function hasValidInputs(values) {
-    // Need at least 2 values to perform calculations
-    const nonZeroValues = Object.values(values).filter(v => v > 0);
-    return nonZeroValues.length >= 2;
+function displayResults(results) {
+    Object.entries(RESULT_DISPLAYS).forEach(([key, elementName]) => {
+        const value = results[key];
+        const quantity = RESULT_QUANTITIES[key];
+        setResultValue(elements[elementName], quantity && value !== null
+            ? convert(value, RESULT_UNITS[key], getResultUnit(key), quantity)
+            : value);
+    });
+    
+    // Power factor detail: angle and where the value came from
+    elements.powerFactorDetail.textContent = `φ = ${results.phaseAngle.toFixed(1)}° · ${PF_SOURCE_LABELS[results.powerFactorSource]}`;
+    
+    displayBill(results.bill);
+    renderExplanations();
 }
 
-function calculateAll(values) {
-    const { voltage, current, power, time, tariff } = values;
-    const results = {};
-    
-    // Power calculation (P = V × I)
-    if (voltage > 0 && current > 0) {
-        results.calculatedPower = voltage * current;
-    } else if (power > 0) {
-        results.calculatedPower = power;
-    } else {
-        results.calculatedPower = null;
+function displayBill(bill) {
+    if (!bill) {
+        elements.costFormula.textContent = 'Cost = Energy × Tariff';
+        elements.billBreakdown.innerHTML = '';
+        return;
     }
     
-    // Current calculation (I = P / V)
-    if (power > 0 && voltage > 0) {
-        results.calculatedCurrent = power / voltage;
-    } else if (current > 0) {
-        results.calculatedCurrent = current;
+    // The profile bills a month at this usage; the cost is this energy's share of it
+    elements.costFormula.textContent = 'Cost = Monthly bill × Energy ÷ Monthly energy';
+    elements.billBreakdown.innerHTML = [...bill.lines, { label: `Monthly bill (${formatNumber(bill.energy)} kWh)`, amount: bill.total }]
+        .map(line => `<li><span>${escapeHtml(line.label)}</span><span>${formatMoneyAmount(line.amount)}</span></li>`)
+        .join('');
+}
+
+function setResultValue(element, value) {
+    if (value !== null && value !== undefined) {
+        element.textContent = formatNumber(value);
+        element.style.opacity = '1';
     } else {
-        results.calculatedCurrent = null;
+        element.textContent = '--';
+        element.style.opacity = '0.5';
     }
+}
+
+function clearResults() {
+    Object.values(RESULT_DISPLAYS).forEach(elementName => {
+        setResultValue(elements[elementName], null);
+    });
+    elements.powerFactorDetail.textContent = 'cos φ';
+    displayBill(null);
     
-    // Voltage calculation (V = P / I)
-    if (power > 0 && current > 0) {
-        results.calculatedVoltage = power / current;
-    } else if (voltage > 0) {
-        results.calculatedVoltage = voltage;
-    } else {
-        results.calculatedVoltage = null;
-    }
+    lastCalculation = null;
+    displayConsistency(null);
+    displayPlausibility(null);
+    renderExplanations();
+    updateCableSizing();
+    updateTimeOfDay();
+    updateSolarSizing();
+    updateBackupSizing();
+    updateMotor();
+    updateTransformer();
+    updateChart();
+    updateUrlState();
+}
+
+// ===== CONSISTENCY CHECK =====
+// When more of V, I, P and R are entered than the solver needs, say whether
+// they agree and let the user pick which value to derive from the others
+const DERIVABLE_LABELS = {
+    voltage: 'voltage',
+    current: 'current',
+    power: 'power',
+    resistance: 'resistance',
+    powerFactor: 'power factor'
+};
+
+// Shows an engine value in the unit its input is entered in
+function formatFieldValue(field, value) {
+    if (field === 'powerFactor') return formatWorkingNumber(value);
+    const input = elements[field];
+    return formatWithUnit(convert(value, INPUT_UNITS[field], input.dataset.unit, input.dataset.quantity), input.dataset.unit);
+}
+
+function formatDiscrepancy(discrepancy) {
+    return `${discrepancy > 0 ? '+' : discrepancy < 0 ? '−' : ''}${formatWorkingNumber(Math.abs(discrepancy))}%`;
+}
+
+function listFields(fields) {
+    const labels = fields.map(field => DERIVABLE_LABELS[field]);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels.at(-1)}` : labels[0];
+}
+
+// The power factor can come from either of its inputs
+function getFieldInput(field) {
+    if (field !== 'powerFactor') return elements[field];
+    return elements.powerFactor.value !== '' ? elements.powerFactor : elements.phaseAngle;
+}
+
+function displayConsistency(consistency, values) {
+    const note = elements.consistencyNote;
+    [...DERIVABLE_FIELDS.map(field => elements[field]), elements.phaseAngle].forEach(input => {
+        input.classList.remove('conflict', 'derived');
+    });
     
-    // Energy calculation (E = P × t)
-    const effectivePower = results.calculatedPower || power;
-    if (effectivePower > 0 && time > 0) {
-        results.energy = (effectivePower * time) / 1000; // Convert to kWh
-    } else {
-        results.energy = null;
+    const conflicts = consistency ? consistency.relations.filter(relation => !relation.consistent) : [];
+    const solved = consistency && consistency.powerFactorSolved && consistency.derived.length === 0;
+    if (!consistency || (conflicts.length === 0 && !solved && consistency.derived.length === 0)) {
+        note.hidden = true;
+        note.innerHTML = '';
+        return;
     }
     
-    // Cost calculation (Cost = Energy × Tariff)
-    if (results.energy && tariff > 0) {
-        results.cost = results.energy * tariff;
-    } else {
-        results.cost = null;
+    // Conflicting values show what deriving them would give
+    const deriveButtons = (fields, showValues) => `<div class="consistency-actions">${fields.map(field => {
+        const relation = showValues && consistency.relations.find(candidate => !candidate.consistent && candidate.expected[field]);
+        const value = relation ? ` (${escapeHtml(formatFieldValue(field, relation.expected[field]))})` : '';
+        return `<button type="button" class="btn btn-secondary" data-derive="${field}">Derive ${DERIVABLE_LABELS[field]}${value}</button>`;
+    }).join('')}</div>`;
+    
+    const parts = conflicts.map(({ formula, fields, discrepancy, expected }) => {
+        const [field] = fields;
+        return `<p>⚠️ The entered ${listFields(fields)} don't agree: ${escapeHtml(formula)} gives ${escapeHtml(formatFieldValue(field, expected[field]))} ` +
+            `for ${DERIVABLE_LABELS[field]}, but ${escapeHtml(formatFieldValue(field, values[field]))} was entered (${formatDiscrepancy(discrepancy)}).</p>`;
+    });
+    if (conflicts.length > 0) {
+        parts.push('<p>Choose which value to derive from the others:</p>', deriveButtons(consistency.conflictingFields, true));
+    } else if (solved) {
+        parts.push(`<p>Voltage, current and power are all entered, so the power factor was solved from them as ${formatWorkingNumber(lastCalculation.results.powerFactor)}. ` +
+            'To use an entered or unity power factor instead, derive one of them:</p>', deriveButtons(['voltage', 'current', 'power'], false));
     }
     
-    return results;
+    consistency.derived.forEach(({ field, entered, value, discrepancy }) => {
+        const label = DERIVABLE_LABELS[field];
+        const difference = discrepancy === null ? '' : ` (${formatDiscrepancy(discrepancy)})`;
+        parts.push(`<p>↻ ${label[0].toUpperCase()}${label.slice(1)} is derived as ${escapeHtml(value === null ? '--' : formatFieldValue(field, value))}; ` +
+            `the entered ${escapeHtml(formatFieldValue(field, entered))}${difference} is not used. ` +
+            `<button type="button" class="btn btn-secondary" data-restore="${field}">Use entered value</button></p>`);
+        getFieldInput(field).classList.add('derived');
+    });
+    
+    consistency.conflictingFields.forEach(field => getFieldInput(field).classList.add('conflict'));
+    note.classList.toggle('warning', conflicts.length > 0);
+    note.innerHTML = parts.join('');
+    note.hidden = false;
 }
 
-function displayResults(results) {
-    // Display power result
-    if (results.calculatedPower !== null) {
-        elements.powerResult.textContent = formatNumber(results.calculatedPower);
-        elements.powerResult.style.opacity = '1';
-    } else {
-        elements.powerResult.textContent = '--';
-        elements.powerResult.style.opacity = '0.5';
-    }
+function handleConsistencyAction(event) {
+    const button = event.target.closest('[data-derive], [data-restore]');
+    if (!button) return;
     
-    // Display current result
-    if (results.calculatedCurrent !== null) {
-        elements.currentResult.textContent = formatNumber(results.calculatedCurrent);
-        elements.currentResult.style.opacity = '1';
+    if (button.dataset.derive) {
+        derivedFields.add(button.dataset.derive);
     } else {
-        elements.currentResult.textContent = '--';
-        elements.currentResult.style.opacity = '0.5';
+        derivedFields.delete(button.dataset.restore);
     }
+    performCalculations();
+}
+
+// ===== PLAUSIBILITY WARNINGS =====
+// Values outside the typical range for the installation are flagged under
+// their input (js/plausibility.js); the calculation is never blocked
+function loadInstallationContexts() {
+    elements.installationContext.innerHTML = Object.values(CONTEXTS)
+        .map(context => `<option value="${context}">${CONTEXT_LABELS[context]}</option>`)
+        .join('');
+    elements.installationContext.value = localStorage.getItem('installationContext') || CONTEXTS.DOMESTIC;
     
-    // Display voltage result
-    if (results.calculatedVoltage !== null) {
-        elements.voltageResult.textContent = formatNumber(results.calculatedVoltage);
-        elements.voltageResult.style.opacity = '1';
-    } else {
-        elements.voltageResult.textContent = '--';
-        elements.voltageResult.style.opacity = '0.5';
-    }
+    PLAUSIBILITY_FIELDS.forEach(({ field }) => {
+        const warning = document.createElement('p');
+        warning.className = 'input-warning';
+        warning.dataset.warningFor = field;
+        warning.hidden = true;
+        elements[field].parentElement.appendChild(warning);
+    });
+}
+
+function displayPlausibility(values, results = null) {
+    const context = elements.installationContext.value;
+    const warnings = values
+        ? checkPlausibility(values, results, context, getLimits(context, plausibilityOverrides, values.currency), elements.time.dataset.unit)
+        : [];
     
-    // Display energy result
-    if (results.energy !== null) {
-        elements.energyResult.textContent = formatNumber(results.energy);
-        elements.energyResult.style.opacity = '1';
-    } else {
-        elements.energyResult.textContent = '--';
-        elements.energyResult.style.opacity = '0.5';
-    }
+    PLAUSIBILITY_FIELDS.forEach(({ field }) => {
+        const warning = warnings.find(candidate => candidate.field === field);
+        const note = document.querySelector(`.input-warning[data-warning-for="${field}"]`);
+        elements[field].classList.toggle('implausible', Boolean(warning && !warning.calculated));
+        note.textContent = warning ? `⚠️ ${warning.message}` : '';
+        note.hidden = !warning;
+    });
+}
+
+function openLimitsDialog() {
+    renderLimits();
+    elements.limitsDialog.showModal();
+}
+
+function renderLimits() {
+    const context = elements.installationContext.value;
+    const limits = getLimits(context, plausibilityOverrides, displaySettings.currency);
+    const cell = (field, label, bound) => `<td><input type="number" class="table-input" data-field="${field}" data-bound="${bound}" ` +
+        `value="${limits[field][bound] ?? ''}" step="any" min="0" aria-label="${label} ${bound === 'min' ? 'minimum' : 'maximum'}"></td>`;
     
-    // Display cost result
-    if (results.cost !== null) {
-        elements.costResult.textContent = formatNumber(results.cost);
-        elements.costResult.style.opacity = '1';
-    } else {
-        elements.costResult.textContent = '--';
-        elements.costResult.style.opacity = '0.5';
-    }
+    elements.limitsDialogTitle.textContent = `Typical Limits — ${CONTEXT_LABELS[context]}`;
+    elements.limitsBody.innerHTML = PLAUSIBILITY_FIELDS.map(({ field, label }) => {
+        const unit = INPUT_UNITS[field] ? ` (${withCurrency(INPUT_UNITS[field], displaySettings.currency)}${field === 'time' ? '/day' : ''})` : '';
+        return `
+            <tr>
+                <th scope="row">${label}${unit}${field === 'voltage' ? ' per phase' : ''}</th>
+                ${cell(field, label, 'min')}
+                ${cell(field, label, 'max')}
+            </tr>
+        `;
+    }).join('');
 }
 
-function clearResults() {
-    const resultElements = [elements.powerResult, elements.currentResult, elements.voltageResult, elements.energyResult, elements.costResult];
-    resultElements.forEach(element => {
-        element.textContent = '--';
-        element.style.opacity = '0.5';
+function handleLimitsSubmit(event) {
+    if (event.submitter && event.submitter.value === 'cancel') return;
+    
+    const limits = {};
+    elements.limitsBody.querySelectorAll('.table-input').forEach(input => {
+        const value = parseFloat(input.value);
+        limits[input.dataset.field] = { ...limits[input.dataset.field], [input.dataset.bound]: value >= 0 ? value : null };
     });
+    
+    plausibilityOverrides[elements.installationContext.value] = limits;
+    localStorage.setItem('plausibilityLimits', JSON.stringify(plausibilityOverrides));
+    performCalculations();
 }
 
-function formatNumber(num) {
-    if (num === null || isNaN(num)) return '--';
-    
-    if (num >= 1000000) {
-        return (num / 1000000).toFixed(2) + 'M';
-    } else if (num >= 1000) {
-        return (num / 1000).toFixed(2) + 'k';
-    } else if (num < 0.01) {
-        return num.toExponential(2);
+function resetLimits() {
+    delete plausibilityOverrides[elements.installationContext.value];
+    localStorage.setItem('plausibilityLimits', JSON.stringify(plausibilityOverrides));
+    renderLimits();
+    performCalculations();
+}
+
+// ===== EXPLAIN MODE =====
+// Each result card can show the working behind its value (js/explain.js).
+// Open panels are redrawn with every calculation and result unit change.
+function toggleExplanation(key) {
+    if (openExplanations.has(key)) {
+        openExplanations.delete(key);
     } else {
-        return num.toFixed(2);
+        openExplanations.add(key);
     }
+    localStorage.setItem('openExplanations', JSON.stringify([...openExplanations]));
+    renderExplanations();
 }
 
-// ===== CHART FUNCTIONALITY =====
-function initializeChart() {
-    const ctx = document.getElementById('energyChart').getContext('2d');
+function getCurrentExplanation(key, form = captureFormState()) {
+    if (!lastCalculation) return null;
+    return getExplanation(key, { ...lastCalculation, form, resultUnit: getResultUnit(key) });
+}
+
+function renderExplanations() {
+    const form = lastCalculation ? captureFormState() : null;
     
-    energyChart = new Chart(ctx, {
-        type: 'doughnut',
-        data: {
-            labels: ['Power (W)', 'Current (A)', 'Voltage (V)', 'Energy (kWh)', 'Cost (₹)'],
-            datasets: [{
-                data: [0, 0, 0, 0, 0],
-                backgroundColor: [
-                    '#2196F3', // Blue
-                    '#FF9800', // Orange
-                    '#4CAF50', // Green
-                    '#9C27B0', // Purple
-                    '#F44336'  // Red
-                ],
-                borderWidth: 2,
-                borderColor: '#ffffff'
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    position: 'bottom',
-                    labels: {
-                        color: getComputedStyle(document.documentElement).getPropertyValue('--text-primary'),
-                        padding: 20,
-                        usePointStyle: true
-                    }
-                },
-                tooltip: {
-                    backgroundColor: getComputedStyle(document.documentElement).getPropertyValue('--bg-card'),
-                    titleColor: getComputedStyle(document.documentElement).getPropertyValue('--text-primary'),
-                    bodyColor: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary'),
-                    borderColor: getComputedStyle(document.documentElement).getPropertyValue('--border-color'),
-                    borderWidth: 1
-                }
-            },
-            animation: {
-                animateRotate: true,
-                animateScale: true
-            }
-        }
+    document.querySelectorAll('.explain-toggle').forEach(button => {
+        const key = button.dataset.explain;
+        const panel = document.querySelector(`.explain-panel[data-explain-panel="${key}"]`);
+        const open = openExplanations.has(key);
+        
+        button.setAttribute('aria-expanded', String(open));
+        button.textContent = open ? 'Hide working' : 'Show working';
+        panel.hidden = !open;
+        if (!open) return;
+        
+        const explanation = getCurrentExplanation(key, form);
+        panel.innerHTML = explanation
+            ? renderExplanation(explanation)
+            : `<p>${lastCalculation ? 'Not calculated from the current inputs.' : 'Enter values to see the working.'}</p>`;
     });
 }
 
-function updateChart(results) {
-    if (!energyChart) return;
+function renderExplanation(explanation) {
+    const { method, inputs, conversions, formula, substitution, result, shown, unused } = explanation;
+    const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    const describe = ({ label, value, source }) => `${label}: ${value} (${source})`;
+    const working = [formula, substitution, result].filter(Boolean).map(escapeHtml).join('<br>= ');
     
-    const data = [
-        results.calculatedPower || 0,
-        results.calculatedCurrent || 0,
-        results.calculatedVoltage || 0,
-        results.energy || 0,
-        results.cost || 0
-    ];
-    
-    energyChart.data.datasets[0].data = data;
-    energyChart.update('active');
+    return `
+        <p class="explain-method">${escapeHtml(method)}</p>
+        ${inputs.length ? `<h4>Inputs used</h4>${list(inputs.map(describe))}` : ''}
+        ${conversions.length ? `<h4>Unit conversions</h4>${list(conversions)}` : ''}
+        <h4>Working</h4>
+        <p class="explain-working">${working}</p>
+        ${shown !== result ? `<p>Shown on the card as ${escapeHtml(shown)}</p>` : ''}
+        ${unused.length ? `<h4>Entered but not used</h4>${list(unused.map(describe))}` : ''}
+        <button type="button" class="btn btn-secondary explain-copy">📋 Copy working</button>
+    `;
 }
 
-function updateChartTheme() {
-    if (!energyChart) return;
-    
-    const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+async function copyExplanation(key, button) {
+    const explanation = getCurrentExplanation(key);
+    if (!explanation) return;
     
-    energyChart.options.plugins.legend.labels.color = textColor;
-    energyChart.options.plugins.tooltip.backgroundColor = getComputedStyle(document.documentElement).getPropertyValue('--bg-card');
-    energyChart.options.plugins.tooltip.titleColor = textColor;
-    energyChart.options.plugins.tooltip.bodyColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
-    energyChart.options.plugins.tooltip.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color');
+    const title = button.closest('.result-card').querySelector('h3').textContent;
+    const text = formatExplanation(title, explanation);
     
-    energyChart.update();
+    try {
+        await navigator.clipboard.writeText(text);
+        button.textContent = '✅ Copied';
+        setTimeout(() => { button.textContent = '📋 Copy working'; }, 2000);
+    } catch (error) {
+        // Clipboard access is denied outside secure contexts; let the user copy it
+        window.prompt('Copy this working:', text);
+    }
 }
 
-// ===== DATA EXPORT FUNCTIONS =====
-function downloadChartAsImage() {
-    if (!energyChart) return;
-    
-    const canvas = energyChart.canvas;
-    const link = document.createElement('a');
-    link.download = 'electrical-calculations-chart.png';
-    link.href = canvas.toDataURL('image/png');
-    link.click();
+// ===== CABLE SIZING =====
+function populateInstallationMethods() {
+    elements.installationMethod.innerHTML = Object.entries(INSTALLATION_METHODS)
+        .map(([method, label]) => `<option value="${method}">${label}</option>`)
+        .join('');
+    elements.installationMethod.value = 'C';
 }
 
-function exportToCSV() {
-    const values = getInputValues();
-    const results = calculateAll(values);
-    
-    if (!hasValidInputs(values)) {
-        alert('Please enter valid values before exporting.');
-        return;
-    }
-    
-    const timestamp = new Date().toLocaleString();
-    const csvContent = [
-        'Timestamp,Parameter,Value,Unit',
-        `${timestamp},Voltage,${values.voltage},V`,
-        `${timestamp},Current,${values.current},A`,
-        `${timestamp},Power,${values.power},W`,
-        `${timestamp},Time,${values.time},h`,
-        `${timestamp},Tariff,${values.tariff},₹/kWh`,
-        `${timestamp},Calculated Power,${results.calculatedPower || 'N/A'},W`,
-        `${timestamp},Calculated Current,${results.calculatedCurrent || 'N/A'},A`,
-        `${timestamp},Calculated Voltage,${results.calculatedVoltage || 'N/A'},V`,
-        `${timestamp},Energy Consumption,${results.energy || 'N/A'},kWh`,
-        `${timestamp},Total Cost,${results.cost || 'N/A'},₹`
-    ].join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = `electrical-calculations-${new Date().toISOString().split('T')[0]}.csv`;
-    link.click();
+function updateCableSizing() {
+    lastCableSizing = null;
+    updateCableResults();
+    updateProtection();
 }
 
-// ===== RECENT CALCULATIONS =====
-function saveCalculation(inputs, results) {
-    const calculation = {
-        timestamp: new Date().toISOString(),
-        inputs: inputs,
-        results: results
-    };
+function updateCableResults() {
+    const results = lastCalculation ? lastCalculation.results : null;
+    const length = parseFloat(elements.cableLength.value) || 0;
+    elements.voltageDropFormula.textContent = getVoltageDropFormula(elements.phase.value, elements.voltageReference.value);
     
-    // Add to beginning of array
-    recentCalculations.unshift(calculation);
+    if (!results || !results.calculatedCurrent || !results.calculatedVoltage) {
+        clearCableResults('Calculate a current and voltage above to size a cable.');
+        return;
+    }
     
-    // Keep only last 10 calculations
-    if (recentCalculations.length > 10) {
-        recentCalculations = recentCalculations.slice(0, 10);
+    const current = results.calculatedCurrent;
+    if (length <= 0) {
+        clearCableResults('Enter the run length to size a cable.', current);
+        return;
     }
     
-    // Save to localStorage
-    localStorage.setItem('recentCalculations', JSON.stringify(recentCalculations));
+    const material = elements.cableMaterial.value;
+    const maxDropPercent = parseFloat(elements.maxVoltageDrop.value) || 3;
+    const protection = getRecommendedProtection(current);
+    const sizing = sizeCable({
+        current,
+        voltage: results.calculatedVoltage,
+        length,
+        material,
+        method: elements.installationMethod.value,
+        maxDropPercent,
+        powerFactor: results.powerFactor,
+        phase: lastCalculation.values.phase,
+        voltageReference: lastCalculation.values.voltageReference,
+        minimumAmpacity: protection.rating === null ? 0 : getRequiredAmpacity(protection.rating, elements.protectionDevice.value)
+    });
     
-    // Update display
-    displayRecentCalculations();
-}
-
-function displayRecentCalculations() {
-    if (recentCalculations.length === 0) {
-        elements.recentCalculations.innerHTML = '<p class="no-data">No recent calculations yet</p>';
+    lastCableSizing = sizing;
+    if (!sizing.recommended) {
+        let message = `No listed cable keeps the drop within ${maxDropPercent}% over ${length} m; shorten the run or raise the supply voltage.`;
+        if (sizing.minimumForCurrent === null) {
+            message = `No listed ${material} cable carries ${formatNumber(current)} A; use parallel runs or a busbar.`;
+        } else if (sizing.minimumForProtection === null) {
+            message = `No listed ${material} cable is protected by the ${protection.rating} A device; use parallel runs or a busbar.`;
+        }
+        clearCableResults(message, current, true);
         return;
     }
     
-    const html = recentCalculations.map(calc => {
-        const timestamp = new Date(calc.timestamp).toLocaleString();
-        const inputs = calc.inputs;
-        const results = calc.results;
-        
-        return `
-            <div class="recent-item">
-                <div class="recent-header">
-                    <strong>Calculation</strong>
-                    <span class="recent-timestamp">${timestamp}</span>
-                </div>
-                <div class="recent-values">
-                    <div class="recent-value">V: ${inputs.voltage || '--'}</div>
-                    <div class="recent-value">I: ${inputs.current || '--'}</div>
-                    <div class="recent-value">P: ${inputs.power || '--'}</div>
-                    <div class="recent-value">t: ${inputs.time || '--'}</div>
-                    <div class="recent-value">Tariff: ${inputs.tariff || '--'}</div>
-                </div>
-                <div class="recent-values" style="margin-top: 0.5rem;">
-                    <div class="recent-value">P_calc: ${results.calculatedPower ? formatNumber(results.calculatedPower) : '--'}</div>
-                    <div class="recent-value">I_calc: ${results.calculatedCurrent ? formatNumber(results.calculatedCurrent) : '--'}</div>
-                    <div class="recent-value">V_calc: ${results.calculatedVoltage ? formatNumber(results.calculatedVoltage) : '--'}</div>
-                    <div class="recent-value">Energy: ${results.energy ? formatNumber(results.energy) : '--'}</div>
-                    <div class="recent-value">Cost: ${results.cost ? formatNumber(results.cost) : '--'}</div>
-                </div>
-            </div>
-        `;
-    }).join('');
-    
-    elements.recentCalculations.innerHTML = html;
+    const { size, ampacity, voltageDrop, voltageDropPercent } = sizing.recommended;
+    elements.cableSizeResult.textContent = size;
+    elements.cableSizeResult.style.opacity = '1';
+    elements.cableLimitResult.textContent = {
+        voltageDrop: `Upsized from ${sizing.minimumForCurrent} mm² for voltage drop`,
+        protection: `Upsized from ${sizing.minimumForCurrent} mm² for the ${protection.rating} A device`
+    }[sizing.limitedBy] || 'Sized by current capacity';
+    setResultValue(elements.cableAmpacityResult, ampacity);
+    elements.cableDesignCurrent.textContent = `I = ${formatNumber(current)} A`;
+    setResultValue(elements.voltageDropResult, voltageDrop);
+    elements.voltageDropPercentResult.textContent = `Volts · ${voltageDropPercent.toFixed(2)}% of supply`;
+    elements.cableNote.textContent = `${size} mm² ${material} for ${formatNumber(current)} A over ${length} m (limit ${maxDropPercent}%).`;
+    elements.cableNote.classList.remove('warning');
 }
 
-function loadRecentCalculations() {
-    displayRecentCalculations();
+function clearCableResults(message, current = null, isWarning = false) {
+    elements.cableSizeResult.textContent = '--';
+    elements.cableSizeResult.style.opacity = '0.5';
+    elements.cableLimitResult.textContent = 'I ≤ In ≤ Iz and ΔV ≤ limit';
+    setResultValue(elements.cableAmpacityResult, null);
+    elements.cableDesignCurrent.textContent = `I = ${current ? formatNumber(current) + ' A' : '--'}`;
+    setResultValue(elements.voltageDropResult, null);
+    elements.voltageDropPercentResult.textContent = 'Volts';
+    elements.cableNote.textContent = message;
+    elements.cableNote.classList.toggle('warning', isWarning);
 }
 
-// ===== UTILITY FUNCTIONS =====
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+// ===== CIRCUIT PROTECTION =====
+function populateProtectedCables() {
+    elements.protectedCable.innerHTML += CABLE_SIZES
+        .map(size => `<option value="${size}">${size} mm²</option>`)
+        .join('');
 }
 
-function resetAll() {
-    // Clear all input fields
-    elements.voltage.value = '';
-    elements.current.value = '';
-    elements.power.value = '';
-    elements.time.value = '';
-    elements.tariff.value = '8.5';
+function updateProtection() {
+    const results = lastCalculation ? lastCalculation.results : null;
     
-    // Reset unit toggles
-    resetUnitToggles();
+    if (!results || !results.calculatedCurrent) {
+        clearProtectionResults('Calculate a current above to select a protective device.');
+        return;
+    }
     
-    // Clear results
-    clearResults();
+    const device = elements.protectionDevice.value;
+    const protection = getRecommendedProtection(results.calculatedCurrent);
     
-    // Reset chart
-    if (energyChart) {
-        energyChart.data.datasets[0].data = [0, 0, 0, 0, 0];
-        energyChart.update();
+    setResultValue(elements.requiredRatingResult, protection.requiredRating);
+    elements.requiredRatingFormula.textContent = `In ≥ Ib × ${protection.factor}`;
+    elements.protectionReasoning.replaceChildren(...protection.reasoning.map(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        return item;
+    }));
+    
+    if (protection.rating === null) {
+        elements.breakerRatingResult.textContent = '--';
+        elements.breakerRatingResult.style.opacity = '0.5';
+        elements.breakerTypeResult.textContent = 'Above largest standard rating';
+        clearCableProtection();
+        setProtectionNote('The load exceeds the largest standard device; split it across circuits.', true);
+        return;
     }
     
-    // Clear input validation classes
-    const inputs = [elements.voltage, elements.current, elements.power, elements.time, elements.tariff];
-    inputs.forEach(input => {
-        input.classList.remove('valid', 'invalid');
-    });
+    elements.breakerRatingResult.textContent = protection.rating;
+    elements.breakerRatingResult.style.opacity = '1';
+    elements.breakerTypeResult.textContent = protection.curve
+        ? `${protection.deviceLabel} · Curve ${protection.curve} (${protection.tripRange})`
+        : protection.deviceLabel;
     
-    // Focus on first input
-    elements.voltage.focus();
+    // Cable coordination: the selected size, or the one recommended by cable sizing
+    const cable = getProtectedCable();
+    if (!cable) {
+        clearCableProtection();
+        setProtectionNote(`${protection.rating} A ${protection.deviceLabel} recommended. Size a cable above to check it is protected.`);
+        return;
+    }
+    
+    const check = checkCableProtection({ rating: protection.rating, ampacity: cable.ampacity, device });
+    elements.cableProtectionResult.textContent = check.isProtected ? 'OK' : 'Under-protected';
+    elements.cableProtectionResult.style.opacity = '1';
+    elements.cableProtectionFormula.textContent = `In = ${protection.rating} A ${check.ratingWithinAmpacity ? '≤' : '>'} Iz = ${cable.ampacity} A`;
+    elements.cableProtectionDetail.textContent = `${cable.size} mm² · I2 = ${formatNumber(check.conventionalTripCurrent)} A vs 1.45 × Iz = ${formatNumber(check.overloadLimit)} A`;
+    
+    if (check.isProtected) {
+        setProtectionNote(`${protection.rating} A ${protection.deviceLabel} protects the ${cable.size} mm² cable.`);
+    } else {
+        setProtectionNote(`Warning: a ${protection.rating} A ${protection.deviceLabel} does not protect the ${cable.size} mm² cable (Iz = ${cable.ampacity} A). Use a larger cable.`, true);
+    }
+}
+
+function getRecommendedProtection(current) {
+    return recommendProtection({
+        current,
+        loadType: elements.loadType.value,
+        device: elements.protectionDevice.value
+    });
+}
+
+function getProtectedCable() {
+    if (elements.protectedCable.value) {
+        const size = parseFloat(elements.protectedCable.value);
+        const loadedConductors = elements.phase.value === PHASES.THREE ? 3 : 2;
+        const ampacity = getAmpacity(size, elements.cableMaterial.value, elements.installationMethod.value, loadedConductors);
+        return ampacity === null ? null : { size, ampacity };
+    }
+    
+    if (lastCableSizing && lastCableSizing.recommended) {
+        return { size: lastCableSizing.recommended.size, ampacity: lastCableSizing.recommended.ampacity };
+    }
+    return null;
+}
+
+function clearProtectionResults(message) {
+    elements.breakerRatingResult.textContent = '--';
+    elements.breakerRatingResult.style.opacity = '0.5';
+    elements.breakerTypeResult.textContent = 'Ib ≤ In';
+    setResultValue(elements.requiredRatingResult, null);
+    elements.requiredRatingFormula.textContent = 'In ≥ Ib × factor';
+    elements.protectionReasoning.innerHTML = '';
+    clearCableProtection();
+    setProtectionNote(message);
+}
+
+function clearCableProtection() {
+    elements.cableProtectionResult.textContent = '--';
+    elements.cableProtectionResult.style.opacity = '0.5';
+    elements.cableProtectionFormula.textContent = 'In ≤ Iz, I2 ≤ 1.45 × Iz';
+    elements.cableProtectionDetail.textContent = 'Cable check';
+}
+
+function setProtectionNote(message, isWarning = false) {
+    elements.protectionNote.textContent = message;
+    elements.protectionNote.classList.toggle('warning', isWarning);
+}
+
+// ===== LOAD SCHEDULE =====
+function loadLoadSchedule() {
+    const saved = localStorage.getItem('loadSchedule');
+    if (saved) {
+        loadSchedule = JSON.parse(saved).map(createLoadRow);
+    }
+    renderLoadSchedule();
+}
+
+function saveLoadSchedule() {
+    localStorage.setItem('loadSchedule', JSON.stringify(loadSchedule));
+}
+
+function addLoadRow(fields = {}) {
+    loadSchedule.push(createLoadRow(fields));
+    saveLoadSchedule();
+    renderLoadSchedule();
+}
+
+function addCalculationToSchedule() {
+    if (!lastCalculation || !lastCalculation.results.calculatedPower) {
+        alert('Please calculate a load power before adding it to the schedule.');
+        return;
+    }
+    
+    addLoadRow({
+        name: `Load ${loadSchedule.length + 1}`,
+        power: lastCalculation.results.calculatedPower,
+        hoursPerDay: Math.min(lastCalculation.values.time, 24)
+    });
+}
+
+function clearLoadSchedule() {
+    if (loadSchedule.length === 0 || !confirm('Remove all appliances from the load schedule?')) return;
+    
+    loadSchedule = [];
+    saveLoadSchedule();
+    renderLoadSchedule();
+}
+
+function handleLoadScheduleInput(event) {
+    const field = event.target.dataset.field;
+    const row = findLoadRow(event.target);
+    if (!field || !row) return;
+    
+    row[field] = field === 'name' ? event.target.value : parseFloat(event.target.value) || 0;
+    saveLoadSchedule();
+    updateLoadScheduleTotals();
+}
+
+function handleLoadScheduleClick(event) {
+    const button = event.target.closest('[data-action="remove"]');
+    const row = button && findLoadRow(button);
+    if (!row) return;
+    
+    loadSchedule = loadSchedule.filter(load => load !== row);
+    saveLoadSchedule();
+    renderLoadSchedule();
+}
+
+function findLoadRow(element) {
+    const tr = element.closest('tr');
+    return tr ? loadSchedule.find(row => row.id === tr.dataset.id) : null;
+}
+
+function renderLoadSchedule() {
+    const numberCell = (row, field, step = 'any') =>
+        `<td><input type="number" class="table-input" data-field="${field}" value="${row[field] || ''}" step="${step}" min="0"></td>`;
+    
+    elements.loadScheduleBody.innerHTML = loadSchedule.map(row => `
+        <tr data-id="${row.id}">
+            <td><input type="text" class="table-input" data-field="name" value="${escapeHtml(row.name)}" placeholder="e.g., Ceiling fan"></td>
+            ${numberCell(row, 'power')}
+            ${numberCell(row, 'voltage')}
+            ${numberCell(row, 'current')}
+            ${numberCell(row, 'quantity', 1)}
+            ${numberCell(row, 'hoursPerDay')}
+            ${numberCell(row, 'daysPerMonth', 1)}
+            <td data-output="connectedLoad">--</td>
+            <td data-output="monthlyEnergy">--</td>
+            <td data-output="monthlyCost">--</td>
+            <td><button class="icon-btn" data-action="remove" aria-label="Remove appliance">✖️</button></td>
+        </tr>
+    `).join('');
+    
+    elements.loadScheduleEmpty.style.display = loadSchedule.length === 0 ? 'block' : 'none';
+    updateLoadScheduleTotals();
+}
+
+function updateLoadScheduleTotals() {
+    const tariff = parseFloat(elements.tariff.value) || 0;
+    const summary = summarizeSchedule(loadSchedule, tariff, getActiveTariffProfile());
+    
+    summary.loads.forEach(load => {
+        const tr = elements.loadScheduleBody.querySelector(`tr[data-id="${load.row.id}"]`);
+        if (!tr) return;
+        tr.querySelector('[data-output="connectedLoad"]').textContent = load.connectedLoad ? formatNumber(load.connectedLoad) : '--';
+        tr.querySelector('[data-output="monthlyEnergy"]').textContent = load.monthlyEnergy ? formatNumber(load.monthlyEnergy) : '--';
+        tr.querySelector('[data-output="monthlyCost"]').textContent = load.monthlyCost ? formatNumber(load.monthlyCost) : '--';
+    });
+    
+    elements.scheduleConnectedLoad.textContent = summary.connectedLoad ? formatNumber(summary.connectedLoad) : '--';
+    elements.scheduleMonthlyEnergy.textContent = summary.monthlyEnergy ? formatNumber(summary.monthlyEnergy) : '--';
+    elements.scheduleMonthlyCost.textContent = summary.monthlyCost ? formatNumber(summary.monthlyCost) : '--';
+    
+    lastScheduleSummary = summary;
+    updateChart();
+}
+
+// ===== DISPLAY SETTINGS =====
+// Currency and number format (js/locale.js). A calculation keeps the
+// currency it was made in, so saved costs keep their symbol.
+function formatNumber(num) {
+    return formatLocaleNumber(num, displaySettings);
+}
+
+function formatMoneyAmount(amount, currency = displaySettings.currency) {
+    return formatMoney(amount, currency, displaySettings);
+}
+
+function getTariffUnit() {
+    return withCurrency(INPUT_UNITS.tariff, displaySettings.currency);
+}
+
+function applyDisplaySettings() {
+    const { symbol } = getCurrency(displaySettings.currency);
+    document.querySelectorAll('.currency-symbol').forEach(element => {
+        element.textContent = symbol;
+    });
+    elements.tariff.placeholder = `e.g., ${getDefaultTariff(displaySettings)}`;
+}
+
+function openSettingsDialog() {
+    elements.settingsCurrency.innerHTML = Object.values(CURRENCIES)
+        .map(({ code, name, symbol }) => `<option value="${code}">${escapeHtml(`${name} (${symbol})`)}</option>`)
+        .join('');
+    elements.settingsLocale.innerHTML = NUMBER_LOCALES
+        .map(({ id, label }) => `<option value="${id}">${escapeHtml(label)}</option>`)
+        .join('');
+    
+    elements.settingsCurrency.value = displaySettings.currency;
+    elements.settingsTariff.value = getDefaultTariff(displaySettings);
+    elements.settingsLocale.value = displaySettings.locale;
+    elements.settingsStyle.value = displaySettings.style;
+    updateSettingsPreview();
+    elements.settingsDialog.showModal();
+}
+
+function readSettingsForm() {
+    const currency = elements.settingsCurrency.value;
+    const tariff = parseFloat(elements.settingsTariff.value);
+    const tariffs = { ...displaySettings.tariffs };
+    
+    // Only a tariff that differs from the built-in one is remembered
+    if (tariff > 0 && tariff !== getCurrency(currency).defaultTariff) tariffs[currency] = tariff;
+    else delete tariffs[currency];
+    
+    return createDisplaySettings({
+        currency,
+        locale: elements.settingsLocale.value,
+        style: elements.settingsStyle.value,
+        tariffs
+    });
+}
+
+function updateSettingsPreview() {
+    const settings = readSettingsForm();
+    elements.settingsPreview.textContent = `Preview: ${formatLocaleNumber(1234567.891, settings)} kWh costing ` +
+        `${formatMoney(98765.4321, settings.currency, settings)}`;
+}
+
+function handleSettingsSubmit(event) {
+    if (event.submitter && event.submitter.value === 'cancel') return;
+    
+    const previous = displaySettings;
+    displaySettings = readSettingsForm();
+    localStorage.setItem('displaySettings', JSON.stringify(displaySettings));
+    
+    // A flat rate in the old currency means nothing in the new one
+    if (displaySettings.currency !== previous.currency) {
+        elements.tariff.value = String(getDefaultTariff(displaySettings));
+    }
+    
+    applyDisplaySettings();
+    renderTariffProfileOptions();
+    renderHistory();
+    performCalculations();
+    updateLoadScheduleTotals();
+    updateBatch();
+}
+
+// ===== APPLIANCE PRESETS =====
+// Typical appliance ratings (js/appliances.js) that fill the power, power
+// factor and time inputs; the library is edited in place like the schedule
+function loadAppliancePresets() {
+    const saved = localStorage.getItem('appliancePresets');
+    appliancePresets = (saved ? JSON.parse(saved) : DEFAULT_APPLIANCE_PRESETS).map(createAppliancePreset);
+    renderAppliancePresets();
+}
+
+function saveAppliancePresets() {
+    localStorage.setItem('appliancePresets', JSON.stringify(appliancePresets));
+}
+
+function findAppliancePreset(id) {
+    return appliancePresets.find(preset => preset.id === id) || null;
+}
+
+function describeAppliancePreset(preset) {
+    const stars = preset.starRating ? ` ${'★'.repeat(preset.starRating)}` : '';
+    return `${preset.name || 'Unnamed'}${stars} (${formatWithUnit(preset.power, INPUT_UNITS.power)}, ${formatWorkingNumber(preset.hoursPerDay)} h/day)`;
+}
+
+function renderAppliancePresetOptions() {
+    const selected = elements.appliancePreset.value;
+    const options = appliancePresets
+        .filter(preset => preset.power > 0)
+        .map(preset => `<option value="${escapeHtml(preset.id)}">${escapeHtml(describeAppliancePreset(preset))}</option>`)
+        .join('');
+    
+    elements.appliancePreset.innerHTML = `<option value="">Custom (enter values below)</option>${options}`;
+    elements.appliancePreset.value = findAppliancePreset(selected) ? selected : '';
+}
+
+function renderAppliancePresets() {
+    const numberCell = (preset, field, attributes) =>
+        `<td><input type="number" class="table-input" data-field="${field}" value="${preset[field] ?? ''}" ${attributes}></td>`;
+    
+    elements.presetsBody.innerHTML = appliancePresets.map(preset => `
+        <tr data-id="${escapeHtml(preset.id)}">
+            <td><input type="text" class="table-input" data-field="name" value="${escapeHtml(preset.name)}" placeholder="e.g., Air cooler"></td>
+            ${numberCell(preset, 'power', 'step="any" min="0"')}
+            ${numberCell(preset, 'powerFactor', 'step="0.01" min="0" max="1"')}
+            ${numberCell(preset, 'hoursPerDay', 'step="any" min="0" max="24"')}
+            ${numberCell(preset, 'starRating', `step="1" min="1" max="${MAX_STAR_RATING}" placeholder="–"`)}
+            <td><button class="btn btn-secondary" data-action="use">Use</button></td>
+            <td><button class="icon-btn" data-action="remove" aria-label="Remove preset">✖️</button></td>
+        </tr>
+    `).join('');
+    
+    elements.presetsEmpty.style.display = appliancePresets.length === 0 ? 'block' : 'none';
+    renderAppliancePresetOptions();
+}
+
+function findPresetRow(element) {
+    const tr = element.closest('tr');
+    return tr ? findAppliancePreset(tr.dataset.id) : null;
+}
+
+function handlePresetInput(event) {
+    const field = event.target.dataset.field;
+    const preset = findPresetRow(event.target);
+    if (!field || !preset) return;
+    
+    // Normalised on save; the table keeps what is being typed
+    const updated = createAppliancePreset({ ...preset, [field]: event.target.value });
+    appliancePresets = appliancePresets.map(existing => (existing === preset ? updated : existing));
+    saveAppliancePresets();
+}
+
+function handlePresetClick(event) {
+    const button = event.target.closest('[data-action]');
+    const preset = button && findPresetRow(button);
+    if (!preset) return;
+    
+    if (button.dataset.action === 'use') {
+        applyAppliancePreset(preset);
+        elements.power.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+    appliancePresets = appliancePresets.filter(existing => existing !== preset);
+    saveAppliancePresets();
+    renderAppliancePresets();
+}
+
+// Fills an input from a value in the given unit, keeping the unit it is shown in
+function fillInput(input, value, unit) {
+    const shownUnit = input.dataset.unit;
+    setInputValue(input, value, unit);
+    setInputUnit(input, shownUnit);
+    validateInput(input);
+}
+
+function applyAppliancePreset(preset) {
+    fillInput(elements.power, preset.power, INPUT_UNITS.power);
+    fillInput(elements.time, preset.hoursPerDay, INPUT_UNITS.time);
+    elements.powerFactor.value = preset.powerFactor;
+    elements.phaseAngle.value = '';
+    validateInput(elements.powerFactor);
+    ['power', 'powerFactor'].forEach(field => derivedFields.delete(field));
+    
+    elements.appliancePreset.value = preset.id;
+    performCalculations();
+}
+
+function addAppliancePreset() {
+    appliancePresets.push(createAppliancePreset({ name: `Appliance ${appliancePresets.length + 1}` }));
+    saveAppliancePresets();
+    renderAppliancePresets();
+    elements.presetsBody.querySelector('tr:last-child [data-field="name"]').focus();
+}
+
+async function importAppliancePresets(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // lets the same file be imported again
+    if (!file) return;
+    
+    try {
+        const presets = parseAppliancePresets(await file.text());
+        appliancePresets = mergeAppliancePresets(appliancePresets, presets);
+        setPresetNote(`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'} from ${file.name}.`);
+    } catch (error) {
+        setPresetNote(`Could not import ${file.name}: ${error.message}`, true);
+        return;
+    }
+    
+    saveAppliancePresets();
+    renderAppliancePresets();
+}
+
+function exportAppliancePresets() {
+    downloadFile(serializeAppliancePresets(appliancePresets), 'application/json', 'appliance-presets.json');
+}
+
+// Brings back built-in presets that were removed or edited; custom ones are kept
+function restoreAppliancePresets() {
+    if (!confirm('Restore the built-in presets? Your changes to them will be lost; your own presets are kept.')) return;
+    
+    appliancePresets = mergeAppliancePresets(appliancePresets, DEFAULT_APPLIANCE_PRESETS.map(createAppliancePreset));
+    saveAppliancePresets();
+    renderAppliancePresets();
+    setPresetNote('Built-in presets restored.');
+}
+
+function setPresetNote(message, isWarning = false) {
+    elements.presetNote.textContent = message;
+    elements.presetNote.classList.toggle('warning', isWarning);
+}
+
+// ===== BATCH IMPORT =====
+// Rows from a CSV / JSON file, calculated with the form's supply and tariff
+// as defaults; the column mapping is remembered for the next file
+async function importBatchFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // lets the same file be imported again
+    if (!file) return;
+    
+    try {
+        const format = getBatchFormat(file);
+        const { columns, rows } = parseBatchFile(await file.text(), format);
+        batchImport = { name: file.name, format, columns, rows };
+    } catch (error) {
+        setBatchNote(`Could not import ${file.name}: ${error.message}`, true);
+        return;
+    }
+    
+    batchMapping = guessMapping(batchImport.columns, batchMapping);
+    saveBatchMapping();
+    renderBatchMapping();
+    updateBatch();
+}
+
+function saveBatchMapping() {
+    localStorage.setItem('batchMapping', JSON.stringify(batchMapping));
+}
+
+function renderBatchMapping() {
+    const columnOptions = selected => ['', ...batchImport.columns]
+        .map(column => `<option value="${escapeHtml(column)}"${column === selected ? ' selected' : ''}>${column ? escapeHtml(column) : '— not imported —'}</option>`)
+        .join('');
+    
+    elements.batchMappingBody.innerHTML = BATCH_FIELDS.map(({ field, label, quantity }) => {
+        const mapped = batchMapping[field] || {};
+        const unit = quantity
+            ? `<select class="table-input" data-field="${field}" data-part="unit" aria-label="${label} unit">${getUnits(quantity)
+                .map(option => `<option value="${option}"${option === (mapped.unit || INPUT_UNITS[field]) ? ' selected' : ''}>${option}</option>`)
+                .join('')}</select>`
+            : '';
+        return `
+            <tr>
+                <th scope="row">${label}</th>
+                <td><select class="table-input" data-field="${field}" data-part="column" aria-label="${label} column">${columnOptions(mapped.column || '')}</select></td>
+                <td>${unit}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    elements.batchMapping.hidden = false;
+}
+
+function handleBatchMappingChange(event) {
+    const { field, part } = event.target.dataset;
+    if (!field) return;
+    
+    const definition = BATCH_FIELDS.find(item => item.field === field);
+    const mapped = batchMapping[field] || (definition.quantity ? { column: '', unit: INPUT_UNITS[field] } : { column: '' });
+    mapped[part] = event.target.value;
+    
+    if (mapped.column) {
+        batchMapping[field] = mapped;
+    } else {
+        delete batchMapping[field];
+    }
+    saveBatchMapping();
+    updateBatch();
+}
+
+function getBatchDefaults() {
+    return {
+        phase: elements.phase.value,
+        voltageReference: elements.voltageReference.value,
+        tariff: parseFloat(elements.tariff.value) || 0,
+        tariffProfile: getActiveTariffProfile(),
+        currency: displaySettings.currency
+    };
+}
+
+function updateBatch() {
+    if (!batchImport) return;
+    
+    batchResults = calculateBatch(batchImport.rows, batchMapping, getBatchDefaults());
+    const cell = value => `<td>${value === null || value === undefined ? '--' : formatNumber(value)}</td>`;
+    
+    elements.batchResultsBody.innerHTML = batchResults.map((row, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(row.label)}</td>
+            ${row.results ? [row.results.calculatedPower, row.results.calculatedCurrent, row.results.calculatedVoltage, row.results.energy, row.results.cost].map(cell).join('') : '<td>--</td>'.repeat(5)}
+            <td${row.errors.length ? ' class="batch-error"' : ''}>${row.errors.length ? escapeHtml(row.errors.join('; ')) : '✓'}</td>
+        </tr>
+    `).join('');
+    elements.batchResults.hidden = false;
+    
+    const failed = batchResults.filter(row => row.errors.length).length;
+    setBatchNote(`${batchImport.name}: ${batchResults.length - failed} of ${batchResults.length} rows calculated${failed ? `, ${failed} with errors` : ''}.`, failed > 0);
+    [elements.exportBatchCSV, elements.exportBatchJSON, elements.clearBatch].forEach(button => {
+        button.disabled = false;
+    });
+}
+
+function exportBatch(format) {
+    if (!batchImport) return;
+    
+    const enriched = enrichBatch(batchImport, batchResults, displaySettings.currency);
+    const baseName = batchImport.name.replace(/\.[^.]+$/, '');
+    
+    if (format === 'json') {
+        downloadFile(JSON.stringify(enriched.rows, null, 2), 'application/json', `${baseName}-calculated.json`);
+    } else {
+        downloadFile(formatBatchCSV(enriched), 'text/csv;charset=utf-8', `${baseName}-calculated.csv`);
+    }
+}
+
+function clearBatch() {
+    batchImport = null;
+    batchResults = [];
+    elements.batchMapping.hidden = true;
+    elements.batchResults.hidden = true;
+    elements.batchMappingBody.innerHTML = '';
+    elements.batchResultsBody.innerHTML = '';
+    [elements.exportBatchCSV, elements.exportBatchJSON, elements.clearBatch].forEach(button => {
+        button.disabled = true;
+    });
+    setBatchNote('Import a CSV file with a header row, or a JSON array of rows. Each row is calculated with the supply and tariff above unless the file has its own.');
+}
+
+function setBatchNote(message, isWarning = false) {
+    elements.batchNote.textContent = message;
+    elements.batchNote.classList.toggle('warning', isWarning);
+}
+
+// ===== TARIFF PROFILES =====
+function loadTariffProfiles() {
+    const saved = localStorage.getItem('tariffProfiles');
+    tariffProfiles = (saved ? JSON.parse(saved) : DEFAULT_TARIFF_PROFILES).map(createTariffProfile);
+    
+    renderTariffProfileOptions(localStorage.getItem('activeTariffProfile') || '');
+    renderTariffEditor(getEditedTariffProfile());
+}
+
+function saveTariffProfiles() {
+    localStorage.setItem('tariffProfiles', JSON.stringify(tariffProfiles));
+}
+
+function renderTariffProfileOptions(activeId = elements.tariffProfile.value, editedId = elements.editTariffProfile.value) {
+    const options = tariffProfiles
+        .map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+    
+    elements.tariffProfile.innerHTML = `<option value="">Flat rate (${escapeHtml(getTariffUnit())} above)</option>${options}`;
+    elements.tariffProfile.value = tariffProfiles.some(profile => profile.id === activeId) ? activeId : '';
+    elements.editTariffProfile.innerHTML = options;
+    if (tariffProfiles.some(profile => profile.id === editedId)) {
+        elements.editTariffProfile.value = editedId;
+    }
+    
+    // The flat rate only applies when no profile is selected
+    elements.tariff.disabled = Boolean(elements.tariffProfile.value);
+}
+
+function getActiveTariffProfile() {
+    return tariffProfiles.find(profile => profile.id === elements.tariffProfile.value) || null;
+}
+
+function getEditedTariffProfile() {
+    return tariffProfiles.find(profile => profile.id === elements.editTariffProfile.value) || null;
+}
+
+function handleTariffProfileChange() {
+    localStorage.setItem('activeTariffProfile', elements.tariffProfile.value);
+    elements.tariff.disabled = Boolean(elements.tariffProfile.value);
+    
+    const active = getActiveTariffProfile();
+    if (active) {
+        elements.editTariffProfile.value = active.id;
+        renderTariffEditor(active);
+    }
+    
+    performCalculations();
+    updateLoadScheduleTotals();
+    updateBatch();
+}
+
+function renderTariffEditor(profile) {
+    const fields = profile || createTariffProfile({ name: '' });
+    
+    elements.tariffName.value = fields.name;
+    elements.tariffBillingType.value = fields.billingType;
+    elements.tariffFixedCharge.value = fields.fixedCharge || '';
+    elements.tariffDemandCharge.value = fields.demandCharge || '';
+    elements.tariffFuelSurcharge.value = fields.fuelSurcharge || '';
+    elements.tariffDuty.value = fields.dutyPercent || '';
+    elements.tariffTax.value = fields.taxPercent || '';
+    
+    elements.tariffSlabsBody.innerHTML = '';
+    fields.slabs.forEach(appendTariffSlab);
+}
+
+function appendTariffSlab(slab) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+        <td><input type="number" class="table-input" data-field="upTo" value="${slab.upTo ?? ''}" placeholder="and above" step="any" min="0"></td>
+        <td><input type="number" class="table-input" data-field="rate" value="${slab.rate}" step="any" min="0"></td>
+        <td><button class="icon-btn" data-action="remove" aria-label="Remove slab">✖️</button></td>
+    `;
+    elements.tariffSlabsBody.appendChild(tr);
+}
+
+function handleTariffSlabClick(event) {
+    const button = event.target.closest('[data-action="remove"]');
+    if (button) button.closest('tr').remove();
+}
+
+function readTariffEditor(id) {
+    const slabs = Array.from(elements.tariffSlabsBody.querySelectorAll('tr')).map(tr => ({
+        upTo: tr.querySelector('[data-field="upTo"]').value,
+        rate: tr.querySelector('[data-field="rate"]').value
+    }));
+    
+    return createTariffProfile({
+        id,
+        name: elements.tariffName.value.trim(),
+        billingType: elements.tariffBillingType.value,
+        slabs,
+        fixedCharge: elements.tariffFixedCharge.value,
+        demandCharge: elements.tariffDemandCharge.value,
+        fuelSurcharge: elements.tariffFuelSurcharge.value,
+        dutyPercent: elements.tariffDuty.value,
+        taxPercent: elements.tariffTax.value
+    });
+}
+
+function saveEditedTariffProfile() {
+    const edited = getEditedTariffProfile();
+    const profile = readTariffEditor(edited ? edited.id : undefined);
+    
+    tariffProfiles = edited
+        ? tariffProfiles.map(existing => (existing === edited ? profile : existing))
+        : [...tariffProfiles, profile];
+    saveTariffProfiles();
+    renderTariffProfileOptions(elements.tariffProfile.value, profile.id);
+    renderTariffEditor(profile);
+    
+    performCalculations();
+    updateLoadScheduleTotals();
+}
+
+function newTariffProfile() {
+    const profile = createTariffProfile({ name: `Tariff ${tariffProfiles.length + 1}` });
+    
+    tariffProfiles.push(profile);
+    saveTariffProfiles();
+    renderTariffProfileOptions(elements.tariffProfile.value, profile.id);
+    renderTariffEditor(profile);
+    elements.tariffName.focus();
+}
+
+function deleteTariffProfile() {
+    const edited = getEditedTariffProfile();
+    if (!edited || !confirm(`Delete the tariff profile "${edited.name}"?`)) return;
+    
+    tariffProfiles = tariffProfiles.filter(profile => profile !== edited);
+    saveTariffProfiles();
+    renderTariffProfileOptions();
+    localStorage.setItem('activeTariffProfile', elements.tariffProfile.value);
+    renderTariffEditor(getEditedTariffProfile());
+    
+    performCalculations();
+    updateLoadScheduleTotals();
+}
+
+// ===== TIME-OF-DAY TARIFF =====
+function loadTimeOfDay() {
+    const savedWindows = localStorage.getItem('todWindows');
+    todWindows = (savedWindows ? JSON.parse(savedWindows) : DEFAULT_TOD_WINDOWS).map(createTodWindow);
+    todOperatingHours = JSON.parse(localStorage.getItem('todOperatingHours') || '[]');
+    
+    elements.todHours.innerHTML = Array.from({ length: HOURS_PER_DAY }, (_, hour) => `
+        <button type="button" class="hour-btn" data-hour="${hour}" aria-pressed="${todOperatingHours.includes(hour)}"
+            aria-label="${formatHour(hour)} to ${formatHour((hour + 1) % HOURS_PER_DAY)}">${String(hour).padStart(2, '0')}</button>
+    `).join('');
+    
+    renderTodWindows();
+}
+
+function saveTimeOfDay() {
+    localStorage.setItem('todWindows', JSON.stringify(todWindows));
+    localStorage.setItem('todOperatingHours', JSON.stringify(todOperatingHours));
+}
+
+function handleTodHourClick(event) {
+    const button = event.target.closest('[data-hour]');
+    if (!button) return;
+    
+    const hour = Number(button.dataset.hour);
+    todOperatingHours = todOperatingHours.includes(hour)
+        ? todOperatingHours.filter(h => h !== hour)
+        : [...todOperatingHours, hour].sort((a, b) => a - b);
+    button.setAttribute('aria-pressed', String(todOperatingHours.includes(hour)));
+    
+    saveTimeOfDay();
+    updateTimeOfDay();
+}
+
+function addTodWindow(fields = {}) {
+    todWindows.push(createTodWindow(fields));
+    saveTimeOfDay();
+    renderTodWindows();
+}
+
+function resetTodWindows() {
+    todWindows = DEFAULT_TOD_WINDOWS.map(createTodWindow);
+    saveTimeOfDay();
+    renderTodWindows();
+}
+
+function handleTodWindowInput(event) {
+    const field = event.target.dataset.field;
+    const tr = event.target.closest('tr');
+    const index = tr ? todWindows.findIndex(window => window.id === tr.dataset.id) : -1;
+    if (!field || index === -1) return;
+    
+    todWindows[index] = createTodWindow({ ...todWindows[index], [field]: event.target.value });
+    saveTimeOfDay();
+    updateTimeOfDay();
+}
+
+function handleTodWindowClick(event) {
+    const button = event.target.closest('[data-action="remove"]');
+    const tr = button && button.closest('tr');
+    if (!tr) return;
+    
+    todWindows = todWindows.filter(window => window.id !== tr.dataset.id);
+    saveTimeOfDay();
+    renderTodWindows();
+}
+
+function renderTodWindows() {
+    const hourCell = (window, field) =>
+        `<td><input type="number" class="table-input" data-field="${field}" value="${window[field]}" step="1" min="0" max="23"></td>`;
+    
+    elements.todWindowsBody.innerHTML = todWindows.map(window => `
+        <tr data-id="${window.id}">
+            <td><input type="text" class="table-input" data-field="name" value="${escapeHtml(window.name)}" placeholder="e.g., Peak"></td>
+            ${hourCell(window, 'start')}
+            ${hourCell(window, 'end')}
+            <td><input type="number" class="table-input" data-field="rate" value="${window.rate || ''}" step="any" min="0"></td>
+            <td><button class="icon-btn" data-action="remove" aria-label="Remove window">✖️</button></td>
+        </tr>
+    `).join('');
+    
+    updateTimeOfDay();
+}
+
+function updateTimeOfDay() {
+    // An entered power overrides the calculated one
+    const power = parseFloat(elements.todPower.value) || (lastCalculation && lastCalculation.results.calculatedPower) || 0;
+    const days = parseFloat(elements.todDays.value) || 0;
+    
+    if (!power) {
+        clearTodResults('Enter a load power or calculate one above to cost it by time of day.');
+        return;
+    }
+    if (todOperatingHours.length === 0) {
+        clearTodResults('Select the hours the load runs to cost it by time of day.');
+        return;
+    }
+    
+    const result = calculateTodCost({
+        power,
+        operatingHours: todOperatingHours,
+        windows: todWindows,
+        days,
+        fallbackRate: getFallbackRate({
+            power,
+            hoursPerDay: todOperatingHours.length,
+            tariff: parseFloat(elements.tariff.value) || 0,
+            tariffProfile: getActiveTariffProfile()
+        })
+    });
+    
+    setResultValue(elements.todCostResult, result.cost);
+    setResultValue(elements.todShiftedCostResult, result.shifted.cost);
+    setResultValue(elements.todSavingsResult, result.shifted.savings);
+    elements.todRateDetail.textContent = result.averageRate === null
+        ? 'Σ Energy(h) × Rate(h)'
+        : `Average ${formatMoneyAmount(result.averageRate)}/kWh`;
+    elements.todShiftedDetail.textContent = result.shifted.operatingHours.length
+        ? `Run ${formatHourRanges(result.shifted.operatingHours)}`
+        : 'Same hours at the cheapest rates';
+    
+    elements.todNote.textContent = `${formatNumber(power)} W for ${todOperatingHours.length} h/day (${formatHourRanges(todOperatingHours)}) over ${days} days = ${formatNumber(result.energy)} kWh. Hours outside every window use ${getActiveTariffProfile() ? 'the tariff profile\'s effective rate' : 'the flat tariff'}.`;
+    elements.todNote.classList.remove('warning');
+    
+    elements.todWindowBreakdown.innerHTML = result.windows
+        .map(window => `<li><span>${escapeHtml(window.name || 'Outside windows')} · ${window.hours} h @ ${escapeHtml(formatWithUnit(window.rate, getTariffUnit()))}</span><span>${formatMoneyAmount(window.cost)}</span></li>`)
+        .join('') + `<li><span>Total · ${formatNumber(result.energy)} kWh</span><span>${formatMoneyAmount(result.cost)}</span></li>`;
+    
+    updateTodChart(result);
+}
+
+function clearTodResults(message) {
+    [elements.todCostResult, elements.todShiftedCostResult, elements.todSavingsResult].forEach(element => {
+        setResultValue(element, null);
+    });
+    elements.todRateDetail.textContent = 'Σ Energy(h) × Rate(h)';
+    elements.todShiftedDetail.textContent = 'Same hours at the cheapest rates';
+    elements.todNote.textContent = message;
+    elements.todWindowBreakdown.innerHTML = '';
+    updateTodChart(null);
+}
+
+// ===== SOLAR PV SIZING =====
+// The array offsets the calculation's daily consumption: its energy when the
+// time is hours of use per day, or spread over the days of a longer time
+function updateSolarSizing() {
+    const values = lastCalculation ? lastCalculation.values : null;
+    const dailyEnergy = lastCalculation ? getDailyEnergy(lastCalculation.results.energy, values.time) : 0;
+    if (!dailyEnergy) {
+        clearSolarResults('Calculate an energy above to size a solar array that offsets it.');
+        return;
+    }
+    
+    const solar = sizeSolarArray({
+        dailyEnergy,
+        peakSunHours: parseFloat(elements.solarSunHours.value) || 0,
+        panelWattage: parseFloat(elements.solarPanelWattage.value) || 0,
+        systemLossPercent: parseFloat(elements.solarLosses.value) || 0,
+        inverterEfficiency: parseFloat(elements.solarInverterEfficiency.value) || 0,
+        tariff: values.tariff,
+        tariffProfile: values.tariffProfile,
+        costPerKwp: parseFloat(elements.solarCostPerKwp.value) || null
+    });
+    if (!solar) {
+        clearSolarResults('Enter the peak sun hours, panel rating and inverter efficiency to size an array.', true);
+        return;
+    }
+    
+    setResultValue(elements.solarArrayResult, solar.requiredKwp);
+    elements.solarArrayFormula.textContent = `PR = ${formatWorkingNumber(solar.performanceRatio * 100)}%`;
+    elements.solarPanelsResult.textContent = String(solar.panelCount);
+    elements.solarPanelsResult.style.opacity = '1';
+    elements.solarPanelsDetail.textContent = `${solar.panelCount} × ${elements.solarPanelWattage.value} Wp = ${formatNumber(solar.installedKwp)} kWp`;
+    setResultValue(elements.solarGenerationResult, solar.monthlyGeneration);
+    elements.solarGenerationDetail.textContent = `vs ${formatNumber(solar.monthlyConsumption)} kWh used`;
+    setResultValue(elements.solarSavingResult, solar.monthlySaving);
+    elements.solarSavingDetail.textContent = solar.billAfter > 0
+        ? `Bill ${formatMoneyAmount(solar.billBefore)} → ${formatMoneyAmount(solar.billAfter)}`
+        : `Whole ${formatMoneyAmount(solar.billBefore)} bill offset`;
+    setResultValue(elements.solarPaybackResult, solar.paybackYears);
+    elements.solarPaybackDetail.textContent = solar.systemCost === null
+        ? 'Enter the installed cost'
+        : `System cost ${formatMoneyAmount(solar.systemCost)}`;
+    
+    const surplus = solar.surplusEnergy > 0
+        ? ` The ${formatNumber(solar.surplusEnergy)} kWh surplus is carried forward and not counted as a saving.`
+        : '';
+    elements.solarNote.textContent = `${formatNumber(dailyEnergy)} kWh/day × ${DAYS_PER_MONTH} days = ${formatNumber(solar.monthlyConsumption)} kWh/month offset by ${solar.panelCount} × ${elements.solarPanelWattage.value} Wp panels.${surplus}`;
+    elements.solarNote.classList.remove('warning');
+}
+
+function clearSolarResults(message, isWarning = false) {
+    [elements.solarArrayResult, elements.solarPanelsResult, elements.solarGenerationResult, elements.solarSavingResult, elements.solarPaybackResult].forEach(element => {
+        setResultValue(element, null);
+    });
+    elements.solarArrayFormula.textContent = 'kWp = E ÷ (PSH × PR)';
+    elements.solarPanelsDetail.textContent = 'Whole panels covering the array';
+    elements.solarGenerationDetail.textContent = 'kWp × PSH × PR × 30 days';
+    elements.solarSavingDetail.textContent = 'Bill before − bill after net metering';
+    elements.solarPaybackDetail.textContent = 'System cost ÷ yearly saving';
+    elements.solarNote.textContent = message;
+    elements.solarNote.classList.toggle('warning', isWarning);
+}
+
+// ===== BATTERY BACKUP =====
+// The time of use doubles as the backup time the bank has to carry the load for
+function populateBackupOptions() {
+    elements.backupChemistry.innerHTML = Object.entries(CHEMISTRY_PROFILES)
+        .map(([chemistry, profile]) => `<option value="${chemistry}">${escapeHtml(profile.label)}</option>`)
+        .join('');
+    elements.backupBankVoltage.innerHTML = BANK_VOLTAGES
+        .map(voltage => `<option value="${voltage}">${voltage} V</option>`)
+        .join('');
+    fillBackupChemistryDefaults();
+}
+
+function fillBackupChemistryDefaults() {
+    const profile = getChemistryProfile(elements.backupChemistry.value);
+    elements.backupUnitVoltage.value = String(profile.unitVoltage);
+    elements.backupDepthOfDischarge.value = String(profile.depthOfDischarge);
+}
+
+function handleBackupChemistryChange() {
+    fillBackupChemistryDefaults();
+    updateBackupSizing();
+}
+
+function updateBackupSizing() {
+    const results = lastCalculation ? lastCalculation.results : null;
+    const hours = lastCalculation ? lastCalculation.values.time : 0;
+    if (!results || !results.calculatedPower || !hours) {
+        clearBackupResults('Calculate a power above and enter the backup time as the time of use to size a battery bank.');
+        return;
+    }
+    
+    const chemistry = elements.backupChemistry.value;
+    const backup = sizeBackup({
+        power: results.calculatedPower,
+        hours,
+        powerFactor: results.powerFactor,
+        chemistry,
+        bankVoltage: parseFloat(elements.backupBankVoltage.value),
+        unitVoltage: parseFloat(elements.backupUnitVoltage.value) || 0,
+        unitCapacity: parseFloat(elements.backupUnitCapacity.value) || 0,
+        depthOfDischarge: parseFloat(elements.backupDepthOfDischarge.value) || 0,
+        inverterEfficiency: parseFloat(elements.backupInverterEfficiency.value) || 0
+    });
+    if (!backup) {
+        clearBackupResults('Enter the battery capacity and inverter efficiency to size a battery bank.', true);
+        return;
+    }
+    
+    const { inverter } = backup;
+    setResultValue(elements.backupCapacityResult, backup.requiredAh);
+    elements.backupCapacityDetail.textContent = `${formatNumber(backup.requiredEnergy)} kWh at ${formatWorkingNumber(backup.bankVoltage)} V`;
+    elements.backupBatteriesResult.textContent = String(backup.batteries);
+    elements.backupBatteriesResult.style.opacity = '1';
+    elements.backupBankDetail.textContent = `${backup.series} series × ${backup.parallel} parallel · ${formatNumber(backup.installedEnergy)} kWh`;
+    elements.backupInverterResult.textContent = inverter.rating === null ? '--' : String(inverter.rating);
+    elements.backupInverterResult.style.opacity = inverter.rating === null ? '0.5' : '1';
+    elements.backupInverterDetail.textContent = inverter.limitedBy === 'va'
+        ? `S = ${formatNumber(inverter.apparentPower)} VA × ${INVERTER_HEADROOM}`
+        : `P = ${formatNumber(results.calculatedPower)} W × ${INVERTER_HEADROOM} ÷ ${INVERTER_OUTPUT_POWER_FACTOR}`;
+    setResultValue(elements.backupRuntimeResult, backup.runtime);
+    elements.backupRuntimeDetail.textContent = `vs ${formatWorkingNumber(hours)} h required`;
+    
+    elements.backupReasoning.innerHTML = [
+        ...backup.reasoning,
+        inverter.rating === null
+            ? `The load needs ${formatNumber(inverter.requiredVA)} VA, above the largest standard inverter; split the load across inverters.`
+            : `Inverter ≥ ${formatNumber(inverter.requiredVA)} VA (× ${INVERTER_HEADROOM} headroom at ${INVERTER_OUTPUT_POWER_FACTOR} W per VA), so ${inverter.rating} VA.`
+    ].map(line => `<li>${escapeHtml(line)}</li>`).join('');
+    
+    elements.backupNote.textContent = backup.warning
+        || `${backup.batteries} × ${elements.backupUnitCapacity.value} Ah ${getChemistryProfile(chemistry).label} batteries carry ${formatNumber(results.calculatedPower)} W for ${formatWorkingNumber(hours)} h.`;
+    elements.backupNote.classList.toggle('warning', Boolean(backup.warning));
+}
+
+function clearBackupResults(message, isWarning = false) {
+    [elements.backupCapacityResult, elements.backupBatteriesResult, elements.backupInverterResult, elements.backupRuntimeResult].forEach(element => {
+        setResultValue(element, null);
+    });
+    elements.backupCapacityDetail.textContent = 'Ah = P × t ÷ (η × DoD × V)';
+    elements.backupBankDetail.textContent = 'Series × parallel';
+    elements.backupInverterDetail.textContent = 'VA ≥ P ÷ PF × 1.25';
+    elements.backupRuntimeDetail.textContent = 'From the installed bank';
+    elements.backupReasoning.innerHTML = '';
+    elements.backupNote.textContent = message;
+    elements.backupNote.classList.toggle('warning', isWarning);
+}
+
+// ===== MOTOR CALCULATIONS =====
+function populateStartingMethods() {
+    elements.motorStartingMethod.innerHTML = Object.entries(STARTING_PROFILES)
+        .map(([method, profile]) => `<option value="${method}">${escapeHtml(profile.label)}</option>`)
+        .join('');
+}
+
+function updateMotor() {
+    const rating = parseFloat(elements.motorRating.value) || 0;
+    const ratingUnit = elements.motorRatingUnit.value;
+    // An entered voltage overrides the calculated one
+    const voltage = parseFloat(elements.motorVoltage.value) || (lastCalculation && lastCalculation.results.calculatedVoltage) || 0;
+    
+    if (!rating || !voltage) {
+        clearMotorResults('Enter the motor rating and voltage to work out its currents and running cost.');
+        return;
+    }
+    
+    const phase = elements.phase.value;
+    const voltageReference = elements.voltageReference.value;
+    const ratedPower = convert(rating, ratingUnit, 'W', 'power');
+    const startingMethod = elements.motorStartingMethod.value;
+    const motor = calculateMotor({
+        ratedPower,
+        voltage,
+        phase,
+        voltageReference,
+        efficiency: parseFloat(elements.motorEfficiency.value) || 0,
+        // A blank or partly typed PF falls back to the typical motor PF, not unity
+        powerFactor: parseFloat(elements.motorPowerFactor.value) || DEFAULT_MOTOR_INPUTS.powerFactor,
+        startingMethod,
+        hoursPerDay: Math.min(parseFloat(elements.motorHours.value) || 0, 24),
+        tariff: parseFloat(elements.tariff.value) || 0,
+        tariffProfile: getActiveTariffProfile()
+    });
+    if (!motor) {
+        clearMotorResults('Enter the motor efficiency to work out its currents and running cost.', true);
+        return;
+    }
+    
+    const profile = STARTING_PROFILES[startingMethod];
+    setResultValue(elements.motorCurrentResult, motor.fullLoadCurrent);
+    elements.motorCurrentFormula.textContent = `${getFormulas(phase, voltageReference).current} · S = ${formatNumber(motor.apparentPower)} VA`;
+    setResultValue(elements.motorInputResult, motor.inputPower / 1000);
+    elements.motorInputDetail.textContent = `Losses ${formatNumber(motor.losses)} W`;
+    setResultValue(elements.motorStartingResult, motor.startingCurrent);
+    elements.motorStartingDetail.textContent = motor.startingCurrent === null
+        ? `${profile.label} needs a three-phase supply`
+        : `${profile.multiple} × FLC (${profile.range})`;
+    setResultValue(elements.motorCostResult, motor.annualCost);
+    elements.motorCostDetail.textContent = `${formatNumber(motor.annualEnergy)} kWh per year`;
+    
+    elements.motorStartingBreakdown.innerHTML = motor.starting
+        .map(entry => `<li><span>${escapeHtml(entry.label)} · ${escapeHtml(entry.range)}</span><span>${entry.current === null ? 'Three-phase only' : `${formatNumber(entry.current)} A`}</span></li>`)
+        .join('');
+    
+    const ratingText = ratingUnit === 'HP'
+        ? `${formatWorkingNumber(rating)} HP (${formatNumber(ratedPower / 1000)} kW)`
+        : `${formatWorkingNumber(rating)} kW (${formatNumber(convert(rating, 'kW', 'HP', 'power'))} HP)`;
+    elements.motorNote.textContent = `${ratingText} ${getPhaseModeLabel(phase, voltageReference).toLowerCase()} motor at ${formatWorkingNumber(voltage)} V and PF ${formatWorkingNumber(motor.powerFactor)}, running ${elements.motorHours.value || 0} h/day.`;
+    elements.motorNote.classList.remove('warning');
+}
+
+function clearMotorResults(message, isWarning = false) {
+    [elements.motorCurrentResult, elements.motorInputResult, elements.motorStartingResult, elements.motorCostResult].forEach(element => {
+        setResultValue(element, null);
+    });
+    elements.motorCurrentFormula.textContent = getFormulas(elements.phase.value, elements.voltageReference.value).current;
+    elements.motorInputDetail.textContent = 'P_in = P_out ÷ η';
+    elements.motorStartingDetail.textContent = 'Multiple × FLC';
+    elements.motorCostDetail.textContent = `P_in × hours × ${DAYS_PER_YEAR} days × Tariff`;
+    elements.motorStartingBreakdown.innerHTML = '';
+    elements.motorNote.textContent = message;
+    elements.motorNote.classList.toggle('warning', isWarning);
+}
+
+// ===== TRANSFORMER SIZING =====
+function updateTransformer() {
+    const results = lastCalculation ? lastCalculation.results : null;
+    // An entered load overrides the calculated apparent power
+    const connectedLoad = parseFloat(elements.transformerLoad.value) || (results && results.apparentPower ? results.apparentPower / 1000 : 0);
+    const tariff = parseFloat(elements.tariff.value) || 0;
+    const tariffProfile = getActiveTariffProfile();
+    const phase = elements.phase.value;
+    const transformer = sizeTransformer({
+        connectedLoad,
+        primaryVoltage: parseFloat(elements.transformerPrimary.value) || 0,
+        secondaryVoltage: parseFloat(elements.transformerSecondary.value) || 0,
+        phase,
+        diversityFactor: parseFloat(elements.transformerDiversity.value) || 1,
+        growthMargin: parseFloat(elements.transformerGrowth.value) || 0,
+        powerFactor: results ? results.powerFactor : undefined,
+        ironLoss: parseFloat(elements.transformerIronLoss.value) || null,
+        copperLoss: parseFloat(elements.transformerCopperLoss.value) || null,
+        loadHoursPerDay: parseFloat(elements.transformerHours.value) || 0,
+        tariff,
+        tariffProfile
+    });
+    if (!transformer) {
+        clearTransformerResults('Calculate a load above or enter one in kVA to size a transformer.');
+        return;
+    }
+    
+    const required = `${formatNumber(transformer.requiredKVA)} kVA needed`;
+    if (transformer.rating === null) {
+        clearTransformerResults(`${required}, above the largest standard ${TRANSFORMER_RATINGS[TRANSFORMER_RATINGS.length - 1]} kVA rating; split the load across transformers.`, true);
+        return;
+    }
+    
+    const currentFormula = getTransformerCurrentFormula(phase);
+    elements.transformerRatingResult.textContent = String(transformer.rating);
+    elements.transformerRatingResult.style.opacity = '1';
+    elements.transformerRatingDetail.textContent = `${required} · ${formatWorkingNumber(transformer.loading)}% loaded`;
+    setResultValue(elements.transformerPrimaryResult, transformer.primaryCurrent);
+    elements.transformerPrimaryFormula.textContent = `${currentFormula} at ${elements.transformerPrimary.value || '--'} V`;
+    setResultValue(elements.transformerSecondaryResult, transformer.secondaryCurrent);
+    elements.transformerSecondaryFormula.textContent = `${currentFormula} at ${elements.transformerSecondary.value || '--'} V`;
+    setResultValue(elements.transformerLossResult, transformer.ironLoss + transformer.loadLoss);
+    elements.transformerLossDetail.textContent = `Iron ${formatNumber(transformer.ironLoss)} W + copper ${formatNumber(transformer.loadLoss)} W`;
+    setResultValue(elements.transformerEfficiencyResult, transformer.efficiency);
+    elements.transformerEfficiencyDetail.textContent = `Peak at ${formatWorkingNumber(transformer.maxEfficiencyLoading)}% load`;
+    setResultValue(elements.transformerLossCostResult, transformer.annualLossCost);
+    elements.transformerLossCostDetail.textContent = tariffProfile
+        ? `${formatNumber(transformer.annualLossEnergy)} kWh per year on ${tariffProfile.name}`
+        : `${formatNumber(transformer.annualLossEnergy)} kWh per year @ ${formatWithUnit(tariff, getTariffUnit())}`;
+    
+    elements.transformerEfficiencyBreakdown.innerHTML = transformer.efficiencies
+        .map(entry => `<li><span>Efficiency at ${entry.loading}% load</span><span>${formatWorkingNumber(entry.efficiency)}%</span></li>`)
+        .join('');
+    
+    const diversity = parseFloat(elements.transformerDiversity.value) || 1;
+    elements.transformerNote.textContent = `${formatNumber(connectedLoad)} kVA connected ÷ ${formatWorkingNumber(Math.max(diversity, 1))} diversity = ${formatNumber(transformer.maximumDemand)} kVA maximum demand, plus ${elements.transformerGrowth.value || 0}% growth.`;
+    elements.transformerNote.classList.remove('warning');
+}
+
+function clearTransformerResults(message, isWarning = false) {
+    [elements.transformerRatingResult, elements.transformerPrimaryResult, elements.transformerSecondaryResult,
+        elements.transformerLossResult, elements.transformerEfficiencyResult, elements.transformerLossCostResult].forEach(element => {
+        setResultValue(element, null);
+    });
+    elements.transformerRatingDetail.textContent = 'kVA ≥ Load ÷ Diversity × (1 + Growth)';
+    elements.transformerPrimaryFormula.textContent = getTransformerCurrentFormula(elements.phase.value);
+    elements.transformerSecondaryFormula.textContent = getTransformerCurrentFormula(elements.phase.value);
+    elements.transformerLossDetail.textContent = 'Pi + x² × Pc';
+    elements.transformerEfficiencyDetail.textContent = 'η = Output ÷ (Output + Losses)';
+    elements.transformerLossCostDetail.textContent = 'Loss energy × Tariff';
+    elements.transformerEfficiencyBreakdown.innerHTML = '';
+    elements.transformerNote.textContent = message;
+    elements.transformerNote.classList.toggle('warning', isWarning);
+}
+
+function getTransformerCurrentFormula(phase) {
+    return phase === PHASES.THREE ? 'I = S ÷ (√3 × V)' : 'I = S ÷ V';
+}
+
+// ===== CHART FUNCTIONALITY =====
+// Each view draws one physical quantity per axis; the series come from
+// js/chartViews.js and this section only turns them into Chart.js configs.
+function initializeChart() {
+    const savedView = localStorage.getItem('chartView');
+    if (Object.values(CHART_VIEWS).includes(savedView)) {
+        activeChartView = savedView;
+    }
+    updateChartTabs();
+    updateChart();
+}
+
+function setChartView(view) {
+    activeChartView = view;
+    localStorage.setItem('chartView', view);
+    updateChartTabs();
+    updateChart();
+}
+
+function handleChartTabClick(event) {
+    const tab = event.target.closest('[data-view]');
+    if (tab) setChartView(tab.dataset.view);
+}
+
+function updateChartTabs() {
+    elements.chartTabs.querySelectorAll('[data-view]').forEach(tab => {
+        tab.setAttribute('aria-selected', String(tab.dataset.view === activeChartView));
+    });
+    elements.projectionOptions.style.display = activeChartView === CHART_VIEWS.PROJECTION ? 'flex' : 'none';
+}
+
+function updateChart() {
+    const { caption, config } = buildChartConfig(activeChartView);
+    elements.chartCaption.textContent = caption;
+    
+    // Same view: swap the data in place so Chart.js animates between values
+    if (energyChart && energyChartView === activeChartView && energyChart.config.type === config.type) {
+        energyChart.data = config.data;
+        energyChart.options = config.options;
+        energyChart.update('active');
+        return;
+    }
+    
+    if (energyChart) energyChart.destroy();
+    energyChart = new Chart(document.getElementById('energyChart').getContext('2d'), config);
+    energyChartView = activeChartView;
+}
+
+function buildChartConfig(view) {
+    switch (view) {
+        case CHART_VIEWS.HISTORY:
+            return buildHistoryChart();
+        case CHART_VIEWS.COMPARISON:
+            return buildComparisonChart();
+        case CHART_VIEWS.LOAD_SHARE:
+            return buildLoadShareChart();
+        default:
+            return buildProjectionChart();
+    }
+}
+
+function buildProjectionChart() {
+    const period = elements.projectionPeriod.value;
+    const values = lastCalculation && lastCalculation.values;
+    const power = lastCalculation && lastCalculation.results.calculatedPower;
+    
+    if (!power || !values.time) {
+        return {
+            caption: 'Calculate a power and a usage time to project energy and cost.',
+            config: buildAxesChart('bar', [], [])
+        };
+    }
+    
+    const projection = projectUsage({
+        power,
+        hoursPerDay: values.time,
+        tariff: values.tariff,
+        tariffProfile: values.tariffProfile
+    }, period);
+    
+    return {
+        caption: `${formatNumber(projection.totalEnergy)} kWh costing ${formatMoneyAmount(projection.totalCost)} at ${formatNumber(power)} W for ${Math.min(values.time, 24)} h per day`,
+        config: buildAxesChart('bar', projection.labels, [
+            { type: 'bar', label: 'Energy', unit: 'kWh', data: projection.energy, yAxisID: 'energy', backgroundColor: CHART_COLORS[0] },
+            { type: 'line', label: 'Cumulative cost', unit: getCurrency(displaySettings.currency).symbol, data: projection.cumulativeCost, yAxisID: 'cost', borderColor: CHART_COLORS[1], backgroundColor: CHART_COLORS[1], tension: 0.2 }
+        ])
+    };
+}
+
+function buildHistoryChart() {
+    const series = buildHistorySeries(calculationHistory);
+    
+    return {
+        caption: series.timestamps.length
+            ? `Energy and cost of ${series.timestamps.length} saved calculations, oldest first`
+            : 'Saved calculations will be plotted here.',
+        config: buildAxesChart('line', series.timestamps.map(formatChartTimestamp), [
+            { label: 'Energy', unit: 'kWh', data: series.energy, yAxisID: 'energy', borderColor: CHART_COLORS[0], backgroundColor: CHART_COLORS[0], spanGaps: true, tension: 0.2 },
+            ...buildCostDatasets(series.costs, { spanGaps: true, tension: 0.2 })
+        ])
+    };
+}
+
+function buildComparisonChart() {
+    const comparison = buildComparison(calculationHistory);
+    
+    return {
+        caption: comparison.timestamps.length
+            ? `Power, energy and cost of the last ${comparison.timestamps.length} saved calculations side by side`
+            : 'Saved calculations will be compared here.',
+        config: buildAxesChart('bar', comparison.timestamps.map(formatChartTimestamp), [
+            { label: 'Power', unit: 'kW', data: comparison.power, yAxisID: 'power', backgroundColor: CHART_COLORS[2] },
+            { label: 'Energy', unit: 'kWh', data: comparison.energy, yAxisID: 'energy', backgroundColor: CHART_COLORS[0] },
+            ...buildCostDatasets(comparison.costs)
+        ])
+    };
+}
+
+// Saved costs stay in the currency they were entered in, each on its own axis
+function buildCostDatasets(costs, options = {}) {
+    return costs.map(({ currency, data }, index) => {
+        const color = COST_CHART_COLORS[index % COST_CHART_COLORS.length];
+        return {
+            label: `Cost (${currency})`,
+            unit: getCurrency(currency).symbol,
+            data,
+            yAxisID: `cost-${currency}`,
+            borderColor: color,
+            backgroundColor: color,
+            ...options
+        };
+    });
+}
+
+function buildLoadShareChart() {
+    // One slice per appliance, sized by its share of monthly energy
+    const loads = lastScheduleSummary ? lastScheduleSummary.loads.filter(load => load.monthlyEnergy > 0) : [];
+    const theme = getChartTheme();
+    
+    return {
+        caption: loads.length
+            ? 'Share of monthly energy by appliance in the load schedule'
+            : 'Add appliances to the load schedule to see their share of energy.',
+        config: {
+            type: 'doughnut',
+            data: {
+                labels: loads.map((load, index) => load.row.name || `Appliance ${index + 1}`),
+                datasets: [{
+                    data: loads.map(load => load.monthlyEnergy),
+                    backgroundColor: loads.map((load, index) => CHART_COLORS[index % CHART_COLORS.length]),
+                    borderWidth: 2,
+                    borderColor: '#ffffff'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: buildChartLegend(theme),
+                    tooltip: {
+                        ...buildChartTooltip(theme),
+                        callbacks: {
+                            label: (context) => {
+                                const total = context.dataset.data.reduce((sum, value) => sum + value, 0);
+                                const share = total > 0 ? (context.parsed / total) * 100 : 0;
+                                return `${context.label}: ${formatNumber(context.parsed)} kWh/month (${share.toFixed(1)}%)`;
+                            }
+                        }
+                    }
+                },
+                animation: {
+                    animateRotate: true,
+                    animateScale: true
+                }
+            }
+        }
+    };
+}
+
+// Cartesian chart with one y axis per unit used by the datasets
+function buildAxesChart(type, labels, datasets) {
+    const theme = getChartTheme();
+    const scales = {
+        x: { ticks: { color: theme.textColor }, grid: { color: theme.gridColor } }
+    };
+    
+    datasets.forEach((dataset, index) => {
+        if (scales[dataset.yAxisID]) return;
+        scales[dataset.yAxisID] = {
+            type: 'linear',
+            position: dataset.yAxisID.startsWith('cost') ? 'right' : 'left',
+            beginAtZero: true,
+            ticks: { color: theme.textColor },
+            title: { display: true, text: dataset.unit, color: theme.textColor },
+            // Only the first axis draws grid lines
+            grid: { color: theme.gridColor, drawOnChartArea: index === 0 }
+        };
+    });
+    
+    return {
+        type,
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales,
+            plugins: {
+                legend: buildChartLegend(theme),
+                tooltip: {
+                    ...buildChartTooltip(theme),
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${context.parsed.y === null ? '--' : formatNumber(context.parsed.y)} ${context.dataset.unit}`
+                    }
+                }
+            }
+        }
+    };
+}
+
+function getChartTheme() {
+    const style = getComputedStyle(document.documentElement);
+    return {
+        textColor: style.getPropertyValue('--text-primary'),
+        secondaryColor: style.getPropertyValue('--text-secondary'),
+        cardColor: style.getPropertyValue('--bg-card'),
+        gridColor: style.getPropertyValue('--border-color')
+    };
 }
 
-function resetUnitToggles() {
-    // Reset all unit toggles to default
-    const allUnitButtons = document.querySelectorAll('.unit-btn');
-    allUnitButtons.forEach(btn => {
-        btn.classList.remove('active');
-        if (btn.textContent === 'V' || btn.textContent === 'A' || btn.textContent === 'W' || btn.textContent === 'h') {
-            btn.classList.add('active');
+function buildChartLegend(theme) {
+    return {
+        position: 'bottom',
+        labels: {
+            color: theme.textColor,
+            padding: 20,
+            usePointStyle: true
+        }
+    };
+}
+
+function buildChartTooltip(theme) {
+    return {
+        backgroundColor: theme.cardColor,
+        titleColor: theme.textColor,
+        bodyColor: theme.secondaryColor,
+        borderColor: theme.gridColor,
+        borderWidth: 1
+    };
+}
+
+function formatChartTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function initializeTodChart() {
+    const ctx = document.getElementById('todChart').getContext('2d');
+    const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+    
+    todChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: Array.from({ length: HOURS_PER_DAY }, (_, hour) => formatHour(hour)),
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    stacked: true,
+                    ticks: { color: textColor }
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: { color: textColor },
+                    title: { display: true, text: `${getCurrency(displaySettings.currency).symbol} per month`, color: textColor }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: {
+                        color: textColor,
+                        padding: 20,
+                        usePointStyle: true
+                    }
+                },
+                tooltip: {
+                    backgroundColor: getComputedStyle(document.documentElement).getPropertyValue('--bg-card'),
+                    titleColor: textColor,
+                    bodyColor: getComputedStyle(document.documentElement).getPropertyValue('--text-secondary'),
+                    borderColor: getComputedStyle(document.documentElement).getPropertyValue('--border-color'),
+                    borderWidth: 1,
+                    filter: (item) => item.parsed.y > 0,
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatMoneyAmount(context.parsed.y)}`
+                    }
+                }
+            }
+        }
+    });
+}
+
+function updateTodChart(result) {
+    if (!todChart) return;
+    
+    // One stacked series per window so each hour's bar takes its window's colour
+    const names = result ? [...new Set(result.hourly.map(entry => entry.window))] : [];
+    
+    todChart.data.datasets = names.map((name, index) => ({
+        label: name === null ? 'Outside windows' : name || `Window ${index + 1}`,
+        data: result.hourly.map(entry => (entry.window === name ? entry.cost : 0)),
+        backgroundColor: CHART_COLORS[index % CHART_COLORS.length]
+    }));
+    todChart.update('active');
+}
+
+function updateChartTheme() {
+    updateTodChartTheme();
+    
+    // Colours are read when a config is built, so rebuild the active view
+    if (energyChart) energyChart.destroy();
+    energyChart = null;
+    updateChart();
+}
+
+function updateTodChartTheme() {
+    if (!todChart) return;
+    
+    const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-primary');
+    const { scales, plugins } = todChart.options;
+    
+    scales.x.ticks.color = textColor;
+    scales.y.ticks.color = textColor;
+    scales.y.title.color = textColor;
+    plugins.legend.labels.color = textColor;
+    plugins.tooltip.backgroundColor = getComputedStyle(document.documentElement).getPropertyValue('--bg-card');
+    plugins.tooltip.titleColor = textColor;
+    plugins.tooltip.bodyColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+    plugins.tooltip.borderColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color');
+    
+    todChart.update();
+}
+
+// ===== DATA EXPORT FUNCTIONS =====
+function downloadChartAsImage() {
+    if (!energyChart) return;
+    
+    const canvas = energyChart.canvas;
+    const link = document.createElement('a');
+    link.download = `electrical-calculations-${activeChartView}-chart.png`;
+    link.href = canvas.toDataURL('image/png');
+    link.click();
+}
+
+function openExportDialog() {
+    elements.exportFormat.value = localStorage.getItem('exportFormat') || elements.exportFormat.value;
+    elements.exportDialog.showModal();
+}
+
+function handleExportSubmit(event) {
+    if (event.submitter && event.submitter.value === 'cancel') return;
+    
+    localStorage.setItem('exportFormat', elements.exportFormat.value);
+    exportData(elements.exportScope.value, elements.exportFormat.value);
+}
+
+// Exports the current calculation or every saved one; see js/exportData.js for the layout
+function exportData(scope = EXPORT_SCOPES.CURRENT, format = EXPORT_FORMATS.CSV) {
+    let entries;
+    
+    if (scope === EXPORT_SCOPES.HISTORY) {
+        if (calculationHistory.length === 0) {
+            alert('There are no saved calculations to export.');
+            return;
+        }
+        entries = calculationHistory;
+    } else {
+        performCalculations();
+        if (!lastCalculation) {
+            alert('Please enter valid values before exporting.');
+            return;
+        }
+        entries = [{
+            name: elements.reportProjectName.value.trim() || 'Current calculation',
+            timestamp: new Date().toISOString(),
+            form: captureFormState(),
+            inputs: lastCalculation.values,
+            results: lastCalculation.results
+        }];
+    }
+    
+    downloadFile(createExport(entries, format), EXPORT_MIME_TYPES[format], getExportFileName(scope, format));
+}
+
+// ===== CALCULATION REPORT =====
+// Rendered into #report and printed with the report-only print styles, so
+// "Save as PDF" in the print dialog gives a client-ready document offline
+function printReport() {
+    if (!lastCalculation) {
+        alert('Please enter valid values before printing a report.');
+        return;
+    }
+    
+    const form = captureFormState();
+    const report = buildReport({
+        projectName: elements.reportProjectName.value,
+        form,
+        values: lastCalculation.values,
+        results: lastCalculation.results,
+        resultUnits: form.resultUnits
+    });
+    
+    elements.report.innerHTML = renderReport(report, energyChart ? energyChart.toBase64Image() : null);
+    document.body.classList.add('printing-report');
+    window.print();
+}
+
+function renderReport(report, chartImage) {
+    const rows = items => items
+        .map(item => `<tr><th scope="row">${escapeHtml(item.label)}</th><td>${escapeHtml(item.value)}</td></tr>`)
+        .join('');
+    
+    const results = report.results.map(result => {
+        const working = [result.formula, result.substitution, result.result].filter(Boolean).join(' = ');
+        const method = result.method ? `<div class="report-method">${escapeHtml(result.method)}</div>` : '';
+        return `
+            <tr>
+                <th scope="row">${escapeHtml(result.label)}</th>
+                <td>${escapeHtml(result.value)}</td>
+                <td><div class="report-working">${escapeHtml(working)}</div>${method}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    const bill = report.tariff.bill
+        ? `<h3>Monthly bill at this usage</h3><table class="report-table"><tbody>${rows(report.tariff.bill)}</tbody></table>`
+        : '';
+    const chart = chartImage
+        ? `<section class="report-chart"><h2>Chart</h2><img src="${chartImage}" alt="${escapeHtml(elements.chartCaption.textContent)}"><p class="report-meta">${escapeHtml(elements.chartCaption.textContent)}</p></section>`
+        : '';
+    
+    return `
+        <header>
+            <h1>${escapeHtml(report.title)}</h1>
+            <p class="report-meta">${escapeHtml(new Date(report.generatedAt).toLocaleString())} · ${escapeHtml(report.supply)}</p>
+        </header>
+        <section>
+            <h2>Inputs</h2>
+            <table class="report-table"><tbody>${rows([{ label: 'Supply', value: report.supply }, ...report.inputs])}</tbody></table>
+        </section>
+        <section>
+            <h2>Results</h2>
+            <table class="report-table">
+                <thead><tr><th scope="col">Result</th><th scope="col">Value</th><th scope="col">Working</th></tr></thead>
+                <tbody>${results}</tbody>
+            </table>
+        </section>
+        <section>
+            <h2>Tariff: ${escapeHtml(report.tariff.name)}</h2>
+            <table class="report-table"><tbody>${rows(report.tariff.rows)}</tbody></table>
+            ${bill}
+        </section>
+        ${chart}
+        <p class="report-footer">Generated by Electrical Calculator on ${escapeHtml(report.generatedAt)}</p>
+    `;
+}
+
+// ===== CALCULATION HISTORY =====
+// Entries live in IndexedDB via js/history.js; if it can't be opened the
+// history still works for the session, it just isn't kept.
+async function loadHistory() {
+    try {
+        historyDB = await openHistoryDB();
+        await migrateRecentCalculations();
+        calculationHistory = await getHistoryEntries(historyDB);
+    } catch (error) {
+        console.error('Calculation history unavailable:', error);
+        historyDB = null;
+        setHistoryNote('History can\'t be stored in this browser; saved calculations last until the page is closed.', true);
+    }
+    
+    renderHistory();
+    updateChart();
+}
+
+// Moves the old 10-item localStorage list into the history once
+async function migrateRecentCalculations() {
+    const saved = localStorage.getItem('recentCalculations');
+    if (!saved) return;
+    
+    for (const calc of JSON.parse(saved).reverse()) {
+        await saveHistoryEntry(historyDB, createHistoryEntry({
+            name: 'Recent calculation',
+            timestamp: calc.timestamp,
+            form: formStateFromInputs(calc.inputs),
+            inputs: calc.inputs,
+            results: calc.results
+        }));
+    }
+    localStorage.removeItem('recentCalculations');
+}
+
+async function saveCalculation(event) {
+    event.preventDefault();
+    performCalculations();
+    
+    if (!lastCalculation) {
+        alert('Please enter valid values before saving.');
+        return;
+    }
+    
+    const entry = createHistoryEntry({
+        name: elements.calculationName.value,
+        tags: elements.calculationTags.value,
+        notes: elements.calculationNotes.value,
+        form: captureFormState(),
+        inputs: lastCalculation.values,
+        results: lastCalculation.results
+    });
+    try {
+        entry.id = historyDB ? await saveHistoryEntry(historyDB, entry) : Date.now();
+    } catch (error) {
+        console.error('Error saving calculation:', error);
+        setHistoryNote(`Couldn't save "${entry.name}" to the history. Please try again.`, true);
+        return;
+    }
+    
+    calculationHistory.unshift(entry);
+    elements.saveCalculationForm.reset();
+    setHistoryNote(`Saved "${entry.name}".`);
+    renderHistory();
+    updateChart();
+}
+
+function getHistoryFilters() {
+    return {
+        query: elements.historySearch.value,
+        tag: elements.historyTag.value,
+        from: elements.historyFrom.value ? new Date(`${elements.historyFrom.value}T00:00:00`) : null,
+        to: elements.historyTo.value ? new Date(`${elements.historyTo.value}T23:59:59.999`) : null
+    };
+}
+
+function renderHistory() {
+    const selectedTag = elements.historyTag.value;
+    const tags = collectTags(calculationHistory);
+    elements.historyTag.innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+    elements.historyTag.value = tags.includes(selectedTag) ? selectedTag : '';
+    
+    if (calculationHistory.length === 0) {
+        elements.recentCalculations.innerHTML = '<p class="no-data">No saved calculations yet</p>';
+        return;
+    }
+    
+    const entries = filterHistory(calculationHistory, getHistoryFilters());
+    if (entries.length === 0) {
+        elements.recentCalculations.innerHTML = '<p class="no-data">No saved calculations match the filters</p>';
+        return;
+    }
+    
+    const html = entries.map(entry => {
+        const timestamp = new Date(entry.timestamp).toLocaleString();
+        const inputs = entry.inputs;
+        const results = entry.results;
+        
+        return `
+            <div class="recent-item" data-id="${entry.id}" role="button" tabindex="0" aria-label="Restore ${escapeHtml(entry.name)}">
+                <div class="recent-header">
+                    <strong>${escapeHtml(entry.name)}</strong>
+                    <span class="recent-timestamp">${timestamp}</span>
+                    <button class="icon-btn" data-action="delete" aria-label="Delete ${escapeHtml(entry.name)}">✖️</button>
+                </div>
+                ${entry.tags.length ? `<div class="recent-tags">${entry.tags.map(tag => `<span class="recent-tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                ${entry.notes ? `<p class="recent-notes">${escapeHtml(entry.notes)}</p>` : ''}
+                <div class="recent-values">
+                    <div class="recent-value">${inputs.phase === PHASES.THREE ? '3φ' : '1φ'}</div>
+                    <div class="recent-value">V: ${inputs.voltage || '--'}</div>
+                    <div class="recent-value">I: ${inputs.current || '--'}</div>
+                    <div class="recent-value">P: ${inputs.power || '--'}</div>
+                    <div class="recent-value">R: ${inputs.resistance || '--'}</div>
+                    <div class="recent-value">PF: ${inputs.powerFactor || '--'}</div>
+                    <div class="recent-value">t: ${inputs.time || '--'}</div>
+                    <div class="recent-value">Tariff: ${inputs.tariff || '--'}</div>
+                </div>
+                <div class="recent-values" style="margin-top: 0.5rem;">
+                    <div class="recent-value">P_calc: ${results.calculatedPower ? formatNumber(results.calculatedPower) : '--'}</div>
+                    <div class="recent-value">S_calc: ${results.apparentPower ? formatNumber(results.apparentPower) : '--'}</div>
+                    <div class="recent-value">I_calc: ${results.calculatedCurrent ? formatNumber(results.calculatedCurrent) : '--'}</div>
+                    <div class="recent-value">V_calc: ${results.calculatedVoltage ? formatNumber(results.calculatedVoltage) : '--'}</div>
+                    <div class="recent-value">R_calc: ${results.calculatedResistance ? formatNumber(results.calculatedResistance) : '--'}</div>
+                    <div class="recent-value">Energy: ${results.energy ? formatNumber(results.energy) : '--'}</div>
+                    <div class="recent-value">Cost: ${results.cost ? formatMoneyAmount(results.cost, inputs.currency) : '--'}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    elements.recentCalculations.innerHTML = html;
+}
+
+function findHistoryEntry(element) {
+    const item = element.closest('.recent-item');
+    return item ? calculationHistory.find(entry => String(entry.id) === item.dataset.id) : null;
+}
+
+async function handleHistoryClick(event) {
+    const entry = findHistoryEntry(event.target);
+    if (!entry) return;
+    
+    if (event.target.closest('[data-action="delete"]')) {
+        if (!confirm(`Delete "${entry.name}" from the history?`)) return;
+        try {
+            if (historyDB) await deleteHistoryEntry(historyDB, entry.id);
+        } catch (error) {
+            console.error('Error deleting calculation:', error);
+            setHistoryNote(`Couldn't delete "${entry.name}" from the history. Please try again.`, true);
+            return;
+        }
+        calculationHistory = calculationHistory.filter(saved => saved !== entry);
+        setHistoryNote(`Deleted "${entry.name}".`);
+        renderHistory();
+        updateChart();
+        return;
+    }
+    
+    restoreFormState(entry.form);
+    setHistoryNote(`Restored "${entry.name}" from ${new Date(entry.timestamp).toLocaleString()}.`);
+    elements.voltage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function handleHistoryKeydown(event) {
+    if ((event.key === 'Enter' || event.key === ' ') && event.target.classList.contains('recent-item')) {
+        event.preventDefault();
+        handleHistoryClick(event);
+    }
+}
+
+async function clearHistory() {
+    if (calculationHistory.length === 0 || !confirm('Delete every saved calculation?')) return;
+    
+    try {
+        if (historyDB) await clearHistoryEntries(historyDB);
+    } catch (error) {
+        console.error('Error clearing history:', error);
+        setHistoryNote('Couldn\'t clear the history. Please try again.', true);
+        return;
+    }
+    calculationHistory = [];
+    setHistoryNote('Cleared the history.');
+    renderHistory();
+    updateChart();
+}
+
+function setHistoryNote(message, isWarning = false) {
+    elements.historyNote.textContent = message;
+    elements.historyNote.classList.toggle('warning', isWarning);
+}
+
+// ===== FORM STATE =====
+// The form as entered: values with their units, so a restore shows exactly
+// what was typed rather than the engine's converted values
+const FORM_FIELDS = ['phase', 'voltageReference', 'voltage', 'current', 'power', 'resistance', 'powerFactor', 'phaseAngle', 'time', 'tariff', 'tariffProfile'];
+
+function captureFormState() {
+    const form = { units: {}, resultUnits: {} };
+    
+    FORM_FIELDS.forEach(name => {
+        form[name] = elements[name].value;
+    });
+    document.querySelectorAll('.unit-toggle[data-input]').forEach(toggle => {
+        form.units[toggle.dataset.input] = elements[toggle.dataset.input].dataset.unit;
+    });
+    document.querySelectorAll('.result-unit-select[data-result]').forEach(select => {
+        form.resultUnits[select.dataset.result] = select.value;
+    });
+    
+    return form;
+}
+
+function restoreFormState(form) {
+    derivedFields.clear();
+    FORM_FIELDS.forEach(name => {
+        const value = form[name] === undefined ? '' : String(form[name]);
+        const input = elements[name];
+        
+        if (input.dataset.quantity) {
+            const unit = form.units && isUnitOf(input.dataset.quantity, form.units[name]) ? form.units[name] : INPUT_UNITS[name];
+            setInputValue(input, value, unit);
+        } else if (input.tagName === 'SELECT') {
+            input.value = value;
+            if (input.selectedIndex === -1) input.selectedIndex = 0;
+        } else {
+            input.value = value;
+        }
+    });
+    
+    document.querySelectorAll('.result-unit-select[data-result]').forEach(select => {
+        const unit = form.resultUnits && form.resultUnits[select.dataset.result];
+        if (isUnitOf(select.dataset.quantity, unit)) {
+            select.value = unit;
+            savedResultUnits[select.dataset.result] = unit;
         }
     });
+    localStorage.setItem('resultUnits', JSON.stringify(savedResultUnits));
+    
+    // A restored profile that has since been deleted falls back to the flat rate
+    localStorage.setItem('activeTariffProfile', elements.tariffProfile.value);
+    elements.tariff.disabled = Boolean(elements.tariffProfile.value);
+    
+    updatePhaseMode();
+    performCalculations();
+    updateLoadScheduleTotals();
+}
+
+// Form state for calculations saved before units were stored
+function formStateFromInputs(inputs) {
+    const form = { units: {}, resultUnits: {} };
+    FORM_FIELDS.forEach(name => {
+        const value = inputs[name];
+        form[name] = value === undefined || value === 0 ? '' : String(value);
+    });
+    form.phase = inputs.phase || PHASES.SINGLE;
+    form.voltageReference = inputs.voltageReference || VOLTAGE_REFERENCES.LINE_TO_LINE;
+    form.tariffProfile = '';
+    return form;
+}
+
+// ===== URL STATE =====
+// The form is mirrored into the query string so the address is always a
+// shareable link; web+electrical: links arrive as ?protocol=<url>
+const URL_DEFAULTS = {
+    phase: PHASES.SINGLE,
+    voltageReference: VOLTAGE_REFERENCES.LINE_TO_LINE,
+    get tariff() {
+        return String(getDefaultTariff(displaySettings)); // the default set in initializeApp
+    },
+    units: INPUT_UNITS
+};
+
+// Manifest shortcuts (/#power, /#energy) and the input each one starts at
+const URL_SHORTCUTS = {
+    power: 'voltage',
+    energy: 'time'
+};
+
+function loadUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const form = params.has('protocol') ? parseProtocolUrl(params.get('protocol')) : decodeFormState(params);
+    
+    urlStateReady = true;
+    if (form) {
+        // Fields the link leaves out keep their current values; units default
+        restoreFormState({ ...captureFormState(), ...form });
+    } else {
+        updateUrlState();
+    }
+    focusUrlShortcut();
+}
+
+function updateUrlState() {
+    if (!urlStateReady) return;
+    
+    const query = encodeFormState(captureFormState(), URL_DEFAULTS);
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+function getShareUrl() {
+    const query = encodeFormState(captureFormState(), URL_DEFAULTS);
+    return `${window.location.origin}${window.location.pathname}${query}`;
+}
+
+async function copyShareLink() {
+    const url = getShareUrl();
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        const icon = elements.shareLink.querySelector('.share-icon');
+        icon.textContent = '✅';
+        setTimeout(() => { icon.textContent = '🔗'; }, 2000);
+    } catch (error) {
+        // Clipboard access is denied outside secure contexts; let the user copy it
+        window.prompt('Copy this link:', url);
+    }
+}
+
+function focusUrlShortcut() {
+    const inputName = URL_SHORTCUTS[window.location.hash.slice(1)];
+    if (!inputName) return;
+    
+    elements[inputName].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    elements[inputName].focus({ preventScroll: true });
+}
+
+// ===== UTILITY FUNCTIONS =====
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function downloadFile(content, type, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+function resetAll() {
+    // Clear all input fields
+    elements.voltage.value = '';
+    elements.current.value = '';
+    elements.power.value = '';
+    elements.resistance.value = '';
+    elements.powerFactor.value = '';
+    elements.phaseAngle.value = '';
+    elements.time.value = '';
+    elements.tariff.value = String(getDefaultTariff(displaySettings));
+    elements.tariffProfile.value = '';
+    elements.tariff.disabled = false;
+    localStorage.setItem('activeTariffProfile', '');
+    derivedFields.clear();
+    elements.phase.value = PHASES.SINGLE;
+    elements.voltageReference.value = VOLTAGE_REFERENCES.LINE_TO_LINE;
+    updatePhaseMode();
+    elements.cableLength.value = '';
+    elements.protectedCable.value = '';
+    elements.todPower.value = '';
+    elements.todDays.value = '30';
+    elements.solarSunHours.value = '5';
+    elements.solarPanelWattage.value = '400';
+    elements.solarLosses.value = '14';
+    elements.solarInverterEfficiency.value = '96';
+    elements.solarCostPerKwp.value = '';
+    elements.backupChemistry.selectedIndex = 0;
+    elements.backupBankVoltage.selectedIndex = 0;
+    elements.backupUnitCapacity.value = '150';
+    elements.backupInverterEfficiency.value = '90';
+    fillBackupChemistryDefaults();
+    elements.motorRating.value = '';
+    elements.motorRatingUnit.value = 'kW';
+    elements.motorVoltage.value = '';
+    elements.motorEfficiency.value = '90';
+    elements.motorPowerFactor.value = '0.85';
+    elements.motorStartingMethod.selectedIndex = 0;
+    elements.motorHours.value = '8';
+    elements.transformerLoad.value = '';
+    elements.transformerPrimary.value = '11000';
+    elements.transformerSecondary.value = '433';
+    elements.transformerDiversity.value = '1';
+    elements.transformerGrowth.value = '20';
+    elements.transformerHours.value = '12';
+    elements.transformerIronLoss.value = '';
+    elements.transformerCopperLoss.value = '';
+    
+    // Reset unit toggles
+    resetUnitToggles();
+    
+    // Clear results
+    clearResults();
+    updateLoadScheduleTotals();
+    
+    // Clear input validation classes
+    const inputs = [elements.voltage, elements.current, elements.power, elements.resistance, elements.powerFactor, elements.phaseAngle, elements.time, elements.tariff];
+    inputs.forEach(input => {
+        input.classList.remove('valid', 'invalid');
+    });
     
-    // Clear dataset attributes
-    elements.voltage.dataset.originalUnit = '';
-    elements.current.dataset.originalUnit = '';
-    elements.power.dataset.originalUnit = '';
-    elements.time.dataset.originalUnit = '';
+    // Focus on first input
+    elements.voltage.focus();
+}
+
+function resetUnitToggles() {
+    // Inputs go back to the engine's units; chosen result units are kept
+    document.querySelectorAll('.unit-toggle[data-input]').forEach(toggle => {
+        setInputValue(elements[toggle.dataset.input], '', INPUT_UNITS[toggle.dataset.input]);
+    });
 }
 
 // ===== PWA INSTALLATION HANDLER =====
@@ -683,6 +3302,12 @@ document.addEventListener('keydown', (e) => {
         resetAll();
     }
     
+    // Ctrl/Cmd + S to save the calculation to the history
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+        e.preventDefault();
+        elements.saveCalculationForm.requestSubmit();
+    }
+    
     // Ctrl/Cmd + T to toggle theme
     if ((e.ctrlKey || e.metaKey) && e.key === 't') {
         e.preventDefault();
@@ -698,9 +3323,9 @@ window.addEventListener('error', (e) => {
 
 // ===== PERFORMANCE OPTIMIZATION =====
 // Use requestAnimationFrame for smooth animations
-function smoothUpdateChart(results) {
+function smoothUpdateChart() {
     requestAnimationFrame(() => {
-        updateChart(results);
+        updateChart();
     });
 }
 
@@ -709,6 +3334,7 @@ window.ElectricalCalculator = {
     performCalculations,
     resetAll,
     toggleTheme,
-    exportToCSV,
-    downloadChartAsImage
+    exportData,
+    downloadChartAsImage,
+    printReport
 };
@@ -9,12 +9,12 @@
  * - App update handling
  * 
  * Author: AI Assistant
- * Version: 1.0.0
+ * Version: 1.1.0
  */
 
-const CACHE_NAME = 'electrical-calculator-v1.0.0';
-const STATIC_CACHE_NAME = 'electrical-calculator-static-v1.0.0';
-const DYNAMIC_CACHE_NAME = 'electrical-calculator-dynamic-v1.0.0';
+const CACHE_NAME = 'electrical-calculator-v1.1.0';
+const STATIC_CACHE_NAME = 'electrical-calculator-static-v1.1.0';
+const DYNAMIC_CACHE_NAME = 'electrical-calculator-dynamic-v1.1.0';
 
 // Files to cache for offline use
 const STATIC_FILES = [
@@ -22,6 +22,30 @@ const STATIC_FILES = [
     '/index.html',
     '/style.css',
     '/script.js',
+    '/js/calculator.js',
+    '/js/cable.js',
+    '/js/protection.js',
+    '/js/loadSchedule.js',
+    '/js/tariff.js',
+    '/js/timeOfDay.js',
+    '/js/chartViews.js',
+    '/js/units.js',
+    '/js/history.js',
+    '/js/urlState.js',
+    '/js/workings.js',
+    '/js/report.js',
+    '/js/csv.js',
+    '/js/batch.js',
+    '/js/xlsx.js',
+    '/js/exportData.js',
+    '/js/explain.js',
+    '/js/plausibility.js',
+    '/js/appliances.js',
+    '/js/locale.js',
+    '/js/solar.js',
+    '/js/backup.js',
+    '/js/motor.js',
+    '/js/transformer.js',
     '/manifest.json',
     'https://cdn.jsdelivr.net/npm/chart.js'
 ];
@@ -180,7 +204,8 @@ function isExternalResource(url) {
 // Serve from cache first
 async function serveFromCache(request, cacheName) {
     try {
-        const cachedResponse = await caches.match(request);
+        // Shared links carry the calculator state in the query; the page is the same
+        const cachedResponse = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
         if (cachedResponse) {
             return cachedResponse;
         }
@@ -210,7 +235,7 @@ async function serveFromNetworkFirst(request) {
         return networkResponse;
     } catch (error) {
         console.log('Service Worker: Network failed, serving from cache');
-        const cachedResponse = await caches.match(request);
+        const cachedResponse = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
         if (cachedResponse) {
             return cachedResponse;
         }
@@ -326,7 +351,31 @@ self.addEventListener('install', (event) => {
                 '/',
                 '/index.html',
                 '/style.css',
-                '/script.js'
+                '/script.js',
+                '/js/calculator.js',
+                '/js/cable.js',
+                '/js/protection.js',
+                '/js/loadSchedule.js',
+                '/js/tariff.js',
+                '/js/timeOfDay.js',
+                '/js/chartViews.js',
+                '/js/units.js',
+                '/js/history.js',
+                '/js/urlState.js',
+                '/js/workings.js',
+                '/js/report.js',
+                '/js/csv.js',
+                '/js/batch.js',
+                '/js/xlsx.js',
+                '/js/exportData.js',
+                '/js/explain.js',
+                '/js/plausibility.js',
+                '/js/appliances.js',
+                '/js/locale.js',
+                '/js/solar.js',
+                '/js/backup.js',
+                '/js/motor.js',
+                '/js/transformer.js'
             ]);
         })
     );
@@ -0,0 +1,96 @@
+/**
+ * Tests for appliance presets (js/appliances.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createAppliancePreset,
+    mergeAppliancePresets,
+    parseAppliancePresets,
+    serializeAppliancePresets,
+    DEFAULT_APPLIANCE_PRESETS
+} from '../js/appliances.js';
+
+describe('createAppliancePreset', () => {
+    test('coerces numbers and keeps the given id', () => {
+        assert.deepEqual(createAppliancePreset({ id: 'cooler', name: ' Air cooler ', power: '200', powerFactor: '0.9', hoursPerDay: '6', starRating: '4' }), {
+            id: 'cooler',
+            name: 'Air cooler',
+            power: 200,
+            powerFactor: 0.9,
+            hoursPerDay: 6,
+            starRating: 4
+        });
+    });
+
+    test('defaults to unity power factor and no star rating', () => {
+        const preset = createAppliancePreset({ name: 'Heater', power: 1000 });
+        assert.equal(preset.powerFactor, 1);
+        assert.equal(preset.starRating, null);
+        assert.equal(preset.hoursPerDay, 0);
+        assert.match(preset.id, /^appliance-/);
+    });
+
+    test('keeps values within their ranges', () => {
+        const preset = createAppliancePreset({ power: -5, powerFactor: 1.5, hoursPerDay: 30, starRating: 7 });
+        assert.equal(preset.power, 0);
+        assert.equal(preset.powerFactor, 1);
+        assert.equal(preset.hoursPerDay, 24);
+        assert.equal(preset.starRating, 5);
+        assert.equal(createAppliancePreset({ starRating: 0 }).starRating, null);
+    });
+
+    test('gives new presets distinct ids', () => {
+        assert.notEqual(createAppliancePreset().id, createAppliancePreset().id);
+    });
+
+    test('built-in presets are already normalised', () => {
+        DEFAULT_APPLIANCE_PRESETS.forEach(preset => {
+            assert.deepEqual(createAppliancePreset(preset), preset);
+        });
+    });
+});
+
+describe('mergeAppliancePresets', () => {
+    const library = [createAppliancePreset({ id: 'a', name: 'A', power: 1 }), createAppliancePreset({ id: 'b', name: 'B', power: 2 })];
+
+    test('replaces presets with the same id in place and appends new ones', () => {
+        const merged = mergeAppliancePresets(library, [
+            createAppliancePreset({ id: 'c', name: 'C', power: 3 }),
+            createAppliancePreset({ id: 'a', name: 'A2', power: 10 })
+        ]);
+        assert.deepEqual(merged.map(preset => `${preset.id}:${preset.name}`), ['a:A2', 'b:B', 'c:C']);
+    });
+
+    test('does not change the library passed in', () => {
+        mergeAppliancePresets(library, [createAppliancePreset({ id: 'a', name: 'A2', power: 10 })]);
+        assert.equal(library[0].name, 'A');
+    });
+});
+
+describe('parseAppliancePresets', () => {
+    test('reads its own export', () => {
+        const presets = DEFAULT_APPLIANCE_PRESETS.slice(0, 3).map(createAppliancePreset);
+        assert.deepEqual(parseAppliancePresets(serializeAppliancePresets(presets)), presets);
+    });
+
+    test('accepts an object with a presets list', () => {
+        const [preset] = parseAppliancePresets('{"presets": [{"name": "Kettle", "power": 1500, "hoursPerDay": 0.25}]}');
+        assert.equal(preset.name, 'Kettle');
+        assert.equal(preset.hoursPerDay, 0.25);
+    });
+
+    test('skips entries without a name and power', () => {
+        const presets = parseAppliancePresets('[{"name": "Kettle", "power": 1500}, {"name": "No power"}, {"power": 10}, 5, null]');
+        assert.deepEqual(presets.map(preset => preset.name), ['Kettle']);
+    });
+
+    test('rejects files that are not a list of presets', () => {
+        assert.throws(() => parseAppliancePresets('{"name": "Kettle"}'), /array of presets/);
+        assert.throws(() => parseAppliancePresets('[{"name": "No power"}]'), /no presets/);
+        assert.throws(() => parseAppliancePresets('not json'), SyntaxError);
+    });
+});
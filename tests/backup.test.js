@@ -0,0 +1,103 @@
+/**
+ * Tests for battery backup sizing (js/backup.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sizeBackup, recommendInverter, getChemistryProfile, BATTERY_CHEMISTRIES } from '../js/backup.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+describe('recommendInverter', () => {
+    test('sizes on watts for good power factors', () => {
+        const inverter = recommendInverter(500, 1);
+        assertClose(inverter.requiredVA, 500 * 1.25 / 0.8);
+        assert.equal(inverter.rating, 800);
+        assert.equal(inverter.limitedBy, 'watts');
+    });
+
+    test('sizes on VA for poor power factors', () => {
+        const inverter = recommendInverter(500, 0.6);
+        assertClose(inverter.apparentPower, 500 / 0.6);
+        assertClose(inverter.requiredVA, 500 / 0.6 * 1.25);
+        assert.equal(inverter.rating, 1100);
+        assert.equal(inverter.limitedBy, 'va');
+    });
+
+    test('returns no rating above the largest standard size', () => {
+        assert.equal(recommendInverter(50000).rating, null);
+    });
+});
+
+describe('sizeBackup', () => {
+    test('sizes a lead-acid bank', () => {
+        const backup = sizeBackup({ power: 500, hours: 4, unitCapacity: 150 });
+        assertClose(backup.requiredEnergy, 2 / (0.9 * 0.85 * 0.5));
+        assertClose(backup.requiredAh, backup.requiredEnergy * 1000 / 12);
+        assert.equal(backup.series, 1);
+        assert.equal(backup.parallel, 3);
+        assert.equal(backup.batteries, 3);
+        assert.equal(backup.installedAh, 450);
+        assertClose(backup.installedEnergy, 5.4);
+        assertClose(backup.runtime, 5.4 * 0.5 * 0.85 * 0.9 * 1000 / 500);
+        assert.ok(backup.runtime >= 4);
+    });
+
+    test('puts batteries in series for the bank voltage', () => {
+        const backup = sizeBackup({ power: 2000, hours: 2, bankVoltage: 48, unitCapacity: 100 });
+        assert.equal(backup.series, 4);
+        assert.equal(backup.bankVoltage, 48);
+        assert.equal(backup.batteries, backup.series * backup.parallel);
+        assert.equal(backup.warning, null);
+    });
+
+    test('uses the chemistry depth of discharge and module voltage', () => {
+        const backup = sizeBackup({ power: 1000, hours: 3, chemistry: BATTERY_CHEMISTRIES.LIFEPO4, bankVoltage: 24, unitCapacity: 100 });
+        assert.equal(backup.series, 2);
+        assertClose(backup.bankVoltage, 25.6);
+        assertClose(backup.requiredEnergy, 3 / (0.9 * 0.95 * 0.9));
+    });
+
+    test('accepts 12.8 V lithium modules on a 12 V multiple bank', () => {
+        const backup = sizeBackup({ power: 1000, hours: 3, chemistry: BATTERY_CHEMISTRIES.LIFEPO4, bankVoltage: 48, unitCapacity: 100 });
+        assertClose(backup.bankVoltage, 51.2);
+        assert.equal(backup.warning, null);
+    });
+
+    test('warns when the batteries cannot make up the bank voltage', () => {
+        const backup = sizeBackup({ power: 1000, hours: 3, bankVoltage: 24, unitVoltage: 10, unitCapacity: 100 });
+        assert.equal(backup.series, 2);
+        assert.equal(backup.bankVoltage, 20);
+        assert.match(backup.warning, /make 20 V, not the 24 V bank/);
+
+        const oversized = sizeBackup({ power: 1000, hours: 3, bankVoltage: 12, unitVoltage: 48, unitCapacity: 100 });
+        assert.equal(oversized.bankVoltage, 48);
+        assert.ok(oversized.warning);
+    });
+
+    test('lets the depth of discharge be overridden', () => {
+        const deep = sizeBackup({ power: 500, hours: 4, depthOfDischarge: 80 });
+        assertClose(deep.requiredEnergy, 2 / (0.9 * 0.85 * 0.8));
+    });
+
+    test('does not round an exact fit up a string', () => {
+        // 1020 Wh ÷ 85% battery efficiency = 1200 Wh = 100 Ah at 12 V
+        const exact = sizeBackup({ power: 1020, hours: 1, unitCapacity: 100, depthOfDischarge: 100, inverterEfficiency: 100 });
+        assertClose(exact.requiredAh, 100);
+        assert.equal(exact.parallel, 1);
+    });
+
+    test('falls back to lead-acid for unknown chemistries', () => {
+        assert.equal(getChemistryProfile('unknown'), getChemistryProfile(BATTERY_CHEMISTRIES.TUBULAR));
+    });
+
+    test('returns null without a load or backup time', () => {
+        assert.equal(sizeBackup({ power: 0, hours: 4 }), null);
+        assert.equal(sizeBackup({ power: 500, hours: 0 }), null);
+        assert.equal(sizeBackup({ power: 500, hours: 4, unitCapacity: 0 }), null);
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for batch calculations (js/batch.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseBatchFile, getBatchFormat, guessMapping, calculateBatchRow, calculateBatch, enrichBatch, formatBatchCSV } from '../js/batch.js';
+import { parseCSV } from '../js/csv.js';
+import { PHASES, SOLVER_METHODS } from '../js/calculator.js';
+import { DEFAULT_TARIFF_PROFILES } from '../js/tariff.js';
+
+const CSV = 'Appliance,Volts,Load (kW),Hours\nGeyser,230,2,1.5\n"Pump, borewell",230,0.75,3\n';
+
+describe('parseBatchFile', () => {
+    test('reads CSV rows by header', () => {
+        const { columns, rows } = parseBatchFile(CSV, 'csv');
+        assert.deepEqual(columns, ['Appliance', 'Volts', 'Load (kW)', 'Hours']);
+        assert.deepEqual(rows[1], { Appliance: 'Pump, borewell', Volts: '230', 'Load (kW)': '0.75', Hours: '3' });
+    });
+
+    test('numbers repeated and blank headers', () => {
+        assert.deepEqual(parseBatchFile('V,V,\n1,2,3', 'csv').columns, ['V', 'V (2)', 'Column 3']);
+    });
+
+    test('reads a JSON array or an object with rows', () => {
+        const rows = [{ name: 'Fan', power: 75 }, { name: 'TV', power: 120, time: 4 }];
+        assert.deepEqual(parseBatchFile(JSON.stringify(rows), 'json'), { columns: ['name', 'power', 'time'], rows });
+        assert.deepEqual(parseBatchFile(JSON.stringify({ rows }), 'json').rows, rows);
+    });
+
+    test('rejects files without rows', () => {
+        assert.throws(() => parseBatchFile('a,b\n', 'csv'), /no rows/);
+        assert.throws(() => parseBatchFile('{"power": 5}', 'json'), /array of objects/);
+        assert.throws(() => parseBatchFile('[]', 'json'), /no rows/);
+        assert.throws(() => parseBatchFile('not json', 'json'), SyntaxError);
+    });
+
+    test('detects the format', () => {
+        assert.equal(getBatchFormat({ name: 'loads.JSON' }), 'json');
+        assert.equal(getBatchFormat({ name: 'loads.csv', type: 'text/csv' }), 'csv');
+    });
+});
+
+describe('guessMapping', () => {
+    test('matches header names and bracketed units', () => {
+        assert.deepEqual(guessMapping(['Appliance', 'Volts', 'Load (kW)', 'Hours', 'Power factor']), {
+            label: { column: 'Appliance' },
+            voltage: { column: 'Volts', unit: 'V' },
+            power: { column: 'Load (kW)', unit: 'kW' },
+            time: { column: 'Hours', unit: 'h' },
+            powerFactor: { column: 'Power factor' }
+        });
+    });
+
+    test('accepts units case-insensitively', () => {
+        assert.deepEqual(guessMapping(['Time [MIN]']).time, { column: 'Time [MIN]', unit: 'min' });
+    });
+
+    test('keeps a remembered mapping where the column still exists', () => {
+        const mapping = guessMapping(['Amps', 'Supply V', 'Watts'], {
+            voltage: { column: 'Supply V', unit: 'kV' },
+            current: { column: 'Missing', unit: 'A' }
+        });
+        assert.deepEqual(mapping.voltage, { column: 'Supply V', unit: 'kV' });
+        assert.deepEqual(mapping.current, { column: 'Amps', unit: 'A' });
+        assert.deepEqual(mapping.power, { column: 'Watts', unit: 'W' });
+    });
+
+    test('uses each column once', () => {
+        const mapping = guessMapping(['V'], { current: { column: 'V', unit: 'A' } });
+        assert.equal(mapping.voltage, undefined);
+        assert.deepEqual(mapping.current, { column: 'V', unit: 'A' });
+    });
+});
+
+describe('calculateBatchRow', () => {
+    const mapping = guessMapping(['Appliance', 'Volts', 'Load (kW)', 'Hours', 'Phase', 'Tariff']);
+
+    test('converts mapped units and calculates', () => {
+        const row = calculateBatchRow({ Appliance: 'Geyser', Volts: '230', 'Load (kW)': '2', Hours: '1,5' }, mapping, { tariff: 8 });
+        assert.equal(row.label, 'Geyser');
+        assert.deepEqual(row.errors, []);
+        assert.equal(row.values.power, 2000);
+        assert.equal(row.values.time, 1.5);
+        assert.equal(row.results.energy, 3);
+        assert.equal(row.results.cost, 24);
+        assert.equal(row.results.methods.calculatedCurrent, SOLVER_METHODS.POWER_VOLTAGE);
+    });
+
+    test('uses the defaults for missing fields', () => {
+        const profile = DEFAULT_TARIFF_PROFILES[0];
+        const row = calculateBatchRow({ Volts: '415', 'Load (kW)': '10', Hours: '10' }, mapping, { phase: PHASES.THREE, tariffProfile: profile });
+        assert.equal(row.values.phase, PHASES.THREE);
+        assert.ok(row.results.bill);
+    });
+
+    test('a tariff in the row replaces the default profile', () => {
+        const row = calculateBatchRow({ 'Load (kW)': '1', Hours: '2', Tariff: '5' }, mapping, { tariffProfile: DEFAULT_TARIFF_PROFILES[0] });
+        assert.equal(row.values.tariffProfile, null);
+        assert.equal(row.results.cost, 10);
+    });
+
+    test('reads the supply phase', () => {
+        assert.equal(calculateBatchRow({ Volts: '415', 'Load (kW)': '1', Phase: '3-phase' }, mapping).values.phase, PHASES.THREE);
+        assert.deepEqual(calculateBatchRow({ Volts: '415', 'Load (kW)': '1', Phase: 'two' }, mapping).errors, ['Supply phase "two" is not single or three']);
+    });
+
+    test('reports every invalid value', () => {
+        const row = calculateBatchRow({ Volts: 'abc', 'Load (kW)': '-1', Hours: '2' }, mapping);
+        assert.deepEqual(row.errors, ['Voltage "abc" is not a number', 'Power cannot be negative']);
+        assert.equal(row.results, null);
+    });
+
+    test('needs two values of its own', () => {
+        const error = ['Needs at least two of voltage, current, power, resistance, time and tariff'];
+        assert.deepEqual(calculateBatchRow({ Volts: '230' }, mapping).errors, error);
+        assert.deepEqual(calculateBatchRow({ Volts: '230' }, mapping, { tariff: 8.5 }).errors, error);
+        assert.deepEqual(calculateBatchRow({ Volts: '230', Tariff: '8.5' }, mapping).errors, []);
+    });
+
+    test('accepts numbers from JSON', () => {
+        const row = calculateBatchRow({ power: 100, time: 10 }, guessMapping(['power', 'time']));
+        assert.equal(row.results.energy, 1);
+    });
+});
+
+describe('enrichBatch', () => {
+    test('adds result and error columns to every row', () => {
+        const imported = parseBatchFile('Appliance,Volts,Watts\nLamp,230,0\nFan,230,75\n', 'csv');
+        const batch = calculateBatch(imported.rows, guessMapping(imported.columns));
+        const { columns, rows } = enrichBatch(imported, batch);
+
+        assert.deepEqual(columns.slice(0, 5), ['Appliance', 'Volts', 'Watts', 'Calculated power (W)', 'Calculated current (A)']);
+        assert.equal(columns.at(-1), 'Errors');
+        assert.equal(rows[0]['Calculated power (W)'], null);
+        assert.match(rows[0].Errors, /at least two/);
+        assert.equal(rows[1]['Calculated power (W)'], 75);
+        assert.equal(rows[1]['Energy (kWh)'], null);
+        assert.equal(rows[1].Errors, '');
+    });
+
+    test('labels the cost column in the given currency', () => {
+        const imported = parseBatchFile('Watts,Hours\n100,2\n', 'csv');
+        const batch = calculateBatch(imported.rows, guessMapping(imported.columns), { tariff: 0.5, currency: 'AED' });
+        const { columns, rows } = enrichBatch(imported, batch, 'AED');
+        assert.equal(columns.includes('Cost (AED)'), true);
+        assert.equal(rows[0]['Cost (AED)'], 0.1);
+    });
+});
+
+describe('formatBatchCSV', () => {
+    test('writes the enriched rows and defuses formula labels', () => {
+        const imported = parseBatchFile('Appliance,Watts,Hours\n"=HYPERLINK(""http://example.com"")",100,2\n', 'csv');
+        const enriched = enrichBatch(imported, calculateBatch(imported.rows, guessMapping(imported.columns)));
+        const csv = formatBatchCSV(enriched);
+        assert.ok(csv.startsWith('\uFEFF'));
+
+        const [header, row] = parseCSV(csv);
+        assert.deepEqual(header, enriched.columns);
+        assert.equal(row[0], '\'=HYPERLINK("http://example.com")');
+        assert.equal(row[header.indexOf('Energy (kWh)')], '0.2');
+    });
+});
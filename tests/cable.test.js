@@ -0,0 +1,143 @@
+/**
+ * Tests for cable sizing (js/cable.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    sizeCable,
+    calculateVoltageDrop,
+    getVoltageDropFormula,
+    getAmpacity,
+    getConductorResistance,
+    CONDUCTOR_MATERIALS,
+    CABLE_SIZES
+} from '../js/cable.js';
+import { PHASES, VOLTAGE_REFERENCES } from '../js/calculator.js';
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not close to ${expected}`);
+}
+
+describe('getAmpacity', () => {
+    test('looks up copper ratings by method and loaded conductors', () => {
+        assert.equal(getAmpacity(2.5, CONDUCTOR_MATERIALS.COPPER, 'C', 2), 27);
+        assert.equal(getAmpacity(2.5, CONDUCTOR_MATERIALS.COPPER, 'C', 3), 24);
+        assert.equal(getAmpacity(2.5, CONDUCTOR_MATERIALS.COPPER, 'A1', 2), 19.5);
+    });
+
+    test('derates aluminium and starts at 16 mm²', () => {
+        assert.equal(getAmpacity(10, CONDUCTOR_MATERIALS.ALUMINIUM, 'C', 2), null);
+        assert.equal(getAmpacity(16, CONDUCTOR_MATERIALS.ALUMINIUM, 'C', 2), Math.round(85 * 0.78));
+    });
+
+    test('returns null for unknown sizes or methods', () => {
+        assert.equal(getAmpacity(3, CONDUCTOR_MATERIALS.COPPER, 'C', 2), null);
+        assert.equal(getAmpacity(2.5, CONDUCTOR_MATERIALS.COPPER, 'Z', 2), null);
+    });
+
+    test('every method covers every size', () => {
+        ['A1', 'B1', 'C', 'D', 'E'].forEach(method => {
+            CABLE_SIZES.forEach(size => {
+                assert.ok(getAmpacity(size, CONDUCTOR_MATERIALS.COPPER, method, 2) > 0);
+                assert.ok(getAmpacity(size, CONDUCTOR_MATERIALS.COPPER, method, 3) > 0);
+            });
+        });
+    });
+});
+
+describe('getConductorResistance', () => {
+    test('corrects the 20 °C resistance to 70 °C', () => {
+        assertClose(getConductorResistance(2.5, CONDUCTOR_MATERIALS.COPPER), 7.41 * (1 + 0.00393 * 50));
+        assertClose(getConductorResistance(16, CONDUCTOR_MATERIALS.ALUMINIUM), 1.91 * (1 + 0.00403 * 50));
+    });
+
+    test('returns null where the conductor is not made', () => {
+        assert.equal(getConductorResistance(2.5, CONDUCTOR_MATERIALS.ALUMINIUM), null);
+    });
+});
+
+describe('calculateVoltageDrop', () => {
+    const R = 7.41 * (1 + 0.00393 * 50);
+
+    test('single-phase counts both conductors', () => {
+        assertClose(calculateVoltageDrop({ current: 16, length: 20, size: 2.5 }), 2 * 16 * 0.02 * R);
+    });
+
+    test('three-phase line-to-line uses √3', () => {
+        const drop = calculateVoltageDrop({ current: 16, length: 20, size: 2.5, phase: PHASES.THREE });
+        assertClose(drop, Math.sqrt(3) * 16 * 0.02 * R);
+    });
+
+    test('three-phase line-to-neutral is the per-phase drop', () => {
+        const drop = calculateVoltageDrop({
+            current: 16,
+            length: 20,
+            size: 2.5,
+            phase: PHASES.THREE,
+            voltageReference: VOLTAGE_REFERENCES.LINE_TO_NEUTRAL
+        });
+        assertClose(drop, 16 * 0.02 * R);
+    });
+
+    test('includes reactance below unity power factor', () => {
+        const drop = calculateVoltageDrop({ current: 16, length: 20, size: 2.5, powerFactor: 0.8 });
+        assertClose(drop, 2 * 16 * 0.02 * (R * 0.8 + 0.08 * 0.6));
+    });
+
+    test('formula text follows the supply arrangement', () => {
+        assert.equal(getVoltageDropFormula(), 'ΔV = 2 × I × L × (R cos φ + X sin φ)');
+        assert.equal(getVoltageDropFormula(PHASES.THREE), 'ΔV = √3 × I × L × (R cos φ + X sin φ)');
+        assert.equal(getVoltageDropFormula(PHASES.THREE, VOLTAGE_REFERENCES.LINE_TO_NEUTRAL), 'ΔV = I × L × (R cos φ + X sin φ)');
+    });
+});
+
+describe('sizeCable', () => {
+    test('picks the smallest size that carries the current', () => {
+        const result = sizeCable({ current: 16, voltage: 230, length: 5 });
+        assert.equal(result.recommended.size, 1.5);
+        assert.equal(result.limitedBy, 'ampacity');
+        assert.equal(result.minimumForCurrent, 1.5);
+    });
+
+    test('upsizes for voltage drop on long runs', () => {
+        const result = sizeCable({ current: 16, voltage: 230, length: 20 });
+        assert.equal(result.minimumForCurrent, 1.5);
+        assert.equal(result.recommended.size, 2.5);
+        assert.equal(result.limitedBy, 'voltageDrop');
+        assert.ok(result.recommended.voltageDropPercent <= 3);
+    });
+
+    test('upsizes for the protective device rating', () => {
+        // 17 A needs a 20 A breaker, which 1.5 mm² (19.5 A) does not reach
+        const result = sizeCable({ current: 17, voltage: 230, length: 10, minimumAmpacity: 20 });
+        assert.equal(result.minimumForCurrent, 1.5);
+        assert.equal(result.minimumForProtection, 2.5);
+        assert.equal(result.recommended.size, 2.5);
+        assert.equal(result.limitedBy, 'protection');
+    });
+
+    test('honours the allowed voltage drop', () => {
+        const result = sizeCable({ current: 16, voltage: 230, length: 20, maxDropPercent: 5 });
+        assert.equal(result.recommended.size, 1.5);
+    });
+
+    test('uses the installation method and material', () => {
+        assert.equal(sizeCable({ current: 30, voltage: 230, length: 1, method: 'A1' }).recommended.size, 6);
+        assert.equal(sizeCable({ current: 30, voltage: 230, length: 1, material: CONDUCTOR_MATERIALS.ALUMINIUM }).recommended.size, 16);
+    });
+
+    test('uses three loaded conductors for three-phase', () => {
+        const result = sizeCable({ current: 26, voltage: 415, length: 1, phase: PHASES.THREE });
+        assert.equal(result.recommended.size, 4);
+    });
+
+    test('returns no recommendation when nothing is large enough', () => {
+        const result = sizeCable({ current: 1000, voltage: 415, length: 10, phase: PHASES.THREE });
+        assert.equal(result.recommended, null);
+        assert.equal(result.minimumForCurrent, null);
+        assert.equal(result.limitedBy, null);
+    });
+});
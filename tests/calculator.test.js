@@ -0,0 +1,491 @@
+/**
+ * Tests for the calculation engine (js/calculator.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateAll,
+    hasValidInputs,
+    formatNumber,
+    getPhaseFactor,
+    getPhaseCount,
+    getFormulas,
+    getPhaseModeLabel,
+    resolvePowerFactor,
+    checkConsistency,
+    withoutDerivedFields,
+    getDailyEnergy,
+    PF_SOURCES,
+    SOLVER_METHODS,
+    PHASES,
+    VOLTAGE_REFERENCES,
+    INPUT_UNITS,
+    RESULT_UNITS
+} from '../js/calculator.js';
+
+const EMPTY = { voltage: 0, current: 0, power: 0, resistance: 0, time: 0, tariff: 0 };
+
+function inputs(overrides) {
+    return { ...EMPTY, ...overrides };
+}
+
+describe('hasValidInputs', () => {
+    test('requires at least two positive values', () => {
+        assert.equal(hasValidInputs(EMPTY), false);
+        assert.equal(hasValidInputs(inputs({ voltage: 230 })), false);
+        assert.equal(hasValidInputs(inputs({ voltage: 230, current: 10 })), true);
+    });
+
+    test('ignores zero and negative values', () => {
+        assert.equal(hasValidInputs(inputs({ voltage: 230, current: -1 })), false);
+        assert.equal(hasValidInputs(inputs({ voltage: 230, power: 0 })), false);
+    });
+
+    test('counts time and tariff like any other input', () => {
+        assert.equal(hasValidInputs(inputs({ time: 2, tariff: 8.5 })), true);
+    });
+
+    test('does not count the phase mode as an input value', () => {
+        assert.equal(hasValidInputs(inputs({ voltage: 415, phase: PHASES.THREE, voltageReference: 'line' })), false);
+    });
+});
+
+describe('three-phase mode', () => {
+    const THREE_LL = { phase: PHASES.THREE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_LINE };
+    const THREE_LN = { phase: PHASES.THREE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_NEUTRAL };
+
+    test('phase factor is 1, √3 or 3', () => {
+        assert.equal(getPhaseFactor(), 1);
+        assert.equal(getPhaseFactor(PHASES.SINGLE, VOLTAGE_REFERENCES.LINE_TO_NEUTRAL), 1);
+        assert.equal(getPhaseFactor(PHASES.THREE), Math.sqrt(3));
+        assert.equal(getPhaseFactor(PHASES.THREE, VOLTAGE_REFERENCES.LINE_TO_NEUTRAL), 3);
+    });
+
+    test('line-to-line voltage and current give P = √3 × V_L × I', () => {
+        const results = calculateAll(inputs({ voltage: 415, current: 10, ...THREE_LL }));
+        assert.equal(results.calculatedPower, Math.sqrt(3) * 4150);
+    });
+
+    test('line-to-line power and voltage give the line current', () => {
+        const results = calculateAll(inputs({ voltage: 415, power: 7500, ...THREE_LL }));
+        assert.ok(Math.abs(results.calculatedCurrent - 10.434) < 0.001);
+        assert.equal(results.calculatedVoltage, 415);
+    });
+
+    test('line-to-neutral power and current give the phase voltage', () => {
+        const results = calculateAll(inputs({ current: 10, power: 6900, ...THREE_LN }));
+        assert.equal(results.calculatedVoltage, 230);
+    });
+
+    test('line-to-neutral voltage and current give P = 3 × V_ph × I', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10, time: 1, ...THREE_LN }));
+        assert.equal(results.calculatedPower, 6900);
+        assert.equal(results.energy, 6.9);
+    });
+
+    test('formula text follows the mode', () => {
+        assert.equal(getFormulas().power, 'P = V × I × PF');
+        assert.equal(getFormulas(PHASES.THREE).current, 'I = P ÷ (√3 × V_L × PF)');
+        assert.equal(getFormulas(PHASES.THREE).apparentPower, 'S = √3 × V_L × I');
+        assert.equal(getFormulas(PHASES.THREE, VOLTAGE_REFERENCES.LINE_TO_NEUTRAL).voltage, 'V_ph = P ÷ (3 × I × PF)');
+    });
+
+    test('mode labels name the voltage reference', () => {
+        assert.equal(getPhaseModeLabel(), 'Single-phase');
+        assert.equal(getPhaseModeLabel(PHASES.THREE), 'Three-phase (line-to-line)');
+        assert.equal(getPhaseModeLabel(PHASES.THREE, VOLTAGE_REFERENCES.LINE_TO_NEUTRAL), 'Three-phase (line-to-neutral)');
+    });
+});
+
+describe('calculateAll', () => {
+    test('voltage and current give power (P = V × I)', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10 }));
+        assert.equal(results.calculatedPower, 2300);
+        assert.equal(results.calculatedCurrent, 10);
+        assert.equal(results.calculatedVoltage, 230);
+        assert.equal(results.energy, null);
+        assert.equal(results.cost, null);
+    });
+
+    test('power and voltage give current (I = P / V)', () => {
+        const results = calculateAll(inputs({ voltage: 230, power: 2300 }));
+        assert.equal(results.calculatedPower, 2300);
+        assert.equal(results.calculatedCurrent, 10);
+        assert.equal(results.calculatedVoltage, 230);
+    });
+
+    test('power and current give voltage (V = P / I)', () => {
+        const results = calculateAll(inputs({ current: 10, power: 2300 }));
+        assert.equal(results.calculatedPower, 2300);
+        assert.equal(results.calculatedCurrent, 10);
+        assert.equal(results.calculatedVoltage, 230);
+    });
+
+    test('with a fixed power factor, voltage, current and power each derive from the other two', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10, power: 1000, powerFactor: 1 }));
+        assert.equal(results.calculatedPower, 2300);
+        assert.equal(results.calculatedCurrent, 1000 / 230);
+        assert.equal(results.calculatedVoltage, 100);
+    });
+
+    test('a single electrical input is passed through unchanged', () => {
+        assert.equal(calculateAll(inputs({ power: 500, time: 2 })).calculatedPower, 500);
+        assert.equal(calculateAll(inputs({ current: 3, time: 2 })).calculatedCurrent, 3);
+        assert.equal(calculateAll(inputs({ voltage: 12, time: 2 })).calculatedVoltage, 12);
+    });
+
+    test('reports which inputs each result was solved from', () => {
+        assert.deepEqual(calculateAll(inputs({ voltage: 230, current: 10, power: 1000, powerFactor: 1 })).methods, {
+            calculatedPower: SOLVER_METHODS.VOLTAGE_CURRENT,
+            calculatedCurrent: SOLVER_METHODS.POWER_VOLTAGE,
+            calculatedVoltage: SOLVER_METHODS.POWER_CURRENT,
+            calculatedResistance: SOLVER_METHODS.VOLTAGE_CURRENT
+        });
+        assert.equal(calculateAll(inputs({ power: 500, time: 2 })).methods.calculatedPower, SOLVER_METHODS.ENTERED);
+    });
+
+    test('missing electrical inputs give null results', () => {
+        const results = calculateAll(inputs({ time: 2, tariff: 8.5 }));
+        assert.deepEqual(results, {
+            calculatedPower: null,
+            calculatedCurrent: null,
+            calculatedVoltage: null,
+            calculatedResistance: null,
+            powerFactor: 1,
+            phaseAngle: 0,
+            powerFactorSource: PF_SOURCES.UNITY,
+            apparentPower: null,
+            reactivePower: null,
+            energy: null,
+            cost: null,
+            bill: null,
+            methods: {
+                calculatedPower: null,
+                calculatedCurrent: null,
+                calculatedVoltage: null,
+                calculatedResistance: null
+            },
+            consistency: {
+                overdetermined: false,
+                consistent: true,
+                powerFactorSolved: false,
+                conflictingFields: [],
+                relations: [],
+                derived: []
+            }
+        });
+    });
+
+    test('energy is power × time in kWh', () => {
+        assert.equal(calculateAll(inputs({ power: 2000, time: 3 })).energy, 6);
+        assert.equal(calculateAll(inputs({ voltage: 230, current: 10, time: 2 })).energy, 4.6);
+    });
+
+    test('energy needs a positive time', () => {
+        assert.equal(calculateAll(inputs({ power: 2000, tariff: 8.5 })).energy, null);
+    });
+
+    test('cost is energy × tariff', () => {
+        const results = calculateAll(inputs({ power: 2000, time: 3, tariff: 8.5 }));
+        assert.equal(results.energy, 6);
+        assert.equal(results.cost, 51);
+    });
+
+    test('a tariff profile replaces the flat tariff with a month\'s bill', () => {
+        const tariffProfile = { billingType: 'telescopic', slabs: [{ upTo: 5, rate: 2 }, { upTo: null, rate: 4 }], fixedCharge: 10 };
+        const results = calculateAll(inputs({ power: 2000, time: 3, tariff: 8.5, tariffProfile }));
+        // 6 kWh a day for 30 days
+        assert.equal(results.bill.energy, 180);
+        assert.equal(results.bill.energyCharge, 5 * 2 + 175 * 4);
+        assert.equal(results.cost, (720 * 6) / 180);
+    });
+
+    test('a tariff profile spreads continuous use over its days', () => {
+        const tariffProfile = { billingType: 'telescopic', slabs: [{ upTo: 5, rate: 2 }, { upTo: null, rate: 4 }], fixedCharge: 10 };
+        const results = calculateAll(inputs({ power: 2000, time: 48, tariffProfile }));
+        assert.equal(results.bill.energy, 48 * 30);
+        assert.equal(results.cost, (results.bill.total * 96) / 1440);
+    });
+
+    test('cost needs both energy and a positive tariff', () => {
+        assert.equal(calculateAll(inputs({ power: 2000, time: 3 })).cost, null);
+        assert.equal(calculateAll(inputs({ power: 2000, tariff: 8.5 })).cost, null);
+    });
+
+    test('omitted fields are treated as zero', () => {
+        const results = calculateAll({ voltage: 230, current: 10 });
+        assert.equal(results.calculatedPower, 2300);
+        assert.equal(results.energy, null);
+    });
+});
+
+describe('power factor', () => {
+    function assertClose(actual, expected) {
+        assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+    }
+
+    test('defaults to unity', () => {
+        assert.deepEqual(resolvePowerFactor(inputs({ voltage: 230, current: 10 })), { powerFactor: 1, source: PF_SOURCES.UNITY });
+    });
+
+    test('an entered power factor is used and capped at 1', () => {
+        assert.deepEqual(resolvePowerFactor(inputs({ powerFactor: 0.8 })), { powerFactor: 0.8, source: PF_SOURCES.INPUT });
+        assert.equal(resolvePowerFactor(inputs({ powerFactor: 1.2 })).powerFactor, 1);
+    });
+
+    test('a phase angle gives PF = cos φ', () => {
+        const resolved = resolvePowerFactor(inputs({ phaseAngle: 60 }));
+        assert.equal(resolved.source, PF_SOURCES.ANGLE);
+        assertClose(resolved.powerFactor, 0.5);
+    });
+
+    test('an entered power factor wins over the phase angle', () => {
+        assert.equal(resolvePowerFactor(inputs({ powerFactor: 0.9, phaseAngle: 60 })).powerFactor, 0.9);
+    });
+
+    test('is solved from voltage, current and power', () => {
+        const resolved = resolvePowerFactor(inputs({ voltage: 230, current: 10, power: 1840 }));
+        assert.equal(resolved.source, PF_SOURCES.SOLVED);
+        assertClose(resolved.powerFactor, 0.8);
+    });
+
+    test('is not solved when power exceeds V × I', () => {
+        assert.equal(resolvePowerFactor(inputs({ voltage: 230, current: 10, power: 3000 })).source, PF_SOURCES.UNITY);
+    });
+
+    test('three-phase solving includes the phase factor', () => {
+        const resolved = resolvePowerFactor(inputs({ voltage: 400, current: 10, power: 400 * 10 * Math.sqrt(3) * 0.85, phase: PHASES.THREE }));
+        assertClose(resolved.powerFactor, 0.85);
+    });
+
+    test('real power is reduced by the power factor', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10, powerFactor: 0.8, time: 5, tariff: 10 }));
+        assertClose(results.calculatedPower, 1840);
+        assertClose(results.apparentPower, 2300);
+        assertClose(results.reactivePower, 1380);
+        assertClose(results.energy, 9.2);
+        assertClose(results.cost, 92);
+    });
+
+    test('current and voltage account for the power factor', () => {
+        assertClose(calculateAll(inputs({ voltage: 230, power: 1840, powerFactor: 0.8 })).calculatedCurrent, 10);
+        assertClose(calculateAll(inputs({ current: 10, power: 1840, powerFactor: 0.8 })).calculatedVoltage, 230);
+    });
+
+    test('solved power factor keeps V, I and P consistent', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10, power: 1000 }));
+        assert.equal(results.powerFactorSource, PF_SOURCES.SOLVED);
+        assertClose(results.calculatedPower, 1000);
+        assertClose(results.calculatedCurrent, 10);
+        assertClose(results.calculatedVoltage, 230);
+        assertClose(results.apparentPower, 2300);
+    });
+
+    test('phase angle is reported in degrees', () => {
+        assertClose(calculateAll(inputs({ power: 1000, powerFactor: 0.5, time: 1 })).phaseAngle, 60);
+    });
+
+    test('power factor does not count as a calculation input', () => {
+        assert.equal(hasValidInputs(inputs({ voltage: 230, powerFactor: 0.8 })), false);
+    });
+});
+
+describe('resistance (Ohm\'s law)', () => {
+    function assertClose(actual, expected) {
+        assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+    }
+
+    // Each case is a 230 V, 10 A, 2300 W, 23 Ω single-phase load given by two of its values
+    const LOAD = { voltage: 230, current: 10, power: 2300, resistance: 23 };
+    const PAIRS = [
+        ['voltage', 'current'],
+        ['voltage', 'power'],
+        ['voltage', 'resistance'],
+        ['current', 'power'],
+        ['current', 'resistance'],
+        ['power', 'resistance']
+    ];
+
+    PAIRS.forEach(([a, b]) => {
+        test(`${a} and ${b} solve the other two`, () => {
+            const results = calculateAll(inputs({ [a]: LOAD[a], [b]: LOAD[b] }));
+            assertClose(results.calculatedVoltage, 230);
+            assertClose(results.calculatedCurrent, 10);
+            assertClose(results.calculatedPower, 2300);
+            assertClose(results.calculatedResistance, 23);
+        });
+    });
+
+    test('resistance is per phase in three-phase line-to-line mode', () => {
+        const results = calculateAll(inputs({ voltage: 400, current: 10, phase: PHASES.THREE }));
+        assertClose(results.calculatedResistance, 400 / Math.sqrt(3) / 10);
+    });
+
+    test('three-phase resistance and current give the line voltage', () => {
+        const results = calculateAll(inputs({ current: 10, resistance: 23, phase: PHASES.THREE }));
+        assertClose(results.calculatedVoltage, 230 * Math.sqrt(3));
+        assertClose(results.calculatedPower, 3 * 100 * 23);
+    });
+
+    test('three-phase power and resistance solve line-to-neutral voltage', () => {
+        const results = calculateAll(inputs({ power: 6900, resistance: 23, phase: PHASES.THREE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_NEUTRAL }));
+        assertClose(results.calculatedVoltage, 230);
+        assertClose(results.calculatedCurrent, 10);
+    });
+
+    test('power factor scales dissipated power from resistance', () => {
+        const results = calculateAll(inputs({ voltage: 230, resistance: 23, powerFactor: 0.8 }));
+        assertClose(results.calculatedPower, 1840);
+        assertClose(results.calculatedCurrent, 10);
+    });
+
+    test('a lone resistance is passed through', () => {
+        assert.equal(calculateAll(inputs({ resistance: 50, time: 1 })).calculatedResistance, 50);
+    });
+
+    test('resistance counts as a calculation input', () => {
+        assert.equal(hasValidInputs(inputs({ voltage: 230, resistance: 23 })), true);
+    });
+
+    test('phase count is 1 or 3', () => {
+        assert.equal(getPhaseCount(), 1);
+        assert.equal(getPhaseCount(PHASES.THREE), 3);
+    });
+
+    test('resistance formula follows the mode', () => {
+        assert.equal(getFormulas().resistance, 'R = V ÷ I');
+        assert.equal(getFormulas(PHASES.THREE).resistance, 'R = V_L ÷ (√3 × I)');
+    });
+});
+
+describe('consistency', () => {
+    test('two electrical inputs are not over-determined', () => {
+        const consistency = checkConsistency(inputs({ voltage: 230, current: 10 }));
+        assert.equal(consistency.overdetermined, false);
+        assert.equal(consistency.consistent, true);
+    });
+
+    test('flags V, I and P that disagree with an entered power factor', () => {
+        const consistency = checkConsistency(inputs({ voltage: 230, current: 10, power: 1000, powerFactor: 1 }));
+        assert.equal(consistency.overdetermined, true);
+        assert.equal(consistency.consistent, false);
+
+        const [relation] = consistency.relations;
+        assert.equal(relation.formula, 'P = V × I × PF');
+        assert.ok(Math.abs(relation.discrepancy - (1000 - 2300) / 2300 * 100) < 1e-9);
+        assert.equal(relation.expected.power, 2300);
+        assert.equal(relation.expected.current, 1000 / 230);
+        assert.equal(relation.expected.powerFactor, 1000 / 2300);
+        assert.deepEqual(consistency.conflictingFields, ['voltage', 'current', 'power', 'powerFactor']);
+    });
+
+    test('V, I and P without a power factor agree through the solved power factor', () => {
+        const consistency = checkConsistency(inputs({ voltage: 230, current: 10, power: 1000 }));
+        assert.equal(consistency.consistent, true);
+        assert.equal(consistency.powerFactorSolved, true);
+    });
+
+    test('power above V × I cannot be met by any power factor', () => {
+        const consistency = checkConsistency(inputs({ voltage: 230, current: 10, power: 3000 }));
+        assert.equal(consistency.consistent, false);
+        assert.deepEqual(consistency.conflictingFields, ['voltage', 'current', 'power']);
+    });
+
+    test('allows for rounded values within the tolerance', () => {
+        assert.equal(checkConsistency(inputs({ voltage: 230, current: 10, power: 2290, powerFactor: 1 })).consistent, true);
+        assert.equal(checkConsistency(inputs({ voltage: 230, current: 10, power: 2290, powerFactor: 1 }), 0.1).consistent, false);
+    });
+
+    test('checks resistance against voltage and current', () => {
+        assert.equal(checkConsistency(inputs({ voltage: 230, current: 10, resistance: 23 })).consistent, true);
+        const consistency = checkConsistency(inputs({ voltage: 230, current: 10, resistance: 50 }));
+        assert.equal(consistency.relations[0].id, 'resistance');
+        assert.deepEqual(consistency.conflictingFields, ['voltage', 'current', 'resistance']);
+    });
+
+    test('uses the three-phase relations', () => {
+        const values = inputs({ voltage: 415, current: 10, power: Math.sqrt(3) * 4150 * 0.85, powerFactor: 0.85, phase: PHASES.THREE });
+        assert.equal(checkConsistency(values).consistent, true);
+        assert.equal(checkConsistency(values).relations[0].formula, 'P = √3 × V_L × I × PF');
+    });
+
+    test('derived fields are solved from the other inputs', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10, power: 1000, powerFactor: 1, derived: ['power'] }));
+        assert.equal(results.calculatedPower, 2300);
+        assert.equal(results.calculatedCurrent, 10);
+        assert.equal(results.calculatedVoltage, 230);
+        assert.equal(results.consistency.overdetermined, false);
+        assert.deepEqual(results.consistency.derived, [{ field: 'power', entered: 1000, value: 2300, discrepancy: (1000 - 2300) / 2300 * 100 }]);
+    });
+
+    test('deriving the power factor solves it from V, I and P', () => {
+        const results = calculateAll(inputs({ voltage: 230, current: 10, power: 2070, phaseAngle: 60, derived: ['powerFactor'] }));
+        assert.equal(results.powerFactorSource, PF_SOURCES.SOLVED);
+        assert.equal(results.powerFactor, 0.9);
+        assert.equal(results.consistency.derived[0].field, 'powerFactor');
+        assert.ok(Math.abs(results.consistency.derived[0].entered - 0.5) < 1e-12);
+    });
+
+    test('withoutDerivedFields clears the chosen inputs', () => {
+        assert.deepEqual(
+            withoutDerivedFields({ voltage: 230, powerFactor: 0.8, phaseAngle: 30 }, ['voltage', 'powerFactor']),
+            { voltage: 0, powerFactor: 0, phaseAngle: 0 }
+        );
+    });
+});
+
+describe('getDailyEnergy', () => {
+    test('takes times up to a day as hours of use per day', () => {
+        assert.equal(getDailyEnergy(6, 3), 6);
+        assert.equal(getDailyEnergy(24, 24), 24);
+    });
+
+    test('spreads longer times over their days', () => {
+        assert.equal(getDailyEnergy(96, 48), 48);
+        assert.equal(getDailyEnergy(720, 720), 24);
+    });
+
+    test('is zero without energy or time', () => {
+        assert.equal(getDailyEnergy(null, 3), 0);
+        assert.equal(getDailyEnergy(6, 0), 0);
+    });
+});
+
+describe('formatNumber', () => {
+    test('uses M and k suffixes for large values', () => {
+        assert.equal(formatNumber(2500000), '2.50M');
+        assert.equal(formatNumber(2300), '2.30k');
+    });
+
+    test('uses two decimals for ordinary values', () => {
+        assert.equal(formatNumber(230), '230.00');
+        assert.equal(formatNumber(0.5), '0.50');
+    });
+
+    test('uses exponent notation below 0.01', () => {
+        assert.equal(formatNumber(0.001), '1.00e-3');
+    });
+
+    test('writes zero plainly and keeps the sign of negative values', () => {
+        assert.equal(formatNumber(0), '0.00');
+        assert.equal(formatNumber(-5), '-5.00');
+        assert.equal(formatNumber(-2300), '-2.30k');
+    });
+
+    test('returns placeholder for missing values', () => {
+        assert.equal(formatNumber(null), '--');
+        assert.equal(formatNumber(NaN), '--');
+    });
+});
+
+describe('units', () => {
+    test('inputs and results declare their units', () => {
+        assert.equal(INPUT_UNITS.time, 'h');
+        assert.equal(RESULT_UNITS.energy, 'kWh');
+        assert.ok(Object.isFrozen(INPUT_UNITS));
+        assert.ok(Object.isFrozen(RESULT_UNITS));
+    });
+});
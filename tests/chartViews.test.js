@@ -0,0 +1,102 @@
+/**
+ * Tests for the chart view series (js/chartViews.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { projectUsage, buildHistorySeries, buildComparison, PROJECTION_PERIODS } from '../js/chartViews.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+// 1 kW for 5 h a day: 5 kWh/day, 150 kWh/month
+const LOAD = { power: 1000, hoursPerDay: 5, tariff: 8 };
+
+function calculation(timestamp, results) {
+    return { timestamp, inputs: {}, results };
+}
+
+describe('projectUsage', () => {
+    test('projects a week day by day', () => {
+        const result = projectUsage(LOAD, PROJECTION_PERIODS.DAILY);
+        assert.equal(result.labels.length, 7);
+        assertClose(result.energy[0], 5);
+        assertClose(result.cost[0], 40);
+        assertClose(result.totalEnergy, 35);
+        assertClose(result.cumulativeCost[6], 280);
+    });
+
+    test('projects a year month by month by default', () => {
+        const result = projectUsage(LOAD);
+        assert.equal(result.labels[0], 'Jan');
+        assertClose(result.energy[0], 150);
+        assertClose(result.totalCost, 150 * 8 * 12);
+    });
+
+    test('projects five years', () => {
+        const result = projectUsage(LOAD, PROJECTION_PERIODS.YEARLY);
+        assert.deepEqual(result.labels, ['Year 1', 'Year 2', 'Year 3', 'Year 4', 'Year 5']);
+        assertClose(result.energy[0], 1800);
+    });
+
+    test('caps usage at 24 hours a day', () => {
+        const result = projectUsage({ power: 1000, hoursPerDay: 100 }, PROJECTION_PERIODS.DAILY);
+        assertClose(result.energy[0], 24);
+    });
+
+    test('bills each month against a tariff profile', () => {
+        const tariffProfile = { slabs: [{ upTo: 100, rate: 3 }, { upTo: null, rate: 6 }], fixedCharge: 30 };
+        const result = projectUsage({ ...LOAD, tariffProfile });
+        // 100 × 3 + 50 × 6 + 30 every month, not one slab run over the year
+        assertClose(result.cost[0], 630);
+        assertClose(result.totalCost, 630 * 12);
+    });
+});
+
+describe('buildHistorySeries', () => {
+    test('orders calculations oldest first', () => {
+        const series = buildHistorySeries([
+            calculation('2024-01-02T10:00:00Z', { energy: 2, cost: 16 }),
+            calculation('2024-01-01T10:00:00Z', { energy: 1, cost: 8 })
+        ]);
+        assert.deepEqual(series.timestamps, ['2024-01-01T10:00:00Z', '2024-01-02T10:00:00Z']);
+        assert.deepEqual(series.energy, [1, 2]);
+        assert.deepEqual(series.costs, [{ currency: 'INR', data: [8, 16] }]);
+    });
+
+    test('splits costs saved in different currencies', () => {
+        const series = buildHistorySeries([
+            { timestamp: '2024-01-03T10:00:00Z', inputs: { currency: 'INR' }, results: { energy: 3, cost: 24 } },
+            { timestamp: '2024-01-02T10:00:00Z', inputs: { currency: 'USD' }, results: { energy: 2, cost: 0.3 } },
+            calculation('2024-01-01T10:00:00Z', { energy: 1, cost: 8 })
+        ]);
+        assert.deepEqual(series.costs, [
+            { currency: 'INR', data: [8, null, 24] },
+            { currency: 'USD', data: [null, 0.3, null] }
+        ]);
+    });
+
+    test('keeps gaps for calculations without energy', () => {
+        const series = buildHistorySeries([calculation('2024-01-01T10:00:00Z', { energy: null, cost: null })]);
+        assert.deepEqual(series.energy, [null]);
+    });
+});
+
+describe('buildComparison', () => {
+    test('takes the most recent calculations, oldest shown first', () => {
+        const calculations = [3, 2, 1].map(day => calculation(`2024-01-0${day}T10:00:00Z`, { calculatedPower: day * 1000, energy: day, cost: day * 8 }));
+        const comparison = buildComparison(calculations, 2);
+        assert.deepEqual(comparison.timestamps, ['2024-01-02T10:00:00Z', '2024-01-03T10:00:00Z']);
+        assert.deepEqual(comparison.power, [2, 3]);
+        assert.deepEqual(comparison.costs, [{ currency: 'INR', data: [16, 24] }]);
+    });
+
+    test('does not modify the stored order', () => {
+        const calculations = [calculation('b', { energy: 2 }), calculation('a', { energy: 1 })];
+        buildComparison(calculations);
+        assert.equal(calculations[0].timestamp, 'b');
+    });
+});
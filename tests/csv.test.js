@@ -0,0 +1,69 @@
+/**
+ * Tests for CSV reading and writing (js/csv.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCSV, formatCSV, formatCSVField, detectDelimiter } from '../js/csv.js';
+
+describe('parseCSV', () => {
+    test('splits rows and fields', () => {
+        assert.deepEqual(parseCSV('a,b\r\n1,2\n3,4\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    test('reads quoted fields with delimiters, quotes and line breaks', () => {
+        assert.deepEqual(parseCSV('name,note\n"Fan, ceiling","says ""hi""\nagain"\n'), [
+            ['name', 'note'],
+            ['Fan, ceiling', 'says "hi"\nagain']
+        ]);
+    });
+
+    test('keeps empty fields and skips blank lines', () => {
+        assert.deepEqual(parseCSV('a,b,c\n1,,3\n\n'), [['a', 'b', 'c'], ['1', '', '3']]);
+    });
+
+    test('strips a byte order mark', () => {
+        assert.deepEqual(parseCSV('\uFEFFa,b\n1,2'), [['a', 'b'], ['1', '2']]);
+    });
+
+    test('detects semicolon and tab delimiters', () => {
+        assert.equal(detectDelimiter('a;b;c\n1,5;2;3'), ';');
+        assert.equal(detectDelimiter('a\tb\n1\t2'), '\t');
+        assert.equal(detectDelimiter('"a;b",c'), ',');
+        assert.deepEqual(parseCSV('v;i\n230;1,5'), [['v', 'i'], ['230', '1,5']]);
+    });
+});
+
+describe('formatCSV', () => {
+    test('quotes only fields that need it', () => {
+        assert.equal(formatCSVField('plain'), 'plain');
+        assert.equal(formatCSVField('a,b'), '"a,b"');
+        assert.equal(formatCSVField('say "hi"'), '"say ""hi"""');
+        assert.equal(formatCSVField('two\nlines'), '"two\nlines"');
+        assert.equal(formatCSVField(' padded'), '" padded"');
+    });
+
+    test('defuses text that starts like a formula', () => {
+        assert.equal(formatCSVField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+        assert.equal(formatCSVField('+91 98765'), "'+91 98765");
+        assert.equal(formatCSVField('-5'), "'-5");
+        assert.equal(formatCSVField('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(formatCSVField('\tcmd'), "'\tcmd");
+        assert.equal(formatCSVField('a=b'), 'a=b');
+    });
+
+    test('writes negative numbers as numbers', () => {
+        assert.equal(formatCSV([[-2.5, 0]]), '-2.5,0\r\n');
+    });
+
+    test('writes empty fields for null and keeps zero', () => {
+        assert.equal(formatCSV([[null, undefined, 0, 1.5]]), ',,0,1.5\r\n');
+    });
+
+    test('round-trips through parseCSV', () => {
+        const rows = [['Label', 'Note'], ['Pump, borewell', 'line 1\r\nline "2"'], ['', '0']];
+        assert.deepEqual(parseCSV(formatCSV(rows)), rows);
+    });
+});
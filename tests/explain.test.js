@@ -0,0 +1,100 @@
+/**
+ * Tests for result explanations (js/explain.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getExplanation, formatExplanation } from '../js/explain.js';
+import { calculateAll, PHASES } from '../js/calculator.js';
+import { DEFAULT_TARIFF_PROFILES } from '../js/tariff.js';
+
+const VALUES = { voltage: 230, current: 10, time: 2, tariff: 8.5, phase: PHASES.SINGLE };
+const FORM = { voltage: '0.23', current: '10', time: '120', tariff: '8.5', units: { voltage: 'kV', current: 'A', time: 'min' } };
+
+function explain(key, { values = VALUES, form = FORM, resultUnit } = {}) {
+    return getExplanation(key, { values, results: calculateAll(values), form, resultUnit });
+}
+
+describe('getExplanation', () => {
+    test('names the solver branch and the inputs used', () => {
+        const explanation = explain('calculatedPower');
+        assert.equal(explanation.method, 'Solved from voltage and current');
+        assert.deepEqual(explanation.inputs, [
+            { label: 'Voltage', value: '0.23 kV', source: 'entered' },
+            { label: 'Current', value: '10 A', source: 'entered' },
+            { label: 'Power factor', value: '1', source: 'assumed' }
+        ]);
+        assert.equal(explanation.formula, 'P = V × I × PF');
+        assert.equal(explanation.substitution, '230 V × 10 A × 1');
+        assert.equal(explanation.result, '2300 W');
+    });
+
+    test('lists conversions from the entered units', () => {
+        assert.deepEqual(explain('calculatedPower').conversions, ['0.23 kV = 230 V']);
+        assert.deepEqual(explain('energy').conversions, ['120 min = 2 h']);
+    });
+
+    test('converts the result to the card\'s unit', () => {
+        const explanation = explain('calculatedPower', { resultUnit: 'kW' });
+        assert.equal(explanation.shown, '2.3 kW');
+        assert.deepEqual(explanation.conversions, ['0.23 kV = 230 V', '2300 W = 2.3 kW']);
+        assert.equal(explain('calculatedPower').shown, '2300 W');
+    });
+
+    test('reports entered values the solver did not use', () => {
+        const values = { ...VALUES, power: 1000 };
+        const form = { ...FORM, power: '1', units: { ...FORM.units, power: 'kW' } };
+        const explanation = explain('calculatedResistance', { values, form });
+        assert.equal(explanation.method, 'Solved from voltage and current');
+        assert.deepEqual(explanation.unused, [{ label: 'Power', value: '1 kW', source: 'entered' }]);
+    });
+
+    test('shows derived results from the calculated power', () => {
+        const explanation = explain('energy');
+        assert.equal(explanation.method, 'Derived from the real power and time');
+        assert.deepEqual(explanation.inputs[0], { label: 'Real power', value: '2300 W', source: 'calculated' });
+        assert.deepEqual(explanation.unused, []);
+    });
+
+    test('explains entered values and the power factor source', () => {
+        assert.equal(explain('calculatedVoltage').method, 'Entered value');
+        assert.equal(explain('calculatedVoltage').substitution, null);
+
+        const angle = explain('powerFactor', { values: { ...VALUES, phaseAngle: 60 }, form: { ...FORM, phaseAngle: '60' } });
+        assert.equal(angle.method, 'Cosine of the entered phase angle');
+        assert.deepEqual(angle.inputs, [{ label: 'Phase angle', value: '60°', source: 'entered' }]);
+    });
+
+    test('explains a tariff profile bill', () => {
+        const values = { power: 1000, time: 5, tariffProfile: DEFAULT_TARIFF_PROFILES[0] };
+        assert.equal(explain('cost', { values, form: {} }).method, 'Share of the monthly tariff profile bill at this usage');
+    });
+
+    test('falls back to engine units without a form', () => {
+        assert.deepEqual(explain('calculatedPower', { form: {} }).inputs[0], { label: 'Voltage', value: '230 V', source: 'entered' });
+    });
+
+    test('is null for results that were not calculated', () => {
+        assert.equal(explain('calculatedResistance', { values: { power: 1000, time: 2 } }), null);
+    });
+});
+
+describe('formatExplanation', () => {
+    test('writes the explanation as plain text', () => {
+        assert.equal(formatExplanation('Power', explain('calculatedPower', { resultUnit: 'kW' })), [
+            'Power',
+            'Method: Solved from voltage and current',
+            'Inputs used:',
+            '- Voltage: 0.23 kV (entered)',
+            '- Current: 10 A (entered)',
+            '- Power factor: 1 (assumed)',
+            'Unit conversions:',
+            '- 0.23 kV = 230 V',
+            '- 2300 W = 2.3 kW',
+            'Working: P = V × I × PF = 230 V × 10 A × 1 = 2300 W',
+            'Shown as: 2.3 kW'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for data export (js/exportData.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    toExportRecord,
+    buildExportTable,
+    buildExportJSON,
+    createExport,
+    getExportFileName,
+    EXPORT_FORMATS,
+    EXPORT_SCOPES
+} from '../js/exportData.js';
+import { calculateAll, PHASES, VOLTAGE_REFERENCES } from '../js/calculator.js';
+import { parseCSV } from '../js/csv.js';
+import { DEFAULT_TARIFF_PROFILES } from '../js/tariff.js';
+
+const VALUES = {
+    voltage: 230,
+    current: 0,
+    power: 1000,
+    resistance: 0,
+    powerFactor: 0,
+    phaseAngle: 0,
+    time: 2,
+    tariff: 8.5,
+    tariffProfile: null,
+    phase: PHASES.SINGLE,
+    voltageReference: VOLTAGE_REFERENCES.LINE_TO_LINE
+};
+
+function entry(overrides = {}) {
+    return {
+        name: 'Kettle, "large"',
+        timestamp: '2024-03-10T09:30:00.000Z',
+        tags: ['kitchen'],
+        notes: '',
+        form: {
+            voltage: '0.23',
+            power: '1',
+            time: '2',
+            tariff: '8.5',
+            units: { voltage: 'kV', power: 'kW', time: 'h' },
+            resultUnits: { calculatedPower: 'kW', energy: 'Wh' }
+        },
+        inputs: VALUES,
+        results: calculateAll(VALUES),
+        ...overrides
+    };
+}
+
+const find = (items, key) => items.find(item => item.key === key);
+
+describe('toExportRecord', () => {
+    test('keeps inputs in the units they were entered in', () => {
+        const { inputs } = toExportRecord(entry());
+        assert.deepEqual(inputs.map(({ key, value, unit }) => [key, value, unit]), [
+            ['voltage', 0.23, 'kV'],
+            ['power', 1, 'kW'],
+            ['time', 2, 'h'],
+            ['tariff', 8.5, '₹/kWh']
+        ]);
+    });
+
+    test('converts results to the units chosen on their cards', () => {
+        const { results } = toExportRecord(entry());
+        assert.deepEqual(find(results, 'calculatedPower'), { key: 'calculatedPower', parameter: 'Calculated power', value: 1, unit: 'kW' });
+        assert.deepEqual(find(results, 'energy'), { key: 'energy', parameter: 'Energy', value: 2000, unit: 'Wh' });
+        assert.equal(find(results, 'calculatedCurrent').unit, 'A');
+    });
+
+    test('writes zero results as 0 and uncalculated ones as null', () => {
+        const values = { ...VALUES, tariff: 0, time: 0 };
+        const { results } = toExportRecord(entry({ inputs: values, results: calculateAll(values) }));
+        assert.equal(find(results, 'reactivePower').value, 0);
+        assert.equal(find(results, 'energy').value, null);
+    });
+
+    test('rounds away floating-point noise', () => {
+        const values = { ...VALUES, power: 0.1 + 0.2, voltage: 0, time: 0 };
+        const { results } = toExportRecord(entry({ form: {}, inputs: values, results: calculateAll(values) }));
+        assert.equal(find(results, 'calculatedPower').value, 0.3);
+    });
+
+    test('uses ISO timestamps', () => {
+        assert.equal(toExportRecord(entry({ timestamp: new Date(Date.UTC(2024, 0, 5)) })).timestamp, '2024-01-05T00:00:00.000Z');
+    });
+
+    test('names the tariff profile and lists the bill instead of a flat tariff', () => {
+        const values = { ...VALUES, tariffProfile: DEFAULT_TARIFF_PROFILES[0], time: 50 };
+        const record = toExportRecord(entry({ inputs: values, results: calculateAll(values) }));
+        assert.equal(record.tariffProfile, DEFAULT_TARIFF_PROFILES[0].name);
+        assert.equal(find(record.inputs, 'tariff'), undefined);
+        assert.ok(record.bill.length > 0);
+        assert.ok(record.bill.every(line => line.parameter.startsWith('Monthly bill: ') && line.unit === '₹'));
+    });
+
+    test('falls back to engine units for entries without a form', () => {
+        const { inputs } = toExportRecord(entry({ form: undefined }));
+        assert.deepEqual(find(inputs, 'voltage'), { key: 'voltage', parameter: 'Voltage', value: 230, unit: 'V' });
+        assert.equal(find(inputs, 'current'), undefined);
+    });
+});
+
+describe('buildExportTable', () => {
+    test('has a header and one row per value', () => {
+        const rows = buildExportTable([toExportRecord(entry())]);
+        assert.deepEqual(rows[0], ['Timestamp', 'Calculation', 'Parameter', 'Value', 'Unit']);
+        assert.deepEqual(rows[1], ['2024-03-10T09:30:00.000Z', 'Kettle, "large"', 'Supply', 'Single-phase', '']);
+        assert.deepEqual(rows[2], ['2024-03-10T09:30:00.000Z', 'Kettle, "large"', 'Tags', 'kitchen', '']);
+        assert.ok(rows.some(row => row[2] === 'Voltage' && row[3] === 0.23 && row[4] === 'kV'));
+    });
+
+    test('puts every calculation in the same table', () => {
+        const rows = buildExportTable([toExportRecord(entry()), toExportRecord(entry({ name: 'Fan' }))]);
+        assert.deepEqual([...new Set(rows.slice(1).map(row => row[1]))], ['Kettle, "large"', 'Fan']);
+    });
+});
+
+describe('buildExportJSON', () => {
+    test('keys inputs and results by field', () => {
+        const [record] = buildExportJSON([toExportRecord(entry())]);
+        assert.deepEqual(record.inputs.voltage, { value: 0.23, unit: 'kV' });
+        assert.deepEqual(record.results.energy, { value: 2000, unit: 'Wh' });
+        assert.deepEqual(record.bill, []);
+    });
+
+    test('names the currency and writes money in it', () => {
+        const values = { ...VALUES, tariff: 0.3, currency: 'EUR' };
+        const [record] = buildExportJSON([toExportRecord(entry({ inputs: values, results: calculateAll(values) }))]);
+        assert.equal(record.currency, 'EUR');
+        assert.deepEqual(record.inputs.tariff, { value: 8.5, unit: '€/kWh' });
+        assert.deepEqual(record.results.cost, { value: 0.6, unit: '€' });
+    });
+});
+
+describe('createExport', () => {
+    test('writes CSV that parses back into the same table', () => {
+        const csv = createExport([entry()], EXPORT_FORMATS.CSV);
+        assert.ok(csv.startsWith('\uFEFF'));
+        assert.ok(csv.includes('"Kettle, ""large"""'));
+
+        const table = buildExportTable([toExportRecord(entry())]);
+        const expected = table.map(row => row.map(value => (value === null ? '' : String(value))));
+        assert.deepEqual(parseCSV(csv), expected);
+    });
+
+    test('stops names from running as spreadsheet formulas in CSV only', () => {
+        const named = entry({ name: '=HYPERLINK("http://example.com")' });
+        const [, row] = parseCSV(createExport([named], EXPORT_FORMATS.CSV));
+        assert.equal(row[1], '\'=HYPERLINK("http://example.com")');
+        assert.equal(JSON.parse(createExport([named], EXPORT_FORMATS.JSON))[0].name, named.name);
+    });
+
+    test('writes JSON that parses', () => {
+        const [record] = JSON.parse(createExport([entry()], EXPORT_FORMATS.JSON));
+        assert.equal(record.timestamp, '2024-03-10T09:30:00.000Z');
+    });
+
+    test('writes XLSX as ZIP bytes', () => {
+        const bytes = createExport([entry()], EXPORT_FORMATS.XLSX);
+        assert.ok(bytes instanceof Uint8Array);
+        assert.deepEqual([...bytes.subarray(0, 4)], [0x50, 0x4B, 0x03, 0x04]);
+    });
+});
+
+describe('getExportFileName', () => {
+    test('names the scope, date and extension', () => {
+        assert.equal(
+            getExportFileName(EXPORT_SCOPES.HISTORY, EXPORT_FORMATS.XLSX, new Date('2024-03-10T12:00:00Z')),
+            'electrical-calculations-history-2024-03-10.xlsx'
+        );
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the calculation history (js/history.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseTags, createHistoryEntry, filterHistory, collectTags, openHistoryDB, clearHistoryEntries } from '../js/history.js';
+
+const ENTRIES = [
+    createHistoryEntry({ name: 'Geyser circuit', tags: 'kitchen, heating', notes: '2 kW element', timestamp: '2024-03-10T09:00:00.000Z' }),
+    createHistoryEntry({ name: 'Pump motor', tags: 'motor', notes: 'Borewell pump', timestamp: '2024-03-05T09:00:00.000Z' }),
+    createHistoryEntry({ name: 'Lighting DB', tags: ['Lighting'], timestamp: '2024-02-20T09:00:00.000Z' })
+];
+
+describe('parseTags', () => {
+    test('splits, trims and lowercases', () => {
+        assert.deepEqual(parseTags(' Kitchen, heating ,,HEATING'), ['kitchen', 'heating']);
+    });
+
+    test('accepts an array', () => {
+        assert.deepEqual(parseTags(['Motor', ' pump ']), ['motor', 'pump']);
+    });
+
+    test('gives no tags for empty input', () => {
+        assert.deepEqual(parseTags(''), []);
+        assert.deepEqual(parseTags(undefined), []);
+    });
+});
+
+describe('createHistoryEntry', () => {
+    test('fills defaults', () => {
+        const entry = createHistoryEntry({ name: '  ' });
+        assert.equal(entry.name, 'Untitled calculation');
+        assert.deepEqual(entry.tags, []);
+        assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+        assert.equal('id' in entry, false);
+    });
+
+    test('keeps an existing id', () => {
+        assert.equal(createHistoryEntry({ id: 7 }).id, 7);
+    });
+});
+
+describe('filterHistory', () => {
+    test('matches text in name, notes and tags', () => {
+        assert.deepEqual(filterHistory(ENTRIES, { query: 'pump' }).map(e => e.name), ['Pump motor']);
+        assert.deepEqual(filterHistory(ENTRIES, { query: 'KITCHEN' }).map(e => e.name), ['Geyser circuit']);
+        assert.deepEqual(filterHistory(ENTRIES, { query: '2 kw' }).map(e => e.name), ['Geyser circuit']);
+    });
+
+    test('filters by exact tag', () => {
+        assert.deepEqual(filterHistory(ENTRIES, { tag: 'lighting' }).map(e => e.name), ['Lighting DB']);
+    });
+
+    test('filters by inclusive date range', () => {
+        const result = filterHistory(ENTRIES, {
+            from: new Date('2024-03-05T09:00:00.000Z'),
+            to: new Date('2024-03-10T09:00:00.000Z')
+        });
+        assert.deepEqual(result.map(e => e.name), ['Geyser circuit', 'Pump motor']);
+    });
+
+    test('returns everything without filters', () => {
+        assert.equal(filterHistory(ENTRIES).length, 3);
+    });
+});
+
+describe('collectTags', () => {
+    test('lists unique tags alphabetically', () => {
+        assert.deepEqual(collectTags(ENTRIES), ['heating', 'kitchen', 'lighting', 'motor']);
+    });
+});
+
+describe('openHistoryDB', () => {
+    test('rejects when IndexedDB is unavailable', async () => {
+        await assert.rejects(openHistoryDB(null), /IndexedDB is not available/);
+    });
+});
+
+describe('history transactions', () => {
+    // A transaction stand-in whose events fire on the next tick
+    function abortingDB(error) {
+        return {
+            transaction() {
+                const transaction = { objectStore: () => ({ clear: () => ({ result: undefined }) }), error };
+                setTimeout(() => transaction.onabort());
+                return transaction;
+            }
+        };
+    }
+
+    test('rejects when a transaction aborts', async () => {
+        const quota = new Error('QuotaExceededError');
+        await assert.rejects(clearHistoryEntries(abortingDB(quota)), quota);
+        await assert.rejects(clearHistoryEntries(abortingDB(null)), /transaction aborted/);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the load schedule (js/loadSchedule.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLoadRow, calculateLoad, summarizeSchedule } from '../js/loadSchedule.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+describe('createLoadRow', () => {
+    test('fills defaults', () => {
+        const row = createLoadRow({ name: 'Fan' });
+        assert.equal(row.name, 'Fan');
+        assert.equal(row.quantity, 1);
+        assert.equal(row.daysPerMonth, 30);
+        assert.equal(row.power, 0);
+        assert.ok(row.id);
+    });
+
+    test('gives each row a unique id', () => {
+        assert.notEqual(createLoadRow().id, createLoadRow().id);
+    });
+
+    test('keeps an explicit zero quantity', () => {
+        assert.equal(createLoadRow({ quantity: 0 }).quantity, 0);
+    });
+
+    test('coerces stored strings to numbers', () => {
+        assert.equal(createLoadRow({ power: '60' }).power, 60);
+    });
+});
+
+describe('calculateLoad', () => {
+    test('uses the power rating', () => {
+        const load = calculateLoad(createLoadRow({ power: 75, quantity: 4, hoursPerDay: 10, daysPerMonth: 30 }), 8);
+        assert.equal(load.unitPower, 75);
+        assert.equal(load.connectedLoad, 300);
+        assertClose(load.monthlyEnergy, 90);
+        assertClose(load.monthlyCost, 720);
+    });
+
+    test('uses voltage × current when no power is given', () => {
+        const load = calculateLoad(createLoadRow({ voltage: 230, current: 5, hoursPerDay: 2, daysPerMonth: 10 }));
+        assert.equal(load.unitPower, 1150);
+        assertClose(load.monthlyEnergy, 23);
+        assert.equal(load.monthlyCost, 0);
+    });
+
+    test('gives zero for incomplete rows', () => {
+        const load = calculateLoad(createLoadRow({ name: 'Unknown' }), 8);
+        assert.equal(load.unitPower, null);
+        assert.equal(load.connectedLoad, 0);
+        assert.equal(load.monthlyEnergy, 0);
+    });
+});
+
+describe('summarizeSchedule', () => {
+    test('totals connected load, energy and cost', () => {
+        const summary = summarizeSchedule([
+            createLoadRow({ name: 'Fan', power: 75, quantity: 4, hoursPerDay: 10 }),
+            createLoadRow({ name: 'AC', power: 1500, hoursPerDay: 8 })
+        ], 10);
+
+        assert.equal(summary.loads.length, 2);
+        assert.equal(summary.connectedLoad, 1800);
+        assertClose(summary.monthlyEnergy, 90 + 360);
+        assertClose(summary.monthlyCost, 4500);
+    });
+
+    test('handles an empty schedule', () => {
+        assert.deepEqual(summarizeSchedule([]), { loads: [], connectedLoad: 0, monthlyEnergy: 0, monthlyCost: 0, bill: null });
+    });
+
+    test('bills the month once against a tariff profile', () => {
+        const tariffProfile = { slabs: [{ upTo: 100, rate: 3 }, { upTo: null, rate: 6 }], fixedCharge: 50 };
+        const summary = summarizeSchedule([
+            createLoadRow({ name: 'Fan', power: 100, hoursPerDay: 10 }),
+            createLoadRow({ name: 'Heater', power: 1000, hoursPerDay: 2 })
+        ], 10, tariffProfile);
+
+        // 30 + 60 kWh = 90 kWh, all in the first slab
+        assertClose(summary.monthlyEnergy, 90);
+        assertClose(summary.monthlyCost, 90 * 3 + 50);
+        assertClose(summary.loads[0].monthlyCost, summary.monthlyCost / 3);
+        assertClose(summary.loads[1].monthlyCost, summary.monthlyCost * 2 / 3);
+    });
+});
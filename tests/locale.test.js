@@ -0,0 +1,102 @@
+/**
+ * Tests for currency and number formatting (js/locale.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createDisplaySettings,
+    formatLocaleNumber,
+    formatMoney,
+    getCurrency,
+    getDefaultTariff,
+    joinCurrency,
+    splitCurrencyUnit,
+    withCurrency,
+    DEFAULT_DISPLAY_SETTINGS,
+    NUMBER_STYLES
+} from '../js/locale.js';
+import { formatNumber } from '../js/calculator.js';
+
+const plain = locale => ({ locale, style: NUMBER_STYLES.PLAIN });
+const engineering = locale => ({ locale, style: NUMBER_STYLES.ENGINEERING });
+
+describe('formatLocaleNumber', () => {
+    test('matches formatNumber with the default settings', () => {
+        [0, 0.005, 1, 12.345, 999.999, 1234, 1234567, -5, -0.005, -2500].forEach(num => {
+            assert.equal(formatLocaleNumber(num), formatNumber(num));
+        });
+    });
+
+    test('uses the locale decimal mark in engineering style', () => {
+        assert.equal(formatLocaleNumber(1234.5, engineering('de-DE')), '1,23k');
+        assert.equal(formatLocaleNumber(2500000, engineering('fr-FR')), '2,50M');
+        assert.equal(formatLocaleNumber(0.005, engineering('de-DE')), '5,00e-3');
+    });
+
+    test('writes zero plainly and keeps the sign of negative values', () => {
+        assert.equal(formatLocaleNumber(0), '0.00');
+        assert.equal(formatLocaleNumber(-0), '0.00');
+        assert.equal(formatLocaleNumber(-5), '-5.00');
+        assert.equal(formatLocaleNumber(-2500, engineering('de-DE')), '-2,50k');
+        assert.equal(formatLocaleNumber(-0.005), '-5.00e-3');
+    });
+
+    test('groups digits in plain style', () => {
+        assert.equal(formatLocaleNumber(12345678.5, plain('en-IN')), '1,23,45,678.50');
+        assert.equal(formatLocaleNumber(12345678.5, plain('en-US')), '12,345,678.50');
+        assert.equal(formatLocaleNumber(12345678.5, plain('de-DE')), '12.345.678,50');
+    });
+
+    test('keeps small values readable in plain style', () => {
+        assert.equal(formatLocaleNumber(0.000123, plain('en-US')), '0.000123');
+        assert.equal(formatLocaleNumber(0, plain('en-US')), '0.00');
+    });
+
+    test('returns -- for missing values', () => {
+        assert.equal(formatLocaleNumber(null), '--');
+        assert.equal(formatLocaleNumber(NaN, plain('en-US')), '--');
+    });
+});
+
+describe('currencies', () => {
+    test('writes symbols before the amount and letter codes with a space', () => {
+        assert.equal(formatMoney(1234.5), '₹1.23k');
+        assert.equal(formatMoney(1234.5, 'AED', plain('en-US')), 'AED 1,234.50');
+        assert.equal(formatMoney(1234.5, 'EUR', plain('de-DE')), '€1.234,50');
+        assert.equal(formatMoney(null, 'EUR'), '--');
+    });
+
+    test('swaps the engine currency in money units only', () => {
+        assert.equal(withCurrency('₹/kWh', 'EUR'), '€/kWh');
+        assert.equal(withCurrency('₹', 'SAR'), 'SAR');
+        assert.equal(withCurrency('kWh', 'EUR'), 'kWh');
+        assert.equal(withCurrency('₹/kWh'), '₹/kWh');
+    });
+
+    test('splits money units into symbol and rest', () => {
+        assert.deepEqual(splitCurrencyUnit('AED/kWh'), { symbol: 'AED', rest: '/kWh' });
+        assert.deepEqual(splitCurrencyUnit('£'), { symbol: '£', rest: '' });
+        assert.equal(splitCurrencyUnit('A'), null);
+        assert.equal(joinCurrency('$', '5'), '$5');
+    });
+
+    test('falls back to the default currency for unknown codes', () => {
+        assert.equal(getCurrency('XYZ').code, 'INR');
+    });
+});
+
+describe('createDisplaySettings', () => {
+    test('defaults unknown values', () => {
+        assert.deepEqual(createDisplaySettings({ currency: 'XYZ', locale: 'xx', style: 'fancy' }), { ...DEFAULT_DISPLAY_SETTINGS, tariffs: {} });
+    });
+
+    test('keeps valid default tariffs per currency', () => {
+        const settings = createDisplaySettings({ currency: 'EUR', tariffs: { EUR: '0.35', XYZ: 1, GBP: 0 } });
+        assert.deepEqual(settings.tariffs, { EUR: 0.35 });
+        assert.equal(getDefaultTariff(settings), 0.35);
+        assert.equal(getDefaultTariff(settings, 'AED'), getCurrency('AED').defaultTariff);
+    });
+});
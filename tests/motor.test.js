@@ -0,0 +1,93 @@
+/**
+ * Tests for motor calculations (js/motor.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateMotor, getStartingCurrents, STARTING_METHODS } from '../js/motor.js';
+import { PHASES, VOLTAGE_REFERENCES } from '../js/calculator.js';
+import { createTariffProfile, computeBill } from '../js/tariff.js';
+import { convert } from '../js/units.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+const threePhase = { voltage: 415, phase: PHASES.THREE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_LINE };
+
+describe('getStartingCurrents', () => {
+    test('lists every method as a multiple of full-load current', () => {
+        const starting = getStartingCurrents(10, PHASES.THREE);
+        assert.deepEqual(starting.map(entry => entry.current), [60, 20, 30]);
+    });
+
+    test('leaves out star-delta on a single-phase supply', () => {
+        const starDelta = getStartingCurrents(10).find(entry => entry.method === STARTING_METHODS.STAR_DELTA);
+        assert.equal(starDelta.current, null);
+    });
+});
+
+describe('calculateMotor', () => {
+    test('works out input power and full-load current from the rating', () => {
+        const motor = calculateMotor({ ratedPower: 7500, ...threePhase, efficiency: 90, powerFactor: 0.85 });
+        assertClose(motor.inputPower, 7500 / 0.9);
+        assertClose(motor.losses, 7500 / 0.9 - 7500);
+        assertClose(motor.fullLoadCurrent, (7500 / 0.9) / (Math.sqrt(3) * 415 * 0.85));
+        assertClose(motor.apparentPower, (7500 / 0.9) / 0.85);
+    });
+
+    test('takes the typical power factor when none is given', () => {
+        const typical = calculateMotor({ ratedPower: 7500, ...threePhase, powerFactor: 0.85 });
+        [0, NaN, 1.5].forEach(powerFactor => {
+            const motor = calculateMotor({ ratedPower: 7500, ...threePhase, powerFactor });
+            assert.equal(motor.powerFactor, 0.85);
+            assertClose(motor.fullLoadCurrent, typical.fullLoadCurrent);
+        });
+    });
+
+    test('takes a horsepower rating converted to watts', () => {
+        const motor = calculateMotor({ ratedPower: convert(10, 'HP', 'W', 'power'), ...threePhase, efficiency: 100, powerFactor: 1 });
+        assertClose(motor.inputPower, 7457);
+    });
+
+    test('uses the chosen starting method', () => {
+        const dol = calculateMotor({ ratedPower: 7500, ...threePhase });
+        const starDelta = calculateMotor({ ratedPower: 7500, ...threePhase, startingMethod: STARTING_METHODS.STAR_DELTA });
+        assertClose(dol.startingCurrent, dol.fullLoadCurrent * 6);
+        assertClose(starDelta.startingCurrent, dol.startingCurrent / 3);
+    });
+
+    test('has no star-delta start on a single-phase supply', () => {
+        const motor = calculateMotor({ ratedPower: 750, voltage: 230, startingMethod: STARTING_METHODS.STAR_DELTA });
+        assert.equal(motor.startingCurrent, null);
+        assert.ok(motor.fullLoadCurrent > 0);
+    });
+
+    test('costs a year of running at a flat tariff', () => {
+        const motor = calculateMotor({ ratedPower: 9000, ...threePhase, efficiency: 90, hoursPerDay: 8, tariff: 8 });
+        assertClose(motor.dailyEnergy, 80);
+        assertClose(motor.annualEnergy, 80 * 365);
+        assertClose(motor.annualCost, 80 * 365 * 8);
+    });
+
+    test('bills each month through a tariff profile', () => {
+        const profile = createTariffProfile({ slabs: [{ upTo: 100, rate: 3 }, { upTo: null, rate: 6 }], fixedCharge: 50 });
+        const motor = calculateMotor({ ratedPower: 1000, ...threePhase, efficiency: 100, hoursPerDay: 5, tariffProfile: profile });
+        // 5 kWh a day is 150 kWh a month, and each day carries a 30th of that bill
+        assertClose(motor.annualCost, (computeBill(150, profile).total / 30) * 365);
+    });
+
+    test('caps the running hours at a day', () => {
+        const motor = calculateMotor({ ratedPower: 1000, ...threePhase, efficiency: 100, hoursPerDay: 30, tariff: 8 });
+        assertClose(motor.dailyEnergy, 24);
+        assertClose(motor.annualEnergy, 24 * 365);
+    });
+
+    test('returns null without a rating, voltage or efficiency', () => {
+        assert.equal(calculateMotor({ ratedPower: 0, voltage: 415 }), null);
+        assert.equal(calculateMotor({ ratedPower: 7500, voltage: 0 }), null);
+        assert.equal(calculateMotor({ ratedPower: 7500, voltage: 415, efficiency: 0 }), null);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for plausibility warnings (js/plausibility.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkPlausibility, getLimits, CONTEXTS, DEFAULT_LIMITS } from '../js/plausibility.js';
+import { calculateAll, PHASES } from '../js/calculator.js';
+
+const single = values => ({ phase: PHASES.SINGLE, ...values });
+
+describe('getLimits', () => {
+    test('returns the defaults for a context', () => {
+        assert.deepEqual(getLimits(CONTEXTS.COMMERCIAL).current, DEFAULT_LIMITS[CONTEXTS.COMMERCIAL].current);
+    });
+
+    test('merges user overrides over the defaults', () => {
+        const limits = getLimits(CONTEXTS.DOMESTIC, { domestic: { current: { max: 63 } } });
+        assert.deepEqual(limits.current, { min: null, max: 63 });
+        assert.deepEqual(limits.time, { min: null, max: 24 });
+    });
+
+    test('scales the default tariff limits to the currency', () => {
+        assert.deepEqual(getLimits(CONTEXTS.DOMESTIC, {}, 'EUR').tariff, { min: null, max: 0.71 });
+        assert.deepEqual(getLimits(CONTEXTS.DOMESTIC, { domestic: { tariff: { max: 1 } } }, 'EUR').tariff, { min: null, max: 1 });
+    });
+
+    test('falls back to domestic for an unknown context', () => {
+        assert.deepEqual(getLimits('marine'), getLimits(CONTEXTS.DOMESTIC));
+    });
+});
+
+describe('checkPlausibility', () => {
+    test('returns no warnings for typical values', () => {
+        assert.deepEqual(checkPlausibility(single({ voltage: 230, current: 10, time: 8, tariff: 8.5 })), []);
+    });
+
+    test('flags current above a domestic circuit', () => {
+        const [warning] = checkPlausibility(single({ voltage: 230, current: 40 }));
+        assert.equal(warning.field, 'current');
+        assert.equal(warning.bound, 'max');
+        assert.equal(warning.limit, 32);
+        assert.equal(warning.calculated, false);
+        assert.equal(warning.message, 'Current exceeds the typical 32 A domestic circuit');
+    });
+
+    test('flags more than 24 h of use a day', () => {
+        const [warning] = checkPlausibility(single({ power: 100, time: 10000 }));
+        assert.equal(warning.message, 'Time exceeds 24 h/day');
+    });
+
+    test('does not hold a time entered as a period to the daily limit', () => {
+        // 1 month of continuous use, entered in months and passed in hours
+        assert.deepEqual(checkPlausibility(single({ power: 100, time: 720 }), null, CONTEXTS.DOMESTIC, undefined, 'month'), []);
+        assert.deepEqual(checkPlausibility(single({ power: 100, time: 48 }), null, CONTEXTS.DOMESTIC, undefined, 'day'), []);
+        assert.equal(checkPlausibility(single({ power: 100, time: 48 }), null, CONTEXTS.DOMESTIC, undefined, 'min')[0].field, 'time');
+    });
+
+    test('flags values below a minimum', () => {
+        const [warning] = checkPlausibility(single({ voltage: 230, powerFactor: 0.3 }));
+        assert.equal(warning.field, 'powerFactor');
+        assert.equal(warning.message, 'Power factor is below the typical 0.5 minimum for a domestic load');
+    });
+
+    test('uses the limits of the given context', () => {
+        assert.deepEqual(checkPlausibility(single({ voltage: 230, current: 40 }), null, CONTEXTS.COMMERCIAL), []);
+        const [warning] = checkPlausibility(single({ voltage: 230, current: 200 }), null, CONTEXTS.COMMERCIAL);
+        assert.equal(warning.message, 'Current exceeds the typical 125 A commercial circuit');
+    });
+
+    test('checks calculated values that were not entered', () => {
+        const values = single({ voltage: 230, resistance: 2 });
+        const [warning] = checkPlausibility(values, calculateAll(values));
+        assert.equal(warning.field, 'current');
+        assert.equal(warning.calculated, true);
+        assert.equal(warning.value, 115);
+        assert.equal(warning.message, 'Calculated current exceeds the typical 32 A domestic circuit');
+    });
+
+    test('compares three-phase voltage per phase', () => {
+        const line = { phase: PHASES.THREE, voltageReference: 'line' };
+        assert.deepEqual(checkPlausibility({ ...line, voltage: 400 }), []);
+        const [warning] = checkPlausibility({ ...line, voltage: 690 });
+        assert.equal(warning.message, 'Voltage per phase exceeds the typical 250 V domestic supply');
+    });
+
+    test('names the tariff limit in the calculation currency', () => {
+        const [warning] = checkPlausibility(single({ power: 100, tariff: 2, currency: 'EUR' }));
+        assert.equal(warning.message, 'Tariff exceeds the typical €0.71/kWh domestic tariff');
+    });
+
+    test('skips limits set to null', () => {
+        const limits = getLimits(CONTEXTS.DOMESTIC, { domestic: { current: { max: null } } });
+        assert.deepEqual(checkPlausibility(single({ voltage: 230, current: 400 }), null, CONTEXTS.DOMESTIC, limits), []);
+    });
+});
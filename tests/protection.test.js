@@ -0,0 +1,124 @@
+/**
+ * Tests for circuit protection (js/protection.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    recommendProtection,
+    checkCableProtection,
+    getNextStandardRating,
+    getRequiredAmpacity,
+    LOAD_TYPES,
+    DEVICE_TYPES,
+    FUSE_RATINGS
+} from '../js/protection.js';
+import { sizeCable } from '../js/cable.js';
+
+describe('getNextStandardRating', () => {
+    test('rounds up to the next standard rating', () => {
+        assert.equal(getNextStandardRating(10), 10);
+        assert.equal(getNextStandardRating(10.1), 16);
+        assert.equal(getNextStandardRating(130), 160);
+    });
+
+    test('uses the supplied rating series', () => {
+        assert.equal(getNextStandardRating(300, FUSE_RATINGS), 315);
+    });
+
+    test('returns null above the largest rating', () => {
+        assert.equal(getNextStandardRating(5000), null);
+    });
+});
+
+describe('recommendProtection', () => {
+    test('resistive loads get a curve B breaker at the design current', () => {
+        const result = recommendProtection({ current: 14, loadType: LOAD_TYPES.RESISTIVE });
+        assert.equal(result.requiredRating, 14);
+        assert.equal(result.rating, 16);
+        assert.equal(result.curve, 'B');
+        assert.equal(result.deviceLabel, 'MCB');
+    });
+
+    test('motors are derated by 25% and get curve D', () => {
+        const result = recommendProtection({ current: 14, loadType: LOAD_TYPES.MOTOR });
+        assert.equal(result.requiredRating, 17.5);
+        assert.equal(result.rating, 20);
+        assert.equal(result.curve, 'D');
+        assert.equal(result.tripRange, '10–20 × In');
+    });
+
+    test('lighting gets curve C', () => {
+        assert.equal(recommendProtection({ current: 8, loadType: LOAD_TYPES.LIGHTING }).curve, 'C');
+    });
+
+    test('large currents need an MCCB', () => {
+        assert.equal(recommendProtection({ current: 150 }).deviceLabel, 'MCCB');
+    });
+
+    test('fuses use the gG series and have no trip curve', () => {
+        const result = recommendProtection({ current: 300, device: DEVICE_TYPES.FUSE });
+        assert.equal(result.rating, 315);
+        assert.equal(result.deviceLabel, 'gG fuse');
+        assert.equal(result.curve, null);
+    });
+
+    test('explains each step', () => {
+        const result = recommendProtection({ current: 14, loadType: LOAD_TYPES.MOTOR });
+        assert.ok(result.reasoning.some(line => line.includes('14.00 A × 1.25 = 17.50 A')));
+    });
+
+    test('reports when no device is large enough', () => {
+        const result = recommendProtection({ current: 2000 });
+        assert.equal(result.rating, null);
+        assert.equal(result.deviceLabel, null);
+    });
+});
+
+describe('checkCableProtection', () => {
+    test('a breaker at or below Iz protects the cable', () => {
+        const result = checkCableProtection({ rating: 16, ampacity: 19.5 });
+        assert.equal(result.isProtected, true);
+        assert.equal(result.conventionalTripCurrent, 16 * 1.45);
+    });
+
+    test('a breaker above Iz leaves the cable under-protected', () => {
+        const result = checkCableProtection({ rating: 20, ampacity: 19.5 });
+        assert.equal(result.isProtected, false);
+        assert.equal(result.ratingWithinAmpacity, false);
+    });
+
+    test('fuses must also satisfy I2 ≤ 1.45 × Iz', () => {
+        const result = checkCableProtection({ rating: 25, ampacity: 27, device: DEVICE_TYPES.FUSE });
+        assert.equal(result.ratingWithinAmpacity, true);
+        assert.equal(result.overloadProtected, false);
+        assert.equal(result.isProtected, false);
+    });
+});
+
+describe('getRequiredAmpacity', () => {
+    test('needs Iz ≥ In for breakers', () => {
+        assert.equal(getRequiredAmpacity(20), 20);
+    });
+
+    test('needs Iz ≥ 1.6 In ÷ 1.45 for gG fuses', () => {
+        assert.ok(Math.abs(getRequiredAmpacity(29, DEVICE_TYPES.FUSE) - 32) < 1e-9);
+    });
+});
+
+describe('recommended cable and device', () => {
+    const coordinate = (current, device = DEVICE_TYPES.BREAKER) => {
+        const protection = recommendProtection({ current, device });
+        const { recommended } = sizeCable({ current, voltage: 230, length: 10, minimumAmpacity: getRequiredAmpacity(protection.rating, device) });
+        return checkCableProtection({ rating: protection.rating, ampacity: recommended.ampacity, device });
+    };
+
+    test('passes the cable protection check', () => {
+        [6, 17, 24, 45, 60, 90].forEach(current => {
+            assert.equal(coordinate(current).isProtected, true, `${current} A with a breaker`);
+            assert.equal(coordinate(current, DEVICE_TYPES.FUSE).isProtected, true, `${current} A with a fuse`);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the calculation report (js/report.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildReport, describeTariff } from '../js/report.js';
+import { calculateAll, PHASES, VOLTAGE_REFERENCES } from '../js/calculator.js';
+import { DEFAULT_TARIFF_PROFILES } from '../js/tariff.js';
+
+const FORM = {
+    phase: PHASES.SINGLE,
+    voltage: '0.23',
+    current: '10',
+    power: '',
+    phaseAngle: '',
+    time: '2',
+    tariff: '8.5',
+    units: { voltage: 'kV', current: 'A', time: 'h' }
+};
+const VALUES = { voltage: 230, current: 10, time: 2, tariff: 8.5, phase: PHASES.SINGLE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_LINE };
+
+function report(overrides = {}) {
+    return buildReport({
+        projectName: 'Site A',
+        timestamp: new Date('2024-03-10T09:30:00.000Z'),
+        form: FORM,
+        values: VALUES,
+        results: calculateAll(VALUES),
+        ...overrides
+    });
+}
+
+describe('buildReport', () => {
+    test('has a title, ISO timestamp and supply', () => {
+        const { title, generatedAt, supply } = report();
+        assert.equal(title, 'Site A');
+        assert.equal(generatedAt, '2024-03-10T09:30:00.000Z');
+        assert.equal(supply, 'Single-phase');
+        assert.equal(report({ projectName: ' ' }).title, 'Electrical calculation');
+    });
+
+    test('lists entered inputs with the units they were entered in', () => {
+        assert.deepEqual(report().inputs, [
+            { label: 'Voltage', value: '0.23 kV' },
+            { label: 'Current', value: '10 A' },
+            { label: 'Time', value: '2 h' }
+        ]);
+    });
+
+    test('shows results in the chosen units with their workings', () => {
+        const power = report({ resultUnits: { calculatedPower: 'kW' } }).results.find(result => result.label === 'Real power');
+        assert.equal(power.value, '2.3 kW');
+        assert.equal(power.formula, 'P = V × I × PF');
+        assert.equal(power.substitution, '230 V × 10 A × 1');
+        assert.equal(power.result, '2300 W');
+        assert.equal(power.method, 'Solved from voltage and current');
+    });
+
+    test('leaves out results that were not calculated', () => {
+        const values = { voltage: 230, current: 10 };
+        const labels = report({ values, results: calculateAll(values) }).results.map(result => result.label);
+        assert.ok(!labels.includes('Energy'));
+        assert.ok(!labels.includes('Cost'));
+    });
+});
+
+describe('describeTariff', () => {
+    test('describes a flat rate', () => {
+        assert.deepEqual(describeTariff({ tariff: 8.5 }, {}), {
+            name: 'Flat rate',
+            rows: [{ label: 'Rate', value: '₹8.5/kWh' }],
+            bill: null
+        });
+    });
+
+    test('lists a profile\'s slabs, charges and bill', () => {
+        const values = { power: 1000, time: 5, tariffProfile: DEFAULT_TARIFF_PROFILES[0] };
+        const tariff = describeTariff(values, calculateAll(values));
+        assert.equal(tariff.name, 'Domestic (telescopic sample)');
+        assert.deepEqual(tariff.rows.slice(0, 3), [
+            { label: 'Billing', value: 'Telescopic (each slab at its own rate)' },
+            { label: '0–100 kWh', value: '₹3/kWh' },
+            { label: '100–300 kWh', value: '₹5/kWh' }
+        ]);
+        assert.deepEqual(tariff.rows[4], { label: 'Above 500 kWh', value: '₹8.5/kWh' });
+        assert.deepEqual(tariff.bill.at(-1), { label: 'Total', value: '₹688' });
+    });
+});
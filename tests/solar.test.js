@@ -0,0 +1,80 @@
+/**
+ * Tests for solar PV sizing (js/solar.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sizeSolarArray, getPerformanceRatio } from '../js/solar.js';
+import { createTariffProfile, computeBill } from '../js/tariff.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+const lossless = { peakSunHours: 5, panelWattage: 400, systemLossPercent: 0, inverterEfficiency: 100 };
+
+describe('getPerformanceRatio', () => {
+    test('combines system and inverter losses', () => {
+        assertClose(getPerformanceRatio(14, 96), 0.8256);
+    });
+
+    test('clamps out-of-range percentages', () => {
+        assert.equal(getPerformanceRatio(-5, 150), 1);
+        assert.equal(getPerformanceRatio(120, 96), 0);
+    });
+});
+
+describe('sizeSolarArray', () => {
+    test('sizes a lossless array exactly', () => {
+        const solar = sizeSolarArray({ dailyEnergy: 10, ...lossless, tariff: 8 });
+        assertClose(solar.requiredKwp, 2);
+        assert.equal(solar.panelCount, 5);
+        assertClose(solar.installedKwp, 2);
+        assertClose(solar.monthlyGeneration, 300);
+        assertClose(solar.monthlySaving, 2400);
+        assert.equal(solar.surplusEnergy, 0);
+    });
+
+    test('rounds up to whole panels and allows for losses', () => {
+        const solar = sizeSolarArray({ dailyEnergy: 10, tariff: 8 });
+        assertClose(solar.requiredKwp, 10 / (5 * 0.8256));
+        assert.equal(solar.panelCount, 7);
+        assertClose(solar.installedKwp, 2.8);
+        assertClose(solar.monthlyGeneration, 2.8 * 5 * 0.8256 * 30);
+        assert.ok(solar.surplusEnergy > 0);
+    });
+
+    test('does not count surplus generation as a saving', () => {
+        const solar = sizeSolarArray({ dailyEnergy: 10, tariff: 8 });
+        assertClose(solar.billBefore, 2400);
+        assert.equal(solar.billAfter, 0);
+        assertClose(solar.monthlySaving, 2400);
+    });
+
+    test('works out simple payback from the installed cost', () => {
+        const solar = sizeSolarArray({ dailyEnergy: 10, ...lossless, tariff: 8, costPerKwp: 48000 });
+        assertClose(solar.systemCost, 96000);
+        assertClose(solar.paybackYears, 96000 / ((2400 / 30) * 365));
+    });
+
+    test('has no payback without a cost or a saving', () => {
+        assert.equal(sizeSolarArray({ dailyEnergy: 10, tariff: 8 }).paybackYears, null);
+        assert.equal(sizeSolarArray({ dailyEnergy: 10, tariff: 0, costPerKwp: 50000 }).paybackYears, null);
+    });
+
+    test('keeps fixed charges when billing through a slab tariff profile', () => {
+        const profile = createTariffProfile({ slabs: [{ upTo: 100, rate: 3 }, { upTo: null, rate: 6 }], fixedCharge: 50 });
+        const solar = sizeSolarArray({ dailyEnergy: 10, ...lossless, tariffProfile: profile });
+        assertClose(solar.billBefore, computeBill(300, profile).total);
+        assertClose(solar.billAfter, 50);
+        assertClose(solar.monthlySaving, computeBill(300, profile).total - 50);
+    });
+
+    test('returns null when nothing can be sized', () => {
+        assert.equal(sizeSolarArray({ dailyEnergy: 0 }), null);
+        assert.equal(sizeSolarArray({ dailyEnergy: 10, peakSunHours: 0 }), null);
+        assert.equal(sizeSolarArray({ dailyEnergy: 10, panelWattage: 0 }), null);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the tariff engine (js/tariff.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    computeBill,
+    getEnergyCharges,
+    createTariffProfile,
+    BILLING_TYPES,
+    DEFAULT_TARIFF_PROFILES
+} from '../js/tariff.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+const SLABS = [
+    { upTo: 100, rate: 3 },
+    { upTo: 300, rate: 5 },
+    { upTo: null, rate: 8 }
+];
+
+describe('createTariffProfile', () => {
+    test('sorts slabs and opens the last one', () => {
+        const profile = createTariffProfile({ slabs: [{ upTo: 300, rate: 5 }, { upTo: 100, rate: 3 }] });
+        assert.deepEqual(profile.slabs, [{ upTo: 100, rate: 3 }, { upTo: null, rate: 5 }]);
+    });
+
+    test('coerces numbers and fills defaults', () => {
+        const profile = createTariffProfile({ name: 'Test', fixedCharge: '40', slabs: [{ upTo: '', rate: '6.5' }] });
+        assert.equal(profile.fixedCharge, 40);
+        assert.equal(profile.billingType, BILLING_TYPES.TELESCOPIC);
+        assert.deepEqual(profile.slabs, [{ upTo: null, rate: 6.5 }]);
+    });
+
+    test('always has at least one slab', () => {
+        assert.deepEqual(createTariffProfile().slabs, [{ upTo: null, rate: 0 }]);
+    });
+});
+
+describe('getEnergyCharges', () => {
+    test('telescopic bills each slab at its own rate', () => {
+        const charges = getEnergyCharges(350, { slabs: SLABS });
+        assert.deepEqual(charges.map(c => c.units), [100, 200, 50]);
+        assert.equal(charges.reduce((sum, c) => sum + c.amount, 0), 300 + 1000 + 400);
+    });
+
+    test('telescopic stops at the consumption', () => {
+        assert.deepEqual(getEnergyCharges(80, { slabs: SLABS }).map(c => c.units), [80]);
+    });
+
+    test('slab billing charges everything at the reached rate', () => {
+        const charges = getEnergyCharges(350, { slabs: SLABS, billingType: BILLING_TYPES.SLAB });
+        assert.equal(charges.length, 1);
+        assert.equal(charges[0].amount, 350 * 8);
+        assert.equal(charges[0].from, 300);
+    });
+
+    test('a slab boundary belongs to the lower slab', () => {
+        const charges = getEnergyCharges(100, { slabs: SLABS, billingType: BILLING_TYPES.SLAB });
+        assert.equal(charges[0].rate, 3);
+    });
+
+    test('no consumption gives no charges', () => {
+        assert.deepEqual(getEnergyCharges(0, { slabs: SLABS, billingType: BILLING_TYPES.SLAB }), []);
+        assert.deepEqual(getEnergyCharges(0, { slabs: SLABS }), []);
+    });
+});
+
+describe('computeBill', () => {
+    const profile = {
+        slabs: SLABS,
+        fixedCharge: 60,
+        demandCharge: 100,
+        fuelSurcharge: 0.5,
+        dutyPercent: 10,
+        taxPercent: 5
+    };
+
+    test('adds fixed, demand, fuel, duty and tax charges', () => {
+        const bill = computeBill(150, profile, { demandKW: 2 });
+        assert.equal(bill.energyCharge, 300 + 250);
+        assert.equal(bill.fixedCharge, 60);
+        assert.equal(bill.demandCharge, 200);
+        assert.equal(bill.fuelSurcharge, 75);
+        assert.equal(bill.duty, 55);
+        assertClose(bill.tax, (550 + 60 + 200 + 75 + 55) * 0.05);
+        assertClose(bill.total, 940 * 1.05);
+        assertClose(bill.effectiveRate, bill.total / 150);
+    });
+
+    test('lists a line per charge', () => {
+        const bill = computeBill(150, profile, { demandKW: 2 });
+        assert.deepEqual(bill.lines.map(line => line.label.split(' ')[0]), ['Energy', 'Energy', 'Fixed', 'Demand', 'Fuel', 'Electricity', 'Tax']);
+        assertClose(bill.lines.reduce((sum, line) => sum + line.amount, 0), bill.total);
+    });
+
+    test('leaves out zero charges', () => {
+        const bill = computeBill(50, { slabs: SLABS });
+        assert.equal(bill.lines.length, 1);
+        assert.equal(bill.total, 150);
+    });
+
+    test('fixed charges apply with no consumption', () => {
+        const bill = computeBill(0, profile);
+        assert.equal(bill.total, 60 * 1.05);
+        assert.equal(bill.effectiveRate, null);
+    });
+
+    test('bundled sample profiles bill cleanly', () => {
+        DEFAULT_TARIFF_PROFILES.forEach(sample => {
+            assert.ok(computeBill(250, sample, { demandKW: 1 }).total > 0);
+        });
+    });
+});
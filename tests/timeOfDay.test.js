@@ -0,0 +1,141 @@
+/**
+ * Tests for the time-of-day tariff (js/timeOfDay.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateTodCost,
+    createTodWindow,
+    getHourlyRates,
+    getFallbackRate,
+    windowIncludesHour,
+    formatHour,
+    formatHourRanges,
+    DEFAULT_TOD_WINDOWS
+} from '../js/timeOfDay.js';
+import { computeBill } from '../js/tariff.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+const WINDOWS = DEFAULT_TOD_WINDOWS.map(createTodWindow);
+
+describe('createTodWindow', () => {
+    test('clamps hours to the day', () => {
+        const window = createTodWindow({ name: 'Peak', start: -2, end: 30, rate: '9' });
+        assert.equal(window.start, 0);
+        assert.equal(window.end, 23);
+        assert.equal(window.rate, 9);
+        assert.ok(window.id);
+    });
+});
+
+describe('windowIncludesHour', () => {
+    test('covers start up to but not including end', () => {
+        assert.equal(windowIncludesHour({ start: 18, end: 22 }, 18), true);
+        assert.equal(windowIncludesHour({ start: 18, end: 22 }, 22), false);
+    });
+
+    test('wraps past midnight', () => {
+        assert.equal(windowIncludesHour({ start: 22, end: 6 }, 23), true);
+        assert.equal(windowIncludesHour({ start: 22, end: 6 }, 3), true);
+        assert.equal(windowIncludesHour({ start: 22, end: 6 }, 6), false);
+    });
+
+    test('equal start and end covers the whole day', () => {
+        assert.equal(windowIncludesHour({ start: 0, end: 0 }, 13), true);
+    });
+});
+
+describe('getHourlyRates', () => {
+    test('resolves each hour to its window', () => {
+        const rates = getHourlyRates(WINDOWS);
+        assert.equal(rates.length, 24);
+        assert.deepEqual(rates[19], { hour: 19, rate: 10.5, window: 'Peak' });
+        assert.deepEqual(rates[2], { hour: 2, rate: 6, window: 'Off-peak' });
+    });
+
+    test('the first overlapping window wins', () => {
+        const rates = getHourlyRates([{ name: 'A', start: 0, end: 12, rate: 1 }, { name: 'B', start: 6, end: 18, rate: 2 }]);
+        assert.equal(rates[8].window, 'A');
+        assert.equal(rates[14].window, 'B');
+    });
+
+    test('uses the fallback rate outside every window', () => {
+        const rates = getHourlyRates([{ name: 'Peak', start: 18, end: 22, rate: 10 }], 7);
+        assert.deepEqual(rates[3], { hour: 3, rate: 7, window: null });
+    });
+});
+
+describe('calculateTodCost', () => {
+    test('costs each hour at its window rate', () => {
+        // 1 kW from 17:00 to 20:00: one normal hour and two peak hours
+        const result = calculateTodCost({ power: 1000, operatingHours: [17, 18, 19], windows: WINDOWS, days: 30 });
+        assertClose(result.energy, 90);
+        assertClose(result.cost, 30 * (8.5 + 2 * 10.5));
+        assert.deepEqual(result.windows.map(w => [w.name, w.hours]), [['Normal', 1], ['Peak', 2]]);
+        assertClose(result.averageRate, result.cost / 90);
+    });
+
+    test('shifting into the cheapest hours saves the rate difference', () => {
+        const result = calculateTodCost({ power: 2000, operatingHours: [18, 19], windows: WINDOWS });
+        assert.deepEqual(result.shifted.operatingHours, [0, 1]);
+        assertClose(result.shifted.cost, 2 * 2 * 6);
+        assertClose(result.shifted.savings, 2 * 2 * (10.5 - 6));
+    });
+
+    test('ignores duplicate and out-of-range hours', () => {
+        const result = calculateTodCost({ power: 1000, operatingHours: [5, 5, 24, -1], windows: WINDOWS });
+        assertClose(result.energy, 1);
+    });
+
+    test('gives zero cost and no average rate without operating hours', () => {
+        const result = calculateTodCost({ power: 1000, operatingHours: [], windows: WINDOWS });
+        assert.equal(result.cost, 0);
+        assert.equal(result.averageRate, null);
+        assert.equal(result.shifted.savings, 0);
+    });
+});
+
+describe('getFallbackRate', () => {
+    test('uses the flat tariff without a profile', () => {
+        assert.equal(getFallbackRate({ power: 1000, hoursPerDay: 4, tariff: 8 }), 8);
+    });
+
+    test('uses a profile\'s effective rate for a month of running', () => {
+        const tariffProfile = { billingType: 'telescopic', slabs: [{ upTo: 100, rate: 3 }, { upTo: null, rate: 6 }], fixedCharge: 60 };
+        // 1 kW for 5 h a day over 30 days = 150 kWh: 100 × 3 + 50 × 6 + 60
+        const rate = getFallbackRate({ power: 1000, hoursPerDay: 5, tariff: 8, tariffProfile });
+        assertClose(rate, 660 / 150);
+        assertClose(rate, computeBill(150, tariffProfile).effectiveRate);
+    });
+
+    test('is zero for a profile without energy', () => {
+        assert.equal(getFallbackRate({ power: 1000, hoursPerDay: 0, tariffProfile: { slabs: [{ upTo: null, rate: 5 }] } }), 0);
+    });
+});
+
+describe('formatHour', () => {
+    test('pads to HH:00', () => {
+        assert.equal(formatHour(7), '07:00');
+        assert.equal(formatHour(18), '18:00');
+    });
+});
+
+describe('formatHourRanges', () => {
+    test('groups contiguous hours', () => {
+        assert.equal(formatHourRanges([9, 10, 11, 14]), '09:00–12:00, 14:00–15:00');
+    });
+
+    test('joins a range across midnight', () => {
+        assert.equal(formatHourRanges([0, 1, 12, 23]), '12:00–13:00, 23:00–02:00');
+    });
+
+    test('gives an empty string for no hours', () => {
+        assert.equal(formatHourRanges([]), '');
+    });
+});
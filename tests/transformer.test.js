@@ -0,0 +1,117 @@
+/**
+ * Tests for transformer sizing (js/transformer.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    sizeTransformer,
+    calculateTransformerEfficiency,
+    getNextTransformerRating,
+    getTypicalLosses
+} from '../js/transformer.js';
+import { PHASES } from '../js/calculator.js';
+import { createTariffProfile, computeBill } from '../js/tariff.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not close to ${expected}`);
+}
+
+const distribution = { primaryVoltage: 11000, secondaryVoltage: 433 };
+
+describe('getNextTransformerRating', () => {
+    test('picks the next standard rating', () => {
+        assert.equal(getNextTransformerRating(240), 250);
+        assert.equal(getNextTransformerRating(250), 250);
+        assert.equal(getNextTransformerRating(3000), null);
+    });
+
+    test('has typical losses for standard ratings only', () => {
+        assert.deepEqual(getTypicalLosses(250), { ironLoss: 500, copperLoss: 3600 });
+        assert.equal(getTypicalLosses(240), null);
+    });
+});
+
+describe('calculateTransformerEfficiency', () => {
+    test('includes iron and copper losses at the loading', () => {
+        const efficiency = calculateTransformerEfficiency({ rating: 250, loading: 50, powerFactor: 0.9, ironLoss: 500, copperLoss: 3600 });
+        assertClose(efficiency, 112500 / (112500 + 500 + 900) * 100);
+    });
+
+    test('returns null at no load', () => {
+        assert.equal(calculateTransformerEfficiency({ rating: 250, loading: 0, ironLoss: 500, copperLoss: 3600 }), null);
+    });
+});
+
+describe('sizeTransformer', () => {
+    const sized = sizeTransformer({ connectedLoad: 300, ...distribution, diversityFactor: 1.5, growthMargin: 20, powerFactor: 0.9 });
+
+    test('applies diversity and growth before picking a rating', () => {
+        assertClose(sized.maximumDemand, 200);
+        assertClose(sized.requiredKVA, 240);
+        assert.equal(sized.rating, 250);
+        assertClose(sized.loading, 80);
+        assertClose(sized.efficiency, 180000 / (180000 + 500 + 0.8 ** 2 * 3600) * 100);
+    });
+
+    test('works out full-load currents on both sides', () => {
+        assertClose(sized.primaryCurrent, 250000 / (Math.sqrt(3) * 11000));
+        assertClose(sized.secondaryCurrent, 250000 / (Math.sqrt(3) * 433));
+    });
+
+    test('uses line-to-line voltages for single-phase transformers too', () => {
+        const single = sizeTransformer({ connectedLoad: 20, primaryVoltage: 11000, secondaryVoltage: 230, phase: PHASES.SINGLE });
+        assertClose(single.secondaryCurrent, 25000 / 230);
+    });
+
+    test('gives efficiencies across loadings and the best loading', () => {
+        assert.deepEqual(sized.efficiencies.map(entry => entry.loading), [25, 50, 75, 100]);
+        assertClose(sized.efficiencies[3].efficiency, 225000 / (225000 + 500 + 3600) * 100);
+        assertClose(sized.maxEfficiencyLoading, Math.sqrt(500 / 3600) * 100);
+    });
+
+    test('costs a year of iron and copper losses', () => {
+        const costed = sizeTransformer({ connectedLoad: 300, ...distribution, diversityFactor: 1.5, growthMargin: 20, loadHoursPerDay: 12, tariff: 8 });
+        assertClose(costed.loadLoss, 0.8 ** 2 * 3600);
+        const energy = (500 * 8760 + 0.8 ** 2 * 3600 * 12 * 365) / 1000;
+        assertClose(costed.annualLossEnergy, energy);
+        assertClose(costed.annualLossCost, energy * 8);
+    });
+
+    test('prices the losses on top of the load through a tariff profile', () => {
+        const tariffProfile = createTariffProfile({
+            slabs: [{ upTo: 1000, rate: 3 }, { upTo: 50000, rate: 6 }, { upTo: null, rate: 9 }],
+            fixedCharge: 200,
+            fuelSurcharge: 0.5,
+            dutyPercent: 5
+        });
+        const costed = sizeTransformer({ connectedLoad: 300, ...distribution, diversityFactor: 1.5, growthMargin: 20, loadHoursPerDay: 12, tariffProfile });
+        // 200 kVA × 0.9 for 12 h over 30 days
+        const monthlyLoad = 200 * 0.9 * 12 * 30;
+        const monthlyLoss = costed.annualLossEnergy * 30 / 365;
+        const increase = computeBill(monthlyLoad + monthlyLoss, tariffProfile).total - computeBill(monthlyLoad, tariffProfile).total;
+        assertClose(costed.annualLossCost, increase * 365 / 30);
+        // The load already fills the cheaper slabs, so every loss unit is at the top rate
+        assertClose(costed.annualLossCost, costed.annualLossEnergy * (9 * 1.05 + 0.5));
+    });
+
+    test('prefers nameplate losses over typical ones', () => {
+        const nameplate = sizeTransformer({ connectedLoad: 200, ...distribution, ironLoss: 400, copperLoss: 3000 });
+        assert.equal(nameplate.ironLoss, 400);
+        assert.equal(nameplate.copperLoss, 3000);
+    });
+
+    test('has no rating above the largest standard size', () => {
+        const large = sizeTransformer({ connectedLoad: 5000, ...distribution });
+        assert.equal(large.rating, null);
+        assert.equal(large.primaryCurrent, null);
+        assert.equal(large.efficiency, null);
+        assert.deepEqual(large.efficiencies, []);
+    });
+
+    test('returns null without a load', () => {
+        assert.equal(sizeTransformer({ connectedLoad: 0, ...distribution }), null);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the unit registry (js/units.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QUANTITIES, getUnits, isUnitOf, toSI, fromSI, convert } from '../js/units.js';
+import { INPUT_UNITS, RESULT_UNITS } from '../js/calculator.js';
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9 * Math.max(1, Math.abs(expected)), `${actual} is not close to ${expected}`);
+}
+
+describe('registry', () => {
+    test('is frozen', () => {
+        assert.ok(Object.isFrozen(QUANTITIES));
+    });
+
+    test('every quantity has its SI unit with a factor of 1', () => {
+        Object.values(QUANTITIES).forEach(({ siUnit, units }) => {
+            assert.equal(units[siUnit], 1);
+        });
+    });
+
+    test('covers the units the calculator works in', () => {
+        ['voltage', 'current', 'power', 'resistance', 'time'].forEach(quantity => {
+            assert.ok(isUnitOf(quantity, INPUT_UNITS[quantity]), quantity);
+        });
+        assert.ok(isUnitOf('energy', RESULT_UNITS.energy));
+        assert.ok(isUnitOf('apparentPower', RESULT_UNITS.apparentPower));
+        assert.ok(isUnitOf('reactivePower', RESULT_UNITS.reactivePower));
+    });
+});
+
+describe('getUnits', () => {
+    test('lists units smallest first', () => {
+        assert.deepEqual(getUnits('voltage'), ['mV', 'V', 'kV', 'MV']);
+        assert.deepEqual(getUnits('current'), ['µA', 'mA', 'A', 'kA']);
+        assert.deepEqual(getUnits('power'), ['W', 'HP', 'kW', 'MW']);
+        assert.deepEqual(getUnits('time'), ['s', 'min', 'h', 'day', 'month', 'year']);
+        assert.deepEqual(getUnits('energy'), ['J', 'Wh', 'kWh', 'MWh']);
+    });
+
+    test('rejects unknown quantities', () => {
+        assert.throws(() => getUnits('luminance'), RangeError);
+    });
+});
+
+describe('isUnitOf', () => {
+    test('checks the unit against its quantity', () => {
+        assert.equal(isUnitOf('voltage', 'kV'), true);
+        assert.equal(isUnitOf('voltage', 'kW'), false);
+        assert.equal(isUnitOf('unknown', 'V'), false);
+    });
+});
+
+describe('conversion', () => {
+    test('converts to and from SI', () => {
+        assert.equal(toSI(11, 'kV', 'voltage'), 11000);
+        assert.equal(fromSI(0.5, 'mA', 'current'), 500);
+        assert.equal(toSI(2, 'h', 'time'), 7200);
+    });
+
+    test('converts between prefixed units', () => {
+        assertClose(convert(230, 'V', 'kV', 'voltage'), 0.23);
+        assertClose(convert(250, 'µA', 'mA', 'current'), 0.25);
+        assertClose(convert(1.5, 'MW', 'kW', 'power'), 1500);
+    });
+
+    test('converts horsepower', () => {
+        assertClose(convert(1, 'HP', 'W', 'power'), 745.7);
+        assertClose(convert(7.457, 'kW', 'HP', 'power'), 10);
+    });
+
+    test('converts time spans', () => {
+        assertClose(convert(90, 'min', 'h', 'time'), 1.5);
+        assertClose(convert(1, 'month', 'h', 'time'), 720);
+        assertClose(convert(1, 'year', 'day', 'time'), 365);
+    });
+
+    test('converts energy including joules', () => {
+        assertClose(convert(1, 'kWh', 'J', 'energy'), 3.6e6);
+        assertClose(convert(2500, 'Wh', 'kWh', 'energy'), 2.5);
+        assertClose(convert(1, 'MWh', 'kWh', 'energy'), 1000);
+    });
+
+    test('round-trips without drift', () => {
+        assertClose(convert(convert(123.456, 'V', 'mV', 'voltage'), 'mV', 'V', 'voltage'), 123.456);
+    });
+
+    test('rejects units from another quantity', () => {
+        assert.throws(() => convert(1, 'kW', 'kV', 'voltage'), /Unknown voltage unit "kW"/);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for URL state (js/urlState.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeFormState, decodeFormState, parseProtocolUrl } from '../js/urlState.js';
+
+const DEFAULTS = {
+    phase: 'single',
+    voltageReference: 'line',
+    units: { voltage: 'V', current: 'A', power: 'W', resistance: 'Ω', time: 'h' }
+};
+
+describe('encodeFormState', () => {
+    test('writes entered values and non-default units', () => {
+        const query = encodeFormState({
+            phase: 'three',
+            voltageReference: 'line',
+            voltage: '11',
+            current: '52',
+            power: '',
+            time: '8',
+            units: { voltage: 'kV', current: 'A', time: 'h' }
+        }, DEFAULTS);
+        assert.equal(query, '?phase=three&voltage=11&voltageUnit=kV&current=52&time=8');
+    });
+
+    test('gives an empty string for an empty form', () => {
+        assert.equal(encodeFormState({ phase: 'single', voltage: '' }, DEFAULTS), '');
+    });
+
+    test('escapes special characters', () => {
+        assert.equal(encodeFormState({ resistance: '10', units: { resistance: 'kΩ' } }), '?resistance=10&resistanceUnit=k%CE%A9');
+    });
+});
+
+describe('decodeFormState', () => {
+    test('round-trips an encoded form', () => {
+        const form = { phase: 'three', voltage: '0.415', current: '20', tariffProfile: 'domestic-sample', units: { voltage: 'kV' } };
+        assert.deepEqual(decodeFormState(encodeFormState(form, DEFAULTS)), form);
+    });
+
+    test('ignores non-numeric values for numeric fields', () => {
+        assert.deepEqual(decodeFormState('voltage=abc&current=5'), { current: '5', units: {} });
+    });
+
+    test('ignores a unit without its value', () => {
+        assert.equal(decodeFormState('?voltageUnit=kV'), null);
+    });
+
+    test('returns null without any fields', () => {
+        assert.equal(decodeFormState(''), null);
+        assert.equal(decodeFormState('?utm_source=mail'), null);
+    });
+});
+
+describe('parseProtocolUrl', () => {
+    test('reads the query of a web+electrical URL', () => {
+        assert.deepEqual(parseProtocolUrl('web+electrical:?voltage=230&current=10'), { voltage: '230', current: '10', units: {} });
+    });
+
+    test('ignores an authority and path', () => {
+        assert.deepEqual(parseProtocolUrl('web+electrical://calculate?power=2&powerUnit=kW'), { power: '2', units: { power: 'kW' } });
+    });
+
+    test('accepts a bare parameter list', () => {
+        assert.deepEqual(parseProtocolUrl('WEB+ELECTRICAL:time=5'), { time: '5', units: {} });
+    });
+
+    test('rejects other schemes', () => {
+        assert.equal(parseProtocolUrl('https://example.com/?voltage=230'), null);
+        assert.equal(parseProtocolUrl(''), null);
+    });
+});
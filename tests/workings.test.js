@@ -0,0 +1,106 @@
+/**
+ * Tests for the worked solutions (js/workings.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getWorkings, formatWorkingNumber, formatWithUnit } from '../js/workings.js';
+import { calculateAll, SOLVER_METHODS, PHASES, VOLTAGE_REFERENCES } from '../js/calculator.js';
+import { DEFAULT_TARIFF_PROFILES } from '../js/tariff.js';
+
+function workingsFor(values) {
+    return getWorkings(values, calculateAll(values));
+}
+
+function line(working) {
+    return [working.formula, working.substitution, working.result].filter(Boolean).join(' = ');
+}
+
+describe('formatting', () => {
+    test('rounds to four significant figures', () => {
+        assert.equal(formatWorkingNumber(239.6003), '239.6');
+        assert.equal(formatWorkingNumber(2300), '2300');
+        assert.equal(formatWorkingNumber(1 / 3), '0.3333');
+    });
+
+    test('places currency and degrees', () => {
+        assert.equal(formatWithUnit(8.5, '₹/kWh'), '₹8.5/kWh');
+        assert.equal(formatWithUnit(30, '°'), '30°');
+        assert.equal(formatWithUnit(0.85, ''), '0.85');
+        assert.equal(formatWithUnit(230, 'V'), '230 V');
+    });
+
+    test('places other currencies the same way', () => {
+        assert.equal(formatWithUnit(0.3, '€/kWh'), '€0.3/kWh');
+        assert.equal(formatWithUnit(12, 'AED'), 'AED 12');
+    });
+});
+
+describe('getWorkings', () => {
+    test('substitutes the inputs the solver used', () => {
+        const workings = workingsFor({ voltage: 230, current: 10, time: 2, tariff: 8.5 });
+        assert.equal(line(workings.calculatedPower), 'P = V × I × PF = 230 V × 10 A × 1 = 2300 W');
+        assert.equal(workings.calculatedPower.method, SOLVER_METHODS.VOLTAGE_CURRENT);
+        assert.equal(line(workings.energy), 'E = P × t ÷ 1000 = 2300 W × 2 h ÷ 1000 = 4.6 kWh');
+        assert.equal(line(workings.cost), 'Cost = E × Tariff = 4.6 kWh × ₹8.5/kWh = ₹39.1');
+    });
+
+    test('names the terms each working uses', () => {
+        const workings = workingsFor({ voltage: 230, current: 10, time: 2, tariff: 8.5 });
+        assert.deepEqual(workings.calculatedPower.terms, ['V', 'I', 'PF']);
+        assert.deepEqual(workings.calculatedVoltage.terms, ['V']);
+        assert.deepEqual(workings.powerFactor.terms, []);
+        assert.deepEqual(workings.cost.terms, ['E', 'T']);
+    });
+
+    test('marks entered values without a substitution', () => {
+        const working = workingsFor({ voltage: 230, current: 10 }).calculatedVoltage;
+        assert.equal(working.substitution, null);
+        assert.equal(working.method, SOLVER_METHODS.ENTERED);
+        assert.equal(line(working), 'V = 230 V');
+    });
+
+    test('follows the resistance branches', () => {
+        const workings = workingsFor({ current: 5, resistance: 20, phaseAngle: 60 });
+        assert.equal(line(workings.calculatedPower), 'P = I² × R × PF = (5 A)² × 20 Ω × 0.5 = 250 W');
+        assert.equal(line(workings.calculatedVoltage), 'V = I × R = 5 A × 20 Ω = 100 V');
+        assert.equal(line(workings.powerFactor), 'PF = cos φ = cos 60° = 0.5');
+    });
+
+    test('uses three-phase line-to-line forms', () => {
+        const values = { voltage: 415, current: 10, powerFactor: 0.85, phase: PHASES.THREE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_LINE };
+        const workings = workingsFor(values);
+        assert.equal(line(workings.calculatedPower), 'P = √3 × V_L × I × PF = √3 × 415 V × 10 A × 0.85 = 6110 W');
+        assert.equal(line(workings.calculatedResistance), 'R = V_L ÷ (√3 × I) = 415 V ÷ (√3 × 10 A) = 23.96 Ω');
+    });
+
+    test('uses three-phase line-to-neutral forms', () => {
+        const values = { power: 3000, resistance: 10, phase: PHASES.THREE, voltageReference: VOLTAGE_REFERENCES.LINE_TO_NEUTRAL };
+        assert.equal(line(workingsFor(values).calculatedVoltage), 'V_ph = √(P × R ÷ (3 × PF)) = √(3000 W × 10 Ω ÷ (3 × 1)) = 100 V');
+    });
+
+    test('shows a solved power factor', () => {
+        assert.equal(line(workingsFor({ voltage: 200, current: 10, power: 1600 }).powerFactor), 'PF = P ÷ (V × I) = 1600 W ÷ (200 V × 10 A) = 0.8');
+    });
+
+    test('takes a share of the monthly bill for a tariff profile', () => {
+        const working = workingsFor({ power: 1000, time: 5, tariffProfile: DEFAULT_TARIFF_PROFILES[0] }).cost;
+        assert.equal(working.formula, 'Cost = Monthly bill × E ÷ Monthly energy');
+        assert.equal(working.substitution, '₹688 × 5 kWh ÷ 150 kWh');
+        assert.equal(working.result, '₹22.93');
+    });
+
+    test('writes money in the calculation currency', () => {
+        const working = workingsFor({ power: 1000, time: 2, tariff: 0.3, currency: 'EUR' }).cost;
+        assert.equal(working.substitution, '2 kWh × €0.3/kWh');
+        assert.equal(working.result, '€0.6');
+    });
+
+    test('leaves out results that were not calculated', () => {
+        const workings = workingsFor({ voltage: 230, current: 10 });
+        assert.equal('energy' in workings, false);
+        assert.equal('cost' in workings, false);
+    });
+});
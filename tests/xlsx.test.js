@@ -0,0 +1,96 @@
+/**
+ * Tests for the XLSX writer (js/xlsx.js)
+ * Run with: npm test
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc32, createZip, createXlsx, columnName } from '../js/xlsx.js';
+
+// Reads the stored entries back out of a ZIP archive via its central directory
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+
+    const files = {};
+    let position = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        assert.equal(view.getUint32(position, true), 0x02014B50);
+        const nameLength = view.getUint16(position + 28, true);
+        const size = view.getUint32(position + 24, true);
+        const crc = view.getUint32(position + 16, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+        assert.equal(view.getUint32(offset, true), 0x04034B50);
+        const start = offset + 30 + view.getUint16(offset + 26, true);
+        const data = bytes.subarray(start, start + size);
+        assert.equal(crc32(data), crc);
+        files[name] = decoder.decode(data);
+        position += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('crc32', () => {
+    test('matches the standard check value', () => {
+        assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    });
+
+    test('is zero for no bytes', () => {
+        assert.equal(crc32(new Uint8Array()), 0);
+    });
+});
+
+describe('createZip', () => {
+    test('stores files that read back with matching checksums', () => {
+        const files = readZip(createZip([
+            { name: 'a.txt', content: 'hello' },
+            { name: 'dir/b.txt', content: 'Ω ₹' }
+        ]));
+        assert.deepEqual(files, { 'a.txt': 'hello', 'dir/b.txt': 'Ω ₹' });
+    });
+});
+
+describe('columnName', () => {
+    test('converts indexes to spreadsheet letters', () => {
+        assert.equal(columnName(0), 'A');
+        assert.equal(columnName(25), 'Z');
+        assert.equal(columnName(26), 'AA');
+        assert.equal(columnName(701), 'ZZ');
+        assert.equal(columnName(702), 'AAA');
+    });
+});
+
+describe('createXlsx', () => {
+    const files = readZip(createXlsx([{ name: 'Data', rows: [['Name', 'Value'], ['Fan & "light"', 0], ['Empty', null]] }]));
+
+    test('contains the workbook parts', () => {
+        assert.deepEqual(Object.keys(files).sort(), [
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/_rels/workbook.xml.rels',
+            'xl/workbook.xml',
+            'xl/worksheets/sheet1.xml'
+        ]);
+        assert.match(files['xl/workbook.xml'], /<sheet name="Data" sheetId="1" r:id="rId1"\/>/);
+    });
+
+    test('writes numbers as numbers, including zero', () => {
+        assert.match(files['xl/worksheets/sheet1.xml'], /<c r="B2"><v>0<\/v><\/c>/);
+    });
+
+    test('writes escaped text and leaves empty cells out', () => {
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Fan &amp; &quot;light&quot;<\/t><\/is><\/c>/);
+        assert.doesNotMatch(sheet, /r="B3"/);
+    });
+
+    test('replaces characters Excel does not allow in sheet names', () => {
+        const workbook = readZip(createXlsx([{ name: 'Loads: 2024/03', rows: [] }]))['xl/workbook.xml'];
+        assert.match(workbook, /<sheet name="Loads  2024 03"/);
+    });
+});